@@ -0,0 +1,386 @@
+/**
+ * API Key Manager
+ * Issues and checks API keys with per-key rate limits and daily extraction quotas.
+ * Keys are stored on disk with SHA-256 hashed secrets; the plaintext key is only
+ * shown once when it is created. Keys are managed with api-keys-cli.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = ['extract', 'admin'];
+const RATE_WINDOW_MS = 60 * 1000;
+
+class ApiKeyManager {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || process.env.API_KEYS_DATA_DIR || path.join(__dirname, 'api-keys-data');
+        this.keysFile = path.join(this.dataDir, 'keys.json');
+        this.usageFile = path.join(this.dataDir, 'usage.json');
+        // 'true' always requires a key, 'false' never does; otherwise keys are required once one exists
+        this.required = options.required ?? process.env.API_KEYS_REQUIRED ?? null;
+        this.defaultRateLimit = options.defaultRateLimit || parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 30;
+        const envQuota = parseInt(process.env.API_KEY_DAILY_QUOTA, 10);
+        this.defaultDailyQuota = options.defaultDailyQuota ?? (Number.isInteger(envQuota) && envQuota >= 0 ? envQuota : 1000); // 0 = unlimited
+        this.reloadInterval = options.reloadInterval ?? 2000;
+        this.keys = new Map(); // keyId -> key record
+        this.usage = new Map(); // keyId -> { day, extractions, requests, lastUsedAt }
+        this.windows = new Map(); // keyId -> request timestamps in the current rate window
+        this.stats = { authorized: 0, unauthorized: 0, forbidden: 0, rateLimited: 0, quotaExceeded: 0 };
+        this.keysMtime = 0;
+        this.lastReloadCheck = 0;
+        this.warnedOpen = false;
+        this._writeChain = Promise.resolve();
+
+        this._loadKeys();
+        this._loadUsage();
+    }
+
+    /**
+     * Whether requests need a key right now
+     */
+    isEnforced() {
+        if (String(this.required) === 'true') return true;
+        if (String(this.required) === 'false') return false;
+
+        this._reloadIfChanged();
+        const enforced = this.listKeys().some(key => !key.revokedAt);
+        if (!enforced && !this.warnedOpen) {
+            this.warnedOpen = true;
+            console.warn('⚠️ No API keys configured - the API is open to anyone. Create one with: npm run api-keys -- create <name>');
+        }
+        return enforced;
+    }
+
+    /**
+     * Create a key. The returned `apiKey` is the only copy of the secret.
+     * @param {Object} params
+     * @param {string} params.name - Who the key belongs to
+     * @param {string[]} [params.scopes] - 'extract' and/or 'admin'
+     * @param {number} [params.rateLimitPerMinute] - Requests per minute
+     * @param {number} [params.dailyQuota] - Extractions per UTC day, 0 for unlimited
+     * @returns {{apiKey: string, key: Object}}
+     */
+    createKey({ name, scopes = ['extract'], rateLimitPerMinute, dailyQuota } = {}) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('A key name is required');
+        }
+        this._validateScopes(scopes);
+
+        const keyId = `key_${crypto.randomBytes(6).toString('hex')}`;
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const record = {
+            keyId,
+            name: name.trim(),
+            hash: this._hash(secret),
+            scopes: [...new Set(scopes)],
+            rateLimitPerMinute: this._limit(rateLimitPerMinute, this.defaultRateLimit, 'rateLimitPerMinute'),
+            dailyQuota: this._limit(dailyQuota, this.defaultDailyQuota, 'dailyQuota'),
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this._reloadIfChanged(true);
+        this.keys.set(keyId, record);
+        this._saveKeys();
+
+        return { apiKey: `${keyId}.${secret}`, key: this._publicKey(record) };
+    }
+
+    /**
+     * Change a key's name, scopes or limits
+     */
+    updateKey(keyId, changes = {}) {
+        this._reloadIfChanged(true);
+        const record = this.keys.get(keyId);
+        if (!record) return null;
+
+        if (changes.name !== undefined) {
+            if (!String(changes.name).trim()) throw new Error('A key name is required');
+            record.name = String(changes.name).trim();
+        }
+        if (changes.scopes !== undefined) {
+            this._validateScopes(changes.scopes);
+            record.scopes = [...new Set(changes.scopes)];
+        }
+        if (changes.rateLimitPerMinute !== undefined) {
+            record.rateLimitPerMinute = this._limit(changes.rateLimitPerMinute, this.defaultRateLimit, 'rateLimitPerMinute');
+        }
+        if (changes.dailyQuota !== undefined) {
+            record.dailyQuota = this._limit(changes.dailyQuota, this.defaultDailyQuota, 'dailyQuota');
+        }
+
+        this._saveKeys();
+        return this._publicKey(record);
+    }
+
+    /**
+     * Revoke a key. Revoked keys stay on file so past searches remain attributable.
+     */
+    revokeKey(keyId) {
+        this._reloadIfChanged(true);
+        const record = this.keys.get(keyId);
+        if (!record) return null;
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            this._saveKeys();
+        }
+        return this._publicKey(record);
+    }
+
+    getKey(keyId) {
+        this._reloadIfChanged();
+        const record = this.keys.get(keyId);
+        return record ? this._publicKey(record) : null;
+    }
+
+    listKeys() {
+        return Array.from(this.keys.values()).map(record => this._publicKey(record));
+    }
+
+    /**
+     * Check a raw key against a scope and its rate limit. Every authorized
+     * request counts towards the per-minute rate limit.
+     * @param {string|null} rawKey - Key as sent by the client
+     * @param {Object} [options]
+     * @param {string} [options.scope] - Required scope ('admin' keys may also extract)
+     * @returns {{ok: boolean, status?: number, error?: string, retryAfter?: number, key?: Object, limits?: Object}}
+     */
+    authorize(rawKey, { scope = 'extract' } = {}) {
+        this._reloadIfChanged();
+
+        const record = this._findKey(rawKey);
+        if (!record) {
+            this.stats.unauthorized++;
+            return {
+                ok: false,
+                status: 401,
+                error: rawKey ? 'Invalid or revoked API key' : 'API key required. Send it in the X-API-Key header or as a Bearer token.'
+            };
+        }
+
+        if (!record.scopes.includes(scope) && !record.scopes.includes('admin')) {
+            this.stats.forbidden++;
+            return { ok: false, status: 403, error: `API key "${record.name}" does not have the "${scope}" scope` };
+        }
+
+        const now = Date.now();
+        const window = (this.windows.get(record.keyId) || []).filter(timestamp => now - timestamp < RATE_WINDOW_MS);
+        this.windows.set(record.keyId, window);
+
+        if (record.rateLimitPerMinute > 0 && window.length >= record.rateLimitPerMinute) {
+            this.stats.rateLimited++;
+            return {
+                ok: false,
+                status: 429,
+                error: `Rate limit of ${record.rateLimitPerMinute} requests per minute exceeded`,
+                retryAfter: Math.max(1, Math.ceil((window[0] + RATE_WINDOW_MS - now) / 1000))
+            };
+        }
+
+        window.push(now);
+        const usage = this._usageFor(record.keyId);
+        usage.requests++;
+        usage.lastUsedAt = new Date(now).toISOString();
+        this._persistUsage();
+        this.stats.authorized++;
+
+        return {
+            ok: true,
+            key: { keyId: record.keyId, name: record.name, scopes: record.scopes },
+            limits: {
+                rateLimit: record.rateLimitPerMinute,
+                rateRemaining: record.rateLimitPerMinute > 0 ? record.rateLimitPerMinute - window.length : null,
+                dailyQuota: record.dailyQuota,
+                quotaRemaining: record.dailyQuota > 0 ? Math.max(0, record.dailyQuota - usage.extractions) : null
+            }
+        };
+    }
+
+    /**
+     * Charge extractions to a key's daily quota (UTC days). Nothing is charged when
+     * the request does not fit in what is left today.
+     * @param {string} keyId - Authorized key
+     * @param {number} cost - Number of extractions, e.g. the URLs in a batch
+     * @returns {{ok: boolean, status?: number, error?: string, retryAfter?: number, quotaRemaining?: number|null}}
+     */
+    consumeQuota(keyId, cost = 1) {
+        const record = this.keys.get(keyId);
+        if (!record) {
+            return { ok: false, status: 401, error: 'Invalid or revoked API key' };
+        }
+
+        const now = Date.now();
+        const usage = this._usageFor(keyId);
+        if (record.dailyQuota > 0 && usage.extractions + cost > record.dailyQuota) {
+            this.stats.quotaExceeded++;
+            return {
+                ok: false,
+                status: 429,
+                error: `Daily quota of ${record.dailyQuota} extractions exceeded (${usage.extractions} used today, this request needs ${cost})`,
+                retryAfter: Math.max(1, Math.ceil((this._nextUtcMidnight(now) - now) / 1000))
+            };
+        }
+
+        usage.extractions += cost;
+        this._persistUsage();
+        return { ok: true, quotaRemaining: record.dailyQuota > 0 ? record.dailyQuota - usage.extractions : null };
+    }
+
+    /**
+     * Today's usage of a key
+     */
+    getUsage(keyId) {
+        const usage = this._usageFor(keyId);
+        return { ...usage };
+    }
+
+    getStats() {
+        const keys = this.listKeys();
+        return {
+            enforced: this.isEnforced(),
+            totalKeys: keys.length,
+            activeKeys: keys.filter(key => !key.revokedAt).length,
+            ...this.stats
+        };
+    }
+
+    _findKey(rawKey) {
+        if (typeof rawKey !== 'string') return null;
+
+        const separator = rawKey.indexOf('.');
+        if (separator === -1) return null;
+
+        const record = this.keys.get(rawKey.slice(0, separator));
+        if (!record || record.revokedAt) return null;
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(this._hash(rawKey.slice(separator + 1)), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? record : null;
+    }
+
+    _hash(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    _validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            throw new Error(`Scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+        }
+    }
+
+    _limit(value, fallback, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            throw new Error(`${name} must be a non-negative integer`);
+        }
+        return parsed;
+    }
+
+    _publicKey(record) {
+        const { hash, ...key } = record;
+        return { ...key, usage: this.getUsage(record.keyId) };
+    }
+
+    _today(now = Date.now()) {
+        return new Date(now).toISOString().slice(0, 10);
+    }
+
+    _nextUtcMidnight(now) {
+        const date = new Date(now);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    }
+
+    _usageFor(keyId) {
+        const today = this._today();
+        let usage = this.usage.get(keyId);
+        if (!usage || usage.day !== today) {
+            usage = { day: today, extractions: 0, requests: 0, lastUsedAt: usage ? usage.lastUsedAt : null };
+            this.usage.set(keyId, usage);
+        }
+        return usage;
+    }
+
+    /**
+     * Pick up keys created or revoked by the CLI while the server is running
+     */
+    _reloadIfChanged(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastReloadCheck < this.reloadInterval) return;
+        this.lastReloadCheck = now;
+
+        try {
+            const { mtimeMs } = fs.statSync(this.keysFile);
+            if (mtimeMs !== this.keysMtime) this._loadKeys();
+        } catch (error) {
+            // No keys file yet
+        }
+    }
+
+    _loadKeys() {
+        try {
+            if (!fs.existsSync(this.keysFile)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+            this.keys = new Map((Array.isArray(data.keys) ? data.keys : []).map(key => [key.keyId, key]));
+            this.keysMtime = fs.statSync(this.keysFile).mtimeMs;
+        } catch (error) {
+            console.warn('⚠️ Could not load API keys:', error.message);
+        }
+    }
+
+    _loadUsage() {
+        try {
+            if (!fs.existsSync(this.usageFile)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+            Object.entries(data.usage || {}).forEach(([keyId, usage]) => this.usage.set(keyId, usage));
+        } catch (error) {
+            console.warn('⚠️ Could not load API key usage:', error.message);
+        }
+    }
+
+    /**
+     * Key changes are rare and come from the CLI, so they are written synchronously
+     */
+    _saveKeys() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        const tempFile = `${this.keysFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            keys: Array.from(this.keys.values())
+        }, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tempFile, this.keysFile);
+        this.keysMtime = fs.statSync(this.keysFile).mtimeMs;
+    }
+
+    /**
+     * Usage lives in its own file so the server never overwrites key changes made by the CLI
+     */
+    _persistUsage() {
+        const snapshot = JSON.stringify({
+            savedAt: new Date().toISOString(),
+            usage: Object.fromEntries(this.usage)
+        });
+
+        this._writeChain = this._writeChain.then(async () => {
+            try {
+                await fs.promises.mkdir(this.dataDir, { recursive: true });
+                const tempFile = `${this.usageFile}.tmp`;
+                await fs.promises.writeFile(tempFile, snapshot, 'utf8');
+                await fs.promises.rename(tempFile, this.usageFile);
+            } catch (error) {
+                console.error('❌ Failed to persist API key usage:', error.message);
+            }
+        });
+
+        return this._writeChain;
+    }
+}
+
+// Create singleton instance
+const apiKeyManager = new ApiKeyManager();
+
+module.exports = { apiKeyManager, ApiKeyManager, API_KEY_SCOPES: SCOPES };
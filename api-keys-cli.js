@@ -0,0 +1,106 @@
+/**
+ * API Key CLI
+ * Manage the keys accepted by the extraction API:
+ *
+ *   node api-keys-cli.js create <name> [--scopes extract,admin] [--rate-limit 30] [--daily-quota 1000]
+ *   node api-keys-cli.js list
+ *   node api-keys-cli.js usage <keyId>
+ *   node api-keys-cli.js update <keyId> [--name <name>] [--scopes ...] [--rate-limit N] [--daily-quota N]
+ *   node api-keys-cli.js revoke <keyId>
+ *
+ * A running server picks up changes within a few seconds.
+ */
+
+const { ApiKeyManager } = require('./api-key-manager');
+
+/**
+ * Split argv into positional arguments and --flag values
+ */
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            flags[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+function keyChanges(flags) {
+    const changes = {};
+    if (flags.name !== undefined) changes.name = flags.name;
+    if (flags.scopes !== undefined) changes.scopes = flags.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+    if (flags['rate-limit'] !== undefined) changes.rateLimitPerMinute = flags['rate-limit'];
+    if (flags['daily-quota'] !== undefined) changes.dailyQuota = flags['daily-quota'];
+    return changes;
+}
+
+function printKey(key) {
+    const quota = key.dailyQuota > 0 ? key.dailyQuota : 'unlimited';
+    const rate = key.rateLimitPerMinute > 0 ? `${key.rateLimitPerMinute}/min` : 'unlimited';
+    console.log(`${key.revokedAt ? '⛔' : '🔑'} ${key.keyId}  ${key.name}`);
+    console.log(`   scopes: ${key.scopes.join(', ')} | rate limit: ${rate} | daily quota: ${quota}`);
+    console.log(`   today: ${key.usage.extractions} extractions, ${key.usage.requests} requests | last used: ${key.usage.lastUsedAt || 'never'}`);
+    if (key.revokedAt) console.log(`   revoked: ${key.revokedAt}`);
+}
+
+function runApiKeysCLI() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, flags } = parseArgs(rest);
+    const manager = new ApiKeyManager();
+
+    try {
+        switch (command) {
+            case 'create': {
+                const { apiKey, key } = manager.createKey({ name: positional[0], ...keyChanges(flags) });
+                printKey(key);
+                console.log(`\n✅ API key created. Store it now - it cannot be shown again:\n\n   ${apiKey}\n`);
+                break;
+            }
+            case 'list': {
+                const keys = manager.listKeys();
+                if (keys.length === 0) {
+                    console.log('No API keys yet - the API is open until one is created.');
+                }
+                keys.forEach(printKey);
+                break;
+            }
+            case 'usage':
+            case 'update':
+            case 'revoke': {
+                const keyId = positional[0];
+                if (!keyId) throw new Error(`Usage: api-keys-cli.js ${command} <keyId>`);
+
+                const key = command === 'usage' ? manager.getKey(keyId)
+                    : command === 'update' ? manager.updateKey(keyId, keyChanges(flags))
+                        : manager.revokeKey(keyId);
+                if (!key) throw new Error(`API key not found: ${keyId}`);
+
+                printKey(key);
+                if (command !== 'usage') console.log(`\n✅ API key ${command === 'update' ? 'updated' : 'revoked'}`);
+                break;
+            }
+            default:
+                console.log('Usage: node api-keys-cli.js <create|list|usage|update|revoke> [options]');
+                console.log('  create <name> [--scopes extract,admin] [--rate-limit N] [--daily-quota N]');
+                console.log('  update <keyId> [--name <name>] [--scopes ...] [--rate-limit N] [--daily-quota N]');
+                console.log('  usage <keyId> | revoke <keyId> | list');
+                process.exit(command ? 1 : 0);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the CLI if called directly
+if (require.main === module) {
+    runApiKeysCLI();
+}
+
+module.exports = { runApiKeysCLI };
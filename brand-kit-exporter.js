@@ -0,0 +1,246 @@
+/**
+ * Brand Kit Exporter
+ * Turns an extraction result into a brand kit: W3C design tokens (JSON),
+ * CSS custom properties, SCSS variables or a Tailwind theme snippet.
+ * Colors, fonts and logos are read from the normalized (v2) result, so site
+ * colors, LinkedIn logo/banner palettes and stored logo assets are all included.
+ */
+
+const { ResponseContract } = require('./response-contract');
+
+const BRAND_KIT_FORMATS = {
+    tokens: { contentType: 'application/json', extension: 'tokens.json' },
+    css: { contentType: 'text/css', extension: 'css' },
+    scss: { contentType: 'text/x-scss', extension: 'scss' },
+    tailwind: { contentType: 'application/javascript', extension: 'tailwind.config.js' }
+};
+
+/**
+ * Color groups in export order, keyed by the `source` of normalized colors
+ */
+const COLOR_GROUPS = {
+    site: 'brand',
+    'linkedin-logo': 'logo',
+    'linkedin-banner': 'banner'
+};
+
+const GENERIC_FONT_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+    'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', '-apple-system', 'blinkmacsystemfont'
+]);
+
+class BrandKitExporter {
+    constructor(options = {}) {
+        this.contract = options.contract || new ResponseContract({ strict: false });
+        this.stats = { exports: 0, byFormat: Object.fromEntries(Object.keys(BRAND_KIT_FORMATS).map(format => [format, 0])) };
+    }
+
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(BRAND_KIT_FORMATS, format);
+    }
+
+    /**
+     * Export a brand kit
+     * @param {Object} result - v1 extraction result
+     * @param {string} [format='tokens'] - tokens, css, scss or tailwind
+     * @param {Object} [options]
+     * @param {string} [options.url] - Extracted URL
+     * @returns {{format: string, contentType: string, filename: string, body: string}}
+     */
+    export(result, format = 'tokens', { url = null } = {}) {
+        if (!this.isSupportedFormat(format)) {
+            throw new Error(`Unsupported brand kit format: ${format}. Use one of: ${Object.keys(BRAND_KIT_FORMATS).join(', ')}`);
+        }
+
+        const kit = this.buildKit(result, url);
+        const renderers = {
+            tokens: () => JSON.stringify(this.toDesignTokens(kit), null, 2),
+            css: () => this.toCss(kit),
+            scss: () => this.toScss(kit),
+            tailwind: () => this.toTailwind(kit)
+        };
+
+        this.stats.exports++;
+        this.stats.byFormat[format]++;
+        return {
+            format,
+            contentType: BRAND_KIT_FORMATS[format].contentType,
+            filename: `${this._slug(kit.name || kit.url || 'brand-kit')}.${BRAND_KIT_FORMATS[format].extension}`,
+            body: renderers[format]()
+        };
+    }
+
+    /**
+     * Format-independent brand kit
+     * @returns {{name: string|null, url: string|null, colors: Object, fonts: Object, logos: Object}}
+     *   `colors` maps a group (brand, logo, banner, role) to named colors; `fonts` maps a role to its font stack
+     */
+    buildKit(result, url = null) {
+        const normalized = this.contract.normalize(result, url);
+
+        const colors = {};
+        (normalized.colors || []).forEach(color => {
+            const group = COLOR_GROUPS[color.source];
+            if (!group) return;
+            // Logo and banner entries carry the image palette; the site colors are one hex each
+            const hexes = color.palette && color.palette.length > 0 ? color.palette : [color.hex];
+            colors[group] = colors[group] || [];
+            hexes.forEach(hex => {
+                if (!colors[group].some(existing => existing.hex === hex)) {
+                    colors[group].push({ name: String(colors[group].length + 1), hex, description: color.name || null });
+                }
+            });
+        });
+
+        // Semantic roles (primary, background, text, ...) become their own group
+        const roles = (normalized.colorRoles && normalized.colorRoles.roles) || {};
+        Object.entries(roles).forEach(([role, color]) => {
+            if (!color) return;
+            colors.role = colors.role || [];
+            colors.role.push({ name: role, hex: color.hex, description: color.source });
+        });
+
+        const fonts = {};
+        (normalized.fonts || []).forEach(font => {
+            if (fonts[font.role]) return; // First font of each role wins
+            fonts[font.role] = this._parseStack(font.stack || font.name, font.name);
+        });
+
+        const logos = {};
+        const logo = normalized.logo || {};
+        const assets = logo.assets || {};
+        const pick = (role, ...fallbacks) => (assets[role] && assets[role].url) || fallbacks.find(Boolean) || null;
+        [
+            ['logo', pick('logo', logo.primary, logo.symbol, logo.linkedInLogo, logo.facebookLogo)],
+            ['icon', pick('icon', logo.icon, logo.favicon)],
+            ['banner', pick('banner', logo.banner, logo.linkedInBanner, logo.facebookBanner)]
+        ].forEach(([role, value]) => {
+            if (value) logos[role] = value;
+        });
+
+        return {
+            name: normalized.company ? normalized.company.name : null,
+            url: normalized.url,
+            colors,
+            fonts,
+            logos
+        };
+    }
+
+    /**
+     * W3C Design Tokens Community Group format
+     */
+    toDesignTokens(kit) {
+        const tokens = {
+            $description: `Brand kit for ${kit.name || kit.url || 'unknown company'}`
+        };
+
+        if (Object.keys(kit.colors).length > 0) {
+            tokens.color = {};
+            Object.entries(kit.colors).forEach(([group, colors]) => {
+                tokens.color[group] = Object.fromEntries(colors.map(color => [color.name, {
+                    $type: 'color',
+                    $value: color.hex,
+                    ...(color.description && { $description: color.description })
+                }]));
+            });
+        }
+
+        if (Object.keys(kit.fonts).length > 0) {
+            tokens.font = {};
+            Object.entries(kit.fonts).forEach(([role, stack]) => {
+                tokens.font[role] = { $type: 'fontFamily', $value: stack };
+            });
+        }
+
+        // Logos have no token type; they travel as an extension
+        tokens.$extensions = {
+            'brand-kit': {
+                source: kit.url,
+                logos: kit.logos
+            }
+        };
+        return tokens;
+    }
+
+    toCss(kit) {
+        const lines = this._variables(kit).map(({ name, value }) => `  --${name}: ${value};`);
+        return `${this._header(kit)}\n:root {\n${lines.join('\n')}\n}\n`;
+    }
+
+    toScss(kit) {
+        const variables = this._variables(kit).map(({ name, value }) => `$${name}: ${value};`);
+        const maps = Object.entries(kit.colors).map(([group, colors]) =>
+            `$${group}-colors: (\n${colors.map(color => `  '${color.name}': ${color.hex}`).join(',\n')}\n);`);
+        return [this._header(kit), ...variables, '', ...maps].join('\n').trimEnd() + '\n';
+    }
+
+    toTailwind(kit) {
+        const theme = { extend: {} };
+        if (Object.keys(kit.colors).length > 0) {
+            theme.extend.colors = Object.fromEntries(Object.entries(kit.colors).map(([group, colors]) =>
+                [group, Object.fromEntries(colors.map(color => [color.name, color.hex]))]));
+        }
+        if (Object.keys(kit.fonts).length > 0) {
+            theme.extend.fontFamily = kit.fonts;
+        }
+        if (Object.keys(kit.logos).length > 0) {
+            theme.extend.backgroundImage = Object.fromEntries(Object.entries(kit.logos).map(([role, url]) => [role, `url("${url}")`]));
+        }
+        return `${this._header(kit)}\n/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify({ theme }, null, 2)};\n`;
+    }
+
+    getStats() {
+        return { ...this.stats, byFormat: { ...this.stats.byFormat }, formats: Object.keys(BRAND_KIT_FORMATS) };
+    }
+
+    /**
+     * Shared variable list for CSS and SCSS
+     */
+    _variables(kit) {
+        const variables = [];
+        Object.entries(kit.colors).forEach(([group, colors]) => {
+            colors.forEach(color => variables.push({ name: `color-${group}-${color.name}`, value: color.hex }));
+        });
+        Object.entries(kit.fonts).forEach(([role, stack]) => {
+            variables.push({ name: `font-${role}`, value: this._cssFontStack(stack) });
+        });
+        Object.entries(kit.logos).forEach(([role, url]) => {
+            variables.push({ name: `${role}-url`, value: `url("${url.replace(/"/g, '%22')}")` });
+        });
+        return variables;
+    }
+
+    _header(kit) {
+        const subject = [kit.name, kit.url && `(${kit.url})`].filter(Boolean).join(' ') || 'unknown company';
+        return `/* Brand kit for ${subject.replace(/\*\//g, '* /')} - generated ${new Date().toISOString()} */`;
+    }
+
+    _parseStack(stack, fallbackName) {
+        const families = String(stack || '')
+            .split(',')
+            .map(family => family.trim().replace(/^["']|["']$/g, ''))
+            .filter(Boolean);
+        return families.length > 0 ? families : [fallbackName];
+    }
+
+    _cssFontStack(families) {
+        return families
+            .map(family => (GENERIC_FONT_FAMILIES.has(family.toLowerCase()) || /^[a-z-]+$/i.test(family) ? family : `"${family.replace(/"/g, '')}"`))
+            .join(', ');
+    }
+
+    _slug(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60) || 'brand-kit';
+    }
+}
+
+// Create singleton instance
+const brandKitExporter = new BrandKitExporter();
+
+module.exports = { brandKitExporter, BrandKitExporter, BRAND_KIT_FORMATS };
@@ -0,0 +1,316 @@
+/**
+ * Browser Pool
+ * Keeps warm browser instances and hands out isolated incognito contexts,
+ * so extractions stop paying the browser launch cost on every request.
+ * Browsers are recycled after serving a number of contexts or when their
+ * process tree grows past a memory threshold.
+ */
+
+const fs = require('fs');
+const os = require('os');
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxBrowsers = options.maxBrowsers || parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+        this.minBrowsers = Math.min(
+            options.minBrowsers ?? (parseInt(process.env.BROWSER_POOL_MIN, 10) || 1),
+            this.maxBrowsers
+        );
+        this.maxContextsPerBrowser = options.maxContextsPerBrowser || parseInt(process.env.BROWSER_POOL_CONTEXTS_PER_BROWSER, 10) || 3;
+        this.maxPagesPerBrowser = options.maxPagesPerBrowser || parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 50;
+        this.maxMemoryMB = options.maxMemoryMB || parseInt(process.env.BROWSER_POOL_MAX_MEMORY_MB, 10) || 1024;
+        this.launcher = options.launch || null;
+
+        this.browsers = []; // { id, browser, launchedAt, leasesServed, activeLeases, retiring }
+        this.launching = null; // Single in-flight launch shared by concurrent acquirers
+        this.nextId = 1;
+        this.stats = {
+            launches: 0,
+            launchFailures: 0,
+            totalLeases: 0,
+            recycled: { pageLimit: 0, memory: 0, disconnected: 0 },
+            totalAcquireTimeMs: 0,
+            totalLaunchTimeMs: 0
+        };
+    }
+
+    /**
+     * Set the function used to launch new browsers. It must resolve with a puppeteer Browser.
+     */
+    configure({ launch }) {
+        this.launcher = launch;
+    }
+
+    /**
+     * Launch browsers up to the configured minimum so the first extraction starts warm
+     */
+    async warmUp() {
+        while (this._liveBrowsers().length < this.minBrowsers) {
+            try {
+                await this._launch();
+            } catch (error) {
+                console.warn('⚠️ Browser pool warm-up failed:', error.message);
+                return false;
+            }
+        }
+        console.log(`🔥 Browser pool warmed up with ${this._liveBrowsers().length} browser(s)`);
+        return true;
+    }
+
+    /**
+     * Lease an isolated incognito context. Always call lease.release() when done.
+     * @param {string} [label] - Who is using the lease, for stats and logs
+     * @returns {Promise<{browser: import('puppeteer').Browser, context: import('puppeteer').BrowserContext, release: Function}>}
+     */
+    async acquire(label = 'extraction') {
+        const started = Date.now();
+        const entry = await this._selectBrowser(); // Already counts this lease
+
+        let context;
+        try {
+            context = await entry.browser.createBrowserContext();
+        } catch (error) {
+            entry.activeLeases--;
+            // A browser that cannot open contexts is broken - replace it
+            this._retire(entry, 'disconnected');
+            throw error;
+        }
+
+        this.stats.totalLeases++;
+        this.stats.totalAcquireTimeMs += Date.now() - started;
+
+        let released = false;
+        const release = async () => {
+            if (released) return;
+            released = true;
+
+            try {
+                await context.close();
+            } catch (error) {
+                console.warn(`⚠️ Failed to close browser context for ${label}:`, error.message);
+            }
+
+            entry.activeLeases--;
+            entry.leasesServed++;
+            await this._checkRecycle(entry);
+        };
+
+        return { browser: entry.browser, context, release, browserId: entry.id };
+    }
+
+    /**
+     * Close every browser, e.g. on shutdown
+     */
+    async drain() {
+        const entries = this.browsers.splice(0);
+        await Promise.all(entries.map(entry => this._close(entry)));
+    }
+
+    /**
+     * Get pool statistics
+     */
+    getStats() {
+        const live = this._liveBrowsers();
+        return {
+            config: {
+                maxBrowsers: this.maxBrowsers,
+                minBrowsers: this.minBrowsers,
+                maxContextsPerBrowser: this.maxContextsPerBrowser,
+                maxPagesPerBrowser: this.maxPagesPerBrowser,
+                maxMemoryMB: this.maxMemoryMB
+            },
+            browsers: this.browsers.map(entry => ({
+                id: entry.id,
+                activeLeases: entry.activeLeases,
+                leasesServed: entry.leasesServed,
+                retiring: entry.retiring,
+                ageSeconds: Math.round((Date.now() - entry.launchedAt) / 1000),
+                memoryMB: this._getMemoryMB(entry)
+            })),
+            liveBrowsers: live.length,
+            activeLeases: this.browsers.reduce((sum, entry) => sum + entry.activeLeases, 0),
+            launches: this.stats.launches,
+            launchFailures: this.stats.launchFailures,
+            totalLeases: this.stats.totalLeases,
+            recycled: { ...this.stats.recycled },
+            averageAcquireTime: `${this.stats.totalLeases ? Math.round(this.stats.totalAcquireTimeMs / this.stats.totalLeases) : 0}ms`,
+            averageLaunchTime: `${this.stats.launches ? Math.round(this.stats.totalLaunchTimeMs / this.stats.launches) : 0}ms`,
+            launchesSaved: Math.max(0, this.stats.totalLeases - this.stats.launches)
+        };
+    }
+
+    /**
+     * Pick the least busy live browser and reserve a lease on it, launching a new
+     * browser when all are at capacity and the pool has room. When the pool is full
+     * the least busy browser is shared rather than waiting, so nested leases
+     * (LinkedIn/Facebook inside an extraction) can never deadlock.
+     */
+    async _selectBrowser() {
+        for (let attempt = 0; ; attempt++) {
+            const live = this._liveBrowsers().sort((a, b) => a.activeLeases - b.activeLeases);
+            const leastBusy = live[0];
+            const canLaunch = (live.length < this.maxBrowsers || !leastBusy) && attempt < 3;
+
+            if (leastBusy && (leastBusy.activeLeases < this.maxContextsPerBrowser || !canLaunch)) {
+                // Reserve synchronously so concurrent acquirers see the updated load
+                leastBusy.activeLeases++;
+                return leastBusy;
+            }
+
+            if (!leastBusy && attempt >= 3) {
+                throw new Error('No usable browser available in pool');
+            }
+
+            try {
+                await this._launch();
+            } catch (error) {
+                if (!leastBusy) throw error;
+                attempt = 3; // Fall back to sharing an existing browser
+            }
+        }
+    }
+
+    async _launch() {
+        if (!this.launcher) {
+            throw new Error('Browser pool launcher is not configured');
+        }
+
+        // Concurrent acquirers share one launch instead of starting several browsers
+        if (this.launching) return this.launching;
+
+        this.launching = (async () => {
+            const started = Date.now();
+            try {
+                const browser = await this.launcher();
+                const entry = {
+                    id: this.nextId++,
+                    browser,
+                    launchedAt: Date.now(),
+                    leasesServed: 0,
+                    activeLeases: 0,
+                    retiring: false
+                };
+
+                browser.on('disconnected', () => {
+                    if (!this.browsers.includes(entry)) return;
+                    this.browsers = this.browsers.filter(e => e !== entry);
+                    if (!entry.retiring) {
+                        this.stats.recycled.disconnected++;
+                        console.warn(`⚠️ Pooled browser #${entry.id} disconnected unexpectedly`);
+                    }
+                });
+
+                this.browsers.push(entry);
+                this.stats.launches++;
+                this.stats.totalLaunchTimeMs += Date.now() - started;
+                console.log(`🌐 Browser pool launched browser #${entry.id} (${this._liveBrowsers().length}/${this.maxBrowsers})`);
+                return entry;
+            } catch (error) {
+                this.stats.launchFailures++;
+                throw error;
+            } finally {
+                this.launching = null;
+            }
+        })();
+
+        return this.launching;
+    }
+
+    async _checkRecycle(entry) {
+        if (!entry.retiring) {
+            if (entry.leasesServed >= this.maxPagesPerBrowser) {
+                this._retire(entry, 'pageLimit');
+            } else {
+                const memoryMB = this._getMemoryMB(entry);
+                if (memoryMB !== null && memoryMB > this.maxMemoryMB) {
+                    this._retire(entry, 'memory');
+                }
+            }
+        }
+
+        if (entry.retiring && entry.activeLeases === 0) {
+            this.browsers = this.browsers.filter(e => e !== entry);
+            await this._close(entry);
+            this._replenish();
+        }
+    }
+
+    /**
+     * Launch a replacement in the background when recycling drops below the minimum
+     */
+    _replenish() {
+        if (this._liveBrowsers().length < this.minBrowsers && !this.launching) {
+            this._launch().catch(error => console.warn('⚠️ Browser pool replenish failed:', error.message));
+        }
+    }
+
+    _retire(entry, reason) {
+        if (entry.retiring) return;
+        entry.retiring = true;
+        this.stats.recycled[reason]++;
+        console.log(`♻️ Recycling pooled browser #${entry.id} (${reason}, ${entry.leasesServed} contexts served)`);
+
+        if (entry.activeLeases === 0) {
+            this.browsers = this.browsers.filter(e => e !== entry);
+            this._close(entry).then(() => this._replenish());
+        }
+    }
+
+    async _close(entry) {
+        entry.retiring = true;
+        try {
+            await entry.browser.close();
+        } catch (error) {
+            console.warn(`⚠️ Failed to close pooled browser #${entry.id}:`, error.message);
+        }
+    }
+
+    _liveBrowsers() {
+        return this.browsers.filter(entry => !entry.retiring && entry.browser.connected !== false);
+    }
+
+    /**
+     * Resident memory of a browser and its child processes in MB.
+     * Only available on Linux (via /proc); returns null elsewhere.
+     */
+    _getMemoryMB(entry) {
+        if (os.platform() !== 'linux') return null;
+
+        const browserProcess = entry.browser.process && entry.browser.process();
+        if (!browserProcess || !browserProcess.pid) return null;
+
+        try {
+            const pageSize = 4096;
+            const pids = [browserProcess.pid];
+
+            // Chrome renderers and helpers are children of the browser process
+            for (const name of fs.readdirSync('/proc')) {
+                if (!/^\d+$/.test(name)) continue;
+                try {
+                    const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+                    const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+                    if (ppid === browserProcess.pid) pids.push(parseInt(name, 10));
+                } catch (error) {
+                    // Process exited while scanning
+                }
+            }
+
+            const rssPages = pids.reduce((sum, pid) => {
+                try {
+                    return sum + parseInt(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1], 10);
+                } catch (error) {
+                    return sum;
+                }
+            }, 0);
+
+            return Math.round(rssPages * pageSize / 1024 / 1024);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const browserPool = new BrowserPool();
+
+module.exports = { browserPool, BrowserPool };
@@ -5,6 +5,9 @@
  * information from a webpage. It looks for SEO-related data and other
  * interesting key-value pairs that are not part of the standard scraping schema.
  */
+const { buildContacts } = require('./utils/contact-normalizer.js');
+const { buildSocialProfiles, knownHosts } = require('./utils/social-profiles.js');
+
 class DynamicDataFinder {
     constructor(page) {
         this.page = page;
@@ -31,37 +34,16 @@ class DynamicDataFinder {
                 return Array.from(document.getElementsByTagName(tagName)).map(tag => tag.innerText.trim());
             };
 
-            const getSocialLinks = () => {
-                const links = {};
-                const socialPatterns = {
-                    twitter: /twitter\.com/,
-                    facebook: /facebook\.com/,
-                    linkedin: /linkedin\.com\/company/,
-                    instagram: /instagram\.com/,
-                    youtube: /youtube\.com/,
-                };
-                document.querySelectorAll('a[href]').forEach(a => {
-                    for (const social in socialPatterns) {
-                        if (socialPatterns[social].test(a.href)) {
-                            if (!links[social]) { // Only grab the first one found
-                                links[social] = a.href;
-                            }
-                        }
-                    }
-                });
-                return links;
-            };
-
             return {
                 metaDescription: getMetaContent('description'),
                 metaKeywords: getMetaContent('keywords'),
                 canonicalUrl: getLinkHref('canonical'),
                 h1Tags: getTagContents('h1'),
                 h2Tags: getTagContents('h2'),
-                socialLinks: getSocialLinks(),
             };
         });
-        return seoData;
+        const { links } = await this.findSocialProfiles();
+        return { ...seoData, socialLinks: links };
     }
 
     /**
@@ -100,6 +82,157 @@ class DynamicDataFinder {
         return keyValuePairs;
     }
 
+    /**
+     * Collects emails, phone numbers and postal addresses from links, page text,
+     * structured data and <address> elements, normalized by utils/contact-normalizer.js.
+     * @param {string} [pageUrl] - URL of the page, used for ranking and country inference
+     * @returns {Promise<{emails: object[], phones: object[], addresses: object[], country: string|null}>}
+     */
+    async findContacts(pageUrl = null) {
+        console.log('[DynamicDataFinder] Finding contact details...');
+        const raw = await this.page.evaluate(() => {
+            const hrefs = (prefix) => Array.from(document.querySelectorAll(`a[href^="${prefix}" i]`))
+                .map(a => a.getAttribute('href'));
+
+            // Contact points from JSON-LD: organizations, their contactPoint and location entries
+            const structured = [];
+            const collect = (node, depth = 0) => {
+                if (!node || typeof node !== 'object' || depth > 6) return;
+                if (Array.isArray(node)) return node.forEach(item => collect(item, depth + 1));
+                if (node.email || node.telephone || node.faxNumber || node.address) {
+                    structured.push({
+                        email: typeof node.email === 'string' ? node.email : null,
+                        telephone: node.telephone || null,
+                        faxNumber: node.faxNumber || null,
+                        address: node.address || null
+                    });
+                }
+                ['@graph', 'contactPoint', 'location', 'department', 'subOrganization', 'publisher', 'author', 'mainEntity']
+                    .forEach(key => collect(node[key], depth + 1));
+            };
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                try {
+                    collect(JSON.parse(script.textContent));
+                } catch (e) { /* ignore invalid JSON-LD */ }
+            });
+
+            // Microdata
+            const itemprop = (root, name) => {
+                const element = root.querySelector(`[itemprop="${name}"]`);
+                return element ? (element.getAttribute('content') || element.getAttribute('href') || element.innerText || '').trim() : null;
+            };
+            document.querySelectorAll('[itemtype*="PostalAddress"]').forEach(element => {
+                structured.push({
+                    address: {
+                        streetAddress: itemprop(element, 'streetAddress'),
+                        addressLocality: itemprop(element, 'addressLocality'),
+                        addressRegion: itemprop(element, 'addressRegion'),
+                        postalCode: itemprop(element, 'postalCode'),
+                        addressCountry: itemprop(element, 'addressCountry')
+                    }
+                });
+            });
+            document.querySelectorAll('[itemprop="email"], [itemprop="telephone"], [itemprop="faxNumber"]').forEach(element => {
+                const name = element.getAttribute('itemprop');
+                const value = (element.getAttribute('content') || element.getAttribute('href') || element.innerText || '').trim();
+                if (value) structured.push({ [name]: value });
+            });
+
+            return {
+                mailto: hrefs('mailto:'),
+                tel: hrefs('tel:'),
+                text: document.body ? document.body.innerText.slice(0, 100000) : '',
+                structured,
+                addressBlocks: Array.from(document.querySelectorAll('address')).map(element => element.innerText),
+                lang: document.documentElement.getAttribute('lang')
+            };
+        });
+        return buildContacts(raw, { url: pageUrl || this.page.url() });
+    }
+
+    /**
+     * Collects social profile candidates from links, rel="me", meta tags and JSON-LD sameAs,
+     * normalized and ranked by utils/social-profiles.js.
+     * @param {string} [pageUrl] - URL of the page, used for relative links and ranking
+     * @returns {Promise<{links: object, profiles: object[]}>}
+     */
+    async findSocialProfiles(pageUrl = null) {
+        console.log('[DynamicDataFinder] Finding social profiles...');
+        const candidates = await this.page.evaluate((hosts) => {
+            const found = [];
+            const isKnownHost = (href) => {
+                try {
+                    const host = new URL(href).hostname.toLowerCase().replace(/^www\./, '');
+                    return hosts.some(candidate => host === candidate || host.endsWith(`.${candidate}`));
+                } catch (e) {
+                    return false;
+                }
+            };
+
+            document.querySelectorAll('a[href]').forEach(a => {
+                const href = a.href;
+                if (!/^https?:/i.test(href)) return;
+                const relMe = (a.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('me');
+                const label = `${a.getAttribute('aria-label') || ''} ${a.getAttribute('title') || ''} ${a.className || ''} ${a.innerText || ''}`;
+                // Mastodon instances are self-hosted; rel="me" or a label identifies them
+                const mastodon = /mastodon/i.test(label) || (relMe && /^\/@[\w]+\/?$/.test(a.pathname));
+                if (!isKnownHost(href) && !mastodon) return;
+                const location = a.closest('footer, [class*="footer" i], [id*="footer" i]') ? 'footer'
+                    : a.closest('header, nav, [class*="header" i]') ? 'header' : 'body';
+                found.push({ url: href, source: relMe ? 'rel-me' : 'link', location, platform: mastodon ? 'Mastodon' : null });
+            });
+
+            document.querySelectorAll('link[rel~="me" i][href]').forEach(link => found.push({ url: link.href, source: 'rel-me' }));
+            document.querySelectorAll('meta[property="og:see_also"][content]').forEach(meta => found.push({ url: meta.content, source: 'meta' }));
+            const twitterSite = document.querySelector('meta[name="twitter:site"][content]');
+            if (twitterSite) found.push({ url: twitterSite.content, source: 'meta', platform: 'Twitter' });
+
+            // Smart app banners: <meta name="apple-itunes-app" content="app-id=123">, <meta name="google-play-app" content="app-id=com.example">
+            const appleApp = document.querySelector('meta[name="apple-itunes-app"][content]');
+            const appleId = appleApp && appleApp.content.match(/app-id=(\d+)/);
+            if (appleId) found.push({ url: `https://apps.apple.com/app/id${appleId[1]}`, source: 'meta' });
+            const playApp = document.querySelector('meta[name="google-play-app"][content]');
+            const playId = playApp && playApp.content.match(/app-id=([\w.]+)/);
+            if (playId) found.push({ url: `https://play.google.com/store/apps/details?id=${playId[1]}`, source: 'meta' });
+
+            // Organization sameAs in JSON-LD
+            const collect = (node, depth = 0) => {
+                if (!node || typeof node !== 'object' || depth > 6) return;
+                if (Array.isArray(node)) return node.forEach(item => collect(item, depth + 1));
+                [].concat(node.sameAs || []).forEach(url => {
+                    if (typeof url === 'string') found.push({ url, source: 'json-ld' });
+                });
+                ['@graph', 'publisher', 'author', 'mainEntity', 'brand', 'parentOrganization'].forEach(key => collect(node[key], depth + 1));
+            };
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                try {
+                    collect(JSON.parse(script.textContent));
+                } catch (e) { /* ignore invalid JSON-LD */ }
+            });
+
+            return found;
+        }, knownHosts());
+        return buildSocialProfiles(candidates, { pageUrl: pageUrl || this.page.url() });
+    }
+
+    /**
+     * Looks for a founding year stated in the page text ("Founded in 2009", "since 1998").
+     * @returns {Promise<string|null>}
+     */
+    async findFoundingYear() {
+        const text = await this.page.evaluate(() => (document.body ? document.body.innerText.slice(0, 100000) : ''));
+        const currentYear = new Date().getFullYear();
+        const patterns = [
+            /\b(?:founded|established|incorporated|started|launched|gegründet|fondée?)(?:\s+(?:in|on|by\s+[^.\d]{1,60}\s+in))?\s+(?:[a-z]+\s+)?(1[89]\d{2}|20\d{2})\b/i,
+            /\b(?:since|est\.?|seit|depuis)\s+(1[89]\d{2}|20\d{2})\b/i
+        ];
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match && Number(match[1]) <= currentYear) return match[1];
+        }
+        return null;
+    }
+
     /**
      * Runs all extraction methods and returns a combined object.
      * @returns {Promise<object>} A single object with all additional info.
@@ -11,13 +11,15 @@ module.exports = {
         NODE_ENV: 'development',
         PORT: 3000,
         ADAPTIVE_MODE: 'true',
-        VERBOSE_LOGGING: 'true'
+        VERBOSE_LOGGING: 'true',
+        EXTRACTION_CONCURRENCY: 2
       },
       env_production: {
         NODE_ENV: 'production',
         PORT: 3000,
         ADAPTIVE_MODE: 'true',
-        VERBOSE_LOGGING: 'false'
+        VERBOSE_LOGGING: 'false',
+        EXTRACTION_CONCURRENCY: 2
       },
       env_staging: {
         NODE_ENV: 'staging',
@@ -56,7 +58,8 @@ module.exports = {
         'logs',
         '*.log',
         'api-patterns-database.json',
-        'scraper.log'
+        'scraper.log',
+        'queue-data'
       ],
       
       // Custom startup script
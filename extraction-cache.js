@@ -0,0 +1,342 @@
+/**
+ * Extraction Cache
+ * Caches extraction results keyed by normalized URL with a pluggable store:
+ * in-memory (default) or disk-backed so entries survive restarts.
+ * Supports per-request max age, forced refresh and stale-while-revalidate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Plain Map store - fast, lost on restart
+ */
+class MemoryCacheStore {
+    constructor() {
+        this.type = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Entry metadata without the cached data
+     */
+    list() {
+        return Array.from(this.entries.values()).map(({ data, ...meta }) => meta);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * One JSON file per entry. Only metadata is kept in memory; data is read on demand.
+ */
+class DiskCacheStore {
+    constructor(dataDir) {
+        this.type = 'disk';
+        this.dataDir = dataDir;
+        this.index = new Map(); // key -> metadata
+        this._loadIndex();
+    }
+
+    async get(key) {
+        if (!this.index.has(key)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this._fileFor(key), 'utf8'));
+        } catch (error) {
+            this.index.delete(key); // File vanished or is corrupt
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        const file = this._fileFor(key);
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(entry), 'utf8');
+        await fs.promises.rename(tempFile, file);
+
+        const { data, ...meta } = entry;
+        this.index.set(key, meta);
+    }
+
+    async delete(key) {
+        const existed = this.index.delete(key);
+        try {
+            await fs.promises.unlink(this._fileFor(key));
+        } catch (error) {
+            // Already gone
+        }
+        return existed;
+    }
+
+    list() {
+        return Array.from(this.index.values());
+    }
+
+    get size() {
+        return this.index.size;
+    }
+
+    _fileFor(key) {
+        return path.join(this.dataDir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    _loadIndex() {
+        try {
+            if (!fs.existsSync(this.dataDir)) return;
+
+            for (const file of fs.readdirSync(this.dataDir)) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const { data, ...meta } = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+                    if (meta.key) this.index.set(meta.key, meta);
+                } catch (error) {
+                    // Skip unreadable entries
+                }
+            }
+
+            console.log(`💾 Loaded ${this.index.size} cached extractions from disk`);
+        } catch (error) {
+            console.warn('⚠️ Failed to load extraction cache index:', error.message);
+        }
+    }
+}
+
+class ExtractionCache {
+    constructor(options = {}) {
+        const storeType = options.store || process.env.CACHE_STORE || 'memory';
+        this.ttlMs = (options.ttlSeconds || parseInt(process.env.CACHE_TTL_SECONDS, 10) || 600) * 1000; // 10 minutes
+        this.staleMs = (options.staleSeconds ?? (parseInt(process.env.CACHE_STALE_SECONDS, 10) || 3600)) * 1000;
+        this.maxEntries = options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES, 10) || (storeType === 'disk' ? 1000 : 100);
+        this.store = storeType === 'disk'
+            ? new DiskCacheStore(options.dataDir || process.env.CACHE_DATA_DIR || path.join(__dirname, 'cache-data'))
+            : new MemoryCacheStore();
+        this.revalidating = new Map(); // key -> started timestamp
+        this.stats = { hits: 0, staleHits: 0, misses: 0, bypassed: 0, writes: 0, evictions: 0, purged: 0 };
+    }
+
+    /**
+     * Cache key for a normalized URL
+     * @param {string} normalizedUrl
+     * @param {string|null} [variant] - Partial field selection; results for it are cached apart from full extractions
+     * @param {Object} [options]
+     * @param {boolean} [options.ignoreRobotsTxt] - Results extracted despite robots.txt are only served to callers that ask for it
+     */
+    keyFor(normalizedUrl, variant = null, { ignoreRobotsTxt = false } = {}) {
+        let key = normalizedUrl.toLowerCase().trim();
+        if (variant) key += `#fields=${variant}`;
+        if (ignoreRobotsTxt) key += '#robots=ignored';
+        return key;
+    }
+
+    /**
+     * Look up an entry and classify it as fresh, stale or a miss.
+     * @param {string} key
+     * @param {Object} [options]
+     * @param {number} [options.maxAge] - Max acceptable age in seconds. Overrides the default TTL
+     *   and disables serving stale data, since the caller asked for a bound.
+     * @param {boolean} [options.forceRefresh] - Skip the cache entirely.
+     * @returns {Promise<{state: 'fresh'|'stale'|'miss'|'bypass', entry: Object|null, ageSeconds: number|null}>}
+     */
+    async lookup(key, options = {}) {
+        const { maxAge, forceRefresh = false } = options;
+
+        if (forceRefresh) {
+            this.stats.bypassed++;
+            return { state: 'bypass', entry: null, ageSeconds: null };
+        }
+
+        const entry = await this.store.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return { state: 'miss', entry: null, ageSeconds: null };
+        }
+
+        const ageMs = Date.now() - entry.timestamp;
+        const ageSeconds = Math.round(ageMs / 1000);
+        const hasMaxAge = typeof maxAge === 'number' && maxAge >= 0;
+        const freshFor = hasMaxAge ? maxAge * 1000 : this.ttlMs;
+
+        if (ageMs <= freshFor) {
+            this.stats.hits++;
+            this._touch(key, entry);
+            return { state: 'fresh', entry, ageSeconds };
+        }
+
+        if (!hasMaxAge && ageMs <= this.ttlMs + this.staleMs) {
+            this.stats.staleHits++;
+            this._touch(key, entry);
+            return { state: 'stale', entry, ageSeconds };
+        }
+
+        this.stats.misses++;
+        return { state: 'miss', entry: null, ageSeconds };
+    }
+
+    /**
+     * Store an extraction result
+     */
+    async set(key, data, meta = {}) {
+        const entry = {
+            key,
+            url: meta.url || key,
+            domain: this._domainOf(meta.url || key),
+            timestamp: Date.now(),
+            hits: 0,
+            lastAccessed: null,
+            data
+        };
+
+        await this.store.set(key, entry);
+        this.revalidating.delete(key);
+        this.stats.writes++;
+        await this._evict();
+        return entry;
+    }
+
+    /**
+     * Claim a background revalidation for a key. Returns false if one is already
+     * in progress, so a burst of stale hits only triggers one refresh.
+     */
+    startRevalidation(key) {
+        const started = this.revalidating.get(key);
+        if (started && Date.now() - started < 5 * 60 * 1000) return false;
+        this.revalidating.set(key, Date.now());
+        return true;
+    }
+
+    /**
+     * Release a revalidation claim without storing a result (e.g. the refresh failed)
+     */
+    endRevalidation(key) {
+        this.revalidating.delete(key);
+    }
+
+    /**
+     * List cache entries (metadata only), newest first
+     */
+    list({ url, domain, limit = 100 } = {}) {
+        const now = Date.now();
+        return this._filter({ url, domain })
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit)
+            .map(entry => ({
+                ...entry,
+                ageSeconds: Math.round((now - entry.timestamp) / 1000),
+                state: now - entry.timestamp <= this.ttlMs ? 'fresh'
+                    : now - entry.timestamp <= this.ttlMs + this.staleMs ? 'stale' : 'expired'
+            }));
+    }
+
+    /**
+     * Get a single entry including its data
+     */
+    async get(key) {
+        return this.store.get(key);
+    }
+
+    /**
+     * Remove entries by normalized URL (every field selection), domain (including subdomains)
+     * or everything. Returns the number removed.
+     */
+    async purge({ url, domain, all = false } = {}) {
+        if (!all && !url && !domain) return 0;
+
+        const targets = all ? this.store.list() : this._filter({ url, domain });
+        for (const entry of targets) {
+            await this.store.delete(entry.key);
+            this.revalidating.delete(entry.key);
+        }
+
+        this.stats.purged += targets.length;
+        return targets.length;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            store: this.store.type,
+            size: this.store.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: this.ttlMs / 1000,
+            staleSeconds: this.staleMs / 1000,
+            revalidating: this.revalidating.size,
+            hitRate: lookups ? `${((this.stats.hits + this.stats.staleHits) / lookups * 100).toFixed(1)}%` : '0%',
+            ...this.stats
+        };
+    }
+
+    _filter({ url, domain }) {
+        const urlKey = url ? this.keyFor(url).replace(/\/$/, '') : null;
+        const domainKey = domain ? domain.toLowerCase().replace(/^www\./, '') : null;
+
+        return this.store.list().filter(entry => {
+            if (urlKey && entry.key.replace(/#.*$/, '').replace(/\/$/, '') !== urlKey) {
+                return false;
+            }
+            if (domainKey && entry.domain !== domainKey && !entry.domain.endsWith(`.${domainKey}`)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    _touch(key, entry) {
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastAccessed = Date.now();
+        if (this.store.type === 'memory') return; // Same object, already updated
+
+        const meta = this.store.index.get(key);
+        if (meta) {
+            meta.hits = entry.hits;
+            meta.lastAccessed = entry.lastAccessed;
+        }
+    }
+
+    /**
+     * Drop the oldest 20% once the store grows past its limit
+     */
+    async _evict() {
+        if (this.store.size <= this.maxEntries) return;
+
+        const oldest = this.store.list()
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(0, Math.max(1, Math.floor(this.maxEntries * 0.2)));
+
+        for (const entry of oldest) {
+            await this.store.delete(entry.key);
+        }
+        this.stats.evictions += oldest.length;
+    }
+
+    _domainOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+}
+
+// Create singleton instance
+const extractionCache = new ExtractionCache();
+
+module.exports = { extractionCache, ExtractionCache, MemoryCacheStore, DiskCacheStore };
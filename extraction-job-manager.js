@@ -0,0 +1,309 @@
+/**
+ * Extraction Job Manager
+ * Runs batches of company URLs through the extraction queue in the background
+ * and keeps per-URL status and results available for polling.
+ * Jobs are persisted next to the queue so they survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ExtractionJobManager {
+    constructor(options = {}) {
+        this.queue = options.queue || require('./extraction-queue').extractionQueue;
+        this.dataDir = options.dataDir || this.queue.dataDir;
+        this.jobsFile = path.join(this.dataDir, 'extraction-jobs.json');
+        this.jobs = new Map();
+        this.maxJobs = 100; // Prevent memory overflow
+        this.maxUrlsPerJob = parseInt(process.env.MAX_URLS_PER_JOB, 10) || 500;
+        this.processor = null;
+        this._writeChain = Promise.resolve();
+
+        this._loadPersistedJobs();
+    }
+
+    /**
+     * Set the function used to extract a single URL and start processing
+     * queued batch items. It must resolve with { statusCode, body }.
+     */
+    setProcessor(processor) {
+        this.processor = processor;
+        this.queue.registerHandler('batch-item', (payload) => this._processItem(payload));
+    }
+
+    /**
+     * Create a new job and start processing it in the background.
+     * Options (e.g. maxAge, forceRefresh) are passed to the processor for every URL.
+     * When a callbackUrl is given the finished job is POSTed to it.
+     */
+    createJob(urls, options = {}, { callbackUrl = null } = {}) {
+        if (!this.processor) {
+            throw new Error('Extraction job processor is not configured');
+        }
+
+        const uniqueUrls = this.normalizeUrls(urls);
+
+        if (uniqueUrls.length === 0) {
+            const error = new Error('No valid URLs provided');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const job = {
+            jobId: this._generateJobId(),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            options,
+            callbackUrl,
+            webhooks: [],
+            items: uniqueUrls.map(url => ({
+                url,
+                status: 'queued',
+                sessionId: null,
+                statusCode: null,
+                result: null,
+                error: null,
+                startedAt: null,
+                completedAt: null
+            }))
+        };
+
+        this.jobs.set(job.jobId, job);
+        this._cleanupOldJobs();
+        this._persist();
+
+        // Each URL is its own queue task - callers poll for status
+        job.items.forEach((item, itemIndex) => {
+            this.queue.enqueue('batch-item', { jobId: job.jobId, itemIndex });
+        });
+
+        console.log(`📦 Created extraction job ${job.jobId} with ${job.items.length} URLs`);
+
+        return job;
+    }
+
+    /**
+     * The trimmed, de-duplicated string URLs a job would be created for
+     * (anything else in the list is dropped)
+     */
+    normalizeUrls(urls) {
+        return [...new Set(
+            (Array.isArray(urls) ? urls : []).filter(url => typeof url === 'string' && url.trim()).map(url => url.trim())
+        )];
+    }
+
+    /**
+     * Get a job with progress summary
+     */
+    getJob(jobId, { includeResults = true } = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+
+        return {
+            ...this._summarize(job),
+            options: job.options || {},
+            callbackUrl: job.callbackUrl || null,
+            webhooks: job.webhooks || [],
+            items: job.items.map(item => includeResults ? { ...item } : { ...item, result: undefined })
+        };
+    }
+
+    /**
+     * List all jobs (summaries only), newest first
+     */
+    listJobs() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(job => this._summarize(job));
+    }
+
+    /**
+     * Get job statistics
+     */
+    getStats() {
+        const jobs = Array.from(this.jobs.values());
+        return {
+            totalJobs: jobs.length,
+            queuedJobs: jobs.filter(j => j.status === 'queued').length,
+            runningJobs: jobs.filter(j => j.status === 'running').length,
+            completedJobs: jobs.filter(j => j.status === 'completed').length,
+            failedJobs: jobs.filter(j => j.status === 'failed').length,
+            maxUrlsPerJob: this.maxUrlsPerJob
+        };
+    }
+
+    /**
+     * Queue handler for a single job item
+     */
+    async _processItem({ jobId, itemIndex }) {
+        const job = this.jobs.get(jobId);
+        const item = job && job.items[itemIndex];
+        if (!item) return; // Job was cleaned up while the item was queued
+
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+        }
+        item.status = 'running';
+        item.startedAt = new Date().toISOString();
+        this._persist();
+
+        try {
+            const { statusCode, body } = await this.processor(item.url, job.options || {});
+            item.statusCode = statusCode;
+            item.sessionId = body && body._sessionId || null;
+
+            if (statusCode >= 200 && statusCode < 300) {
+                item.status = 'completed';
+                item.result = body;
+            } else {
+                item.status = 'failed';
+                item.error = body && body.error || `Extraction failed with status ${statusCode}`;
+            }
+        } catch (error) {
+            item.status = 'failed';
+            item.statusCode = 500;
+            item.error = error.message;
+        }
+
+        item.completedAt = new Date().toISOString();
+
+        const finished = job.items.every(i => i.status === 'completed' || i.status === 'failed');
+        if (finished) {
+            const allFailed = job.items.every(i => i.status === 'failed');
+            job.status = allFailed ? 'failed' : 'completed';
+            job.completedAt = new Date().toISOString();
+            console.log(`✅ Extraction job ${job.jobId} finished with status ${job.status}`);
+
+            if (job.callbackUrl) {
+                this._notify(job);
+            }
+        }
+
+        this._persist();
+    }
+
+    /**
+     * Send the finished job, including per-URL results, to its callback URL
+     */
+    _notify(job) {
+        const { webhookDispatcher } = require('./webhook-dispatcher');
+        const delivery = webhookDispatcher.dispatch({
+            url: job.callbackUrl,
+            event: job.status === 'failed' ? 'job.failed' : 'job.completed',
+            payload: { job: { ...this.getJob(job.jobId), webhooks: undefined } },
+            onUpdate: () => this._persist()
+        });
+        job.webhooks.push(delivery);
+    }
+
+    /**
+     * Restore jobs from disk. Items that were running when the process
+     * stopped are marked queued again - the queue re-runs their tasks.
+     */
+    _loadPersistedJobs() {
+        try {
+            if (!fs.existsSync(this.jobsFile)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.jobsFile, 'utf8'));
+            const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+
+            jobs.forEach(job => {
+                job.items.forEach(item => {
+                    if (item.status === 'running') {
+                        item.status = 'queued';
+                        item.startedAt = null;
+                    }
+                });
+                // Retry timers do not survive a restart
+                (job.webhooks || []).forEach(delivery => {
+                    if (delivery.status === 'pending') {
+                        delivery.status = 'interrupted';
+                        delivery.nextAttemptAt = null;
+                    }
+                });
+                this.jobs.set(job.jobId, job);
+            });
+
+            if (jobs.length > 0) {
+                console.log(`♻️ Restored ${jobs.length} extraction jobs from disk`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load persisted extraction jobs:', error.message);
+        }
+    }
+
+    /**
+     * Write all jobs to disk through a temp file
+     */
+    _persist() {
+        const snapshot = JSON.stringify({
+            savedAt: new Date().toISOString(),
+            jobs: Array.from(this.jobs.values())
+        });
+
+        this._writeChain = this._writeChain.then(async () => {
+            try {
+                await fs.promises.mkdir(this.dataDir, { recursive: true });
+                const tempFile = `${this.jobsFile}.tmp`;
+                await fs.promises.writeFile(tempFile, snapshot, 'utf8');
+                await fs.promises.rename(tempFile, this.jobsFile);
+            } catch (error) {
+                console.error('❌ Failed to persist extraction jobs:', error.message);
+            }
+        });
+
+        return this._writeChain;
+    }
+
+    /**
+     * Build a progress summary for a job
+     */
+    _summarize(job) {
+        const count = status => job.items.filter(item => item.status === status).length;
+        return {
+            jobId: job.jobId,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            progress: {
+                total: job.items.length,
+                queued: count('queued'),
+                running: count('running'),
+                completed: count('completed'),
+                failed: count('failed')
+            }
+        };
+    }
+
+    /**
+     * Generate unique job ID
+     */
+    _generateJobId() {
+        return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Cleanup old finished jobs to prevent memory overflow
+     */
+    _cleanupOldJobs() {
+        if (this.jobs.size > this.maxJobs) {
+            const finished = Array.from(this.jobs.values())
+                .filter(job => job.status === 'completed' || job.status === 'failed')
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+            const removeCount = Math.min(finished.length, this.jobs.size - this.maxJobs);
+            for (let i = 0; i < removeCount; i++) {
+                this.jobs.delete(finished[i].jobId);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const extractionJobManager = new ExtractionJobManager();
+
+module.exports = { extractionJobManager, ExtractionJobManager };
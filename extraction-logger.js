@@ -2,10 +2,15 @@
  * Extraction Logger System
  * Captures and manages extraction logs for debugging production issues
  * Provides real-time logging visibility similar to local development
+ * Sessions can be subscribed to for live step, warning and partial-result events
  */
 
-class ExtractionLogger {
+const EventEmitter = require('events');
+
+class ExtractionLogger extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0); // One listener per open progress stream
         this.logs = [];
         this.maxLogs = 1000; // Prevent memory overflow
         this.sessionLogs = new Map(); // Session-based logs
@@ -14,11 +19,25 @@ class ExtractionLogger {
     }
 
     /**
-     * Start a new extraction session
+     * Start a new extraction session.
+     * Pass initialStatus 'queued' to register a session before work begins; starting
+     * it again with the same sessionId later marks it running and keeps its history.
+     * Only running sessions become the current session, so registering a queued one
+     * does not redirect the logs of an extraction already in progress.
      */
-    startSession(url, sessionId = null) {
+    startSession(url, sessionId = null, initialStatus = 'running') {
         const session = sessionId || this._generateSessionId();
-        this.currentSessionId = session;
+        if (initialStatus !== 'queued') {
+            this.currentSessionId = session;
+        }
+
+        const existing = this.sessionLogs.get(session);
+        if (existing && existing.status === 'queued') {
+            existing.status = initialStatus;
+            this.log('info', `🚀 Starting queued extraction session for: ${url}`, { sessionId: session });
+            this._publish(session, 'status', { status: initialStatus, url });
+            return session;
+        }
         
         const now = Date.now();
         const sessionLog = {
@@ -26,11 +45,13 @@ class ExtractionLogger {
             url: url,
             startTime: new Date(now).toISOString(),
             endTime: null,
-            status: 'running',
+            status: initialStatus,
             logs: [],
             steps: [],
             errors: [],
             warnings: [],
+            webhooks: [],
+            partials: {},
             performance: {
                 startTime: now,
                 endTime: null,
@@ -42,6 +63,7 @@ class ExtractionLogger {
         this._cleanupOldSessions();
         
         this.log('info', `🚀 Starting extraction session for: ${url}`, { sessionId: session });
+        this._publish(session, 'status', { status: initialStatus, url });
         
         return session;
     }
@@ -62,9 +84,12 @@ class ExtractionLogger {
             }
 
             this.log('info', `✅ Session ${status}: ${session.url} (${session.performance.duration}ms)`, { sessionId });
+            this._publish(sessionId, 'end', { status, duration: session.performance.duration });
         }
         
-        this.currentSessionId = null;
+        if (this.currentSessionId === sessionId) {
+            this.currentSessionId = null;
+        }
     }
 
     /**
@@ -87,11 +112,59 @@ class ExtractionLogger {
 
         // Add to global logs
         stepData.sessionId = session;
-        this.log('step', `📋 STEP: ${stepName}`, stepData);
+        this.log('step', `📋 STEP: ${stepName}`, stepData, session);
+        this._publish(session, 'step', { step: stepName, details });
         
         console.log(`📋 [${timestamp}] STEP: ${stepName}${details ? ` - ${JSON.stringify(details)}` : ''}`);
     }
 
+    /**
+     * Record a finished section of the result (e.g. Logo, Colors) before the
+     * whole extraction completes, so progress streams can show it early
+     */
+    partial(sessionId, section, data) {
+        const session = this.sessionLogs.get(sessionId);
+        if (!session) return;
+
+        session.partials[section] = data;
+        this._publish(sessionId, 'partial', { section, data });
+    }
+
+    /**
+     * Listen to a session's live events: status, step, warn, error, partial and end.
+     * Returns a function that removes the listener.
+     */
+    subscribe(sessionId, listener) {
+        const eventName = `session:${sessionId}`;
+        this.on(eventName, listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Past events of a session in the same shape subscribers receive,
+     * so late subscribers can catch up before following live events
+     */
+    getSessionEvents(sessionId) {
+        const session = this.sessionLogs.get(sessionId);
+        if (!session) return [];
+
+        const events = session.logs
+            .filter(entry => ['step', 'warn', 'error'].includes(entry.level))
+            .map(entry => entry.level === 'step'
+                ? { type: 'step', timestamp: entry.timestamp, step: entry.data.step, details: entry.data.details }
+                : this._toStreamEvent(entry));
+
+        Object.entries(session.partials).forEach(([section, data]) => {
+            events.push({ type: 'partial', timestamp: session.startTime, section, data });
+        });
+
+        if (session.endTime) {
+            events.push({ type: 'end', timestamp: session.endTime, status: session.status, duration: session.performance.duration });
+        }
+
+        return events;
+    }
+
     /**
      * Log with different levels
      */
@@ -123,6 +196,11 @@ class ExtractionLogger {
             }
         }
 
+        if (session && (level === 'warn' || level === 'error')) {
+            const { type, ...event } = this._toStreamEvent(logEntry);
+            this._publish(session, type, event);
+        }
+
         // Console output with emoji prefixes
         const emoji = this._getLevelEmoji(level);
         const sessionInfo = session ? `[${session}] ` : '';
@@ -193,10 +271,48 @@ class ExtractionLogger {
             duration: session.performance.duration,
             stepsCount: session.steps.length,
             errorsCount: session.errors.length,
-            warningsCount: session.warnings.length
+            warningsCount: session.warnings.length,
+            hasResult: !!session.result,
+            screenshots: session.screenshots ? session.screenshots.screenshots.map(shot => ({
+                viewport: shot.viewport,
+                kind: shot.kind,
+                url: shot.url,
+                thumbnailUrl: shot.thumbnailUrl
+            })) : [],
+            webhooks: session.webhooks.map(delivery => ({
+                deliveryId: delivery.deliveryId,
+                url: delivery.url,
+                event: delivery.event,
+                status: delivery.status,
+                attempts: delivery.attempts.length,
+                lastStatusCode: delivery.attempts.length ? delivery.attempts[delivery.attempts.length - 1].statusCode : null,
+                deliveredAt: delivery.deliveredAt,
+                nextAttemptAt: delivery.nextAttemptAt
+            }))
         }));
     }
 
+    /**
+     * Attach a webhook delivery record to a session. The record is shared with the
+     * dispatcher, so later retry attempts show up without further calls.
+     */
+    addWebhookDelivery(sessionId, delivery) {
+        const session = this.sessionLogs.get(sessionId);
+        if (session) {
+            session.webhooks.push(delivery);
+        }
+    }
+
+    /**
+     * Attach the screenshot manifest of a session (see screenshot-store.js)
+     */
+    setScreenshots(sessionId, manifest) {
+        const session = this.sessionLogs.get(sessionId);
+        if (session) {
+            session.screenshots = manifest;
+        }
+    }
+
     /**
      * Get recent logs (global)
      */
@@ -271,6 +387,28 @@ class ExtractionLogger {
         return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Notify subscribers of a session event
+     */
+    _publish(sessionId, type, data) {
+        if (!sessionId) return;
+        this.emit(`session:${sessionId}`, { type, timestamp: new Date().toISOString(), ...data });
+    }
+
+    /**
+     * Warning/error log entry as a stream event (stack traces stay in the logs)
+     */
+    _toStreamEvent(logEntry) {
+        const details = logEntry.level === 'error' ? logEntry.data?.details : logEntry.data;
+        return {
+            type: logEntry.level,
+            timestamp: logEntry.timestamp,
+            message: logEntry.message,
+            ...(logEntry.level === 'error' && { error: logEntry.data?.error }),
+            details: details ?? null
+        };
+    }
+
     /**
      * Get emoji for log level
      */
@@ -0,0 +1,220 @@
+/**
+ * Extraction Queue
+ * FIFO work queue in front of the browser-based extraction pipeline.
+ * Limits how many extractions run at once and persists queued and in-flight
+ * tasks to disk so they are picked up again after a process restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ExtractionQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 2;
+        this.dataDir = options.dataDir || process.env.QUEUE_DATA_DIR || path.join(__dirname, 'queue-data');
+        this.queueFile = path.join(this.dataDir, 'extraction-queue.json');
+        this.handlers = new Map();
+        this.tasks = new Map(); // taskId -> task, insertion order is FIFO order
+        this.waiters = new Map(); // taskId -> { resolve, reject }
+        this.transient = new Set(); // taskIds of tasks a caller waits for; not persisted
+        this.running = 0;
+        this.stats = {
+            enqueued: 0,
+            completed: 0,
+            failed: 0,
+            recovered: 0
+        };
+        this._writeChain = Promise.resolve();
+
+        this._loadPersistedTasks();
+    }
+
+    /**
+     * Register the function that processes tasks of a given type.
+     * Handlers receive the task payload and may return a value or a promise.
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+        this._drain();
+    }
+
+    /**
+     * Add a task to the end of the queue.
+     * With `persist: false` the task is not written to disk, so it is not re-run after a restart.
+     */
+    enqueue(type, payload = {}, { persist = true } = {}) {
+        const task = {
+            taskId: this._generateTaskId(),
+            type,
+            payload,
+            status: 'queued',
+            enqueuedAt: new Date().toISOString(),
+            startedAt: null,
+            attempts: 0
+        };
+
+        this.tasks.set(task.taskId, task);
+        if (!persist) this.transient.add(task.taskId);
+        this.stats.enqueued++;
+        this._persist();
+        this._drain();
+
+        return task;
+    }
+
+    /**
+     * Enqueue a task and wait for its handler to finish.
+     * The caller is gone after a restart, so these tasks are not persisted.
+     */
+    run(type, payload = {}) {
+        return new Promise((resolve, reject) => {
+            const task = this.enqueue(type, payload, { persist: false });
+            this.waiters.set(task.taskId, { resolve, reject });
+        });
+    }
+
+    /**
+     * Position of a queued task (1-based), or 0 if it is running or unknown
+     */
+    getPosition(taskId) {
+        let position = 0;
+        for (const task of this.tasks.values()) {
+            if (task.status !== 'queued') continue;
+            position++;
+            if (task.taskId === taskId) return position;
+        }
+        return 0;
+    }
+
+    /**
+     * Get queue depth and throughput statistics
+     */
+    getStats() {
+        const tasks = Array.from(this.tasks.values());
+        const queued = tasks.filter(t => t.status === 'queued');
+        const oldestQueued = queued[0];
+
+        return {
+            concurrency: this.concurrency,
+            depth: queued.length,
+            running: this.running,
+            oldestQueuedAgeSeconds: oldestQueued
+                ? Math.round((Date.now() - new Date(oldestQueued.enqueuedAt).getTime()) / 1000)
+                : 0,
+            byType: tasks.reduce((acc, task) => {
+                acc[task.type] = (acc[task.type] || 0) + 1;
+                return acc;
+            }, {}),
+            ...this.stats
+        };
+    }
+
+    /**
+     * Start as many queued tasks as the concurrency limit allows
+     */
+    _drain() {
+        for (const task of this.tasks.values()) {
+            if (this.running >= this.concurrency) break;
+            if (task.status !== 'queued') continue;
+
+            const handler = this.handlers.get(task.type);
+            if (!handler) continue; // Wait until a handler is registered
+
+            this._start(task, handler);
+        }
+    }
+
+    async _start(task, handler) {
+        this.running++;
+        task.status = 'running';
+        task.startedAt = new Date().toISOString();
+        task.attempts++;
+        this._persist();
+
+        let result, error;
+        try {
+            result = await handler(task.payload, task);
+            this.stats.completed++;
+        } catch (handlerError) {
+            error = handlerError;
+            this.stats.failed++;
+            console.error(`❌ Queue task ${task.taskId} (${task.type}) failed:`, handlerError.message);
+        }
+
+        this.running--;
+        this.tasks.delete(task.taskId);
+        this.transient.delete(task.taskId);
+        this._persist();
+
+        const waiter = this.waiters.get(task.taskId);
+        if (waiter) {
+            this.waiters.delete(task.taskId);
+            error ? waiter.reject(error) : waiter.resolve(result);
+        }
+
+        this._drain();
+    }
+
+    /**
+     * Restore unfinished tasks from disk. Tasks that were running when the
+     * process stopped go back into the queue ahead of newer work.
+     */
+    _loadPersistedTasks() {
+        try {
+            if (!fs.existsSync(this.queueFile)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.queueFile, 'utf8'));
+            const tasks = Array.isArray(data.tasks) ? data.tasks : [];
+
+            tasks.forEach(task => {
+                task.status = 'queued';
+                task.startedAt = null;
+                this.tasks.set(task.taskId, task);
+            });
+
+            if (tasks.length > 0) {
+                this.stats.recovered = tasks.length;
+                console.log(`♻️ Recovered ${tasks.length} unfinished extraction tasks from disk`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load persisted extraction queue, starting empty:', error.message);
+        }
+    }
+
+    /**
+     * Write unfinished tasks to disk, except those a caller waits for. Writes are
+     * serialized and go through a temp file so a crash mid-write never leaves a
+     * truncated queue file.
+     */
+    _persist() {
+        const snapshot = JSON.stringify({
+            savedAt: new Date().toISOString(),
+            tasks: Array.from(this.tasks.values()).filter(task => !this.transient.has(task.taskId))
+        });
+
+        this._writeChain = this._writeChain.then(async () => {
+            try {
+                await fs.promises.mkdir(this.dataDir, { recursive: true });
+                const tempFile = `${this.queueFile}.tmp`;
+                await fs.promises.writeFile(tempFile, snapshot, 'utf8');
+                await fs.promises.rename(tempFile, this.queueFile);
+            } catch (error) {
+                console.error('❌ Failed to persist extraction queue:', error.message);
+            }
+        });
+
+        return this._writeChain;
+    }
+
+    /**
+     * Generate unique task ID
+     */
+    _generateTaskId() {
+        return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+// Create singleton instance
+const extractionQueue = new ExtractionQueue();
+
+module.exports = { extractionQueue, ExtractionQueue };
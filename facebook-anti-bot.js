@@ -7,6 +7,7 @@ const { antiBotSystem } = require('./anti-bot-system');
 const { extractionLogger } = require('./extraction-logger');
 const { FacebookLearningSystem } = require('./facebook-learning-system');
 const { FacebookPlatformUtils } = require('./facebook-platform-utils');
+const { robotsTxt } = require('./robots-txt');
 
 class FacebookAntiBotSystem {
     constructor() {
@@ -227,10 +228,16 @@ class FacebookAntiBotSystem {
     }
 
     /**
-     * Enhanced navigation with anti-detection and learning
+     * Enhanced navigation with anti-detection and learning.
+     * Throws (code ROBOTS_DISALLOWED or ROBOTS_CRAWL_DELAY) when robots.txt does not allow the visit;
+     * other navigation failures return false.
+     * @param {Object} [options]
+     * @param {boolean} [options.ignoreRobotsTxt] - Navigate even when robots.txt disallows the page
      */
-    async navigateToFacebookPage(page, url, sessionId) {
+    async navigateToFacebookPage(page, url, sessionId, { ignoreRobotsTxt = false } = {}) {
         const startTime = Date.now();
+
+        await robotsTxt.enforce(url, { override: ignoreRobotsTxt });
         
         try {
             const recommendedDelay = this.learningSystem.getRecommendedDelay(url);
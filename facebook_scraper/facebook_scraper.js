@@ -71,30 +71,42 @@ async function extractFacebookData(page, sessionId) {
     });
 }
 
-async function scrapeFacebookCompany(url, sessionId) {
+/**
+ * Scrape a Facebook company page.
+ * @param {string} url - Facebook page URL
+ * @param {string} sessionId - Extraction session for logging
+ * @param {Object} [options]
+ * @param {import('puppeteer').BrowserContext} [options.context] - Pooled context to use instead of
+ *   launching a dedicated browser. The caller owns the context and is responsible for closing it.
+ * @param {boolean} [options.ignoreRobotsTxt] - Scrape the page even when robots.txt disallows it
+ */
+async function scrapeFacebookCompany(url, sessionId, options = {}) {
     extractionLogger.step('Starting Facebook scrape with enhanced anti-bot measures...', { url: sanitizeForLogging(url) }, sessionId);
     const facebookAntiBot = new FacebookAntiBotSystem();
+    const { context, ignoreRobotsTxt = false } = options;
     let browser;
     
-    try {
-        const browserPath = FacebookPlatformUtils.getBrowserExecutablePath();
-        const launchOptions = {
-            headless: 'new',
-            args: facebookAntiBot.getFacebookBrowserArgs(),
-            defaultViewport: FacebookPlatformUtils.getOptimalViewport()
-        };
-        
-        if (browserPath) {
-            launchOptions.executablePath = browserPath;
-        }
+    if (!context) {
+        try {
+            const browserPath = FacebookPlatformUtils.getBrowserExecutablePath();
+            const launchOptions = {
+                headless: 'new',
+                args: facebookAntiBot.getFacebookBrowserArgs(),
+                defaultViewport: FacebookPlatformUtils.getOptimalViewport()
+            };
+        
+            if (browserPath) {
+                launchOptions.executablePath = browserPath;
+            }
         
-        browser = await puppeteer.launch(launchOptions);
-    } catch (error) {
-        extractionLogger.error('Failed to launch browser', { url: sanitizeForLogging(url), error: sanitizeForLogging(error.message) }, sessionId);
-        return { url: sanitizeForLogging(url), status: 'Failed', error: 'Browser launch failed' };
+            browser = await puppeteer.launch(launchOptions);
+        } catch (error) {
+            extractionLogger.error('Failed to launch browser', { url: sanitizeForLogging(url), error: sanitizeForLogging(error.message) }, sessionId);
+            return { url: sanitizeForLogging(url), status: 'Failed', error: 'Browser launch failed' };
+        }
     }
 
-    const page = await browser.newPage();
+    const page = await (context || browser).newPage();
     
     // Setup Facebook-specific stealth mode
     await facebookAntiBot.setupFacebookStealth(page, sessionId);
@@ -116,7 +128,7 @@ async function scrapeFacebookCompany(url, sessionId) {
 
     try {
         // Navigate to Facebook page
-        const navigationSuccess = await facebookAntiBot.navigateToFacebookPage(page, url, sessionId);
+        const navigationSuccess = await facebookAntiBot.navigateToFacebookPage(page, url, sessionId, { ignoreRobotsTxt });
         if (!navigationSuccess) {
             extractionLogger.error('Failed to navigate to Facebook page', { url: sanitizeForLogging(url) }, sessionId);
             throw new Error('Navigation failed');
@@ -145,6 +157,10 @@ async function scrapeFacebookCompany(url, sessionId) {
         return extractedData;
         
     } catch (error) {
+        if (error.code === 'ROBOTS_DISALLOWED' || error.code === 'ROBOTS_CRAWL_DELAY') {
+            extractionLogger.warn('Facebook page skipped because of robots.txt', { url: sanitizeForLogging(url), error: error.message }, sessionId);
+            return { url: sanitizeForLogging(url), status: 'Skipped', error: error.message };
+        }
         extractionLogger.error('An unexpected error occurred during the scraping process.', { error: sanitizeForLogging(error.message) }, sessionId);
         
         // Fallback extraction from meta tags
@@ -172,7 +188,7 @@ async function scrapeFacebookCompany(url, sessionId) {
         return fallbackData;
         
     } finally {
-        if (browser) {
+        if (browser || context) {
             try {
                 // Persist cookies
                 const cookies = await page.cookies();
@@ -183,8 +199,13 @@ async function scrapeFacebookCompany(url, sessionId) {
             } catch (error) {
                 extractionLogger.warn('Failed to persist Facebook cookies', { error: sanitizeForLogging(error.message) }, sessionId);
             }
-            await browser.close();
-            extractionLogger.debug('Browser closed.', null, sessionId);
+            if (browser) {
+                await browser.close();
+                extractionLogger.debug('Browser closed.', null, sessionId);
+            } else {
+                await page.close().catch(() => {});
+                extractionLogger.debug('Page closed, pooled context returned to caller.', null, sessionId);
+            }
         }
     }
 }
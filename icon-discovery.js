@@ -0,0 +1,361 @@
+/**
+ * Icon Discovery
+ * Collects the full icon set of a site: every <link rel="icon" | "apple-touch-icon" | "mask-icon">,
+ * the web app manifest icons and colors, and Windows (msapplication) tiles. Each icon is
+ * downloaded to read its real dimensions, then the set is ranked and the best icon
+ * for the common display sizes is picked.
+ */
+
+const { checkPublicUrl, guardedRequestOptions, parseAllowedHosts } = require('./utils/outbound-guard');
+
+/**
+ * Display sizes (px) the best icon is picked for: browser tabs, taskbar, touch icons, PWA
+ */
+const DISPLAY_SIZES = [16, 32, 48, 180, 192, 512];
+
+/**
+ * Preference per icon source; higher wins when two icons are otherwise equal
+ */
+const SOURCE_RANK = {
+    'apple-touch-icon': 5,
+    manifest: 4,
+    icon: 3,
+    msapplication: 2,
+    'mask-icon': 1, // Monochrome Safari pinned-tab icon, only useful with its color
+    default: 0
+};
+
+class IconDiscovery {
+    constructor(options = {}) {
+        this.maxIcons = options.maxIcons || 20;
+        this.concurrency = options.concurrency || 4;
+        this.timeout = options.timeout || 8000;
+        this.maxBytes = options.maxBytes || 2 * 1024 * 1024;
+        this.httpClient = options.httpClient || null; // Defaults to axios, injectable for tests
+        this.allowedHosts = options.allowedHosts || parseAllowedHosts();
+        this.lookup = options.lookup || undefined; // dns.promises.lookup, injectable for tests
+        this.sharp = options.sharp || null; // Lazy loaded like in index.js
+        this.stats = { discoveries: 0, iconsFound: 0, iconsValidated: 0, iconsInvalid: 0 };
+    }
+
+    /**
+     * Discovers, validates and ranks the icons of a loaded page
+     * @param {import('puppeteer').Page} page
+     * @param {string} pageUrl
+     * @returns {Promise<Object>} `{list, bestBySize, manifestUrl, themeColor, backgroundColor, tileColor}`
+     */
+    async discover(page, pageUrl) {
+        this.stats.discoveries++;
+        const declared = await this.collect(page);
+        const candidates = this.candidates(declared, pageUrl);
+        this.stats.iconsFound += candidates.length;
+
+        const validated = await this.validateAll(candidates.slice(0, this.maxIcons), pageUrl);
+        const list = this.rank(validated);
+
+        return {
+            list,
+            bestBySize: this.bestBySize(list),
+            manifestUrl: declared.manifest ? declared.manifest.url : null,
+            themeColor: (declared.manifest && declared.manifest.themeColor) || declared.themeColor || null,
+            backgroundColor: (declared.manifest && declared.manifest.backgroundColor) || null,
+            tileColor: declared.tileColor || null
+        };
+    }
+
+    /**
+     * Reads icon declarations in the page. The manifest and browserconfig.xml are fetched
+     * from inside the page so the requests share its cookies and origin.
+     * @returns {Promise<Object>} Raw declarations: `links`, `manifest`, `tiles`, `themeColor`, `tileColor`
+     */
+    async collect(page) {
+        return page.evaluate(async (timeout) => {
+            const absolute = (url, base = document.baseURI) => {
+                try { return url ? new URL(url, base).href : null; } catch (e) { return null; }
+            };
+            const fetchText = async (url) => {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), timeout);
+                try {
+                    const response = await fetch(url, { signal: controller.signal, credentials: 'same-origin' });
+                    return response.ok ? (await response.text()).slice(0, 500000) : null;
+                } catch (e) {
+                    return null;
+                } finally {
+                    clearTimeout(timer);
+                }
+            };
+            const meta = (name) => {
+                const element = document.querySelector(`meta[name="${name}" i]`);
+                return element ? (element.getAttribute('content') || '').trim() || null : null;
+            };
+
+            const links = Array.from(document.querySelectorAll(
+                'link[rel~="icon" i], link[rel="apple-touch-icon" i], link[rel="apple-touch-icon-precomposed" i], link[rel="mask-icon" i]'
+            )).slice(0, 50).map(link => ({
+                rel: (link.getAttribute('rel') || '').toLowerCase().trim(),
+                url: absolute(link.getAttribute('href')),
+                sizes: link.getAttribute('sizes'),
+                type: link.getAttribute('type'),
+                color: link.getAttribute('color')
+            })).filter(link => link.url);
+
+            let manifest = null;
+            const manifestLink = document.querySelector('link[rel="manifest" i][href]');
+            if (manifestLink) {
+                const url = absolute(manifestLink.getAttribute('href'));
+                const text = url && await fetchText(url);
+                manifest = { url, icons: [], themeColor: null, backgroundColor: null };
+                try {
+                    const json = JSON.parse(text);
+                    manifest.icons = (Array.isArray(json.icons) ? json.icons : []).slice(0, 50).map(icon => ({
+                        url: absolute(icon.src, url),
+                        sizes: icon.sizes || null,
+                        type: icon.type || null,
+                        purpose: icon.purpose || null
+                    })).filter(icon => icon.url);
+                    manifest.themeColor = json.theme_color || null;
+                    manifest.backgroundColor = json.background_color || null;
+                } catch (e) {
+                    manifest.error = text ? 'Manifest is not valid JSON' : 'Manifest could not be fetched';
+                }
+            }
+
+            // Windows tiles from meta tags and a declared browserconfig.xml
+            const tiles = [];
+            [['msapplication-TileImage', null], ['msapplication-square70x70logo', '70x70'], ['msapplication-square150x150logo', '150x150'],
+                ['msapplication-wide310x150logo', '310x150'], ['msapplication-square310x310logo', '310x310']].forEach(([name, sizes]) => {
+                const url = absolute(meta(name));
+                if (url) tiles.push({ url, sizes: sizes || '144x144' });
+            });
+            let tileColor = meta('msapplication-TileColor');
+            const configUrl = meta('msapplication-config');
+            if (configUrl && configUrl.toLowerCase() !== 'none') {
+                const url = absolute(configUrl);
+                const xml = url && await fetchText(url);
+                if (xml) {
+                    for (const [, tag, src] of xml.matchAll(/<(square70x70logo|square150x150logo|wide310x150logo|square310x310logo|TileImage)\s+src=["']([^"']+)["']/gi)) {
+                        const size = (tag.match(/\d+x\d+/) || ['144x144'])[0];
+                        const tileUrl = absolute(src, url);
+                        if (tileUrl) tiles.push({ url: tileUrl, sizes: size });
+                    }
+                    const color = xml.match(/<TileColor>\s*([^<\s]+)\s*<\/TileColor>/i);
+                    if (color && !tileColor) tileColor = color[1];
+                }
+            }
+
+            return { links, manifest, tiles, themeColor: meta('theme-color'), tileColor };
+        }, this.timeout);
+    }
+
+    /**
+     * Flattens the declarations into one de-duplicated candidate list, adding /favicon.ico
+     * when nothing declares a classic favicon
+     * @returns {Array<{url: string, source: string, rel: string|null, declaredSizes: string[], type: string|null}>}
+     */
+    candidates(declared, pageUrl) {
+        const byUrl = new Map();
+        const add = (candidate) => {
+            const existing = byUrl.get(candidate.url);
+            if (!existing) {
+                byUrl.set(candidate.url, candidate);
+            } else {
+                // The same file declared twice keeps its best source and all sizes
+                if (SOURCE_RANK[candidate.source] > SOURCE_RANK[existing.source]) existing.source = candidate.source;
+                existing.declaredSizes = [...new Set([...existing.declaredSizes, ...candidate.declaredSizes])];
+            }
+        };
+        const sizes = (value) => String(value || '').toLowerCase().split(/\s+/).filter(size => /^(\d+x\d+|any)$/.test(size));
+
+        (declared.links || []).forEach(link => {
+            const source = link.rel.includes('apple-touch-icon') ? 'apple-touch-icon' : link.rel === 'mask-icon' ? 'mask-icon' : 'icon';
+            add({
+                url: link.url,
+                source,
+                rel: link.rel,
+                declaredSizes: sizes(link.sizes),
+                type: link.type || null,
+                ...(link.color && { color: link.color })
+            });
+        });
+        ((declared.manifest && declared.manifest.icons) || []).forEach(icon => {
+            add({ url: icon.url, source: 'manifest', rel: null, declaredSizes: sizes(icon.sizes), type: icon.type || null, purpose: icon.purpose || 'any' });
+        });
+        (declared.tiles || []).forEach(tile => {
+            add({ url: tile.url, source: 'msapplication', rel: null, declaredSizes: sizes(tile.sizes), type: null });
+        });
+
+        const hasFavicon = [...byUrl.values()].some(candidate => candidate.source === 'icon');
+        if (!hasFavicon && pageUrl) {
+            try {
+                add({ url: new URL('/favicon.ico', pageUrl).href, source: 'default', rel: null, declaredSizes: [], type: null });
+            } catch (error) {
+                // Unparseable page URL; nothing to add
+            }
+        }
+        return [...byUrl.values()];
+    }
+
+    /**
+     * Downloads the candidates with limited concurrency and records their real dimensions
+     */
+    async validateAll(candidates, referer) {
+        const results = new Array(candidates.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < candidates.length) {
+                const index = next++;
+                results[index] = await this.validate(candidates[index], referer);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, candidates.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Fetches one icon and reads its format and dimensions (ICO directories are read directly,
+     * since sharp cannot decode them)
+     * @returns {Promise<Object>} The candidate with `valid`, `format`, `width`, `height`, `bytes` and
+     *   `scalable`, or `valid: false` and an `error`
+     */
+    async validate(candidate, referer = null) {
+        try {
+            const buffer = await this._download(candidate.url, referer);
+            let info;
+            if (this._isIco(buffer)) {
+                info = this.readIco(buffer);
+            } else {
+                const sharp = this.sharp || (this.sharp = require('sharp'));
+                const metadata = await sharp(buffer, { limitInputPixels: 50000000 }).metadata();
+                if (!metadata.width || !metadata.height) throw new Error('Invalid image: no dimensions found');
+                info = { format: metadata.format, width: metadata.width, height: metadata.height, sizes: [`${metadata.width}x${metadata.height}`] };
+            }
+            this.stats.iconsValidated++;
+            return {
+                ...candidate,
+                valid: true,
+                format: info.format,
+                width: info.width,
+                height: info.height,
+                sizes: info.sizes,
+                bytes: buffer.length,
+                scalable: info.format === 'svg'
+            };
+        } catch (error) {
+            this.stats.iconsInvalid++;
+            return { ...candidate, valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Image sizes stored in an ICO file; the largest is reported as its width and height
+     * @param {Buffer} buffer
+     * @returns {{format: string, width: number, height: number, sizes: string[]}}
+     */
+    readIco(buffer) {
+        const count = buffer.readUInt16LE(4);
+        if (count === 0 || buffer.length < 6 + count * 16) throw new Error('Invalid ICO file');
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const offset = 6 + i * 16;
+            entries.push({ width: buffer[offset] || 256, height: buffer[offset + 1] || 256 });
+        }
+        entries.sort((a, b) => b.width * b.height - a.width * a.height);
+        return {
+            format: 'ico',
+            width: entries[0].width,
+            height: entries[0].height,
+            sizes: [...new Set(entries.map(entry => `${entry.width}x${entry.height}`))]
+        };
+    }
+
+    /**
+     * Sorts icons best first: valid before invalid, then scalable, square and large icons
+     * from the stronger sources. Adds a `score` to each icon.
+     */
+    rank(icons) {
+        return icons
+            .map(icon => {
+                let score = 0;
+                if (icon.valid) {
+                    const side = Math.min(icon.width, icon.height);
+                    score += 100;
+                    score += icon.scalable ? 60 : Math.min(side, 512) / 10;
+                    if (icon.width === icon.height || icon.scalable) score += 10;
+                    if (icon.source === 'mask-icon' || /monochrome/.test(icon.purpose || '')) score -= 50;
+                    if (/maskable/.test(icon.purpose || '') && !/any/.test(icon.purpose || '')) score -= 5; // Cropped to a shape by the OS
+                }
+                score += SOURCE_RANK[icon.source] || 0;
+                return { ...icon, score: Math.round(score * 10) / 10 };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Best icon URL for each display size: the full-color icon with the smallest image at least
+     * that large (ICO files count each image they contain), a scalable icon, or else the largest one
+     * @returns {Object<string, string|null>}
+     */
+    bestBySize(rankedIcons) {
+        const usable = rankedIcons.filter(icon => icon.valid && icon.source !== 'mask-icon' && !/monochrome/.test(icon.purpose || ''));
+        const sides = (icon) => (icon.sizes || []).map(size => Math.min(...size.split('x').map(Number)));
+        const best = {};
+        DISPLAY_SIZES.forEach(size => {
+            const fits = usable
+                .filter(icon => !icon.scalable)
+                .map(icon => ({ icon, side: Math.min(...sides(icon).filter(side => side >= size)) }))
+                .filter(({ side }) => Number.isFinite(side))
+                .sort((a, b) => a.side - b.side || b.icon.score - a.icon.score);
+            const scalable = usable.find(icon => icon.scalable);
+            const largest = [...usable].sort((a, b) => Math.min(b.width, b.height) - Math.min(a.width, a.height))[0];
+            const pick = (fits[0] && fits[0].icon) || scalable || largest;
+            best[size] = pick ? pick.url : null;
+        });
+        return best;
+    }
+
+    getStats() {
+        return { ...this.stats, maxIcons: this.maxIcons };
+    }
+
+    async _download(url, referer) {
+        const dataUrl = url.match(/^data:(image\/[a-z0-9.+-]+)(;base64)?,(.*)$/is);
+        if (dataUrl) {
+            return dataUrl[2] ? Buffer.from(dataUrl[3], 'base64') : Buffer.from(decodeURIComponent(dataUrl[3]));
+        }
+        if (!/^https?:\/\//i.test(url)) throw new Error(`Unsupported icon URL: ${url}`);
+        // Icon and manifest icon URLs come from the page, so they must not reach the server's own network
+        const { allowed, reason } = await checkPublicUrl(url, { allowedHosts: this.allowedHosts, lookup: this.lookup });
+        if (!allowed) throw new Error(`Icon URL refused: ${reason}`);
+
+        const client = this.httpClient || require('axios');
+        const response = await client({
+            method: 'GET',
+            url,
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: this.maxBytes,
+            ...guardedRequestOptions({ allowedHosts: this.allowedHosts, maxRedirects: 5 }),
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+                'Accept': 'image/avif,image/webp,image/svg+xml,image/*,*/*;q=0.8',
+                ...(referer && { 'Referer': referer })
+            },
+            validateStatus: status => status >= 200 && status < 300
+        });
+        const buffer = Buffer.from(response.data);
+        if (buffer.length === 0) throw new Error('Empty icon response');
+        const contentType = String(response.headers['content-type'] || '').toLowerCase();
+        if (contentType.startsWith('text/html')) throw new Error('Icon URL returned an HTML page');
+        return buffer;
+    }
+
+    _isIco(buffer) {
+        return buffer.length >= 6 && buffer.readUInt16LE(0) === 0 && buffer.readUInt16LE(2) === 1;
+    }
+}
+
+// Create singleton instance
+const iconDiscovery = new IconDiscovery();
+
+module.exports = { iconDiscovery, IconDiscovery, DISPLAY_SIZES };
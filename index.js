@@ -11,6 +11,8 @@ let Vibrant, sharp, axios, puppeteer;
 let ensureChrome, antiBotSystem, performanceMonitor, enhancedFileOps;
 let LinkedInImageAntiBotSystem, extractionLogger, systemHealthMonitor;
 let searchHistoryLogger, detailedFileLogger, inputSanitizer, companyExtractionFixes;
+let extractionJobManager, extractionQueue, browserPool, extractionCache, webhookDispatcher, responseContract, apiKeyManager, openApiSpec;
+let DynamicDataFinder, siteCrawler, logoAssetStore, brandKitExporter, iconDiscovery, screenshotStore, techDetector, structuredData, robotsTxt, redirectTracker;
 
 // Lazy loading functions
 const loadVibrant = () => Vibrant || (Vibrant = require('node-vibrant/node'));
@@ -28,10 +30,37 @@ const loadSearchHistoryLogger = () => searchHistoryLogger || (searchHistoryLogge
 const loadDetailedFileLogger = () => detailedFileLogger || (detailedFileLogger = require('./detailed-file-logger').detailedFileLogger);
 const loadInputSanitizer = () => inputSanitizer || (inputSanitizer = require('./utils/input-sanitizer'));
 const loadCompanyExtractionFixes = () => companyExtractionFixes || (companyExtractionFixes = require('./company-extraction-fixes'));
+const loadWebhookDispatcher = () => webhookDispatcher || (webhookDispatcher = require('./webhook-dispatcher').webhookDispatcher);
+const loadExtractionCache = () => extractionCache || (extractionCache = require('./extraction-cache').extractionCache);
+const loadBrowserPool = () => browserPool || (browserPool = require('./browser-pool').browserPool);
+const loadExtractionQueue = () => extractionQueue || (extractionQueue = require('./extraction-queue').extractionQueue);
+const loadExtractionJobManager = () => extractionJobManager || (extractionJobManager = require('./extraction-job-manager').extractionJobManager);
+const loadResponseContract = () => responseContract || (responseContract = require('./response-contract').responseContract);
+const loadApiKeyManager = () => apiKeyManager || (apiKeyManager = require('./api-key-manager').apiKeyManager);
+const loadOpenApiSpec = () => openApiSpec || (openApiSpec = require('./openapi-spec').openApiSpec);
+const loadDynamicDataFinder = () => DynamicDataFinder || (DynamicDataFinder = require('./dynamic-data-finder').DynamicDataFinder);
+const loadSiteCrawler = () => siteCrawler || (siteCrawler = require('./site-crawler').siteCrawler);
+const loadLogoAssetStore = () => logoAssetStore || (logoAssetStore = require('./logo-asset-store').logoAssetStore);
+const loadBrandKitExporter = () => brandKitExporter || (brandKitExporter = require('./brand-kit-exporter').brandKitExporter);
+const loadIconDiscovery = () => iconDiscovery || (iconDiscovery = require('./icon-discovery').iconDiscovery);
+const loadScreenshotStore = () => screenshotStore || (screenshotStore = require('./screenshot-store').screenshotStore);
+const loadTechDetector = () => techDetector || (techDetector = require('./tech-detector').techDetector);
+const loadStructuredData = () => structuredData || (structuredData = require('./structured-data').structuredData);
+const loadRobotsTxt = () => robotsTxt || (robotsTxt = require('./robots-txt').robotsTxt);
+const loadRedirectTracker = () => redirectTracker || (redirectTracker = require('./redirect-tracker').redirectTracker);
 
 // Initialize commonly used modules
 const { sanitizeForLogging, sanitizeUrl, sanitizeObjectForLogging } = loadInputSanitizer();
-const { cleanLinkedInUrl, enhancedNameExtraction, mergeFacebookData, enhancedCompanyDetailsExtraction } = loadCompanyExtractionFixes();
+const { cleanLinkedInUrl, enhancedNameExtraction, enhancedCompanyDetailsExtraction } = loadCompanyExtractionFixes();
+const { resolveExtractionFields } = require('./utils/extraction-fields');
+const { mergeContacts } = require('./utils/contact-normalizer');
+const { classifyColorRoles } = require('./utils/color-roles');
+const { resolveFonts } = require('./utils/font-resolver');
+const { parseSourcePriority, profileCandidates, resolveFieldSources, RESOLVED_FIELDS } = require('./utils/field-sources');
+
+// Which source wins when the site, LinkedIn, Facebook and X disagree on a company field
+const { policy: fieldSourcePolicy, error: fieldSourcePolicyError } = parseSourcePriority(process.env.FIELD_SOURCE_PRIORITY);
+if (fieldSourcePolicyError) console.warn(`[Field Sources] Ignoring FIELD_SOURCE_PRIORITY: ${fieldSourcePolicyError}`);
 
 // Initialize LinkedIn-specific anti-bot system (lazy loaded)
 let linkedinAntiBot;
@@ -78,15 +107,19 @@ setInterval(() => {
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Simple in-memory cache for performance optimization
-const extractionCache = new Map();
-const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes cache
-
 // Enable CORS and JSON parsing
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Malformed JSON bodies get the same 400 shape as schema validation failures
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendValidationError(res, 'Request body is not valid JSON', [{ path: '$', message: err.message }]);
+    }
+    next(err);
+});
+
 // Connection Tracking Middleware
 let activeConnections = 0;
 let totalConnections = 0;
@@ -106,6 +139,90 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * API key middleware. Keys come from the X-API-Key header or an
+ * `Authorization: Bearer` header; 'admin' keys can use every route.
+ * GET requests may pass the key as `?apiKey=` instead, for clients that cannot
+ * set headers (EventSource, <img> and download links).
+ * Does nothing until a key exists (or API_KEYS_REQUIRED=true).
+ * @param {string} scope - 'extract' or 'admin'
+ */
+function requireApiKey(scope) {
+    return (req, res, next) => {
+        const keyManager = loadApiKeyManager();
+        if (!keyManager.isEnforced()) return next();
+
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        const queryKey = req.method === 'GET' && typeof req.query.apiKey === 'string' ? req.query.apiKey.trim() : null;
+        const rawKey = req.get('X-API-Key') || (bearer && bearer[1].trim()) || queryKey || null;
+        const result = keyManager.authorize(rawKey, { scope });
+
+        if (!result.ok) {
+            return sendApiKeyError(res, result);
+        }
+
+        req.apiKey = result.key;
+        if (result.limits.rateLimit > 0) {
+            res.set('X-RateLimit-Limit', String(result.limits.rateLimit));
+            res.set('X-RateLimit-Remaining', String(result.limits.rateRemaining));
+        }
+        next();
+    };
+}
+
+/**
+ * Charge extractions to the request's API key. Sends a 429 and returns false
+ * when the key's daily quota cannot cover them.
+ */
+function chargeApiKeyQuota(req, res, cost = 1) {
+    if (!req.apiKey) return true;
+
+    const result = loadApiKeyManager().consumeQuota(req.apiKey.keyId, cost);
+    if (!result.ok) {
+        sendApiKeyError(res, result);
+        return false;
+    }
+    if (result.quotaRemaining !== null) {
+        res.set('X-Quota-Remaining', String(result.quotaRemaining));
+    }
+    return true;
+}
+
+/**
+ * Validates the JSON body against the operation's request schema from the
+ * OpenAPI spec (see openapi-spec.js)
+ * @param {string} operationId - Operation with a request body schema
+ */
+function validateRequestBody(operationId) {
+    return (req, res, next) => {
+        const { valid, errors } = loadOpenApiSpec().validateRequestBody(operationId, req.body);
+        if (valid) return next();
+
+        const [first] = errors;
+        return sendValidationError(res, `Invalid request body: ${first.path} ${first.message}`, errors);
+    };
+}
+
+function sendValidationError(res, error, validationErrors) {
+    return res.status(400).json({
+        status: 'error',
+        error,
+        validationErrors,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function sendApiKeyError(res, { status, error, retryAfter }) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer realm="company-extraction"');
+    return res.status(status).json({
+        status: 'error',
+        error,
+        ...(retryAfter && { retryAfter }),
+        timestamp: new Date().toISOString()
+    });
+}
+
 app.get('/api/active-connections', (req, res) => {
     res.json({ 
         activeConnections: Math.max(0, activeConnections),
@@ -126,6 +243,11 @@ app.get('/ui', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// API Docs page of the dashboard
+app.get('/docs', (req, res) => {
+    res.redirect('/ui#docs');
+});
+
 // API Request Logging Middleware
 app.use(async (req, res, next) => {
     const startTime = Date.now();
@@ -142,7 +264,7 @@ app.use(async (req, res, next) => {
             try {
                 await loadDetailedFileLogger().logAPI(
                     req.method,
-                    req.originalUrl,
+                    req.originalUrl.replace(/([?&]apiKey=)[^&]*/gi, '$1[redacted]'), // Keys passed in the query string stay out of the logs
                     res.statusCode,
                     duration,
                     userAgent,
@@ -247,6 +369,19 @@ app.get('/performance-metrics', (req, res) => {
         res.json({
             status: 'active',
             ...analytics,
+            browserPool: loadBrowserPool().getStats(),
+            extractionCache: loadExtractionCache().getStats(),
+            responseContract: loadResponseContract().getStats(),
+            apiKeys: loadApiKeyManager().getStats(),
+            siteCrawler: loadSiteCrawler().getStats(),
+            logoAssets: loadLogoAssetStore().getStats(),
+            brandKits: loadBrandKitExporter().getStats(),
+            iconDiscovery: loadIconDiscovery().getStats(),
+            screenshots: loadScreenshotStore().getStats(),
+            techDetector: loadTechDetector().getStats(),
+            structuredData: loadStructuredData().getStats(),
+            robotsTxt: loadRobotsTxt().getStats(),
+            redirects: loadRedirectTracker().getStats(),
             _timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -305,7 +440,8 @@ app.get('/health', (req, res) => {
             nodeVersion: process.version,
             performanceMetrics: loadPerformanceMonitor().getAnalytics(),
             antiBotMetrics: loadAntiBotSystem().getAnalytics(),
-            selfLearningSystem: selfLearningStatus
+            selfLearningSystem: selfLearningStatus,
+            extractionQueue: loadExtractionQueue().getStats()
         };
 
         // Check for warning conditions
@@ -320,6 +456,11 @@ app.get('/health', (req, res) => {
             healthStatus.status = 'warning';
         }
 
+        if (healthStatus.extractionQueue.depth > healthStatus.extractionQueue.concurrency * 10) {
+            warnings.push('Extraction queue backlog is growing');
+            healthStatus.status = 'warning';
+        }
+
         if (warnings.length > 0) {
             healthStatus.warnings = warnings;
         }
@@ -353,7 +494,7 @@ app.get('/learning-system-status', (req, res) => {
 });
 
 // Force maintenance endpoint (for debugging)
-app.post('/force-maintenance', async (req, res) => {
+app.post('/force-maintenance', requireApiKey('admin'), async (req, res) => {
     try {
         const { autoMaintenance } = require('./facebook_scraper/auto_maintenance');
         await autoMaintenance.forceMaintenance();
@@ -364,7 +505,7 @@ app.post('/force-maintenance', async (req, res) => {
 });
 
 // ✅ Export Performance Data Endpoint
-app.post('/export-performance', async (req, res) => {
+app.post('/export-performance', requireApiKey('admin'), async (req, res) => {
     try {
         const filePath = await loadPerformanceMonitor().exportPerformanceData();
         res.json({
@@ -383,7 +524,7 @@ app.post('/export-performance', async (req, res) => {
 });
 
 // ✅ Extraction Logs Endpoint - Get recent extraction logs
-app.get('/api/extraction-logs', (req, res) => {
+app.get('/api/extraction-logs', requireApiKey('extract'), (req, res) => {
     try {
         const {
             limit = 100,
@@ -492,7 +633,7 @@ app.get('/api/extraction-logs', (req, res) => {
 });
 
 // ✅ Get Specific Session Logs
-app.get('/api/extraction-logs/:sessionId', (req, res) => {
+app.get('/api/extraction-logs/:sessionId', requireApiKey('extract'), (req, res) => {
     try {
         const { sessionId } = req.params;
         const sessionLogs = loadExtractionLogger().getSessionLogs(sessionId);
@@ -520,7 +661,7 @@ app.get('/api/extraction-logs/:sessionId', (req, res) => {
 });
 
 // ✅ Get Active Sessions
-app.get('/api/extraction-sessions', (req, res) => {
+app.get('/api/extraction-sessions', requireApiKey('extract'), (req, res) => {
     try {
         const sessions = loadExtractionLogger().getActiveSessions();
         const stats = loadExtractionLogger().getStats();
@@ -540,8 +681,180 @@ app.get('/api/extraction-sessions', (req, res) => {
     }
 });
 
+// Client-chosen session IDs, so a progress stream can be opened before the extraction request
+const SESSION_ID_PATTERN = /^session_[A-Za-z0-9_-]{1,64}$/;
+const SESSION_START_TIMEOUT = 30000; // How long a stream waits for an unknown session to start
+
+// ✅ Stream Extraction Progress (Server-Sent Events)
+app.get('/api/extraction-sessions/:sessionId/stream', requireApiKey('extract'), (req, res) => {
+    const { sessionId } = req.params;
+    const extractionLogger = loadExtractionLogger();
+    const known = !!extractionLogger.getSessionLogs(sessionId);
+
+    if (!known && !SESSION_ID_PATTERN.test(sessionId)) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'Session not found',
+            sessionId
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    let startTimer = null;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    function close() {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(startTimer);
+        res.end();
+    }
+
+    function send(event) {
+        if (closed) return;
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.type === 'end') close();
+    }
+
+    const unsubscribe = extractionLogger.subscribe(sessionId, send);
+    req.on('close', close);
+
+    if (known) {
+        // Catch up on everything that happened before the client connected
+        extractionLogger.getSessionEvents(sessionId).forEach(send);
+    } else {
+        startTimer = setTimeout(() => {
+            if (!extractionLogger.getSessionLogs(sessionId)) {
+                send({ type: 'end', timestamp: new Date().toISOString(), status: 'not_found' });
+            }
+        }, SESSION_START_TIMEOUT);
+    }
+});
+
+// ✅ Brand Kit Export
+app.get('/api/extraction-sessions/:sessionId/brand-kit', requireApiKey('extract'), (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const format = req.query.format || 'tokens';
+        const exporter = loadBrandKitExporter();
+
+        if (!exporter.isSupportedFormat(format)) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'format must be one of tokens, css, scss, tailwind',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const session = loadExtractionLogger().getSessionLogs(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found',
+                sessionId
+            });
+        }
+        if (session.status !== 'completed' || !session.result) {
+            return res.status(409).json({
+                status: 'error',
+                error: `Session has no completed extraction result (status: ${session.status})`,
+                sessionId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const kit = exporter.export(session.result, format, { url: session.url });
+        res.set('Content-Type', `${kit.contentType}; charset=utf-8`);
+        if (req.query.download === 'true') {
+            res.attachment(kit.filename);
+        }
+        res.send(kit.body);
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ List Extraction Screenshots
+app.get('/api/extraction-sessions/:sessionId/screenshots', requireApiKey('extract'), (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const manifest = loadScreenshotStore().list(sessionId);
+        if (manifest) {
+            return res.json({
+                status: 'success',
+                ...manifest,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const session = loadExtractionLogger().getSessionLogs(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found',
+                sessionId
+            });
+        }
+        // Known session that was run without screenshots (or has not reached them yet)
+        res.json({
+            status: 'success',
+            sessionId,
+            url: session.url,
+            capturedAt: null,
+            screenshots: [],
+            errors: [],
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Get Extraction Screenshot
+app.get('/api/extraction-sessions/:sessionId/screenshots/:file', requireApiKey('extract'), (req, res) => {
+    const file = loadScreenshotStore().getFile(req.params.sessionId, req.params.file);
+    if (!file) {
+        return res.status(404).json({
+            status: 'error',
+            error: 'Screenshot not found',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // A session's screenshots are written once, so they can be cached for the retention period
+    res.set({
+        'Content-Type': file.contentType,
+        'Cache-Control': 'public, max-age=86400',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(file.path, (error) => {
+        if (error && !res.headersSent) {
+            res.status(500).json({ status: 'error', error: error.message, timestamp: new Date().toISOString() });
+        }
+    });
+});
+
 // ✅ Clear Extraction Logs (Emergency)
-app.post('/api/extraction-logs/clear', (req, res) => {
+app.post('/api/extraction-logs/clear', requireApiKey('admin'), (req, res) => {
     try {
         const clearedCount = loadExtractionLogger().clearAllLogs();
         
@@ -788,7 +1101,7 @@ app.get('/metrics', (req, res) => {
 });
 
 // ✅ Search History Endpoint
-app.get('/api/search-history', (req, res) => {
+app.get('/api/search-history', requireApiKey('admin'), (req, res) => {
     try {
         const {
             limit = 50,
@@ -949,7 +1262,7 @@ app.get('/api/search-history', (req, res) => {
 });
 
 // ✅ Search History Analytics
-app.get('/api/search-analytics', (req, res) => {
+app.get('/api/search-analytics', requireApiKey('admin'), (req, res) => {
     try {
         const analytics = loadSearchHistoryLogger().getSearchAnalytics();
         
@@ -968,7 +1281,7 @@ app.get('/api/search-analytics', (req, res) => {
 });
 
 // ✅ Export Search History
-app.get('/api/search-history/export', async (req, res) => {
+app.get('/api/search-history/export', requireApiKey('admin'), async (req, res) => {
     try {
         const { format = 'json' } = req.query;
         const exportPath = await loadSearchHistoryLogger().exportSearchHistory(format);
@@ -989,7 +1302,7 @@ app.get('/api/search-history/export', async (req, res) => {
 });
 
 // ✅ Detailed File Logs
-app.get('/api/logs/:logType', async (req, res) => {
+app.get('/api/logs/:logType', requireApiKey('admin'), async (req, res) => {
     try {
         const { logType } = req.params;
         const { limit = 100 } = req.query;
@@ -1013,7 +1326,7 @@ app.get('/api/logs/:logType', async (req, res) => {
 });
 
 // ✅ Log Files Status
-app.get('/api/logs-status', async (req, res) => {
+app.get('/api/logs-status', requireApiKey('admin'), async (req, res) => {
     try {
         const stats = await loadDetailedFileLogger().getLogStats();
         
@@ -1032,7 +1345,7 @@ app.get('/api/logs-status', async (req, res) => {
 });
 
 // ✅ Search All Logs
-app.get('/api/logs/search/:query', async (req, res) => {
+app.get('/api/logs/search/:query', requireApiKey('admin'), async (req, res) => {
     try {
         const { query } = req.params;
         const { limit = 50, logTypes } = req.query;
@@ -1117,6 +1430,9 @@ async function startServer() {
     if (!chromeReady) {
       console.error('❌ Failed to initialize Chrome. Server may not work properly.');
       // Continue anyway - some endpoints might still work
+    } else {
+      // Warm the browser pool in the background so the first extraction skips the launch
+      loadBrowserPool().warmUp();
     }
     
     // Step 3: Start the Express server
@@ -1128,11 +1444,22 @@ async function startServer() {
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔧 Chrome Status: ${chromeReady ? '✅ Ready' : '⚠️  Limited'}`);
       console.log(`🧠 Adaptive Mode: ${process.env.ADAPTIVE_MODE !== 'false' ? '✅ Enabled' : '❌ Disabled'}`);
+      console.log(`🔑 API Keys: ${loadApiKeyManager().isEnforced() ? '✅ Required' : '⚠️  Not required (no keys configured)'}`);
       console.log('='.repeat(65));
       console.log('📋 Available Endpoints:');
       console.log('   POST /api/extract-company-details - Main extraction endpoint');
+      console.log('   POST /api/extraction-jobs         - Batch extraction jobs');
+      console.log('   GET  /api/schemas/extraction-response - Response JSON schema (?v=1|2)');
+      console.log('   GET  /api/openapi.json            - OpenAPI specification (docs at /docs)');
+      console.log('   GET  /api/extraction-jobs/:id     - Batch job status & results');
+      console.log('   GET  /assets/:hash                - Converted logo/icon/banner images');
+      console.log('   GET  /api/cache                   - Extraction cache entries & stats');
+      console.log('   POST /api/cache/purge             - Purge cache by url/domain');
       console.log('   GET  /api/extraction-logs         - Real-time extraction logs');
-      console.log('   GET  /api/extraction-sessions     - Active extraction sessions');
+      console.log('   GET  /api/extraction-sessions     - Active extraction sessions & webhooks');
+      console.log('   GET  /api/extraction-sessions/:id/stream - Live extraction progress (SSE)');
+      console.log('   GET  /api/extraction-sessions/:id/brand-kit - Design tokens, CSS, SCSS or Tailwind');
+      console.log('   GET  /api/extraction-sessions/:id/screenshots - Desktop & mobile screenshots');
       console.log('   GET  /api/system-health           - System health dashboard');
       console.log('   GET  /api/search-history          - Search history & analytics');
       console.log('   GET  /api/logs/:type              - Detailed file logs');
@@ -1207,10 +1534,20 @@ app.get('/status', (req, res) => {
       platform: os.platform(),
       nodeVersion: process.version,
       adaptiveSystem: adaptiveStatus,
+      apiKeysRequired: loadApiKeyManager().isEnforced(),
       endpoints: {
         extraction: '/api/extract-company-details',
+        extractionJobs: '/api/extraction-jobs',
+        responseSchema: '/api/schemas/extraction-response',
+        openApi: '/api/openapi.json',
+        docs: '/docs',
+        assets: '/assets/:hash',
+        cache: '/api/cache',
         extractionLogs: '/api/extraction-logs',
         extractionSessions: '/api/extraction-sessions',
+        extractionStream: '/api/extraction-sessions/:sessionId/stream',
+        brandKit: '/api/extraction-sessions/:sessionId/brand-kit',
+        screenshots: '/api/extraction-sessions/:sessionId/screenshots',
         systemHealth: '/api/system-health',
         searchHistory: '/api/search-history',
         detailedLogs: '/api/logs/:type',
@@ -2040,13 +2377,18 @@ async function launchBrowserWithRetry(launchOptions, context = '') {
 }
 
 /**
- * Enhanced page navigation with retry and detailed error logging
+ * Enhanced page navigation with retry and detailed error logging.
+ * robots.txt is checked once before the first attempt unless `ignoreRobotsTxt` is set.
+ * The redirects of the navigation are recorded; redirectTracker.finish(page) returns them.
  */
 async function navigateToPageWithRetry(page, url, options = {}) {
-    const { timeout = 45000, waitUntil = 'domcontentloaded', context = '' } = options;
+    const { timeout = 45000, waitUntil = 'domcontentloaded', context = '', ignoreRobotsTxt = false } = options;
+
+    await loadRobotsTxt().enforce(url, { override: ignoreRobotsTxt });
     
     return await retryWithBackoff(async () => {
         logger.debug(`Navigating to URL ${context}`, { details: { url, timeout, waitUntil } });
+        loadRedirectTracker().track(page, url);
         
         try {
             const response = await page.goto(url, {
@@ -2063,7 +2405,8 @@ async function navigateToPageWithRetry(page, url, options = {}) {
                 details: { 
                     url, 
                     status,
-                    finalUrl: page.url()
+                    finalUrl: page.url(),
+                    redirects: response.request().redirectChain().length
                 }
             });
             
@@ -2091,16 +2434,10 @@ async function navigateToPageWithRetry(page, url, options = {}) {
 }
 
 /**
- * Sets up a Puppeteer browser instance and a new page, then navigates to the given URL.
- * Includes error handling for browser launch and page navigation.
- * This version is specifically for the /api/extract-company-details endpoint.
- * @param {string} url - The URL to navigate to.
- * @returns {Promise<{browser: import('puppeteer').Browser, page: import('puppeteer').Page}>} A promise that resolves to an object containing the browser and page objects.
- * @throws Will throw an error if Puppeteer setup or navigation fails.
+ * Launch options for browsers used by the company details extraction pool.
+ * @returns {import('puppeteer').LaunchOptions}
  */
-async function setupPuppeteerPageForCompanyDetails(url) {
-    logger.info('Setting up browser for company details extraction', { details: { url } });
-    
+function getCompanyDetailsLaunchOptions() {
     const browserPath = getBrowserExecutablePath();
     
     const launchOptions = {
@@ -2118,12 +2455,72 @@ async function setupPuppeteerPageForCompanyDetails(url) {
     if (browserPath) {
         launchOptions.executablePath = browserPath;
     }
-    
-    // Launch browser with enhanced retry and logging
-    const browser = await launchBrowserWithRetry(launchOptions, 'for company details');
+
+    return launchOptions;
+}
+
+// Pooled browsers are launched with the same options and retry logic as before
+loadBrowserPool().configure({
+    launch: async () => {
+        const launchTimer = loadPerformanceMonitor().startTimer('browser_launch');
+        try {
+            const browser = await launchBrowserWithRetry(getCompanyDetailsLaunchOptions(), 'for browser pool');
+            loadPerformanceMonitor().endTimer(launchTimer, true, { context: 'browser pool' });
+            return browser;
+        } catch (error) {
+            loadPerformanceMonitor().endTimer(launchTimer, false, { context: 'browser pool', error: error.message });
+            throw error;
+        }
+    }
+});
+
+/**
+ * Leases an isolated browser context from the pool and a new page, then navigates to the given URL.
+ * Includes error handling for browser launch and page navigation.
+ * This version is specifically for the /api/extract-company-details endpoint.
+ * @param {string} url - The URL to navigate to.
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreRobotsTxt] - Navigate even when robots.txt disallows the URL (owned sites)
+ * @returns {Promise<{browser: import('puppeteer').Browser, page: import('puppeteer').Page, lease: {release: Function}}>} A promise that resolves to the pooled browser, the page and the lease that must be released when done.
+ * @throws Will throw an error if Puppeteer setup or navigation fails.
+ */
+/**
+ * **SIMPLIFIED: Minimal request interception for LinkedIn compatibility**
+ * Blocks analytics, ad pixels and video files; every other request goes through.
+ * @param {import('puppeteer').Page} page
+ */
+async function blockTrackingRequests(page) {
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+        const url = req.url();
+        const resourceType = req.resourceType();
+        
+        // Only block obviously unnecessary resources, allow everything else for LinkedIn
+        if (url.includes('google-analytics') ||
+            url.includes('googletagmanager') ||
+            url.includes('doubleclick') ||
+            url.includes('facebook.com/tr') ||
+            (resourceType === 'media' && (url.includes('.mp4') || url.includes('.mov')))) {
+            req.abort();
+        } else {
+            req.continue();
+        }
+    });
+}
+
+async function setupPuppeteerPageForCompanyDetails(url, { ignoreRobotsTxt = false } = {}) {
+    logger.info('Setting up browser for company details extraction', { details: { url } });
+
+    // Checked before leasing a browser so disallowed sites cost nothing
+    const robots = await loadRobotsTxt().enforce(url, { override: ignoreRobotsTxt });
+    logger.debug('robots.txt check passed', { details: { url, reason: robots.reason } });
+
+    // Lease a warm browser context instead of launching a new browser
+    const lease = await loadBrowserPool().acquire('company details');
+    const browser = lease.browser;
 
     try {
-        const page = await browser.newPage();
+        const page = await lease.context.newPage();
         page.setDefaultNavigationTimeout(180000); // Default navigation timeout (3 minutes)
         await page.setViewport({ width: 1366, height: 768 }); // LinkedIn-optimized viewport
         
@@ -2144,23 +2541,10 @@ async function setupPuppeteerPageForCompanyDetails(url) {
             'Upgrade-Insecure-Requests': '1'
         });
 
-        // **SIMPLIFIED: Minimal request interception for LinkedIn compatibility**
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            const url = req.url();
-            const resourceType = req.resourceType();
-            
-            // Only block obviously unnecessary resources, allow everything else for LinkedIn
-            if (url.includes('google-analytics') ||
-                url.includes('googletagmanager') ||
-                url.includes('doubleclick') ||
-                url.includes('facebook.com/tr') ||
-                (resourceType === 'media' && (url.includes('.mp4') || url.includes('.mov')))) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
+        await blockTrackingRequests(page);
+
+        // Record HTTP and client redirects across all attempts (see redirect-tracker.js)
+        loadRedirectTracker().track(page, url);
 
         // Navigation with retry logic and progressive wait conditions
         let response;
@@ -2249,11 +2633,9 @@ async function setupPuppeteerPageForCompanyDetails(url) {
         
         // Give the page a moment to settle after navigation (reduced delay)
         await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced from 2000ms to 1000ms
-        return { browser, page };
+        return { browser, page, lease, response };
     } catch (error) {
-        if (browser) {
-            await browser.close(); // Ensure browser is closed on error during setup
-        }
+        await lease.release(); // Ensure the context is closed on error during setup
         // Re-throw the error to be caught by the endpoint's main try-catch block
         if (error.message && error.message.includes(url)) {
             throw error; // Error message already contains URL and potentially status
@@ -3197,6 +3579,10 @@ async function cleanUpTempImageFile(filePath, shouldCleanUp) {
       colors: topColors,
       hex: topColors[0],
       rgb: rgb ? `rgb(${rgb.r},${rgb.g},${rgb.b})` : 'rgb(0,0,0)',
+      // Named swatches (Vibrant, DarkVibrant, Muted, ...) including greys, for color role classification
+      swatches: Object.entries(palette)
+        .filter(([, swatch]) => swatch)
+        .map(([name, swatch]) => ({ name, hex: swatch.getHex(), population: swatch.getPopulation() })),
       format: metadata.format,
       size: metadata.size || imageWidth * imageHeight
     };
@@ -3238,8 +3624,53 @@ async function cleanUpTempImageFile(filePath, shouldCleanUp) {
   }
 const scraperLink = require('./linkedin_scraper');
 const fss = require('fs').promises;
-async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { // Added browser and sessionId arguments
+
+/**
+ * Runs a scraper inside its own leased incognito context and always returns the lease,
+ * even when the caller stops waiting because of a timeout.
+ * @param {string} label - Scraper name, used in pool logs.
+ * @param {(context: import('puppeteer').BrowserContext) => Promise<any>} fn
+ */
+async function withPooledContext(label, fn) {
+    const lease = await loadBrowserPool().acquire(label);
+    try {
+        return await fn(lease.context);
+    } finally {
+        await lease.release();
+    }
+}
+
+/**
+ * Extracts logo, colors, fonts, images and company details from a loaded page,
+ * enriched with LinkedIn, Facebook and X data when their pages are linked.
+ * @param {string[]} [stages] - Extraction stages to run (see utils/extraction-fields.js); all when omitted
+ * @param {Object} [options]
+ * @param {{viewports: string[], fullPage: boolean}} [options.screenshots] - Capture screenshots first (see screenshot-store.js)
+ * @param {Object} [options.responseHeaders] - Headers of the main document response, for technology detection
+ * @param {boolean} [options.ignoreRobotsTxt] - Crawl subpages and scrape LinkedIn, Facebook and X pages robots.txt disallows
+ */
+async function extractCompanyDetailsFromPage(page, url, browser, sessionId, stages = null, options = {}) { // Added browser and sessionId arguments
     const startTime = Date.now();
+    const runs = (stage) => !stages || stages.includes(stage);
+    const ignoreRobotsTxt = !!options.ignoreRobotsTxt;
+
+    // Per-stage timings reported in _performance.stages. Stages run in parallel, so durations overlap.
+    const stageTimings = {};
+    const timeStage = async (stage, work) => {
+        if (!runs(stage)) {
+            stageTimings[stage] = { status: 'skipped', reason: 'not requested' };
+            return undefined;
+        }
+        const stageStart = Date.now();
+        try {
+            const result = await work();
+            stageTimings[stage] = { status: 'completed', durationMs: Date.now() - stageStart };
+            return result;
+        } catch (error) {
+            stageTimings[stage] = { status: 'failed', durationMs: Date.now() - stageStart, error: error.message };
+            throw error;
+        }
+    };
     logger.info('Starting company details extraction from page', { details: { url } });
     // Helper to get content from meta tags more reliably
     const getMetaContent = async (page, selectors) => { // Added page argument
@@ -3651,14 +4082,23 @@ async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { //
                     } catch (e) { /* ignore selector errors */ }
                 });
 
+                // 3. Page background and body text, for the background and text roles
+                const opaque = (value) => value && value !== 'transparent' && value !== 'rgba(0, 0, 0, 0)';
+                const surfaceElement = [document.body, document.documentElement]
+                    .find(el => el && opaque(window.getComputedStyle(el).backgroundColor));
+                const surfaces = {
+                    background: surfaceElement ? window.getComputedStyle(surfaceElement).backgroundColor : null,
+                    text: document.body ? window.getComputedStyle(document.body).color : null
+                };
+
                 // Convert Map to Array for easier processing/sorting later if needed
-                return Array.from(collectedColors.values());
+                return { colors: Array.from(collectedColors.values()), surfaces };
             });
 
             // Post-processing: Sort by brightness or count, select top N, etc.
             // For now, just take them as found, up to a limit.
             // A more sophisticated selection would involve frequency, source priority, contrast checks, etc.
-            let finalColors = colorsData;
+            let finalColors = [...colorsData.colors];
 
             // Sort by brightness (desc) then by count (desc) as a simple heuristic for "importance"
             finalColors.sort((a, b) => {
@@ -3673,17 +4113,24 @@ async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { //
             finalColors = finalColors.slice(0, 4); // Reduced from 6 to 4 colors for faster processing
 
             console.log(`[getBrandColors] Found ${finalColors.length} potential brand colors.`);
-            return finalColors.map(c => ({
-                hex: c.hex,
-                rgb: c.rgb,
-                brightness: c.brightness,
-                // name: c.sources.join(', ').substring(0,50) // Use first source as a hint for name
-                name: c.sources[0] // Simpler name from first source
-            }));
+            return {
+                colors: finalColors.map(c => ({
+                    hex: c.hex,
+                    rgb: c.rgb,
+                    brightness: c.brightness,
+                    // name: c.sources.join(', ').substring(0,50) // Use first source as a hint for name
+                    name: c.sources[0] // Simpler name from first source
+                })),
+                // All collected colors with their sources feed the color role classification
+                roleSources: {
+                    candidates: colorsData.colors.map(c => ({ hex: c.hex, count: c.count, sources: c.sources.slice(0, 10) })),
+                    surfaces: colorsData.surfaces
+                }
+            };
 
         } catch (e) {
             console.warn("[getBrandColors] Error during color extraction:", e.message);
-            return [];
+            return { colors: [], roleSources: { candidates: [], surfaces: {} } };
         }
     };
 
@@ -3691,24 +4138,21 @@ async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { //
     const getKeyFonts = async (page) => {
         console.log(`[getKeyFonts] Starting font extraction.`);
         try {
-            // Helper function to parse the primary font name from a CSS font-family stack
-            const parsePrimaryFont = (fontStack) => {
-                if (!fontStack || typeof fontStack !== 'string') return null;
-                // Split by comma, take the first part, remove quotes and trim
-                const firstFont = fontStack.split(',')[0].trim();
-                return firstFont.replace(/^['"]|['"]$/g, ''); // Remove surrounding quotes
-            };
-
             const fontsInfo = await page.evaluate(() => {
-                const getFontFamily = (selectors) => {
+                // Computed font of a sample of elements per role, so the weights and styles in use are known
+                const sampleFonts = (selectors, limit) => {
+                    const samples = [];
                     for (const selector of selectors) {
-                        const element = document.querySelector(selector);
-                        if (element) {
-                            const ff = window.getComputedStyle(element).fontFamily;
-                            if (ff) return ff;
-                        }
+                        try {
+                            Array.from(document.querySelectorAll(selector)).slice(0, 5).forEach(element => {
+                                if (samples.length >= limit || !(element.innerText || '').trim()) return;
+                                const style = window.getComputedStyle(element);
+                                if (style.fontFamily) samples.push({ stack: style.fontFamily, weight: style.fontWeight, style: style.fontStyle });
+                            });
+                        } catch (e) { /* ignore selector errors */ }
+                        if (samples.length >= limit) break;
                     }
-                    return null;
+                    return samples;
                 };
 
                 // More targeted selectors for headings
@@ -3718,53 +4162,66 @@ async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { //
                     '[class*="headline"]', '[class*="heading"]', '[class*="title"]', // Class names indicating headings
                     '[role="heading"][aria-level="1"]', '[role="heading"][aria-level="2"]' // ARIA roles
                 ];
-                const headingFontStack = getFontFamily(headingSelectors);
 
                 // More targeted selectors for body text
                 const bodySelectors = [
                     'p', // Standard paragraph
                     'article p', 'main p', 'section p', // Paragraphs within semantic content areas
                     '.content p', '.text-block p', '[class*="body-text"] p', '[class*="content-text"] p', // Paragraphs within common content divs
-                    'body' // Fallback to body itself if no specific p text found
+                    'li', 'body' // Fallback to list items and the body itself if no paragraph text is found
                 ];
-                let bodyFontStack = getFontFamily(bodySelectors);
 
-                // If body font is same as heading, try a more generic body selector as a last resort for differentiation
-                if (bodyFontStack === headingFontStack) {
-                    bodyFontStack = window.getComputedStyle(document.body).fontFamily;
-                }
+                // @font-face rules, following @import and @media; cross-origin sheets cannot be read
+                const faces = [];
+                const stylesheets = [];
+                const visitRules = (rules, sheetHref) => {
+                    Array.from(rules || []).forEach(rule => {
+                        if (rule.type === CSSRule.FONT_FACE_RULE) {
+                            faces.push({
+                                family: rule.style.getPropertyValue('font-family').trim(),
+                                src: rule.style.getPropertyValue('src'),
+                                weight: rule.style.getPropertyValue('font-weight') || null,
+                                style: rule.style.getPropertyValue('font-style') || null,
+                                sheet: sheetHref
+                            });
+                        } else if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+                            visitSheet(rule.styleSheet);
+                        } else if (rule.cssRules) {
+                            visitRules(rule.cssRules, sheetHref);
+                        }
+                    });
+                };
+                const visitSheet = (sheet) => {
+                    if (sheet.href) stylesheets.push(sheet.href);
+                    let rules = null;
+                    try { rules = sheet.cssRules; } catch (e) { /* Cross-origin stylesheet */ }
+                    visitRules(rules, sheet.href || location.href);
+                };
+                Array.from(document.styleSheets).slice(0, 100).forEach(visitSheet);
+                document.querySelectorAll('link[rel="stylesheet"][href], link[rel="preload"][as="font"][href]')
+                    .forEach(link => stylesheets.push(link.href));
 
-                return { headingFontStack, bodyFontStack };
-            });
+                const fontSet = document.fonts ? Array.from(document.fonts).slice(0, 200).map(face => ({
+                    family: face.family, weight: face.weight, style: face.style, status: face.status
+                })) : [];
 
-            const headingFontName = parsePrimaryFont(fontsInfo.headingFontStack);
-            const bodyFontName = parsePrimaryFont(fontsInfo.bodyFontStack);
+                const fontFiles = performance.getEntriesByType('resource')
+                    .map(entry => entry.name)
+                    .filter(name => /\.(woff2?|ttf|otf|eot)(\?|#|$)/i.test(name) || /fonts\.gstatic\.com|typekit\.net/i.test(name))
+                    .slice(0, 100);
 
-            const resultFonts = [];
-            if (headingFontName) {
-                resultFonts.push({
-                    name: headingFontName,
-                    type: 'heading', // Heuristic type
-                    stack: fontsInfo.headingFontStack || ''
-                });
-            }
-            if (bodyFontName) {
-                // Avoid adding the same font entry if body font resolves to the same as heading
-                if (!headingFontName || (headingFontName && bodyFontName !== headingFontName) ||
-                    (bodyFontName === headingFontName && fontsInfo.bodyFontStack !== fontsInfo.headingFontStack)) {
-                    resultFonts.push({
-                        name: bodyFontName,
-                        type: 'body', // Heuristic type
-                        stack: fontsInfo.bodyFontStack || ''
-                    });
-                } else if (!headingFontName && bodyFontName) { // Only body font was found
-                     resultFonts.push({
-                        name: bodyFontName,
-                        type: 'body',
-                        stack: fontsInfo.bodyFontStack || ''
-                    });
-                }
-            }
+                return {
+                    pageUrl: location.href,
+                    usage: { heading: sampleFonts(headingSelectors, 10), body: sampleFonts(bodySelectors, 10) },
+                    faces: faces.slice(0, 200),
+                    stylesheets: [...new Set(stylesheets)],
+                    fontSet,
+                    fontFiles
+                };
+            });
+
+            // Providers, font files, weights/styles in use and fallback-only stacks per role
+            const resultFonts = resolveFonts(fontsInfo);
 
             console.log(`[getKeyFonts] Extracted fonts:`, JSON.stringify(resultFonts));
             return resultFonts; // Return array structure
@@ -3853,290 +4310,189 @@ async function extractCompanyDetailsFromPage(page, url, browser, sessionId) { //
     };
 
     // 3e. Extract Company Information (Name, Description, etc.)
+    // Every value found is kept as a candidate with its source; the source-priority policy picks the result
     const getCompanyInfo = async (page, inputUrl) => { // Added page argument
-        let name = await getMetaContent(page, ['meta[property="og:site_name"]', 'meta[name="application-name"]', 'meta[name="twitter:title"]', 'meta[itemprop="name"]']);
-        if (!name) name = await getTextFromSelectors(page, ['title']);
-
-        let description = await getMetaContent(page, ['meta[property="og:description"]', 'meta[name="description"]', 'meta[name="twitter:description"]', 'meta[itemprop="description"]']);
+        const candidates = [];
+        const offer = (field, value, source, detail) => {
+            if (value === undefined || value === null || typeof value === 'object') return;
+            const limit = { Name: 255, Description: 1000 }[field]; // Max length
+            const text = String(value).trim();
+            if (text) candidates.push({ field, value: limit ? text.substring(0, limit) : text, source, detail, url: inputUrl });
+        };
+        const offerMeta = async (field, selectors) => {
+            for (const selector of selectors) {
+                offer(field, await getMetaContent(page, [selector]), 'meta', selector.match(/="([^"]+)"/)[1]);
+            }
+        };
 
-        let website = await getMetaContent(page, ['meta[property="og:url"]']);
-        if(!website) website = await getAttributeFromSelectors(page, ['link[rel="canonical"]'], 'href');
-        website = resolveUrl(website, inputUrl) || inputUrl;
+        await offerMeta('Name', ['meta[property="og:site_name"]', 'meta[name="application-name"]', 'meta[name="twitter:title"]', 'meta[itemprop="name"]']);
+        offer('Name', await getTextFromSelectors(page, ['title']), 'dom', 'title');
 
+        await offerMeta('Description', ['meta[property="og:description"]', 'meta[name="description"]', 'meta[name="twitter:description"]', 'meta[itemprop="description"]', 'meta[name="abstract"]', 'meta[name="subject"]']);
 
-        let industry = null, location = null, founded = null, companyType = null, employees = null;
-        let keywords = [];
+        offer('Website', resolveUrl(await getMetaContent(page, ['meta[property="og:url"]']), inputUrl), 'meta', 'og:url');
+        offer('Website', resolveUrl(await getAttributeFromSelectors(page, ['link[rel="canonical"]'], 'href'), inputUrl), 'dom', 'link[rel="canonical"]');
+        offer('Website', inputUrl, 'url', 'requested URL');
 
+        // schema.org data declared as JSON-LD, microdata or RDFa
+        let structured = null;
         try {
-            const jsonLdData = await page.evaluate(() => {
-                const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-                const allJson = [];
-                scripts.forEach(script => {
-                    try { allJson.push(JSON.parse(script.textContent || '{}')); }
-                    catch (e) { console.warn("Error parsing individual JSON-LD script:", e.message); }
-                });
-                return allJson;
-            });
-
-            const processJsonLdObject = (obj) => {
-                if (!obj || typeof obj !== 'object') return;
-
-                const type = obj['@type'];
-                const isOrg = type === 'Organization' || type === 'Corporation' || (Array.isArray(type) && (type.includes('Organization') || type.includes('Corporation')));
-
-                if (isOrg) {
-                    if (!name && obj.name) name = typeof obj.name === 'string' ? obj.name.trim() : String(obj.name).trim();
-                    if (!description && obj.description) description = String(obj.description).trim();
-                    if (!description && obj.disambiguatingDescription) description = String(obj.disambiguatingDescription).trim();
-
-                    if (!industry && obj.industry) {
-                        industry = Array.isArray(obj.industry) ? obj.industry.map(String).join(', ') : String(obj.industry);
-                    }
-
-                    if (!location && obj.address) {
-                        const addr = obj.address;
-                        let locParts = [];
-                        if (addr.streetAddress) locParts.push(addr.streetAddress);
-                        if (addr.addressLocality) locParts.push(addr.addressLocality);
-                        if (addr.addressRegion) locParts.push(addr.addressRegion);
-                        if (addr.postalCode) locParts.push(addr.postalCode);
-                        if (addr.addressCountry) locParts.push(typeof addr.addressCountry === 'string' ? addr.addressCountry : addr.addressCountry.name);
-                        if (locParts.length > 0) location = locParts.join(', ');
-                        else if (typeof addr === 'string') location = addr;
-                    }
-                     if (!location && obj.location?.address) { // Nested location
-                        const addr = obj.location.address;
-                        let locParts = [];
-                        if (addr.streetAddress) locParts.push(addr.streetAddress);
-                        if (addr.addressLocality) locParts.push(addr.addressLocality);
-                        // ... (similar address parsing as above)
-                        if (locParts.length > 0) location = locParts.join(', ');
-                        else if (typeof addr === 'string') location = addr;
-                    }
-
-
-                    if (!founded && obj.foundingDate) founded = String(obj.foundingDate);
-
-                    if (!employees && obj.numberOfEmployees) {
-                        const emp = obj.numberOfEmployees;
-                        if (emp.value) employees = String(emp.value);
-                        else if (emp.minValue && emp.maxValue) employees = `${emp.minValue}-${emp.maxValue}`;
-                        else if (typeof emp === 'string' || typeof emp === 'number') employees = String(emp);
-                    }
-                    if (!website && obj.url && typeof obj.url === 'string' && obj.url.startsWith('http')) website = obj.url;
-                    if (obj.keywords) {
-                        const kw = typeof obj.keywords === 'string' ? obj.keywords.split(',') : (Array.isArray(obj.keywords) ? obj.keywords : []);
-                        keywords.push(...kw.map(k => String(k).trim()));
-                    }
-                    if (obj.knowsAbout) {
-                         const ka = Array.isArray(obj.knowsAbout) ? obj.knowsAbout : [obj.knowsAbout];
-                         ka.forEach(item => {
-                             if(typeof item === 'string') keywords.push(item.trim());
-                             else if (item && item.name && typeof item.name === 'string') keywords.push(item.name.trim());
-                         });
-                    }
-                }
-                // Recursively search in properties if it's an object or array
-                Object.values(obj).forEach(value => {
-                    if (typeof value === 'object' || Array.isArray(value)) {
-                        processJsonLdObject(value);
-                    }
-                });
-            };
-
-            if (Array.isArray(jsonLdData)) {
-                jsonLdData.forEach(processJsonLdObject);
-            } else if (typeof jsonLdData === 'object') {
-                processJsonLdObject(jsonLdData);
-            }
-
+            structured = await loadStructuredData().extract(page, inputUrl);
+            loadStructuredData().fieldCandidates(structured, inputUrl)
+                .forEach(candidate => offer(candidate.field, candidate.value, candidate.source, candidate.detail));
         } catch(e) {
-            console.warn("Error processing JSON-LD for company info:", e.message);
+            console.warn("Error reading structured data for company info:", e.message);
         }
 
-        // Fallback for name if still not found
-        if (!name) name = await getTextFromSelectors(page, ['h1', '.site-title', 'header [class*="title"]', 'meta[name="title"]']);
-        // Fallback for description
-        if (!description) description = await getMetaContent(page, ['meta[name="abstract"]', 'meta[name="subject"]']);
-
-        if (keywords.length > 0 && !industry) { // Use keywords as a fallback for industry
-            industry = [...new Set(keywords)].slice(0, 3).join(', '); // Take unique keywords, up to 3
+        // Headings name the company when nothing else does
+        for (const selector of ['h1', '.site-title', 'header [class*="title"]']) {
+            const text = await getTextFromSelectors(page, [selector]);
+            if (text) {
+                offer('Name', text, 'dom', selector);
+                break;
+            }
         }
 
-
-        return {
-            Name: name ? name.substring(0, 255) : null, // Max length
-            Description: description ? description.substring(0, 1000) : null, // Max length
-            Industry: industry, Location: location,
-            Founded: founded, CompanyType: companyType, Employees: employees, Website: website
-        };
+        return { info: resolveFieldSources(candidates, fieldSourcePolicy).values, candidates, structuredData: structured };
     };
 
-    // 3f. Extract Social Media Links
-    const getSocialLinks = async (page, baseUrl) => { // Added page, baseUrl arguments
-        let links = await page.evaluate((pageBaseUrl) => { // Renamed for clarity
-            const foundLinks = {};
-            const socialSelectors = { // More comprehensive selectors
-                Twitter: [
-                    'a[href*="twitter.com/"][href*="intent/"]', // Less likely to be the main profile
-                    'a[href*="twitter.com/"]',
-                    'a[href*="x.com/"]',
-                    'a[aria-label*="Twitter"i]',
-                    'a[title*="Twitter"i]',
-                    'a[title*="X.com"i]',
-                    'a:has(svg[aria-label*="Twitter"i])',
-                    'a[aria-label*="twitter"i]',
-                    'meta[property="og:see_also"][content*="twitter.com"]',
-                    'meta[name="twitter:site"]' // Content is often @handle
-                ],
-                LinkedIn: [
-                    // Prioritize specific /company/ URLs
-                    'a[href*="linkedin.com/company/"]',
-                    'a[href*="linkedin.com/school/"]',
-                    'a[href*="linkedin.com/in/"]',
-                    'a[href*="linkedin.com/showcase/"]',
-                    // More generic selectors
-                    'a[aria-label*="LinkedIn"i]',
-                    'a[title*="LinkedIn"i]',
-                    'a[href*="linkedin.com"]',
-                    // Fallbacks
-                    'a:has(img[alt*="LinkedIn"i])',
-                    'a:has(i[class*="linkedin"i])',
-                    'a:has(svg[aria-label*="LinkedIn"i])',
-                    'a[aria-label*="linkedin"i]',
-                    'meta[property="og:see_also"][content*="linkedin.com"]'
-                ],
-                Facebook: [
-                    'a[href*="facebook.com/"]',
-                    'a[href*="fb.me/"]',
-                    'a[aria-label*="Facebook"i]',
-                    'a[title*="Facebook"i]',
-                    'a:has(svg[aria-label*="Facebook"i])',
-                    'a[aria-label*="facebook"i]',
-                    'meta[property="og:see_also"][content*="facebook.com"]'
-                ],
-                YouTube: [
-                    'a[href*="youtube.com/channel/"]',
-                    'a[href*="youtube.com/user/"]',
-                    'a[href*="youtube.com/c/"]',
-                    'a[aria-label*="YouTube"i]',
-                    'a[title*="YouTube"i]',
-                    'a:has(svg[aria-label*="YouTube"i])',
-                    'a[aria-label*="youtube"i]',
-                    'meta[property="og:see_also"][content*="youtube.com"]'
-                ],
-                Instagram: [
-                    'a[href*="instagram.com/"]',
-                    'a[aria-label*="Instagram"i]',
-                    'a[title*="Instagram"i]',
-                    'a:has(svg[aria-label*="Instagram"i])',
-                    'a[aria-label*="instagram"i]',
-                    'meta[property="og:see_also"][content*="instagram.com"]'
-                ],
-            };
-
-            const resolveSocialUrl = (link, platform) => {
-                if (!link) return null;
-                if (platform === 'Twitter' && link.startsWith('@')) {
-                    return `https://twitter.com/${link.substring(1)}`;
-                }
-                try { return new URL(link, pageBaseUrl).href; }
-                catch (e) { return null; }
-            };
+    // Sections are reported as they finish so progress streams can show them early
+    const reportPartial = (section) => (data) => {
+        if (data !== undefined) loadExtractionLogger().partial(sessionId, section, data);
+        return data;
+    };
 
-            for (const [socialName, selectors] of Object.entries(socialSelectors)) {
-                if (foundLinks[socialName]) continue; // Already found a good one
-
-                for (const selector of selectors) {
-                    try {
-                        if (selector.startsWith('meta[')) { // Handle meta tags
-                            const metaElement = document.querySelector(selector);
-                            if (metaElement && metaElement.content) {
-                                const resolved = resolveSocialUrl(metaElement.content, socialName);
-                                if (resolved) { foundLinks[socialName] = resolved; break; }
-                            }
-                        } else { // Handle anchor tags
-                            const elements = Array.from(document.querySelectorAll(selector));
-                            for (const el of elements) {
-                                const href = el.href;
-                                // Basic filter to avoid share links, mailto, etc.
-                                if (href && !href.startsWith('mailto:') && !href.includes('share') && !href.includes('intent')) {
-                                     const resolved = resolveSocialUrl(href, socialName);
-                                     if (resolved) {foundLinks[socialName] = resolved; break;}
-                                }
-                            }
-                        }
-                    } catch (e) { /* ignore selector errors */ }
-                    if (foundLinks[socialName]) break;
-                }
-            }
-            return foundLinks;
-        }, baseUrl);
-
-        return links || {};
-    };
+    // Screenshots are taken before any stage scrolls or clicks, so they show the page as it loaded
+    if (options.screenshots) {
+        const screenshotStart = Date.now();
+        try {
+            const manifest = await Promise.race([
+                // The mobile page opens in the extraction's own context, with the same request filtering
+                loadScreenshotStore().capture(page, sessionId, { url, context: page.browserContext(), preparePage: blockTrackingRequests, ...options.screenshots }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Screenshot capture timeout')), 60000))
+            ]);
+            loadExtractionLogger().setScreenshots(sessionId, manifest);
+            stageTimings.screenshots = { status: 'completed', durationMs: Date.now() - screenshotStart, captured: manifest.screenshots.length };
+        } catch (error) {
+            console.warn('[Screenshots] Capture failed:', error.message);
+            stageTimings.screenshots = { status: 'failed', durationMs: Date.now() - screenshotStart, error: error.message };
+        }
+    }
 
     // Execute logo details first as its output is needed by getGeneralImages
-    const logoData = await getLogoDetails(page, url);
+    const logoData = reportPartial('Logo')(await timeStage('logo', () => getLogoDetails(page, url)));
     let colorAnalysis ={};
     let logoColors = {};
     let bannerColors = {};
+    let colorRoleSources = { candidates: [], surfaces: {} };
+    let socialProfiles = [];
+    let companyCandidates = [];
     // Execute remaining extraction functions in parallel with timeout for each
     console.log('[Extraction] Starting parallel data extraction...');
-    const [colorData, fontData, imageData, companyInfoData, socialLinkData] = await Promise.all([
-        Promise.race([
+    const [colorData, fontData, imageData, iconData, technologyData, companyInfoData, socialLinkData, contactData] = await Promise.all([
+        timeStage('colors', () => Promise.race([
             getBrandColors(page),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Color extraction timeout')), 30000))
-        ]).catch(err => { console.warn('[Colors] Extraction failed:', err.message); return []; }),
+        ])).then(brandColors => {
+            if (!brandColors) return brandColors; // Stage skipped
+            colorRoleSources = brandColors.roleSources;
+            return brandColors.colors;
+        }).catch(err => { console.warn('[Colors] Extraction failed:', err.message); return []; }).then(reportPartial('Colors')),
         
-        Promise.race([
+        timeStage('fonts', () => Promise.race([
             getKeyFonts(page),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Font extraction timeout')), 15000))
-        ]).catch(err => { console.warn('[Fonts] Extraction failed:', err.message); return []; }),
+        ])).catch(err => { console.warn('[Fonts] Extraction failed:', err.message); return []; }).then(reportPartial('Fonts')),
         
-        Promise.race([
+        timeStage('images', () => Promise.race([
             getGeneralImages(page, url, logoData),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Image extraction timeout')), 20000))
-        ]).catch(err => { console.warn('[Images] Extraction failed:', err.message); return []; }),
+        ])).catch(err => { console.warn('[Images] Extraction failed:', err.message); return []; }).then(reportPartial('Images')),
+
+        timeStage('icons', () => Promise.race([
+            loadIconDiscovery().discover(page, url),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Icon discovery timeout')), 25000))
+        ])).catch(err => {
+            console.warn('[Icons] Discovery failed:', err.message);
+            return { list: [], bestBySize: {}, manifestUrl: null, themeColor: null, backgroundColor: null, tileColor: null };
+        }).then(reportPartial('Icons')),
+
+        timeStage('technologies', () => Promise.race([
+            loadTechDetector().analyze(page, { headers: options.responseHeaders }),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Technology detection timeout')), 15000))
+        ])).catch(err => { console.warn('[Technologies] Detection failed:', err.message); return []; }).then(reportPartial('Technologies')),
         
-        Promise.race([
+        timeStage('company', () => Promise.race([
             getCompanyInfo(page, url),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Company info extraction timeout')), 25000))
-        ]).catch(err => { console.warn('[Company Info] Extraction failed:', err.message); return {}; }),
+        ])).then(company => {
+            if (!company) return company; // Stage skipped
+            companyCandidates = company.candidates;
+            return { ...company.info, ...(company.structuredData && { StructuredData: company.structuredData }) };
+        }).catch(err => { console.warn('[Company Info] Extraction failed:', err.message); return {}; }).then(reportPartial('Company')),
         
-        Promise.race([
-            getSocialLinks(page, url),
+        timeStage('socialLinks', () => Promise.race([
+            new (loadDynamicDataFinder())(page).findSocialProfiles(url),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Social links extraction timeout')), 15000))
-        ]).catch(err => { console.warn('[Social Links] Extraction failed:', err.message); return {}; })
+        ])).then(social => {
+            if (!social) return social; // Stage skipped
+            socialProfiles = social.profiles;
+            return social.links;
+        }).catch(err => { console.warn('[Social Links] Extraction failed:', err.message); return {}; }).then(reportPartial('SocialLinks')),
+
+        timeStage('contacts', () => Promise.race([
+            new (loadDynamicDataFinder())(page).findContacts(url),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Contact extraction timeout')), 15000))
+        ])).catch(err => { console.warn('[Contacts] Extraction failed:', err.message); return { emails: [], phones: [], addresses: [], country: null }; }).then(reportPartial('Contacts'))
     ]);
     console.log('[Extraction] Parallel data extraction completed');
 colorAnalysis = colorData; // Use the colorData directly, no need to merge with logo colors
-    let finalCompanyInfo = { ...companyInfoData, SocialLinks: socialLinkData };
+    let finalCompanyInfo = {
+        ...companyInfoData,
+        ...(runs('socialLinks') && { SocialLinks: socialLinkData, SocialProfiles: socialProfiles }),
+        ...(runs('contacts') && { Contacts: contactData })
+    };
+
+    // Company fields are resolved again from all candidates whenever LinkedIn, Facebook, X or the crawl add some
+    const fieldCandidates = [...companyCandidates];
+    const applyFieldSources = (candidates = []) => {
+        fieldCandidates.push(...candidates);
+        const { values, fields } = resolveFieldSources(fieldCandidates, fieldSourcePolicy);
+        Object.assign(finalCompanyInfo, values);
+        finalCompanyInfo.FieldSources = fields;
+    };
+    if (runs('company')) applyFieldSources();
 
     // Smart LinkedIn and Facebook data extraction - run in parallel with main extraction, with timeout
     let linkedInDataPromise = null;
     let linkedInData = null;
     let facebookDataPromise = null;
     let facebookData = null;
+    let twitterDataPromise = null;
+    let twitterData = null;
 
-    // Import full Facebook scraper
+    // Import full Facebook and X scrapers
     const { scrapeFacebookCompany } = require('./facebook_scraper/facebook_scraper');
+    const { scrapeTwitterProfile } = require('./twitter_scraper/twitter_scraper');
 
     // Start LinkedIn extraction if available
-    if (socialLinkData && socialLinkData.LinkedIn) {
+    if (!runs('linkedin')) {
+        stageTimings.linkedin = { status: 'skipped', reason: 'not requested' };
+    } else if (socialLinkData && socialLinkData.LinkedIn) {
         const linkedInUrl = socialLinkData.LinkedIn;
         // Basic validation for a LinkedIn company URL structure
         if (linkedInUrl.includes('linkedin.com/company')) {
             logger.info('Found LinkedIn URL, starting parallel extraction', { details: { linkedInUrl } });
             
-            // Start LinkedIn extraction in parallel with reduced timeout
-            await fss.writeFile('urls.txt', linkedInUrl);
-            linkedInDataPromise = Promise.race([
-                scraperLink.main(),
+            // Start LinkedIn extraction in parallel with reduced timeout, in its own pooled context
+            linkedInDataPromise = timeStage('linkedin', () => Promise.race([
+                withPooledContext('LinkedIn', (context) =>
+                    scraperLink.scrapeLinkedInCompany(linkedInUrl, context, getLinkedInAntiBot(), { ignoreRobotsTxt })
+                ),
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('LinkedIn extraction timeout after 5 minutes')), 300000)
                 )
-            ]).catch(error => {
+            ])).catch(error => {
                 logger.warn(`LinkedIn extraction failed during parallel execution`, { 
                     details: { error: error.message, isTimeout: error.message.includes('timeout') } 
                 });
@@ -4144,16 +4500,21 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
             });
         }
     }
+    if (runs('linkedin') && !linkedInDataPromise) {
+        stageTimings.linkedin = { status: 'skipped', reason: 'no LinkedIn company page found' };
+    }
 
     // Start Facebook extraction if available
-    if (socialLinkData && socialLinkData.Facebook) {
+    if (!runs('facebook')) {
+        stageTimings.facebook = { status: 'skipped', reason: 'not requested' };
+    } else if (socialLinkData && socialLinkData.Facebook) {
         const fbUrl = socialLinkData.Facebook;
         if (fbUrl.includes('facebook.com')) {
             logger.info('Found Facebook URL, starting parallel extraction', { details: { fbUrl } });
-            facebookDataPromise = Promise.race([
-                scrapeFacebookCompany(fbUrl, sessionId),
+            facebookDataPromise = timeStage('facebook', () => Promise.race([
+                withPooledContext('Facebook', (context) => scrapeFacebookCompany(fbUrl, sessionId, { context, ignoreRobotsTxt })),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Facebook extraction timeout after 2 minutes')), 120000))
-            ]).catch(error => {
+            ])).catch(error => {
                 logger.warn('Facebook extraction failed during parallel execution', { details: { error: error.message } });
                 return { error: error.message };
             });
@@ -4162,14 +4523,61 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
         // Fallback: if the requested URL itself is a Facebook page, scrape it
         const fbUrl = url;
         logger.info('Input URL is a Facebook page, starting extraction', { details: { fbUrl } });
-        facebookDataPromise = Promise.race([
-            scrapeFacebookCompany(fbUrl, sessionId),
+        facebookDataPromise = timeStage('facebook', () => Promise.race([
+            withPooledContext('Facebook', (context) => scrapeFacebookCompany(fbUrl, sessionId, { context, ignoreRobotsTxt })),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Facebook extraction timeout after 2 minutes')), 120000))
-        ]).catch(error => {
+        ])).catch(error => {
             logger.warn('Facebook extraction failed during parallel execution', { details: { error: error.message } });
             return { error: error.message };
         });
     }
+    if (runs('facebook') && !facebookDataPromise) {
+        stageTimings.facebook = { status: 'skipped', reason: 'no Facebook page found' };
+    }
+
+    // Start X (Twitter) extraction if available
+    const twitterUrl = (socialLinkData && socialLinkData.Twitter)
+        || (typeof url === 'string' && /^https?:\/\/(www\.)?(x|twitter)\.com\/\w+\/?$/i.test(url) ? url : null);
+    if (!runs('twitter')) {
+        stageTimings.twitter = { status: 'skipped', reason: 'not requested' };
+    } else if (twitterUrl) {
+        logger.info('Found X profile URL, starting parallel extraction', { details: { twitterUrl } });
+        twitterDataPromise = timeStage('twitter', () => Promise.race([
+            withPooledContext('Twitter', (context) => scrapeTwitterProfile(twitterUrl, sessionId, { context, ignoreRobotsTxt })),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('X extraction timeout after 2 minutes')), 120000))
+        ])).catch(error => {
+            logger.warn('X extraction failed during parallel execution', { details: { error: error.message } });
+            return { error: error.message };
+        });
+    } else {
+        stageTimings.twitter = { status: 'skipped', reason: 'no X profile found' };
+    }
+
+    // Crawl About/Contact/Careers subpages in the landing page's context while LinkedIn, Facebook and X run
+    const crawlFields = ['Description', 'Industry', 'Location', 'Founded', 'Employees'];
+    const crawlFound = new Set(crawlFields.filter(field => finalCompanyInfo[field]));
+    let crawlFoundContacts = !runs('contacts') || (contactData.emails.length > 0 && contactData.phones.length > 0);
+    const extractSubpage = async (subpage, pageUrl) => {
+        const finder = new (loadDynamicDataFinder())(subpage);
+        const { info, candidates } = await getCompanyInfo(subpage, pageUrl);
+        const data = {
+            company: info,
+            candidates,
+            founded: await finder.findFoundingYear(),
+            contacts: runs('contacts') ? await finder.findContacts(pageUrl) : null
+        };
+        crawlFields.filter(field => data.company[field]).forEach(field => crawlFound.add(field));
+        if (data.founded) crawlFound.add('Founded');
+        if (data.contacts && data.contacts.emails.length > 0 && data.contacts.phones.length > 0) crawlFoundContacts = true;
+        return data;
+    };
+    const crawlPromise = runs('crawl')
+        ? timeStage('crawl', () => loadSiteCrawler().crawl(page, url, extractSubpage, {
+            isComplete: () => crawlFound.size === crawlFields.length && crawlFoundContacts,
+            robots: loadRobotsTxt(),
+            ignoreRobotsTxt
+        })).catch(err => { console.warn('[Crawl] Subpage crawl failed:', err.message); return { pages: [], results: [] }; })
+        : timeStage('crawl');
 
     // Await LinkedIn result if started
     if (linkedInDataPromise) {
@@ -4179,18 +4587,11 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
 
             if (linkedInData && !linkedInData.error) {
                 logger.info('Merging LinkedIn data successfully', { details: { hasData: !!linkedInData } });
-                // **FIXED: Correct field mapping from LinkedIn scraper response**
-                finalCompanyInfo.Name = linkedInData.name || finalCompanyInfo.Name;
-                finalCompanyInfo.Description = linkedInData.description || linkedInData.aboutUs || finalCompanyInfo.Description;
-                finalCompanyInfo.Industry = linkedInData.industry || finalCompanyInfo.Industry;
+                // Shared fields go through the source-priority policy; the rest only LinkedIn provides
+                applyFieldSources(profileCandidates('linkedin', linkedInData, socialLinkData.LinkedIn));
                 finalCompanyInfo.CompanySize = linkedInData.companySize || linkedInData.employees || finalCompanyInfo.Employees;
-                finalCompanyInfo.Location = linkedInData.location || linkedInData.headquarters || finalCompanyInfo.Location;
                 finalCompanyInfo.Headquarters = linkedInData.headquarters || linkedInData.location || finalCompanyInfo.Location;
                 finalCompanyInfo.Type = linkedInData.type || finalCompanyInfo.CompanyType;
-                finalCompanyInfo.Founded = linkedInData.founded || finalCompanyInfo.Founded;
-                finalCompanyInfo.Website = linkedInData.website || finalCompanyInfo.Website;
-                finalCompanyInfo.Employees = linkedInData.employees || linkedInData.companySize || finalCompanyInfo.Employees;
-                finalCompanyInfo.CompanyType = linkedInData.type || finalCompanyInfo.CompanyType;
                 // **NEW: Add LinkedIn-specific data fields**
                 if (linkedInData.specialties && linkedInData.specialties.length > 0) {
                     finalCompanyInfo.Specialties = linkedInData.specialties.filter(s => s && s.trim() !== '');
@@ -4214,12 +4615,15 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
                     companySize: linkedInData.companySize
                 }, null, 2));
                 // Potentially add LinkedIn banner to Logo object if found and not already present
-                if (linkedInData.bannerUrl) {
+                // LinkedIn images only feed the Logo and Colors sections - skip them when those were not requested
+                if (linkedInData.bannerUrl && logoData) {
                     logoData.LinkedInBanner = linkedInData.bannerUrl; // Add as a new property or replace
-                    bannerColors = await extractColorsFromImage(logoData.LinkedInBanner, 'LinkedIn banner');
+                }
+                if (linkedInData.bannerUrl && runs('colors')) {
+                    bannerColors = await extractColorsFromImage(linkedInData.bannerUrl, 'LinkedIn banner');
                     logger.info("LinkedIn banner colors extracted successfully", { 
                         details: { 
-                            bannerUrl: logoData.LinkedInBanner,
+                            bannerUrl: linkedInData.bannerUrl,
                             colorsFound: bannerColors?.colors?.length || 0,
                             hasError: !!bannerColors?.error
                         } 
@@ -4234,12 +4638,14 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
                         name: 'Banner Image' 
                     };
                 }
-                if (linkedInData.logoUrl) {
+                if (linkedInData.logoUrl && logoData) {
                     logoData.LinkedInLogo = linkedInData.logoUrl; // Add as a new property or replace
-                    logoColors = await extractColorsFromImage(logoData.LinkedInLogo, 'LinkedIn logo');
+                }
+                if (linkedInData.logoUrl && runs('colors')) {
+                    logoColors = await extractColorsFromImage(linkedInData.logoUrl, 'LinkedIn logo');
                     logger.info("LinkedIn logo colors extracted successfully", { 
                         details: { 
-                            logoUrl: logoData.LinkedInLogo,
+                            logoUrl: linkedInData.logoUrl,
                             colorsFound: logoColors?.colors?.length || 0,
                             hasError: !!logoColors?.error
                         } 
@@ -4253,11 +4659,14 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
                         name: 'Logo Image'
                     };
                 }
-                const colorAnalysis2 = [
-                    bannerColors,
-                    logoColors
-                ];
-                colorAnalysis = [...colorData, ...colorAnalysis2];
+                if (runs('colors')) {
+                    const colorAnalysis2 = [
+                        bannerColors,
+                        logoColors
+                    ];
+                    colorAnalysis = [...colorData, ...colorAnalysis2];
+                    reportPartial('Colors')(colorAnalysis);
+                }
             } else if (linkedInData && linkedInData.error) {
                 logger.warn('LinkedIn extraction failed, continuing without LinkedIn data', { 
                     details: { error: linkedInData.error, gracefulDegradation: true } 
@@ -4275,6 +4684,7 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
             });
             finalCompanyInfo.LinkedInError = liError.message;
         }
+        reportPartial('Company')(finalCompanyInfo);
     }
 
     // Await Facebook result if started and merge minimally
@@ -4288,15 +4698,12 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
                     url: socialLinkData.Facebook,
                     ...facebookData
                 };
-                // Backfill core fields if missing
-                finalCompanyInfo.Name = finalCompanyInfo.Name || facebookData.companyName || finalCompanyInfo.Name;
-                finalCompanyInfo.Description = finalCompanyInfo.Description || facebookData.description || finalCompanyInfo.Description;
-                finalCompanyInfo.Website = finalCompanyInfo.Website || facebookData.website || finalCompanyInfo.Website;
+                applyFieldSources(profileCandidates('facebook', facebookData, finalCompanyInfo.Facebook.url));
                 // Attach images to Logo section if found
-                if (facebookData.profileImage) {
+                if (facebookData.profileImage && logoData) {
                     logoData.FacebookLogo = facebookData.profileImage;
                 }
-                if (facebookData.bannerImage) {
+                if (facebookData.bannerImage && logoData) {
                     logoData.FacebookBanner = facebookData.bannerImage;
                 }
             } else if (facebookData && facebookData.error) {
@@ -4307,9 +4714,98 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
             logger.error('Exception while processing Facebook data', fbErr, { details: { gracefulDegradation: true } });
             finalCompanyInfo.FacebookError = fbErr.message;
         }
+        reportPartial('Company')(finalCompanyInfo);
+    }
+
+    // Await the X profile and backfill missing company fields from it
+    if (twitterDataPromise) {
+        try {
+            twitterData = await twitterDataPromise;
+            if (twitterData && !twitterData.error) {
+                logger.info('Merging X profile data', { details: { handle: twitterData.handle } });
+                finalCompanyInfo.Twitter = {
+                    url: twitterUrl,
+                    ...twitterData
+                };
+                applyFieldSources(profileCandidates('twitter', twitterData, twitterUrl));
+                if (twitterData.profileImage && logoData) {
+                    logoData.TwitterLogo = twitterData.profileImage;
+                }
+                if (twitterData.bannerImage && logoData) {
+                    logoData.TwitterBanner = twitterData.bannerImage;
+                }
+            } else if (twitterData && twitterData.error) {
+                logger.warn('X extraction failed, continuing without X data', { details: { error: twitterData.error } });
+                finalCompanyInfo.TwitterError = twitterData.error;
+            }
+        } catch (twitterErr) {
+            logger.error('Exception while processing X data', twitterErr, { details: { gracefulDegradation: true } });
+            finalCompanyInfo.TwitterError = twitterErr.message;
+        }
+        reportPartial('Company')(finalCompanyInfo);
     }
 
 
+    // Offer the values found on crawled subpages as `crawl` candidates, recording the page each value came from
+    const crawl = await crawlPromise;
+    if (crawl) {
+        applyFieldSources(crawl.results.flatMap(({ url: pageUrl, data }) => [
+            ...data.candidates
+                .filter(candidate => crawlFields.includes(candidate.field))
+                .map(candidate => ({ ...candidate, source: 'crawl' })),
+            { field: 'Founded', value: data.founded, source: 'crawl', detail: 'text', url: pageUrl },
+            ...(data.contacts ? data.contacts.addresses.slice(0, 1) : [])
+                .map(address => ({ field: 'Location', value: address.formatted, source: 'crawl', detail: 'address', url: pageUrl }))
+        ]));
+
+        // Page each field taken from the site came from
+        const provenance = {};
+        ['Name', ...crawlFields].forEach(field => {
+            const entry = finalCompanyInfo.FieldSources[field];
+            if (entry && ['meta', 'json-ld', 'dom', 'url', 'crawl'].includes(entry.source)) provenance[field] = entry.url;
+        });
+
+        const crawledAddresses = crawl.results.flatMap(({ url: pageUrl, data }) =>
+            (data.contacts ? data.contacts.addresses : []).map(address => ({ pageUrl, formatted: address.formatted })));
+        if ((!finalCompanyInfo.Locations || finalCompanyInfo.Locations.length === 0) && crawledAddresses.length > 0) {
+            finalCompanyInfo.Locations = [...new Set(crawledAddresses.map(address => address.formatted))].slice(0, 10);
+            provenance.Locations = crawledAddresses[0].pageUrl;
+        }
+
+        if (runs('contacts')) {
+            finalCompanyInfo.Contacts = mergeContacts([
+                { url, contacts: contactData },
+                ...crawl.results.map(({ url: pageUrl, data }) => ({ url: pageUrl, contacts: data.contacts }))
+            ]);
+        }
+        finalCompanyInfo.Provenance = provenance;
+        finalCompanyInfo.CrawledPages = crawl.pages;
+        reportPartial('Company')(finalCompanyInfo);
+    }
+
+    // Store the chosen logo, icon and banner as PNG/WebP variants served from /assets/:hash
+    const logoAssets = await timeStage('assets', () => Promise.race([
+        loadLogoAssetStore().processLogoSection(logoData || {}, url),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Logo asset processing timeout')), 30000))
+    ])).catch(err => { console.warn('[Assets] Logo asset processing failed:', err.message); return undefined; });
+    if (logoAssets && logoData) {
+        logoData.Assets = logoAssets;
+        reportPartial('Logo')(logoData);
+    }
+
+    // Assign semantic roles to the site colors and the logo/banner swatches, with WCAG contrast checks
+    let colorRoles = null;
+    if (runs('colors')) {
+        colorRoles = classifyColorRoles({
+            ...colorRoleSources,
+            palettes: [
+                { origin: 'logo', swatches: logoColors.swatches || [] },
+                { origin: 'banner', swatches: bannerColors.swatches || [] }
+            ]
+        });
+        reportPartial('ColorRoles')(colorRoles);
+    }
+
     const endTime = Date.now();
     const extractionTime = (endTime - startTime) / 1000;
     logger.info('Company details extraction completed', { 
@@ -4320,66 +4816,99 @@ colorAnalysis = colorData; // Use the colorData directly, no need to merge with
         } 
     });
 
+    // Only sections whose stages ran are returned
+    const hasCompanySection = ['company', 'socialLinks', 'contacts', 'linkedin', 'facebook', 'twitter'].some(runs);
+
     return {
-        Logo: logoData, 
-        Colors: colorAnalysis,  // New field for color analysis
-        Fonts: fontData, 
-        Images: imageData,
-        Company: finalCompanyInfo, // Use the potentially updated finalCompanyInfo
+        ...(runs('logo') && { Logo: logoData }),
+        ...(runs('colors') && { Colors: colorAnalysis }),  // New field for color analysis
+        ...(colorRoles && { ColorRoles: colorRoles }),
+        ...(runs('fonts') && { Fonts: fontData }),
+        ...(runs('images') && { Images: imageData }),
+        ...(runs('icons') && { Icons: iconData }),
+        ...(runs('technologies') && { Technologies: technologyData }),
+        ...(hasCompanySection && { Company: finalCompanyInfo }), // Use the potentially updated finalCompanyInfo
         _performance: {
             extractionTimeSeconds: extractionTime,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            stages: stageTimings
         },
         _message: "Data extracted dynamically. Accuracy may vary based on website structure."
     };
 }
 
 
-// New endpoint for extracting specific company details
-app.post('/api/extract-company-details', async (req, res) => {
-    const { url } = req.body;
+/**
+ * Runs the full company details pipeline for a single URL (validation, cache,
+ * DNS check, browser extraction, search history) and resolves with the HTTP
+ * status and body to send. Shared by the extract endpoint and batch jobs.
+ * @param {string} url - URL as submitted by the caller
+ * @param {Object} [options]
+ * @param {string} [options.source='api'] - Request origin recorded in search history
+ * @param {number} [options.maxAge] - Maximum acceptable cache age in seconds
+ * @param {boolean} [options.forceRefresh=false] - Skip the cache and extract again
+ * @param {string[]|string} [options.fields] - Only run the stages for these fields
+ * @param {string[]|string} [options.exclude] - Skip the stages for these fields
+ * @param {string} [options.version] - Response schema version (see response-contract.js)
+ * @param {string} [options.sessionId] - Session registered up front (e.g. for callback requests)
+ * @param {{keyId: string, name: string}} [options.apiKey] - API key that made the request, recorded in search history
+ * @param {{viewports: string[], fullPage: boolean}} [options.screenshots] - Capture screenshots (see screenshot-store.js); skips the cache
+ * @param {boolean} [options.ignoreRobotsTxt=false] - Extract the site, its subpages and its LinkedIn, Facebook and X pages even when robots.txt disallows them
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+async function performCompanyExtraction(url, options = {}) {
+    const { source = 'api', maxAge, forceRefresh = false, fields, exclude, version, apiKey = null, sessionId: requestedSessionId = null, screenshots = null, ignoreRobotsTxt = false } = options;
+    const respond = (statusCode, body) => ({ statusCode, body });
     let sessionId = null;
+    let performanceStart = Date.now();
     
     try {
         // Check if URL is provided
         if (!url || typeof url !== 'string') {
-            return res.status(400).json({ error: 'URL is required and must be a string' });
+            return respond(400, { error: 'URL is required and must be a string' });
+        }
+
+        const { selection, error: fieldsError } = resolveExtractionFields({ fields, exclude });
+        if (fieldsError) {
+            return respond(400, { error: fieldsError });
         }
         
         const originalUrl = url.trim();
         
         // Check if URL is empty after trimming
         if (!originalUrl) {
-            return res.status(400).json({ error: 'URL cannot be empty' });
+            return respond(400, { error: 'URL cannot be empty' });
         }
         
         // Start extraction session for logging
-        sessionId = loadExtractionLogger().startSession(originalUrl);
-        loadExtractionLogger().step('URL Validation', { originalUrl: sanitizeForLogging(originalUrl) });
+        sessionId = loadExtractionLogger().startSession(originalUrl, requestedSessionId);
+        loadExtractionLogger().step('URL Validation', { originalUrl: sanitizeForLogging(originalUrl) }, sessionId);
         
         // Track performance start time
-        const performanceStart = Date.now();
+        performanceStart = Date.now();
         
         // Normalize the URL (adds https:// if missing)
         const normalizedUrl = utils.normalizeUrl(originalUrl);
         
         // Check if normalization failed
         if (!normalizedUrl) {
-            loadExtractionLogger().error('URL normalization failed', new Error('Invalid URL format'), { originalUrl: sanitizeForLogging(originalUrl) });
-            return res.status(400).json({ 
+            loadExtractionLogger().error('URL normalization failed', new Error('Invalid URL format'), { originalUrl: sanitizeForLogging(originalUrl) }, sessionId);
+            loadExtractionLogger().endSession(sessionId, 'failed');
+            return respond(400, { 
                 error: 'Invalid URL format - unable to normalize',
                 provided: originalUrl,
                 sessionId
             });
         }
         
-        loadExtractionLogger().step('URL Normalized', { normalizedUrl: sanitizeForLogging(normalizedUrl) });
+        loadExtractionLogger().step('URL Normalized', { normalizedUrl: sanitizeForLogging(normalizedUrl) }, sessionId);
         
         // Validate the normalized URL
         if (!utils.isValidUrl(normalizedUrl)) {
-            loadExtractionLogger().error('URL validation failed', new Error('Invalid URL format'), { originalUrl: sanitizeForLogging(originalUrl), normalizedUrl: sanitizeForLogging(normalizedUrl) });
+            loadExtractionLogger().error('URL validation failed', new Error('Invalid URL format'), { originalUrl: sanitizeForLogging(originalUrl), normalizedUrl: sanitizeForLogging(normalizedUrl) }, sessionId);
             console.log(`[DEBUG] URL validation failed for: "${sanitizeForLogging(originalUrl)}" -> "${sanitizeForLogging(normalizedUrl)}"`);
-            return res.status(400).json({ 
+            loadExtractionLogger().endSession(sessionId, 'failed');
+            return respond(400, { 
                 error: 'Invalid URL format',
                 provided: originalUrl,
                 normalized: normalizedUrl,
@@ -4387,17 +4916,26 @@ app.post('/api/extract-company-details', async (req, res) => {
             });
         }
         
-        loadExtractionLogger().step('URL Validation Complete', { status: 'valid' });
-
-        // Check cache first for performance
-        const cacheKey = normalizedUrl.toLowerCase().trim();
-        const cachedResult = extractionCache.get(cacheKey);
-        if (cachedResult && (Date.now() - cachedResult.timestamp) < CACHE_DURATION) {
-            loadExtractionLogger().info('Cache hit - returning cached result', { 
+        loadExtractionLogger().step('URL Validation Complete', { status: 'valid' }, sessionId);
+
+        // Check cache first for performance (partial field selections are cached separately)
+        const cache = loadExtractionCache();
+        const cacheKey = cache.keyFor(normalizedUrl, selection.variant, { ignoreRobotsTxt });
+        // A cached result has nothing to screenshot, so screenshot requests always extract again
+        const cacheLookup = await cache.lookup(cacheKey, { maxAge, forceRefresh: forceRefresh || !!screenshots });
+        if (cacheLookup.state === 'fresh' || cacheLookup.state === 'stale') {
+            const cachedResult = cacheLookup.entry;
+            const isStale = cacheLookup.state === 'stale';
+            loadExtractionLogger().info(isStale ? 'Stale cache hit - returning cached result and revalidating' : 'Cache hit - returning cached result', { 
                 url, 
-                cacheAge: Math.round((Date.now() - cachedResult.timestamp) / 1000) + 's' 
+                cacheAge: cacheLookup.ageSeconds + 's' 
             }, sessionId);
             loadExtractionLogger().endSession(sessionId, 'completed', cachedResult.data);
+
+            // Stale-while-revalidate: refresh in the background through the queue
+            if (isStale && cache.startRevalidation(cacheKey)) {
+                loadExtractionQueue().enqueue('revalidate', { url: normalizedUrl, cacheKey, fields: selection.stages, ignoreRobotsTxt });
+            }
             
             // Log to search history for cache hit
             await loadSearchHistoryLogger().logSearch({
@@ -4407,54 +4945,62 @@ app.post('/api/extract-company-details', async (req, res) => {
                 status: 'success',
                 duration: Date.now() - performanceStart,
                 cacheHit: true,
+                cacheState: cacheLookup.state,
                 userAgent: getUserAgent(),
                 fieldsExtracted: Object.keys(cachedResult.data),
-                companyName: cachedResult.data.companyName,
-                industry: cachedResult.data.industry,
-                companyLogo: cachedResult.data.companyLogo,
-                bannerImage: cachedResult.data.bannerImage,
-                website: cachedResult.data.website,
-                verifiedPage: cachedResult.data.verifiedPage
+                ...loadResponseContract().summarize(cachedResult.data),
+                source,
+                apiKey
             });
             
-            return res.status(200).json({
+            return respond(200, loadResponseContract().render({
                 ...cachedResult.data,
                 _cached: true,
-                _cacheAge: Math.round((Date.now() - cachedResult.timestamp) / 1000),
+                _cacheAge: cacheLookup.ageSeconds,
+                ...(isStale && { _stale: true }),
                 _sessionId: sessionId
-            });
+            }, version, { url: normalizedUrl }));
         }
         
-        loadExtractionLogger().step('Cache Check Complete', { status: 'cache_miss' });
+        loadExtractionLogger().step('Cache Check Complete', { status: cacheLookup.state === 'bypass' ? 'cache_bypassed' : 'cache_miss' }, sessionId);
 
         const isResolvable = await utils.isDomainResolvable(normalizedUrl);
         if (!isResolvable) {
             loadExtractionLogger().error('Domain resolution failed', new Error('Domain name could not be resolved'), { normalizedUrl }, sessionId);
             loadExtractionLogger().endSession(sessionId, 'failed');
-            return res.status(400).json({ 
+            return respond(400, { 
                 error: 'Domain name could not be resolved', 
                 sessionId 
             });
         }
         
-        loadExtractionLogger().step('Domain Resolution Complete', { status: 'resolved' });
+        loadExtractionLogger().step('Domain Resolution Complete', { status: 'resolved' }, sessionId);
 
-        let browser;
+        let lease;
         try {
-            loadExtractionLogger().step('Browser Launch Starting', { userAgent: getUserAgent() });
-            const { browser: launchedBrowser, page } = await setupPuppeteerPageForCompanyDetails(normalizedUrl);
-            browser = launchedBrowser;
-            loadExtractionLogger().step('Browser Launch Complete', { status: 'success' });
+            loadExtractionLogger().step('Browser Launch Starting', { userAgent: getUserAgent() }, sessionId);
+            const { browser, page, lease: pageLease, response } = await setupPuppeteerPageForCompanyDetails(normalizedUrl, { ignoreRobotsTxt });
+            lease = pageLease;
+            loadExtractionLogger().step('Browser Launch Complete', { status: 'success', pooledBrowserId: lease.browserId }, sessionId);
+
+            // Resolved before extraction so later client redirects or crawling cannot change it
+            const navigation = await loadRedirectTracker().finish(page, normalizedUrl);
+            loadExtractionLogger().step('Navigation Resolved', {
+                finalUrl: navigation.FinalUrl,
+                canonicalDomain: navigation.CanonicalDomain,
+                redirects: navigation.RedirectChain.length
+            }, sessionId);
 
             // Add timeout wrapper for the entire extraction process with smart timeout
-            loadExtractionLogger().step('Extraction Process Starting', { timeout: '4 minutes' });
+            loadExtractionLogger().step('Extraction Process Starting', { timeout: '4 minutes' }, sessionId);
             console.log('[Extraction] Starting company details extraction with 4-minute timeout...');
             
             let companyDetails;
             try {
-                companyDetails = await extractCompanyDetailsFromPage(page, normalizedUrl, browser, sessionId);
+                companyDetails = await extractCompanyDetailsFromPage(page, normalizedUrl, browser, sessionId, selection.stages, { screenshots, responseHeaders: response.headers(), ignoreRobotsTxt });
             } catch (extractionError) {
                 logger.warn('Main extraction failed, returning partial data', extractionError, { details: { gracefulDegradation: true } });
+                loadExtractionLogger().warn('Main extraction failed, returning partial data', { error: extractionError.message }, sessionId);
                 // Return minimal structure with error info but don't fail completely
                 companyDetails = {
                     Logo: {},
@@ -4475,26 +5021,39 @@ app.post('/api/extract-company-details', async (req, res) => {
                 };
             }
 
-            loadExtractionLogger().step('Extraction Process Complete', { status: 'success', dataFields: Object.keys(companyDetails).length });
-
-            // Cache the result for future requests
-            extractionCache.set(cacheKey, {
-                data: companyDetails,
-                timestamp: Date.now()
-            });
-            loadExtractionLogger().step('Result Cached', { cacheKey });
-
-            // Clean old cache entries periodically
-            if (extractionCache.size > 100) { // Limit cache size
-                const oldestEntries = Array.from(extractionCache.entries())
-                    .sort((a, b) => a[1].timestamp - b[1].timestamp)
-                    .slice(0, 20); // Remove oldest 20 entries
-                
-                oldestEntries.forEach(([key]) => extractionCache.delete(key));
-                loadExtractionLogger().step('Cache Cleanup', { removedEntries: 20, totalCacheSize: extractionCache.size });
+            companyDetails = { ...navigation, ...companyDetails };
+            loadExtractionLogger().step('Extraction Process Complete', { status: 'success', dataFields: Object.keys(companyDetails).length }, sessionId);
+
+            // Check the result against the response schemas - non-conforming results are never cached
+            const contract = loadResponseContract();
+            const validation = contract.validate(companyDetails, normalizedUrl);
+            if (!validation.valid) {
+                loadExtractionLogger().warn('Extraction result does not match the response schema', {
+                    strict: contract.strict,
+                    errors: validation.errors.slice(0, 20)
+                }, sessionId);
+
+                if (contract.strict) {
+                    loadExtractionLogger().endSession(sessionId, 'failed', { error: 'Response schema validation failed' });
+                    return respond(502, {
+                        error: 'Extraction result does not match the response schema',
+                        schemaErrors: validation.errors,
+                        sessionId
+                    });
+                }
+                companyDetails._schemaErrors = validation.errors;
+            } else {
+                // Cache the result for future requests (the cache evicts old entries itself)
+                try {
+                    await cache.set(cacheKey, companyDetails, { url: normalizedUrl });
+                    loadExtractionLogger().step('Result Cached', { cacheKey, store: cache.store.type, totalCacheSize: cache.store.size }, sessionId);
+                } catch (cacheError) {
+                    loadExtractionLogger().warn('Failed to cache extraction result', { cacheKey, error: cacheError.message }, sessionId);
+                }
             }
 
             loadExtractionLogger().endSession(sessionId, 'completed', companyDetails);
+            const screenshotManifest = screenshots ? loadExtractionLogger().getSessionLogs(sessionId)?.screenshots : null;
             
             // Log to search history for successful extraction
             await loadSearchHistoryLogger().logSearch({
@@ -4504,21 +5063,21 @@ app.post('/api/extract-company-details', async (req, res) => {
                 status: 'success',
                 duration: Date.now() - performanceStart,
                 cacheHit: false,
+                cacheState: cacheLookup.state,
                 userAgent: getUserAgent(),
                 fieldsExtracted: Object.keys(companyDetails),
-                companyName: companyDetails.companyName,
-                industry: companyDetails.industry,
-                companyLogo: companyDetails.companyLogo,
-                bannerImage: companyDetails.bannerImage,
-                website: companyDetails.website,
-                verifiedPage: companyDetails.verifiedPage,
-                browserUsed: 'chrome'
+                ...loadResponseContract().summarize(companyDetails),
+                browserUsed: 'chrome',
+                thumbnailUrl: screenshotManifest && screenshotManifest.screenshots.length > 0 ? screenshotManifest.screenshots[0].thumbnailUrl : null,
+                source,
+                apiKey
             });
             
-            res.status(200).json({
+            return respond(200, loadResponseContract().render({
                 ...companyDetails,
-                _sessionId: sessionId
-            });
+                _sessionId: sessionId,
+                ...(screenshotManifest && { _screenshots: screenshotManifest })
+            }, version, { url: normalizedUrl }));
 
         } catch (error) {
             loadExtractionLogger().error('Company details extraction failed', error, { 
@@ -4530,8 +5089,18 @@ app.post('/api/extract-company-details', async (req, res) => {
             // Enhanced error handling with specific error types
             let errorMessage = 'Failed to extract company details. An unexpected error occurred.';
             let statusCode = 500;
-
-            if (error.name === 'TimeoutError' || error.message.includes('timeout')) {
+            let retryAfter;
+
+            if (error.code === 'ROBOTS_DISALLOWED') {
+                errorMessage = 'The website\'s robots.txt does not allow extracting this URL. Set ignoreRobotsTxt for sites you own.';
+                statusCode = 403;
+                extractionLogger.warn('Extraction blocked by robots.txt', { url: normalizedUrl, reason: error.robots.reason }, sessionId);
+            } else if (error.code === 'ROBOTS_CRAWL_DELAY') {
+                errorMessage = 'The website\'s robots.txt Crawl-delay does not allow another visit yet.';
+                statusCode = 429;
+                retryAfter = error.retryAfter;
+                extractionLogger.warn('Extraction postponed by robots.txt Crawl-delay', { url: normalizedUrl, retryAfter }, sessionId);
+            } else if (error.name === 'TimeoutError' || error.message.includes('timeout')) {
                 errorMessage = 'The extraction timed out. The page might be too complex or unresponsive.';
                 statusCode = 504; // Gateway Timeout
                 extractionLogger.warn('Extraction timeout occurred', { url: normalizedUrl, timeout: '4 minutes' }, sessionId);
@@ -4548,7 +5117,7 @@ app.post('/api/extract-company-details', async (req, res) => {
             extractionLogger.endSession(sessionId, 'failed', { error: errorMessage, details: error.message });
             
             // Log to search history for failed extraction
-            await searchHistoryLogger.logSearch({
+            await loadSearchHistoryLogger().logSearch({
                 url: originalUrl,
                 normalizedUrl,
                 sessionId,
@@ -4558,22 +5127,25 @@ app.post('/api/extract-company-details', async (req, res) => {
                 duration: Date.now() - performanceStart,
                 cacheHit: false,
                 userAgent: getUserAgent(),
-                browserUsed: 'chrome'
+                browserUsed: 'chrome',
+                source,
+                apiKey
             });
             
-            res.status(statusCode).json({ 
+            return respond(statusCode, { 
                 error: errorMessage, 
                 details: error.message,
+                ...(retryAfter && { retryAfter }),
                 _timestamp: new Date().toISOString(),
                 _errorType: error.name || 'Unknown',
                 _sessionId: sessionId
             });
         } finally {
-            if (browser) {
+            if (lease) {
                 try {
                     extractionLogger.step('Browser Cleanup Starting', null, sessionId);
-                    await browser.close(); // Ensure browser is closed
-                    console.log('[Browser] Browser closed successfully');
+                    await lease.release(); // Return the browser to the pool
+                    console.log('[Browser] Browser context released to pool');
                     extractionLogger.step('Browser Cleanup Complete', { status: 'success' }, sessionId);
                 } catch (closeError) {
                     console.error('[Browser] Error closing browser:', closeError.message);
@@ -4596,27 +5168,565 @@ app.post('/api/extract-company-details', async (req, res) => {
             
             // Log to search history for critical error
             try {
-                await searchHistoryLogger.logSearch({
+                await loadSearchHistoryLogger().logSearch({
                     url: url || 'unknown',
                     normalizedUrl: 'unknown',
                     sessionId,
                     status: 'failed',
                     statusCode: 500,
                     errorMessage: 'Critical extraction error occurred',
-                    duration: Date.now() - (performanceStart || Date.now()),
+                    duration: Date.now() - performanceStart,
                     cacheHit: false,
-                    userAgent: getUserAgent()
+                    userAgent: getUserAgent(),
+                    source,
+                    apiKey
                 });
             } catch (logError) {
                 console.error('Failed to log search history for outer error:', logError);
             }
         }
         
-        res.status(500).json({
+        return respond(500, {
             error: 'Critical extraction error occurred',
             details: outerError.message,
             _timestamp: new Date().toISOString(),
             _sessionId: sessionId
         });
     }
+}
+
+/**
+ * POSTs the outcome of a callback-mode extraction to the caller and records
+ * the delivery on the extraction session.
+ */
+function sendExtractionCallback(callbackUrl, url, sessionId, { statusCode, body }) {
+    const succeeded = statusCode >= 200 && statusCode < 300;
+    const delivery = loadWebhookDispatcher().dispatch({
+        url: callbackUrl,
+        event: succeeded ? 'extraction.completed' : 'extraction.failed',
+        payload: {
+            sessionId,
+            url,
+            statusCode,
+            timestamp: new Date().toISOString(),
+            ...(succeeded ? { result: body } : { error: body })
+        }
+    });
+
+    loadExtractionLogger().addWebhookDelivery(sessionId, delivery);
+    return delivery;
+}
+
+// Every browser extraction goes through the queue so concurrency stays bounded
+loadExtractionQueue().registerHandler('extract', async ({ url, callbackUrl, ...options }) => {
+    const result = await performCompanyExtraction(url, options);
+    if (callbackUrl) {
+        sendExtractionCallback(callbackUrl, url, options.sessionId, result);
+    }
+    return result;
+});
+
+// Background refreshes of stale cache entries
+loadExtractionQueue().registerHandler('revalidate', async ({ url, cacheKey, fields, ignoreRobotsTxt }) => {
+    try {
+        return await performCompanyExtraction(url, { source: 'revalidate', forceRefresh: true, fields, ignoreRobotsTxt });
+    } finally {
+        loadExtractionCache().endRevalidation(cacheKey || loadExtractionCache().keyFor(url));
+    }
+});
+
+// Batch extraction jobs run the same pipeline in the background
+loadExtractionJobManager().setProcessor((url, options) => performCompanyExtraction(url, { ...options, source: 'batch' }));
+
+/**
+ * Reads the cache controls (maxAge, forceRefresh) from a request body.
+ * @returns {{options?: Object, error?: string}}
+ */
+function parseCacheOptions(body = {}) {
+    const { maxAge, forceRefresh } = body;
+    const options = {};
+
+    if (maxAge !== undefined) {
+        if (typeof maxAge !== 'number' || !Number.isFinite(maxAge) || maxAge < 0) {
+            return { error: 'maxAge must be a non-negative number of seconds' };
+        }
+        options.maxAge = maxAge;
+    }
+
+    if (forceRefresh !== undefined) {
+        if (typeof forceRefresh !== 'boolean') {
+            return { error: 'forceRefresh must be a boolean' };
+        }
+        options.forceRefresh = forceRefresh;
+    }
+
+    return { options };
+}
+
+/**
+ * Reads the screenshot capture option (screenshots) from a request body.
+ * @returns {{options?: Object, error?: string}}
+ */
+function parseScreenshotOptions(body = {}) {
+    const { options: screenshots, error } = loadScreenshotStore().resolveOptions(body.screenshots);
+    if (error) return { error };
+    return { options: screenshots ? { screenshots } : {} };
+}
+
+/**
+ * Reads the robots.txt override (ignoreRobotsTxt) from a request body.
+ * @returns {{options?: Object, error?: string}}
+ */
+function parseRobotsOptions(body = {}) {
+    const { ignoreRobotsTxt } = body;
+    if (ignoreRobotsTxt === undefined) return { options: {} };
+    if (typeof ignoreRobotsTxt !== 'boolean') {
+        return { error: 'ignoreRobotsTxt must be a boolean' };
+    }
+    return { options: ignoreRobotsTxt ? { ignoreRobotsTxt } : {} };
+}
+
+/**
+ * Reads the field selection (fields, exclude) from a request body.
+ * @returns {{options?: Object, error?: string}}
+ */
+function parseFieldOptions(body = {}) {
+    const { fields, exclude } = body;
+    const options = {};
+
+    if (fields !== undefined) options.fields = fields;
+    if (exclude !== undefined) options.exclude = exclude;
+
+    const { error } = resolveExtractionFields(options);
+    return error ? { error } : { options };
+}
+
+/**
+ * Validates an optional callbackUrl from a request body.
+ * Private, loopback and link-local hosts are refused (see utils/outbound-guard.js).
+ * @returns {Promise<string|null>} Error message, or null when absent or valid
+ */
+async function validateCallbackUrl(callbackUrl) {
+    if (callbackUrl === undefined) return null;
+    if (typeof callbackUrl !== 'string' || !loadWebhookDispatcher().isValidCallbackUrl(callbackUrl)) {
+        return 'callbackUrl must be an absolute http(s) URL';
+    }
+    const { allowed, reason } = await loadWebhookDispatcher().checkCallbackHost(callbackUrl);
+    if (!allowed) {
+        return `callbackUrl is not allowed: ${reason}`;
+    }
+    return null;
+}
+
+/**
+ * Validates an optional client-chosen sessionId from a request body.
+ * @returns {string|null} Error message, or null when absent or valid
+ */
+function validateSessionId(sessionId) {
+    if (sessionId === undefined) return null;
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        return 'sessionId must match session_<id> using letters, digits, "_" or "-" (max 64)';
+    }
+    if (loadExtractionLogger().getSessionLogs(sessionId)) {
+        return 'sessionId is already in use';
+    }
+    return null;
+}
+
+// New endpoint for extracting specific company details
+app.post('/api/extract-company-details', requireApiKey('extract'), validateRequestBody('extractCompanyDetails'), async (req, res) => {
+    const { url, callbackUrl, sessionId: requestedSessionId } = req.body;
+    const { options: cacheOptions, error: cacheOptionsError } = parseCacheOptions(req.body);
+    if (cacheOptionsError) {
+        return res.status(400).json({ error: cacheOptionsError });
+    }
+    const { options: fieldOptions, error: fieldOptionsError } = parseFieldOptions(req.body);
+    if (fieldOptionsError) {
+        return res.status(400).json({ error: fieldOptionsError });
+    }
+    const { options: screenshotOptions, error: screenshotOptionsError } = parseScreenshotOptions(req.body);
+    if (screenshotOptionsError) {
+        return res.status(400).json({ error: screenshotOptionsError });
+    }
+    const { options: robotsOptions, error: robotsOptionsError } = parseRobotsOptions(req.body);
+    if (robotsOptionsError) {
+        return res.status(400).json({ error: robotsOptionsError });
+    }
+    const sessionIdError = validateSessionId(requestedSessionId);
+    if (sessionIdError) {
+        return res.status(400).json({ error: sessionIdError });
+    }
+    const { version, error: versionError } = loadResponseContract().resolveVersion(req);
+    if (versionError) {
+        return res.status(400).json({ error: versionError });
+    }
+    // The URL is checked before any quota is charged; performCompanyExtraction normalizes it again
+    if (!url || typeof url !== 'string' || !url.trim()) {
+        return res.status(400).json({ error: 'URL is required and must be a string' });
+    }
+    const normalizedUrl = utils.normalizeUrl(url);
+    if (!normalizedUrl || !utils.isValidUrl(normalizedUrl)) {
+        return res.status(400).json({ error: 'Invalid URL format', provided: url.trim() });
+    }
+    const apiKey = req.apiKey ? { keyId: req.apiKey.keyId, name: req.apiKey.name } : null; // Attributed in search history
+
+    // Callback mode: accept immediately and POST the result when it is ready
+    if (callbackUrl !== undefined) {
+        const callbackError = await validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+            return res.status(400).json({ error: callbackError });
+        }
+        if (!chargeApiKeyQuota(req, res)) return;
+
+        const sessionId = loadExtractionLogger().startSession(url.trim(), requestedSessionId || null, 'queued');
+        const task = loadExtractionQueue().enqueue('extract', { url, source: 'api', sessionId, callbackUrl, version, apiKey, ...cacheOptions, ...fieldOptions, ...screenshotOptions, ...robotsOptions });
+
+        return res.status(202).json({
+            status: 'accepted',
+            sessionId,
+            queuePosition: loadExtractionQueue().getPosition(task.taskId),
+            statusUrl: `/api/extraction-logs/${sessionId}`,
+            callbackUrl,
+            version,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (!chargeApiKeyQuota(req, res)) return;
+
+    // A client-chosen session is registered up front so its progress stream sees the queue wait
+    let sessionId;
+    if (requestedSessionId) {
+        sessionId = loadExtractionLogger().startSession(url.trim(), requestedSessionId, 'queued');
+    }
+
+    try {
+        const { statusCode, body } = await loadExtractionQueue().run('extract', { url, source: 'api', sessionId, version, apiKey, ...cacheOptions, ...fieldOptions, ...screenshotOptions, ...robotsOptions });
+        res.set('Content-Version', version).status(statusCode).json(body);
+    } catch (error) {
+        res.status(500).json({
+            error: 'Critical extraction error occurred',
+            details: error.message,
+            _timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Extraction Response Schema (?v= or Accept-Version picks the version)
+app.get('/api/schemas/extraction-response', (req, res) => {
+    const contract = loadResponseContract();
+    const { version, error } = contract.resolveVersion(req);
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            error,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.set('Content-Version', version).json(contract.getSchema(version));
+});
+
+// ✅ OpenAPI Specification
+app.get('/api/openapi.json', (req, res) => {
+    try {
+        res.json(loadOpenApiSpec().getDocument());
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Logo Assets
+app.get('/assets/:hash', (req, res) => {
+    const asset = loadLogoAssetStore().getAsset(req.params.hash);
+    if (!asset) {
+        return res.status(404).json({
+            status: 'error',
+            error: 'Asset not found',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Asset URLs are content hashes, so a response never changes
+    res.set({
+        'Content-Type': asset.contentType,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(asset.path, (error) => {
+        if (error && !res.headersSent) {
+            res.status(500).json({ status: 'error', error: error.message, timestamp: new Date().toISOString() });
+        }
+    });
+});
+
+// ✅ Create Batch Extraction Job
+app.post('/api/extraction-jobs', requireApiKey('extract'), validateRequestBody('createExtractionJob'), async (req, res) => {
+    try {
+        const { urls } = req.body || {};
+
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'urls is required and must be a non-empty array of strings',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const jobManager = loadExtractionJobManager();
+        const uniqueUrls = jobManager.normalizeUrls(urls);
+        if (uniqueUrls.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'urls must contain at least one non-empty URL string',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (urls.length > jobManager.maxUrlsPerJob) {
+            return res.status(400).json({
+                status: 'error',
+                error: `A job can contain at most ${jobManager.maxUrlsPerJob} URLs`,
+                provided: urls.length,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { options: cacheOptions, error: cacheOptionsError } = parseCacheOptions(req.body);
+        if (cacheOptionsError) {
+            return res.status(400).json({
+                status: 'error',
+                error: cacheOptionsError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { options: fieldOptions, error: fieldOptionsError } = parseFieldOptions(req.body);
+        if (fieldOptionsError) {
+            return res.status(400).json({
+                status: 'error',
+                error: fieldOptionsError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { options: screenshotOptions, error: screenshotOptionsError } = parseScreenshotOptions(req.body);
+        if (screenshotOptionsError) {
+            return res.status(400).json({
+                status: 'error',
+                error: screenshotOptionsError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { options: robotsOptions, error: robotsOptionsError } = parseRobotsOptions(req.body);
+        if (robotsOptionsError) {
+            return res.status(400).json({
+                status: 'error',
+                error: robotsOptionsError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { version, error: versionError } = loadResponseContract().resolveVersion(req);
+        if (versionError) {
+            return res.status(400).json({
+                status: 'error',
+                error: versionError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const callbackError = await validateCallbackUrl(req.body.callbackUrl);
+        if (callbackError) {
+            return res.status(400).json({
+                status: 'error',
+                error: callbackError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Each unique URL in the batch counts as one extraction against the key's quota
+        if (!chargeApiKeyQuota(req, res, uniqueUrls.length)) return;
+
+        const apiKey = req.apiKey ? { keyId: req.apiKey.keyId, name: req.apiKey.name } : null;
+        const job = jobManager.createJob(urls, { ...cacheOptions, ...fieldOptions, ...screenshotOptions, ...robotsOptions, version, apiKey }, { callbackUrl: req.body.callbackUrl });
+
+        res.status(202).json({
+            status: 'accepted',
+            jobId: job.jobId,
+            totalUrls: job.items.length,
+            statusUrl: `/api/extraction-jobs/${job.jobId}`,
+            callbackUrl: job.callbackUrl || undefined,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ List Batch Extraction Jobs
+app.get('/api/extraction-jobs', requireApiKey('extract'), (req, res) => {
+    try {
+        const jobManager = loadExtractionJobManager();
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            stats: jobManager.getStats(),
+            jobs: jobManager.listJobs()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Get Batch Extraction Job Status and Results
+app.get('/api/extraction-jobs/:jobId', requireApiKey('extract'), (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const includeResults = req.query.includeResults !== 'false';
+        const job = loadExtractionJobManager().getJob(jobId, { includeResults });
+
+        if (!job) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Job not found',
+                jobId
+            });
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            job
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Inspect Extraction Cache
+app.get('/api/cache', requireApiKey('extract'), (req, res) => {
+    try {
+        const { url, domain, limit = 100 } = req.query;
+        const cache = loadExtractionCache();
+        const normalizedUrl = url ? utils.normalizeUrl(url) : null;
+
+        if (url && !normalizedUrl) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid url filter',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            stats: cache.getStats(),
+            entries: cache.list({ url: normalizedUrl, domain, limit: parseInt(limit, 10) || 100 })
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Get Cached Extraction For a URL
+app.get('/api/cache/entry', requireApiKey('extract'), async (req, res) => {
+    try {
+        const normalizedUrl = utils.normalizeUrl(req.query.url);
+        if (!normalizedUrl) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'url query parameter is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const cache = loadExtractionCache();
+        const entry = await cache.get(cache.keyFor(normalizedUrl));
+        if (!entry) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No cache entry for this URL',
+                url: normalizedUrl
+            });
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            entry: {
+                ...entry,
+                ageSeconds: Math.round((Date.now() - entry.timestamp) / 1000)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ Purge Extraction Cache by URL, Domain or Everything
+app.post('/api/cache/purge', requireApiKey('admin'), validateRequestBody('purgeCache'), async (req, res) => {
+    try {
+        const { url, domain, all = false } = req.body || {};
+
+        if (!url && !domain && all !== true) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Provide url, domain or all: true',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const normalizedUrl = url ? utils.normalizeUrl(url) : null;
+        if (url && !normalizedUrl) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid url',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const purged = await loadExtractionCache().purge({ url: normalizedUrl, domain, all: all === true });
+        console.log(`🧹 Purged ${purged} extraction cache entries`, { url: normalizedUrl, domain, all });
+
+        res.json({
+            status: 'success',
+            message: `Purged ${purged} cache entries`,
+            purged,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
 });
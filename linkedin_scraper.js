@@ -11,6 +11,7 @@ const { enhancedFileOps } = require('./enhanced-file-operations');
 const { LinkedInBannerExtractor } = require('./linkedin-banner-extractor');
 const { BannerValidator } = require('./banner-validator');
 const { LinkedInAdaptiveScraper } = require('./linkedin-adaptive-scraper');
+const { robotsTxt } = require('./robots-txt');
 
 const LOG_FILE = 'scraper.log';
 const COOKIE_FILE_PATH = './cookies.json';
@@ -47,11 +48,16 @@ function getCurrentUserAgent() {
     }
 }
 
-async function isScrapingAllowed(url) {
-  // For the purpose of this specific task, we are overriding the robots.txt check
-  // as the user has explicitly asked to scrape LinkedIn.
-  // In a real-world scenario, it's crucial to respect robots.txt.
-  return true;
+// Checks robots.txt and waits for its Crawl-delay; false when the visit is not allowed.
+// `override` skips the rules for callers that set ignoreRobotsTxt.
+async function isScrapingAllowed(url, { override = false } = {}) {
+  try {
+    await robotsTxt.enforce(url, { override });
+    return true;
+  } catch (error) {
+    if (error.code !== 'ROBOTS_DISALLOWED' && error.code !== 'ROBOTS_CRAWL_DELAY') throw error;
+    return false;
+  }
 }
 
 function delay(time) {
@@ -60,7 +66,15 @@ function delay(time) {
   });
 }
 
-async function scrapeLinkedInCompany(url, browser, linkedinAntiBot = null) {
+// `browser` may be a Browser or a pooled BrowserContext - only newPage() and pages() are used.
+// `options.ignoreRobotsTxt` scrapes the page even when LinkedIn's robots.txt disallows it.
+async function scrapeLinkedInCompany(url, browser, linkedinAntiBot = null, options = {}) {
+  const { ignoreRobotsTxt = false } = options;
+  if (!await isScrapingAllowed(url, { override: ignoreRobotsTxt })) {
+    console.warn(`Scraping disallowed by robots.txt for ${url}. Skipping.`);
+    return { url, status: 'Skipped', error: 'Scraping disallowed by robots.txt' };
+  }
+
   const extractionTimer = performanceMonitor.startTimer('extraction');
   const page = await browser.newPage();
 
@@ -118,11 +132,6 @@ async function scrapeLinkedInCompany(url, browser, linkedinAntiBot = null) {
     });
 
     // Main extraction logic
-    if (!await isScrapingAllowed(url)) {
-      console.warn(`Scraping disallowed by robots.txt for ${url}. Skipping.`);
-      return { url, status: 'Skipped', error: 'Scraping disallowed by robots.txt' };
-    }
-
     console.log(`Scraping ${url}...`);
     const navTimer = performanceMonitor.startTimer('navigation');
     
@@ -0,0 +1,281 @@
+/**
+ * Logo Asset Store
+ * Downloads the chosen logo, icon and banner of an extraction, converts them to
+ * PNG and WebP at standard sizes (SVGs are rasterized, transparent padding is
+ * trimmed) and stores every variant under its content hash so the response can
+ * reference stable /assets/:hash URLs instead of remote links that expire.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { checkPublicUrl, guardedRequestOptions, parseAllowedHosts } = require('./utils/outbound-guard');
+
+/**
+ * Output sizes per asset role. Logos and icons fit in a square box, banners are sized by width.
+ */
+const ASSET_SIZES = {
+    logo: { sizes: [64, 128, 256, 512], fit: 'box' },
+    icon: { sizes: [64, 128, 256, 512], fit: 'box' },
+    banner: { sizes: [640, 1280, 1920], fit: 'width' }
+};
+
+const ASSET_FORMATS = {
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+const HASH_PATTERN = /^[a-f0-9]{32}$/;
+
+class LogoAssetStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || process.env.ASSETS_DATA_DIR || path.join(process.cwd(), 'assets-data');
+        this.publicBaseUrl = (options.publicBaseUrl ?? process.env.PUBLIC_BASE_URL ?? '').replace(/\/$/, '');
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.timeout = options.timeout || 15000;
+        this.httpClient = options.httpClient || null; // Defaults to axios, injectable for tests
+        this.allowedHosts = options.allowedHosts || parseAllowedHosts();
+        this.lookup = options.lookup || undefined; // dns.promises.lookup, injectable for tests
+        this.sharp = options.sharp || null; // Lazy loaded like in index.js
+        this.pending = new Map(); // sourceHash -> Promise, so concurrent requests share one conversion
+        this.stats = { processed: 0, reused: 0, failed: 0, variantsWritten: 0, served: 0 };
+        this._ensureDir();
+    }
+
+    /**
+     * Download and convert one asset. Identical source images are only converted once.
+     * @param {string} sourceUrl - Remote image URL (data: URLs are accepted too)
+     * @param {Object} [options]
+     * @param {string} [options.role='logo'] - logo, icon or banner (see ASSET_SIZES)
+     * @param {string} [options.referer] - Page the image was found on, for hotlink-protected hosts
+     * @returns {Promise<Object>} Asset record with its variants
+     */
+    async processAsset(sourceUrl, { role = 'logo', referer = null } = {}) {
+        if (!ASSET_SIZES[role]) throw new Error(`Unknown asset role: ${role}`);
+
+        const { buffer, contentType } = await this._download(sourceUrl, referer);
+        const sourceHash = this._hash(Buffer.concat([Buffer.from(`${role}:`), buffer]));
+
+        const manifest = this._readManifest(sourceHash);
+        if (manifest && manifest.variants.every(variant => fs.existsSync(this._filePath(variant.hash, variant.format)))) {
+            this.stats.reused++;
+            return this._present(manifest, sourceUrl);
+        }
+
+        if (!this.pending.has(sourceHash)) {
+            const work = this._convert(buffer, contentType, role, sourceHash)
+                .finally(() => this.pending.delete(sourceHash));
+            this.pending.set(sourceHash, work);
+        }
+        return this._present(await this.pending.get(sourceHash), sourceUrl);
+    }
+
+    /**
+     * Convert the chosen logo, icon and banner of a Logo section. Failures are reported per asset.
+     * @param {Object} logo - v1 Logo section
+     * @param {string} [referer] - Extracted page URL
+     * @returns {Promise<Object>} Assets keyed by role; roles without a source image are omitted
+     */
+    async processLogoSection(logo, referer = null) {
+        const chosen = {
+            logo: logo.Logo || logo.Symbol || logo.LinkedInLogo || logo.FacebookLogo || logo.TwitterLogo,
+            icon: logo.Icon || logo.Favicon,
+            banner: logo.Banner || logo.LinkedInBanner || logo.FacebookBanner || logo.TwitterBanner
+        };
+
+        const entries = await Promise.all(Object.entries(chosen)
+            .filter(([, sourceUrl]) => typeof sourceUrl === 'string' && sourceUrl)
+            .map(async ([role, sourceUrl]) => {
+                try {
+                    return [role, await this.processAsset(sourceUrl, { role, referer })];
+                } catch (error) {
+                    this.stats.failed++;
+                    console.warn(`[LogoAssetStore] ${role} asset failed for ${sourceUrl}:`, error.message);
+                    return [role, { source: sourceUrl, error: error.message }];
+                }
+            }));
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Locate a stored variant for the /assets/:hash route
+     * @param {string} hash
+     * @returns {{path: string, contentType: string}|null}
+     */
+    getAsset(hash) {
+        if (!HASH_PATTERN.test(String(hash))) return null;
+        for (const [format, contentType] of Object.entries(ASSET_FORMATS)) {
+            const filePath = this._filePath(hash, format);
+            if (fs.existsSync(filePath)) {
+                this.stats.served++;
+                return { path: filePath, contentType };
+            }
+        }
+        return null;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            dataDir: this.dataDir,
+            converting: this.pending.size
+        };
+    }
+
+    async _download(sourceUrl, referer) {
+        if (typeof sourceUrl !== 'string') throw new Error('Asset URL must be a string');
+
+        const dataUrl = sourceUrl.match(/^data:(image\/[a-z0-9.+-]+)(;base64)?,(.*)$/is);
+        if (dataUrl) {
+            const [, contentType, base64, data] = dataUrl;
+            const buffer = base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+            return { buffer, contentType };
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(sourceUrl);
+        } catch (error) {
+            throw new Error(`Invalid asset URL: ${sourceUrl}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`Unsupported asset URL protocol: ${parsed.protocol}`);
+        }
+        // Image URLs come from the scraped page, so they must not reach the server's own network
+        const { allowed, reason } = await checkPublicUrl(sourceUrl, { allowedHosts: this.allowedHosts, lookup: this.lookup });
+        if (!allowed) throw new Error(`Asset URL refused: ${reason}`);
+
+        const client = this.httpClient || require('axios');
+        const response = await client({
+            method: 'GET',
+            url: sourceUrl,
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: this.maxBytes,
+            ...guardedRequestOptions({ allowedHosts: this.allowedHosts, maxRedirects: 5 }),
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+                'Accept': 'image/avif,image/webp,image/svg+xml,image/*,*/*;q=0.8',
+                ...(referer && { 'Referer': referer })
+            },
+            validateStatus: status => status >= 200 && status < 300
+        });
+
+        const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const buffer = Buffer.from(response.data);
+        if (buffer.length === 0) throw new Error('Empty asset response');
+        if (contentType && !contentType.startsWith('image/') && !this._looksLikeSvg(buffer)) {
+            throw new Error(`Asset is ${contentType}, not an image`);
+        }
+        return { buffer, contentType };
+    }
+
+    async _convert(buffer, contentType, role, sourceHash) {
+        const sharp = this.sharp || (this.sharp = require('sharp'));
+        const isSvg = contentType === 'image/svg+xml' || this._looksLikeSvg(buffer);
+
+        // Rasterize SVGs at a density high enough for the largest output size
+        const input = () => sharp(buffer, { density: isSvg ? 384 : 72, animated: false, limitInputPixels: 50000000 });
+        const metadata = await input().metadata();
+        if (!metadata.width || !metadata.height) throw new Error('Invalid image: no dimensions found');
+
+        // Banners are photos; trimming their edges would crop content
+        let base = await input().rotate().png().toBuffer();
+        if (role !== 'banner') {
+            try {
+                base = await sharp(base).trim().png().toBuffer();
+            } catch (error) {
+                // Uniform images cannot be trimmed; keep them as they are
+            }
+        }
+        const trimmed = await sharp(base).metadata();
+
+        const { sizes, fit } = ASSET_SIZES[role];
+        const variants = [];
+        for (const size of sizes) {
+            for (const format of Object.keys(ASSET_FORMATS)) {
+                let pipeline = sharp(base).resize(fit === 'box'
+                    ? { width: size, height: size, fit: 'inside', withoutEnlargement: !isSvg }
+                    : { width: size, withoutEnlargement: true });
+                pipeline = format === 'png' ? pipeline.png({ compressionLevel: 9 }) : pipeline.webp({ quality: 90, alphaQuality: 100 });
+
+                const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+                const hash = this._hash(data);
+                const filePath = this._filePath(hash, format);
+                if (!fs.existsSync(filePath)) {
+                    await fs.promises.writeFile(filePath, data);
+                    this.stats.variantsWritten++;
+                }
+                variants.push({ size, format, width: info.width, height: info.height, bytes: data.length, hash });
+            }
+        }
+
+        const manifest = {
+            sourceHash,
+            role,
+            sourceFormat: isSvg ? 'svg' : metadata.format,
+            width: trimmed.width,
+            height: trimmed.height,
+            createdAt: new Date().toISOString(),
+            variants
+        };
+        await fs.promises.writeFile(this._manifestPath(sourceHash), JSON.stringify(manifest, null, 2));
+        this.stats.processed++;
+        return manifest;
+    }
+
+    /**
+     * Public asset record: manifest plus stable URLs for every variant
+     */
+    _present(manifest, sourceUrl) {
+        const url = (hash) => `${this.publicBaseUrl}/assets/${hash}`;
+        const variants = manifest.variants.map(variant => ({ ...variant, url: url(variant.hash) }));
+        const largestPng = variants.filter(variant => variant.format === 'png').pop();
+        return {
+            source: sourceUrl.startsWith('data:') ? 'data-url' : sourceUrl,
+            role: manifest.role,
+            sourceFormat: manifest.sourceFormat,
+            width: manifest.width,
+            height: manifest.height,
+            url: largestPng ? largestPng.url : null,
+            variants
+        };
+    }
+
+    _readManifest(sourceHash) {
+        try {
+            return JSON.parse(fs.readFileSync(this._manifestPath(sourceHash), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _looksLikeSvg(buffer) {
+        return /<svg[\s>]/i.test(buffer.subarray(0, 1024).toString('utf8'));
+    }
+
+    _hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+    }
+
+    _filePath(hash, format) {
+        return path.join(this.dataDir, `${hash}.${format}`);
+    }
+
+    _manifestPath(sourceHash) {
+        return path.join(this.dataDir, 'sources', `${sourceHash}.json`);
+    }
+
+    _ensureDir() {
+        try {
+            fs.mkdirSync(path.join(this.dataDir, 'sources'), { recursive: true });
+        } catch (error) {
+            console.warn(`⚠️ Could not create asset directory ${this.dataDir}:`, error.message);
+        }
+    }
+}
+
+// Create singleton instance
+const logoAssetStore = new LogoAssetStore();
+
+module.exports = { logoAssetStore, LogoAssetStore, ASSET_SIZES };
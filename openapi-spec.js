@@ -0,0 +1,491 @@
+/**
+ * OpenAPI Spec
+ * OpenAPI 3.1 description of every route, served at /api/openapi.json and rendered
+ * by the API Docs page. Request body schemas live in /schemas and are also used to
+ * validate incoming bodies, so the docs and the checks cannot drift apart.
+ */
+
+const { validateSchema } = require('./utils/schema-validator');
+const { version: packageVersion } = require('./package.json');
+
+const REQUEST_SCHEMAS = {
+    ExtractRequest: require('./schemas/extract-request.json'),
+    ExtractionJobRequest: require('./schemas/extraction-job-request.json'),
+    CachePurgeRequest: require('./schemas/cache-purge-request.json')
+};
+
+const RESPONSE_SCHEMAS = {
+    ExtractionResponseV1: require('./schemas/extraction-response.v1.json'),
+    ExtractionResponseV2: require('./schemas/extraction-response.v2.json')
+};
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+const formatQuery = query('format', { type: 'string', enum: ['json', 'html'], default: 'json' }, 'html renders a dashboard page');
+const limitQuery = (defaultValue) => query('limit', { type: 'integer', minimum: 1, default: defaultValue }, 'Maximum number of entries');
+const versionParameters = [
+    query('v', { type: 'string', enum: ['1', '2'] }, 'Response schema version ("v2" and "2.0" work too). Defaults to 1'),
+    { name: 'Accept-Version', in: 'header', schema: { type: 'string' }, description: 'Alternative to ?v=' }
+];
+
+/**
+ * Every route of the server. `scope` marks routes that need an API key,
+ * `body` names a request schema and `html`/`stream`/`image`/`contentTypes` describe non-JSON responses.
+ *
+ * Access policy: anything that returns extraction results (cache, session logs, progress streams,
+ * brand kits, screenshots) needs an `extract` key, the same as requesting the extraction. Results
+ * are shared between keys like the cache is. Search history, analytics and the file logs (which hold
+ * target URLs and client IPs of every request) need an `admin` key. GET routes also accept the key as `?apiKey=`.
+ */
+const ROUTES = [
+    // Extraction
+    {
+        method: 'post', path: '/api/extract-company-details', operationId: 'extractCompanyDetails', tag: 'Extraction',
+        summary: 'Extract company details from a URL',
+        description: 'Runs the extraction pipeline (or answers from the cache). With callbackUrl the request is accepted with 202 and the result is POSTed when it is ready.',
+        scope: 'extract', body: 'ExtractRequest', parameters: versionParameters,
+        responses: {
+            200: { description: 'Extraction result in the requested version', schema: { oneOf: [ref('ExtractionResponseV1'), ref('ExtractionResponseV2')] } },
+            202: { description: 'Accepted for callback delivery' },
+            400: 'BadRequest',
+            403: { description: 'API key lacks the required scope, or the site\'s robots.txt disallows the URL (see ignoreRobotsTxt)', schema: ref('Error') },
+            502: { description: 'Site could not be loaded, or the result failed strict schema validation' },
+            503: { description: 'Browser could not be launched' }
+        }
+    },
+    {
+        method: 'post', path: '/api/extraction-jobs', operationId: 'createExtractionJob', tag: 'Extraction',
+        summary: 'Create a batch extraction job', scope: 'extract', body: 'ExtractionJobRequest', parameters: versionParameters,
+        responses: { 202: { description: 'Job accepted; poll statusUrl for progress' }, 400: 'BadRequest' }
+    },
+    {
+        method: 'get', path: '/api/extraction-jobs', operationId: 'listExtractionJobs', tag: 'Extraction',
+        summary: 'List batch extraction jobs', scope: 'extract'
+    },
+    {
+        method: 'get', path: '/api/extraction-jobs/:jobId', operationId: 'getExtractionJob', tag: 'Extraction',
+        summary: 'Batch job status and per-URL results', scope: 'extract',
+        parameters: [query('includeResults', { type: 'boolean', default: true }, 'false omits the extracted data')],
+        responses: { 404: 'NotFound' }
+    },
+    {
+        method: 'get', path: '/api/schemas/extraction-response', operationId: 'getExtractionResponseSchema', tag: 'Extraction',
+        summary: 'JSON schema of the extraction response', parameters: versionParameters,
+        responses: { 400: 'BadRequest' }
+    },
+    {
+        method: 'get', path: '/api/openapi.json', operationId: 'getOpenApiSpec', tag: 'Extraction',
+        summary: 'This OpenAPI document'
+    },
+    {
+        method: 'get', path: '/assets/:hash', operationId: 'getAsset', tag: 'Extraction',
+        summary: 'Converted logo, icon or banner image',
+        description: 'PNG or WebP variant referenced by Logo.Assets. The hash is the content hash of the file, so the URL never changes.',
+        pathParameters: { hash: { type: 'string', pattern: '^[a-f0-9]{32}$' } },
+        responses: { 404: 'NotFound' },
+        image: true
+    },
+
+    // Cache
+    {
+        method: 'get', path: '/api/cache', operationId: 'listCacheEntries', tag: 'Cache',
+        summary: 'Cache stats and entries', scope: 'extract',
+        parameters: [query('url', { type: 'string' }, 'Only entries for this URL'), query('domain', { type: 'string' }, 'Only entries for this domain'), limitQuery(100)],
+        responses: { 400: 'BadRequest' }
+    },
+    {
+        method: 'get', path: '/api/cache/entry', operationId: 'getCacheEntry', tag: 'Cache',
+        summary: 'Cached extraction for a URL', scope: 'extract',
+        parameters: [{ ...query('url', { type: 'string' }, 'Cached URL'), required: true }],
+        responses: { 400: 'BadRequest', 404: 'NotFound' }
+    },
+    {
+        method: 'post', path: '/api/cache/purge', operationId: 'purgeCache', tag: 'Cache',
+        summary: 'Purge cache entries by url, domain or all', scope: 'admin', body: 'CachePurgeRequest',
+        responses: { 400: 'BadRequest' }
+    },
+
+    // Logs & sessions
+    {
+        method: 'get', path: '/api/extraction-logs', operationId: 'listExtractionLogs', tag: 'Logs & Sessions',
+        summary: 'Recent extraction logs', scope: 'extract',
+        parameters: [limitQuery(100), query('offset', { type: 'integer', minimum: 0, default: 0 }), query('level', { type: 'string', enum: ['debug', 'info', 'step', 'warn', 'error'] }), query('sessionId', { type: 'string' }), formatQuery],
+        html: true
+    },
+    {
+        method: 'get', path: '/api/extraction-logs/:sessionId', operationId: 'getSessionLogs', tag: 'Logs & Sessions',
+        summary: 'Logs of one extraction session', scope: 'extract', responses: { 404: 'NotFound' }
+    },
+    {
+        method: 'post', path: '/api/extraction-logs/clear', operationId: 'clearExtractionLogs', tag: 'Logs & Sessions',
+        summary: 'Clear all extraction logs', scope: 'admin'
+    },
+    {
+        method: 'get', path: '/api/extraction-sessions', operationId: 'listExtractionSessions', tag: 'Logs & Sessions',
+        summary: 'Active extraction sessions and webhook deliveries', scope: 'extract'
+    },
+    {
+        method: 'get', path: '/api/extraction-sessions/:sessionId/stream', operationId: 'streamExtractionSession', tag: 'Logs & Sessions',
+        summary: 'Live extraction progress (Server-Sent Events)', scope: 'extract',
+        description: 'Replays past events, then streams status, step, partial, warn, error and end events until the session ends.',
+        stream: true
+    },
+    {
+        method: 'get', path: '/api/extraction-sessions/:sessionId/brand-kit', operationId: 'exportBrandKit', tag: 'Logs & Sessions',
+        summary: 'Brand kit of a completed extraction', scope: 'extract',
+        description: 'Colors, fonts and logos of the session result as W3C design tokens (JSON), CSS custom properties, SCSS variables or a Tailwind theme.',
+        parameters: [
+            query('format', { type: 'string', enum: ['tokens', 'css', 'scss', 'tailwind'], default: 'tokens' }, 'Output format'),
+            query('download', { type: 'boolean', default: false }, 'true sends the kit as a file attachment')
+        ],
+        responses: {
+            400: 'BadRequest',
+            404: 'NotFound',
+            409: { description: 'The session has not completed successfully', schema: ref('Error') }
+        },
+        contentTypes: ['text/css', 'text/x-scss', 'application/javascript']
+    },
+    {
+        method: 'get', path: '/api/extraction-sessions/:sessionId/screenshots', operationId: 'listExtractionScreenshots', tag: 'Logs & Sessions',
+        summary: 'Screenshots of an extraction', scope: 'extract',
+        description: 'Desktop and mobile screenshots captured when the extraction was requested with `screenshots`, with their image and thumbnail URLs. Sessions run without screenshots return an empty list.',
+        responses: { 404: 'NotFound' }
+    },
+    {
+        method: 'get', path: '/api/extraction-sessions/:sessionId/screenshots/:file', operationId: 'getExtractionScreenshot', tag: 'Logs & Sessions',
+        summary: 'Screenshot or thumbnail image', scope: 'extract',
+        description: 'Full PNG screenshot (e.g. desktop-viewport.png, mobile-fullpage.png) or its WebP thumbnail (*.thumb.webp).',
+        pathParameters: { file: { type: 'string', pattern: '^(desktop|mobile)-(viewport|fullpage)(\\.thumb)?\\.(png|webp)$' } },
+        responses: { 404: 'NotFound' },
+        image: true
+    },
+    {
+        method: 'get', path: '/api/logs/:logType', operationId: 'getFileLogs', tag: 'Logs & Sessions',
+        summary: 'Recent entries of a log file', scope: 'admin',
+        pathParameters: { logType: { type: 'string', enum: ['extraction', 'errors', 'performance', 'system', 'api', 'security', 'browser', 'linkedin'] } },
+        parameters: [limitQuery(100)]
+    },
+    {
+        method: 'get', path: '/api/logs-status', operationId: 'getLogFilesStatus', tag: 'Logs & Sessions',
+        summary: 'Log file sizes and status', scope: 'admin'
+    },
+    {
+        method: 'get', path: '/api/logs/search/:query', operationId: 'searchLogs', tag: 'Logs & Sessions',
+        summary: 'Search across all log files', scope: 'admin',
+        parameters: [limitQuery(50), query('logTypes', { type: 'string' }, 'Comma-separated log types to search')]
+    },
+
+    // Analytics
+    {
+        method: 'get', path: '/api/search-history', operationId: 'getSearchHistory', tag: 'Analytics',
+        summary: 'Recent searches and analytics', scope: 'admin',
+        parameters: [limitQuery(50), query('status', { type: 'string' }), query('domain', { type: 'string' }), query('isLinkedIn', { type: 'boolean' }), formatQuery],
+        html: true
+    },
+    {
+        method: 'get', path: '/api/search-analytics', operationId: 'getSearchAnalytics', tag: 'Analytics',
+        summary: 'Search analytics', scope: 'admin'
+    },
+    {
+        method: 'get', path: '/api/search-history/export', operationId: 'exportSearchHistory', tag: 'Analytics',
+        summary: 'Export search history to a file', scope: 'admin',
+        parameters: [query('format', { type: 'string', default: 'json' }, 'Export file format')]
+    },
+    {
+        method: 'get', path: '/performance-metrics', operationId: 'getPerformanceMetrics', tag: 'Analytics',
+        summary: 'Performance, browser pool, cache, contract and API key stats'
+    },
+    {
+        method: 'get', path: '/linkedin-metrics', operationId: 'getLinkedInMetrics', tag: 'Analytics',
+        summary: 'LinkedIn extraction metrics'
+    },
+    {
+        method: 'get', path: '/metrics', operationId: 'getHealthHistory', tag: 'Analytics',
+        summary: 'Last 50 system health readings'
+    },
+
+    // System
+    {
+        method: 'get', path: '/health', operationId: 'getHealth', tag: 'System',
+        summary: 'System health check, including queue depth'
+    },
+    {
+        method: 'get', path: '/status', operationId: 'getStatus', tag: 'System',
+        summary: 'System status and endpoint map'
+    },
+    {
+        method: 'get', path: '/api/system-health', operationId: 'getSystemHealth', tag: 'System',
+        summary: 'System health dashboard', parameters: [formatQuery], html: true
+    },
+    {
+        method: 'get', path: '/api/active-connections', operationId: 'getActiveConnections', tag: 'System',
+        summary: 'Open and total connections'
+    },
+    {
+        method: 'get', path: '/learning-system-status', operationId: 'getLearningSystemStatus', tag: 'System',
+        summary: 'Adaptive learning system status'
+    },
+    {
+        method: 'post', path: '/force-maintenance', operationId: 'forceMaintenance', tag: 'System',
+        summary: 'Run a maintenance cycle now', scope: 'admin'
+    },
+    {
+        method: 'post', path: '/export-performance', operationId: 'exportPerformance', tag: 'System',
+        summary: 'Export performance data to a file', scope: 'admin'
+    },
+    {
+        method: 'get', path: '/test', operationId: 'test', tag: 'System',
+        summary: 'Basic API test'
+    },
+    {
+        method: 'get', path: '/test-browser', operationId: 'testBrowser', tag: 'System',
+        summary: 'Detected browsers and environment'
+    },
+    {
+        method: 'get', path: '/ui', operationId: 'getUi', tag: 'System',
+        summary: 'Web dashboard', htmlOnly: true
+    },
+    {
+        method: 'get', path: '/docs', operationId: 'getDocs', tag: 'System',
+        summary: 'Interactive API docs (redirects to the dashboard)', redirect: true
+    },
+
+    // Anti-bot
+    {
+        method: 'get', path: '/anti-bot-status', operationId: 'getAntiBotStatus', tag: 'Anti-Bot',
+        summary: 'Anti-bot system status'
+    },
+    {
+        method: 'get', path: '/facebook-anti-bot-status', operationId: 'getFacebookAntiBotStatus', tag: 'Anti-Bot',
+        summary: 'Facebook anti-bot learning status', parameters: [formatQuery], html: true
+    },
+    {
+        method: 'get', path: '/facebook-learning-analytics', operationId: 'getFacebookLearningAnalytics', tag: 'Anti-Bot',
+        summary: 'Facebook learning system analytics'
+    },
+    {
+        method: 'get', path: '/facebook-platform-test', operationId: 'testFacebookPlatform', tag: 'Anti-Bot',
+        summary: 'Facebook scraper platform compatibility test'
+    }
+];
+
+class OpenApiSpec {
+    constructor(routes = ROUTES) {
+        this.routes = routes;
+        this.document = null;
+    }
+
+    /**
+     * The OpenAPI document (built once)
+     */
+    getDocument() {
+        if (!this.document) {
+            this.document = this.build();
+        }
+        return this.document;
+    }
+
+    getRoutes() {
+        return this.routes.map(({ method, path, operationId }) => ({ method, path, operationId }));
+    }
+
+    /**
+     * Check a request body against the operation's request schema
+     * @param {string} operationId - Operation with a `body` schema
+     * @param {any} body - Parsed JSON body
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    validateRequestBody(operationId, body) {
+        const route = this.routes.find(candidate => candidate.operationId === operationId);
+        if (!route || !route.body) {
+            throw new Error(`No request body schema for operation ${operationId}`);
+        }
+        return validateSchema(REQUEST_SCHEMAS[route.body], body === undefined ? {} : body);
+    }
+
+    build() {
+        const schemas = {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    status: { const: 'error' },
+                    error: { type: 'string' },
+                    timestamp: { type: 'string', format: 'date-time' }
+                }
+            },
+            ValidationError: {
+                allOf: [ref('Error')],
+                properties: {
+                    validationErrors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { path: { type: 'string' }, message: { type: 'string' } }
+                        }
+                    }
+                }
+            }
+        };
+        Object.entries({ ...REQUEST_SCHEMAS, ...RESPONSE_SCHEMAS }).forEach(([name, schema]) => {
+            Object.assign(schemas, toComponents(name, schema));
+        });
+
+        const paths = {};
+        this.routes.forEach(route => {
+            const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method] = this._operation(route);
+        });
+
+        return {
+            openapi: '3.1.0',
+            info: {
+                title: 'Company Details Extraction API',
+                version: packageVersion,
+                description: 'Extracts logos, colors, fonts, images, company details and social profiles from company websites, LinkedIn, Facebook and X.'
+            },
+            servers: [{ url: '/' }],
+            tags: [...new Set(this.routes.map(route => route.tag))].map(name => ({ name })),
+            paths,
+            components: {
+                schemas,
+                responses: {
+                    BadRequest: errorResponse('Invalid request', 'ValidationError'),
+                    NotFound: errorResponse('Not found'),
+                    Unauthorized: errorResponse('Missing, invalid or revoked API key'),
+                    Forbidden: errorResponse('API key lacks the required scope'),
+                    TooManyRequests: {
+                        ...errorResponse('Rate limit or daily quota exceeded'),
+                        headers: { 'Retry-After': { description: 'Seconds until the request may be retried', schema: { type: 'integer' } } }
+                    },
+                    ServerError: errorResponse('Unexpected server error')
+                },
+                securitySchemes: {
+                    ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                    BearerAuth: { type: 'http', scheme: 'bearer' },
+                    ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey', description: 'GET requests only, for EventSource, images and links' }
+                }
+            }
+        };
+    }
+
+    _operation(route) {
+        const pathParameters = (route.path.match(/:(\w+)/g) || []).map(param => {
+            const name = param.slice(1);
+            return {
+                name,
+                in: 'path',
+                required: true,
+                schema: (route.pathParameters && route.pathParameters[name]) || { type: 'string' }
+            };
+        });
+
+        const operation = {
+            operationId: route.operationId,
+            tags: [route.tag],
+            summary: route.summary,
+            ...(route.description && { description: route.description }),
+            parameters: [...pathParameters, ...(route.parameters || [])]
+        };
+
+        if (route.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: ref(route.body) } }
+            };
+        }
+
+        const responses = { 200: this._successResponse(route) };
+        Object.entries(route.responses || {}).forEach(([status, response]) => {
+            responses[status] = typeof response === 'string'
+                ? { $ref: `#/components/responses/${response}` }
+                : jsonResponse(response.description, response.schema);
+        });
+        if (route.body && !responses[400]) {
+            responses[400] = { $ref: '#/components/responses/BadRequest' };
+        }
+        if (route.scope) {
+            operation.security = [{ ApiKeyHeader: [] }, { BearerAuth: [] }, ...(route.method === 'get' ? [{ ApiKeyQuery: [] }] : [])];
+            operation['x-required-scope'] = route.scope;
+            responses[401] = { $ref: '#/components/responses/Unauthorized' };
+            // Routes can document further reasons for a 403
+            responses[403] = responses[403] || { $ref: '#/components/responses/Forbidden' };
+            responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+        }
+        if (!route.htmlOnly && !route.redirect) {
+            responses[500] = { $ref: '#/components/responses/ServerError' };
+        }
+        if (route.redirect) {
+            delete responses[200];
+            responses[302] = { description: 'Redirect' };
+        }
+        operation.responses = sortByStatus(responses);
+
+        return operation;
+    }
+
+    _successResponse(route) {
+        if (route.redirect) return null;
+        if (route.htmlOnly) return { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } };
+        if (route.stream) return { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } };
+        if (route.image) {
+            const binary = { schema: { type: 'string', format: 'binary' } };
+            return { description: 'Image', content: { 'image/png': binary, 'image/webp': binary } };
+        }
+
+        const success = (route.responses && route.responses[200]) || { description: 'Success' };
+        const response = jsonResponse(success.description, success.schema);
+        if (route.html) {
+            response.content['text/html'] = { schema: { type: 'string' } };
+        }
+        (route.contentTypes || []).forEach(type => {
+            response.content[type] = { schema: { type: 'string' } };
+        });
+        return response;
+    }
+}
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonResponse(description, schema = { type: 'object' }) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponse(description, schemaName = 'Error') {
+    return jsonResponse(description, ref(schemaName));
+}
+
+function sortByStatus(responses) {
+    return Object.fromEntries(Object.entries(responses).sort(([a], [b]) => Number(a) - Number(b)));
+}
+
+/**
+ * Turn a standalone JSON schema into component schemas. Its definitions become
+ * `<name>_<definition>` components and local $refs are rewritten to match.
+ */
+function toComponents(name, schema) {
+    const rewrite = (node) => {
+        if (Array.isArray(node)) return node.map(rewrite);
+        if (!node || typeof node !== 'object') return node;
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+            if (key === '$ref' && typeof value === 'string' && value.startsWith('#/definitions/')) {
+                return [key, `#/components/schemas/${name}_${value.slice('#/definitions/'.length)}`];
+            }
+            return [key, rewrite(value)];
+        }));
+    };
+
+    const { $schema, $id, definitions = {}, ...root } = schema;
+    const components = { [name]: rewrite(root) };
+    Object.entries(definitions).forEach(([definition, subschema]) => {
+        components[`${name}_${definition}`] = rewrite(subschema);
+    });
+    return components;
+}
+
+// Create singleton instance
+const openApiSpec = new OpenApiSpec();
+
+module.exports = { openApiSpec, OpenApiSpec };
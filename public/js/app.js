@@ -71,7 +71,8 @@ function renderDashboard() {
             const response = await fetch('/api/extract-company-details', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...apiKeyHeaders()
                 },
                 body: JSON.stringify({ url })
             });
@@ -134,7 +135,7 @@ async function renderLogs() {
             if (level) url += `&level=${level}`;
             if (sessionId) url += `&sessionId=${sessionId}`;
             
-            const response = await fetch(url);
+            const response = await fetch(url, { headers: apiKeyHeaders() });
             const data = await response.json();
             
             if (append) {
@@ -199,10 +200,31 @@ async function renderLogs() {
 
 // Function to open session logs in new tab
 function openSessionLogs(sessionId) {
-    const url = `/api/extraction-logs/${sessionId}?format=html`;
+    const url = withApiKey(`/api/extraction-logs/${sessionId}?format=html`);
     window.open(url, '_blank');
 }
 
+// Function to open a session's brand kit in the selected format
+function openBrandKit(sessionId) {
+    const format = document.getElementById(`brand-kit-format-${sessionId}`).value;
+    window.open(withApiKey(`/api/extraction-sessions/${sessionId}/brand-kit?format=${format}`), '_blank');
+}
+
+// Screenshot thumbnails linking to the full images
+function renderScreenshotStrip(screenshots = []) {
+    if (screenshots.length === 0) return '';
+    return `
+        <div class="screenshot-strip">
+            ${screenshots.map(shot => `
+                <figure>
+                    <a href="${withApiKey(shot.url)}" target="_blank"><img class="screenshot-thumb" src="${withApiKey(shot.thumbnailUrl)}" alt="${shot.viewport} ${shot.kind}" loading="lazy"></a>
+                    <figcaption>${shot.viewport} · ${shot.kind}</figcaption>
+                </figure>
+            `).join('')}
+        </div>
+    `;
+}
+
 // New Sessions page
 async function renderSessions() {
     const appRoot = document.getElementById('app-root');
@@ -222,7 +244,7 @@ async function renderSessions() {
     async function fetchSessions() {
         try {
             sessionsContainer.textContent = 'Loading...';
-            const response = await fetch('/api/extraction-sessions');
+            const response = await fetch('/api/extraction-sessions', { headers: apiKeyHeaders() });
             const data = await response.json();
             
             if (!data.sessions || data.sessions.length === 0) {
@@ -240,7 +262,17 @@ async function renderSessions() {
                             <p><strong>Started:</strong> ${new Date(session.startTime).toLocaleString()}</p>
                             <p><strong>Duration:</strong> ${session.duration || 'In progress'}</p>
                             <p><strong>Steps:</strong> ${session.steps || 0}</p>
+                            ${renderScreenshotStrip(session.screenshots)}
                             <button onclick="openSessionLogs('${session.sessionId}')">View Logs</button>
+                            ${session.status === 'completed' && session.hasResult ? `
+                                <select id="brand-kit-format-${session.sessionId}">
+                                    <option value="tokens">Design tokens</option>
+                                    <option value="css">CSS</option>
+                                    <option value="scss">SCSS</option>
+                                    <option value="tailwind">Tailwind</option>
+                                </select>
+                                <button onclick="openBrandKit('${session.sessionId}')">Brand Kit</button>
+                            ` : ''}
                         </div>
                     `).join('')}
                 </div>
@@ -271,7 +303,7 @@ async function renderHistory() {
     `;
 
     try {
-        const response = await fetch('/api/search-history?format=json&limit=100');
+        const response = await fetch('/api/search-history?format=json&limit=100', { headers: apiKeyHeaders() });
         const data = await response.json();
         const { analytics, searches } = data;
 
@@ -341,6 +373,7 @@ async function renderHistory() {
                         <th>Status</th>
                         <th>Duration (ms)</th>
                         <th>Type</th>
+                        <th>Screenshot</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -351,6 +384,9 @@ async function renderHistory() {
                             <td>${search.status}</td>
                             <td>${search.performance.duration || 'N/A'}</td>
                             <td>${search.extraction.isLinkedIn ? 'LinkedIn' : 'Website'}</td>
+                            <td>${search.extraction.thumbnailUrl ? `
+                                <a href="${withApiKey(`/api/extraction-sessions/${search.sessionId}/screenshots`)}" target="_blank"><img class="screenshot-thumb" src="${withApiKey(search.extraction.thumbnailUrl)}" alt="Screenshot of ${search.domain}" loading="lazy"></a>
+                            ` : ''}</td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -560,6 +596,8 @@ async function renderEndpoints() {
             <div class="card">
                 <h2>🚀 API Endpoints Tester</h2>
                 <p>Test and explore all available API endpoints</p>
+                <input type="password" id="api-key" placeholder="API key (needed once keys are configured)" style="width: 100%; margin: 5px 0;"
+                    value="${localStorage.getItem('apiKey') || ''}" onchange="localStorage.setItem('apiKey', this.value.trim())">
             </div>
             <div class="endpoints-grid">
                 <div class="card endpoint-card">
@@ -574,6 +612,10 @@ async function renderEndpoints() {
                     <p>Company data extraction endpoints</p>
                     <input type="text" id="extract-url" placeholder="https://example.com" style="width: 100%; margin: 5px 0;">
                     <button onclick="testExtraction()">POST /api/extract-company-details</button>
+                    <button onclick="testBatchExtraction()">POST /api/extraction-jobs</button>
+                    <button onclick="testEndpoint('/api/extraction-jobs', 'GET')">GET /api/extraction-jobs</button>
+                    <button onclick="testEndpoint('/api/schemas/extraction-response?v=2', 'GET')">GET /api/schemas/extraction-response</button>
+                    <button onclick="testEndpoint('/api/openapi.json', 'GET')">GET /api/openapi.json</button>
                 </div>
                 <div class="card endpoint-card">
                     <h3>📝 Logs & Sessions</h3>
@@ -588,6 +630,7 @@ async function renderEndpoints() {
                     <button onclick="testEndpoint('/api/search-history?limit=5', 'GET')">GET /api/search-history</button>
                     <button onclick="testEndpoint('/api/search-analytics', 'GET')">GET /api/search-analytics</button>
                     <button onclick="testEndpoint('/performance-metrics', 'GET')">GET /performance-metrics</button>
+                    <button onclick="testEndpoint('/api/cache?limit=10', 'GET')">GET /api/cache</button>
                 </div>
                 <div class="card endpoint-card">
                     <h3>🤖 Anti-Bot & LinkedIn</h3>
@@ -612,13 +655,37 @@ async function renderEndpoints() {
     `;
 }
 
-function testEndpoint(url, method = 'GET', body = null) {
+// API key saved on the endpoints page, sent with protected requests
+function apiKeyHeaders() {
+    const apiKey = localStorage.getItem('apiKey');
+    return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
+// The same key as a query parameter, for links, images and EventSource, which cannot send headers
+function withApiKey(url) {
+    const apiKey = localStorage.getItem('apiKey');
+    if (!apiKey) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}apiKey=${encodeURIComponent(apiKey)}`;
+}
+
+function testEndpoint(url, method = 'GET', body = null, { keepContent = false, onComplete = null } = {}) {
     const resultsContent = document.getElementById('results-content');
-    resultsContent.innerHTML = `<div class="loading">Testing ${method} ${url}...</div>`;
+    if (!keepContent) {
+        resultsContent.innerHTML = `<div class="loading">Testing ${method} ${url}...</div>`;
+    }
+    const showResult = (html) => {
+        const loading = resultsContent.querySelector('.loading');
+        if (keepContent && loading) {
+            loading.outerHTML = html; // Keep anything rendered alongside, e.g. the progress timeline
+        } else {
+            resultsContent.innerHTML = html;
+        }
+        if (onComplete) onComplete();
+    };
     
     const options = {
         method,
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json', ...apiKeyHeaders() }
     };
     
     if (body) {
@@ -632,7 +699,7 @@ function testEndpoint(url, method = 'GET', body = null) {
             return response.json().then(data => ({ status, data, statusClass }));
         })
         .then(({ status, data, statusClass }) => {
-            resultsContent.innerHTML = `
+            showResult(`
                 <div class="endpoint-result ${statusClass}">
                     <div class="result-header">
                         <strong>${method} ${url}</strong>
@@ -640,10 +707,10 @@ function testEndpoint(url, method = 'GET', body = null) {
                     </div>
                     <pre class="result-body">${JSON.stringify(data, null, 2)}</pre>
                 </div>
-            `;
+            `);
         })
         .catch(error => {
-            resultsContent.innerHTML = `
+            showResult(`
                 <div class="endpoint-result error">
                     <div class="result-header">
                         <strong>${method} ${url}</strong>
@@ -651,7 +718,7 @@ function testEndpoint(url, method = 'GET', body = null) {
                     </div>
                     <pre class="result-body">${error.message}</pre>
                 </div>
-            `;
+            `);
         });
 }
 
@@ -661,7 +728,221 @@ function testExtraction() {
         alert('Please enter a URL to extract');
         return;
     }
-    testEndpoint('/api/extract-company-details', 'POST', { url });
+
+    // Pick the session ID up front so the progress stream can be opened before the request
+    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const resultsContent = document.getElementById('results-content');
+    resultsContent.innerHTML = `
+        <div class="progress-timeline" id="progress-timeline"></div>
+        <div class="loading">Testing POST /api/extract-company-details...</div>
+    `;
+
+    const stream = watchExtractionProgress(sessionId, document.getElementById('progress-timeline'));
+    testEndpoint('/api/extract-company-details', 'POST', { url, sessionId }, {
+        keepContent: true,
+        onComplete: () => setTimeout(() => stream.close(), 1000) // Let the final events arrive
+    });
+}
+
+// Render a session's live progress events into a timeline element
+function watchExtractionProgress(sessionId, timeline) {
+    const events = new EventSource(withApiKey(`/api/extraction-sessions/${sessionId}/stream`));
+    const startedAt = Date.now();
+
+    const addEntry = (level, title, detail) => {
+        const entry = document.createElement('div');
+        entry.className = `log-entry log-${level}`;
+        entry.innerHTML = `<small>+${((Date.now() - startedAt) / 1000).toFixed(1)}s</small> <strong></strong>`;
+        entry.querySelector('strong').textContent = title;
+        if (detail) {
+            const data = document.createElement('pre');
+            data.className = 'log-data';
+            data.textContent = typeof detail === 'string' ? detail : JSON.stringify(detail, null, 2);
+            entry.appendChild(data);
+        }
+        timeline.appendChild(entry);
+        timeline.scrollTop = timeline.scrollHeight;
+    };
+
+    events.addEventListener('status', (e) => {
+        const { status } = JSON.parse(e.data);
+        addEntry('info', status === 'queued' ? '⏳ Waiting in extraction queue' : '🚀 Extraction started');
+    });
+    events.addEventListener('step', (e) => {
+        const { step, details } = JSON.parse(e.data);
+        addEntry('step', `📋 ${step}`, details);
+    });
+    events.addEventListener('warn', (e) => {
+        const { message, details } = JSON.parse(e.data);
+        addEntry('warn', `⚠️ ${message}`, details);
+    });
+    events.addEventListener('error', (e) => {
+        if (!e.data) return; // Connection errors are handled by EventSource reconnecting
+        const { message, error } = JSON.parse(e.data);
+        addEntry('error', `❌ ${message}`, error);
+    });
+    events.addEventListener('partial', (e) => {
+        const { section, data } = JSON.parse(e.data);
+        const count = Array.isArray(data) ? `${data.length} item(s)` : `${Object.keys(data || {}).length} field(s)`;
+        addEntry('info', `🧩 ${section} ready (${count})`);
+    });
+    events.addEventListener('end', (e) => {
+        const { status, duration } = JSON.parse(e.data);
+        addEntry(status === 'completed' ? 'step' : 'error', `🏁 Session ${status}${duration ? ` in ${(duration / 1000).toFixed(1)}s` : ''}`);
+        events.close();
+    });
+
+    return events;
+}
+
+function testBatchExtraction() {
+    const urls = document.getElementById('extract-url').value
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    if (urls.length === 0) {
+        alert('Please enter one or more URLs separated by commas');
+        return;
+    }
+    testEndpoint('/api/extraction-jobs', 'POST', { urls });
+}
+
+// API Docs page, rendered from the OpenAPI spec
+const docsOperations = {};
+
+async function renderApiDocs() {
+    const appRoot = document.getElementById('app-root');
+    appRoot.innerHTML = `
+        <div class="page active" id="docs-page">
+            <div class="card">
+                <h2>📘 API Docs</h2>
+                <p>Generated from <a href="/api/openapi.json" target="_blank">/api/openapi.json</a>.
+                Routes marked 🔑 need an API key once keys are configured - set yours on the API Tester page.</p>
+            </div>
+            <div id="docs-container">Loading...</div>
+        </div>
+    `;
+
+    const container = document.getElementById('docs-container');
+    try {
+        const response = await fetch('/api/openapi.json');
+        const spec = await response.json();
+
+        const operations = [];
+        Object.entries(spec.paths).forEach(([path, methods]) => {
+            Object.entries(methods).forEach(([method, operation]) => {
+                operations.push({ path, method, ...operation });
+                docsOperations[operation.operationId] = { path, method, ...operation };
+            });
+        });
+
+        container.innerHTML = spec.tags.map(tag => `
+            <div class="card">
+                <h3>${tag.name}</h3>
+                ${operations.filter(operation => operation.tags.includes(tag.name)).map(operation => renderDocsOperation(spec, operation)).join('')}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading OpenAPI spec:', error);
+        container.textContent = 'Error loading the OpenAPI specification.';
+    }
+}
+
+function renderDocsOperation(spec, operation) {
+    const id = operation.operationId;
+    const resolve = (schema) => schema && schema.$ref ? spec.components.schemas[schema.$ref.split('/').pop()] : schema;
+    const bodySchema = operation.requestBody && resolve(operation.requestBody.content['application/json'].schema);
+    const example = bodySchema && bodySchema.examples ? JSON.stringify(bodySchema.examples[0], null, 2) : '{}';
+    const parameters = operation.parameters.filter(parameter => parameter.in !== 'header');
+
+    return `
+        <details class="docs-operation">
+            <summary>
+                <span class="method-badge method-${operation.method}">${operation.method.toUpperCase()}</span>
+                <code>${operation.path}</code> ${operation.summary}
+                ${operation.security ? `<span title="API key with the ${operation['x-required-scope']} scope">🔑</span>` : ''}
+            </summary>
+            ${operation.description ? `<p>${operation.description}</p>` : ''}
+            ${parameters.length > 0 ? `
+                <h4>Parameters</h4>
+                ${parameters.map(parameter => `
+                    <label class="docs-parameter">
+                        <code>${parameter.name}</code> <small>${parameter.in}${parameter.required ? ', required' : ''}${parameter.schema.enum ? `: ${parameter.schema.enum.join(' | ')}` : ''}</small>
+                        ${parameter.description ? `<small>- ${parameter.description}</small>` : ''}
+                        <input type="text" data-docs-param="${id}" data-in="${parameter.in}" data-name="${parameter.name}"
+                            placeholder="${parameter.schema.default !== undefined ? parameter.schema.default : ''}">
+                    </label>
+                `).join('')}
+            ` : ''}
+            ${bodySchema ? `
+                <h4>Request body</h4>
+                <pre class="log-data">${JSON.stringify(bodySchema.properties, null, 2)}</pre>
+                <textarea id="docs-body-${id}" rows="6" style="width: 100%;">${example}</textarea>
+            ` : ''}
+            <h4>Responses</h4>
+            <ul>
+                ${Object.entries(operation.responses).map(([status, response]) => `
+                    <li><strong>${status}</strong> ${(resolveResponse(spec, response)).description}</li>
+                `).join('')}
+            </ul>
+            <button onclick="tryDocsOperation('${id}')">Try it</button>
+            <pre class="log-data" id="docs-result-${id}" style="display: none;"></pre>
+        </details>
+    `;
+}
+
+function resolveResponse(spec, response) {
+    return response.$ref ? spec.components.responses[response.$ref.split('/').pop()] : response;
+}
+
+async function tryDocsOperation(operationId) {
+    const operation = docsOperations[operationId];
+    const result = document.getElementById(`docs-result-${operationId}`);
+    let url = operation.path;
+    const query = new URLSearchParams();
+
+    document.querySelectorAll(`[data-docs-param="${operationId}"]`).forEach(input => {
+        const value = input.value.trim();
+        if (input.dataset.in === 'path') {
+            url = url.replace(`{${input.dataset.name}}`, encodeURIComponent(value));
+        } else if (value) {
+            query.set(input.dataset.name, value);
+        }
+    });
+    if (query.toString()) url += `?${query}`;
+
+    // Streams and HTML pages are easier to follow in their own tab
+    const success = operation.responses['200'];
+    if (success && success.content && !success.content['application/json']) {
+        window.open(withApiKey(url), '_blank');
+        return;
+    }
+
+    const options = { method: operation.method.toUpperCase(), headers: { 'Content-Type': 'application/json', ...apiKeyHeaders() } };
+    const bodyInput = document.getElementById(`docs-body-${operationId}`);
+    result.style.display = 'block';
+    if (bodyInput) {
+        try {
+            options.body = JSON.stringify(JSON.parse(bodyInput.value));
+        } catch (error) {
+            result.textContent = `Request body is not valid JSON: ${error.message}`;
+            return;
+        }
+    }
+
+    result.textContent = `${options.method} ${url} ...`;
+    try {
+        const response = await fetch(url, options);
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Not JSON - show as is
+        }
+        result.textContent = `${response.status} ${response.statusText}\n\n${body}`;
+    } catch (error) {
+        result.textContent = `Request failed: ${error.message}`;
+    }
 }
 
 // Initialize app
@@ -672,6 +953,7 @@ document.addEventListener('DOMContentLoaded', () => {
     router.addRoute('history', renderHistory);
     router.addRoute('health', renderHealth);
     router.addRoute('endpoints', renderEndpoints);
+    router.addRoute('docs', renderApiDocs);
     router.init();
 
     updateActiveConnections();
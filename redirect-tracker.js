@@ -0,0 +1,205 @@
+/**
+ * Redirect Tracker
+ * Records every main-frame document a navigation loads, so the response can show how the
+ * requested URL became the final one: HTTP redirects (3xx with a Location) and client
+ * redirects (JavaScript or meta refresh). The canonical company domain is then resolved
+ * from <link rel="canonical">, og:url and the final URL, giving a key that stays the same
+ * whichever variant of the site was submitted.
+ */
+
+/**
+ * Hosts a canonical link or og:url may not point to: left over from development or templates
+ */
+const PLACEHOLDER_HOSTS = /(^localhost$|^\d{1,3}(\.\d{1,3}){3}$|^\[|\.(local|localhost|test|example|invalid)$|^example\.(com|org|net)$)/i;
+
+/**
+ * Hostname a URL belongs to without a leading www., or null for non-http(s) and placeholder URLs
+ * @param {string} url
+ * @returns {string|null}
+ */
+function domainOf(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/^https?:$/.test(parsed.protocol)) return null;
+        const host = parsed.hostname.toLowerCase().replace(/\.$/, '').replace(/^www\d*\./, '');
+        return host && !PLACEHOLDER_HOSTS.test(host) ? host : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function withoutHash(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turns the documents a navigation loaded into redirect hops
+ * @param {Array<{url: string, status: number, location?: string, initiator?: string}>} documents - Main-frame
+ *   document responses in load order
+ * @returns {Array<{from: string, to: string, status: number, type: string}>} `type` is `http`,
+ *   `javascript` or `meta-refresh` (which also covers the Refresh header)
+ */
+function buildRedirectChain(documents = []) {
+    const chain = [];
+    for (let i = 0; i < documents.length - 1; i++) {
+        const from = documents[i];
+        const to = documents[i + 1];
+        const isHttp = from.status >= 300 && from.status < 400 && !!from.location;
+        chain.push({
+            from: from.url,
+            to: to.url,
+            status: from.status,
+            type: isHttp ? 'http' : (to.initiator === 'script' ? 'javascript' : 'meta-refresh')
+        });
+    }
+    return chain;
+}
+
+/**
+ * Canonical company domain from the page's signals: the domain at least two of canonical link,
+ * og:url and final URL agree on, otherwise the first of them that is usable
+ * @param {Object} signals
+ * @param {string} [signals.canonicalUrl] - <link rel="canonical"> href
+ * @param {string} [signals.ogUrl] - og:url content
+ * @param {string} [signals.finalUrl] - URL the browser ended on
+ * @returns {{domain: string|null, url: string|null, source: string|null}} `source` is `canonical`, `og:url` or `final-url`
+ */
+function resolveCanonicalDomain({ canonicalUrl = null, ogUrl = null, finalUrl = null } = {}) {
+    const signals = [
+        { source: 'canonical', url: canonicalUrl },
+        { source: 'og:url', url: ogUrl },
+        { source: 'final-url', url: finalUrl }
+    ]
+        .map(signal => ({ ...signal, url: signal.url ? withoutHash(signal.url) : null }))
+        .map(signal => ({ ...signal, domain: signal.url ? domainOf(signal.url) : null }))
+        .filter(signal => signal.domain);
+
+    if (signals.length === 0) return { domain: null, url: null, source: null };
+    const agreed = signals.find(signal => signals.filter(other => other.domain === signal.domain).length >= 2);
+    const { domain, url, source } = agreed || signals[0];
+    return { domain, url, source };
+}
+
+class RedirectTracker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.settleMs=1500] - How long finish waits for a navigation that starts after
+     *   page.goto resolved, such as a meta refresh or a script redirect
+     */
+    constructor(options = {}) {
+        this.settleMs = options.settleMs !== undefined ? options.settleMs : 1500;
+        this.recordings = new WeakMap(); // page -> { requestedUrl, documents, stop }
+        this.stats = { navigations: 0, redirected: 0, httpRedirects: 0, clientRedirects: 0, canonicalElsewhere: 0 };
+    }
+
+    /**
+     * Starts recording the main-frame documents a page loads. Call before page.goto; a later
+     * call for the same page starts over, e.g. for a navigation retry.
+     * @param {import('puppeteer').Page} page
+     * @param {string} requestedUrl
+     */
+    track(page, requestedUrl) {
+        this._stop(page);
+        const documents = [];
+        const onResponse = (response) => {
+            const request = response.request();
+            if (!request.isNavigationRequest() || request.frame() !== page.mainFrame()) return;
+            // A fresh navigation to the requested URL is a retry; only its chain counts.
+            // A redirected request is the first entry of its own chain.
+            const first = request.redirectChain()[0] || request;
+            if (first === request && withoutHash(response.url()) === withoutHash(requestedUrl)) {
+                documents.length = 0;
+            }
+            const headers = response.headers();
+            documents.push({
+                url: response.url(),
+                status: response.status(),
+                location: headers.location || null,
+                initiator: typeof request.initiator === 'function' ? (request.initiator() || {}).type || null : null
+            });
+        };
+        page.on('response', onResponse);
+        this.recordings.set(page, { requestedUrl, documents, stop: () => page.off('response', onResponse) });
+    }
+
+    /**
+     * Stops recording and resolves the redirect chain and canonical domain of a tracked page
+     * @param {import('puppeteer').Page} page
+     * @param {string} [requestedUrl] - Defaults to the URL passed to track
+     * @param {Object} [options]
+     * @param {number} [options.settleMs] - Defaults to the tracker's settleMs; 0 finishes right away
+     * @returns {Promise<{RequestedUrl: string, FinalUrl: string, CanonicalDomain: string|null, CanonicalUrl: string|null, CanonicalSource: string|null, RedirectChain: Object[]}>}
+     */
+    async finish(page, requestedUrl = null, { settleMs = this.settleMs } = {}) {
+        // goto resolves on the first document; a client redirect may still be about to replace it
+        if (settleMs > 0) {
+            await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: settleMs }).catch(() => null);
+        }
+        const recording = this._stop(page);
+        const requested = requestedUrl || (recording && recording.requestedUrl) || null;
+        const documents = (recording ? recording.documents : [])
+            .filter(entry => /^https?:/.test(entry.url))
+            // Reloads of the same document are not redirects
+            .filter((entry, index, all) => index === 0 || withoutHash(entry.url) !== withoutHash(all[index - 1].url));
+
+        const pageUrl = withoutHash(page.url());
+        const finalUrl = pageUrl && /^https?:/.test(pageUrl) ? pageUrl : (documents.length > 0 ? documents[documents.length - 1].url : requested);
+        const signals = await page.evaluate(() => {
+            const canonical = document.querySelector('link[rel~="canonical" i][href]');
+            const ogUrl = document.querySelector('meta[property="og:url"][content]');
+            return {
+                canonicalUrl: canonical ? canonical.href : null,
+                ogUrl: ogUrl ? ogUrl.getAttribute('content').trim() : null
+            };
+        }).catch(() => ({ canonicalUrl: null, ogUrl: null }));
+
+        // og:url is sometimes relative
+        let ogUrl = null;
+        try {
+            ogUrl = signals.ogUrl ? new URL(signals.ogUrl, finalUrl).href : null;
+        } catch (error) {
+            ogUrl = null;
+        }
+
+        const chain = buildRedirectChain(documents);
+        const canonical = resolveCanonicalDomain({ canonicalUrl: signals.canonicalUrl, ogUrl, finalUrl });
+
+        this.stats.navigations++;
+        if (chain.length > 0) this.stats.redirected++;
+        this.stats.httpRedirects += chain.filter(hop => hop.type === 'http').length;
+        this.stats.clientRedirects += chain.filter(hop => hop.type !== 'http').length;
+        if (canonical.domain && canonical.domain !== domainOf(finalUrl)) this.stats.canonicalElsewhere++;
+
+        return {
+            RequestedUrl: requested,
+            FinalUrl: finalUrl,
+            CanonicalDomain: canonical.domain,
+            CanonicalUrl: canonical.url,
+            CanonicalSource: canonical.source,
+            RedirectChain: chain
+        };
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    _stop(page) {
+        const recording = this.recordings.get(page);
+        if (!recording) return null;
+        recording.stop();
+        this.recordings.delete(page);
+        return recording;
+    }
+}
+
+// Create singleton instance
+const redirectTracker = new RedirectTracker();
+
+module.exports = { redirectTracker, RedirectTracker, buildRedirectChain, resolveCanonicalDomain, domainOf };
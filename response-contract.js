@@ -0,0 +1,513 @@
+/**
+ * Response Contract
+ * Versioned response schemas for the extract API. Extractions are produced in the
+ * v1 shape; v2 normalizes site, LinkedIn, Facebook and X output into one consistent
+ * structure. Results are validated against both before they are cached.
+ */
+
+const { validateSchema } = require('./utils/schema-validator');
+
+const SCHEMAS = {
+    '1': require('./schemas/extraction-response.v1.json'),
+    '2': require('./schemas/extraction-response.v2.json')
+};
+
+// v1 company field -> v2 company key
+const FIELD_SOURCE_KEYS = {
+    Name: 'name',
+    Description: 'description',
+    Industry: 'industry',
+    Location: 'location',
+    Founded: 'founded',
+    Employees: 'employees',
+    Website: 'website',
+    CompanyType: 'type'
+};
+
+class ResponseContract {
+    constructor(options = {}) {
+        this.supportedVersions = Object.keys(SCHEMAS);
+        this.defaultVersion = options.defaultVersion || '1'; // Existing clients keep the original shape
+        this.strict = options.strict ?? process.env.RESPONSE_SCHEMA_STRICT === 'true';
+        this.stats = { validated: 0, invalid: 0 };
+    }
+
+    /**
+     * Pick the response version from ?v= or the Accept-Version header ("2", "v2" and "2.0" all work).
+     * @param {Object} req - Express request
+     * @returns {{version?: string, error?: string}}
+     */
+    resolveVersion(req) {
+        const requested = (req.query && req.query.v) || req.get('Accept-Version');
+        if (!requested) return { version: this.defaultVersion };
+
+        const version = String(requested).trim().toLowerCase().replace(/^v/, '').replace(/\.0$/, '');
+        if (!this.supportedVersions.includes(version)) {
+            return { error: `Unsupported response version "${requested}". Supported versions: ${this.supportedVersions.join(', ')}` };
+        }
+        return { version };
+    }
+
+    getSchema(version) {
+        return SCHEMAS[version] || null;
+    }
+
+    /**
+     * Check an extraction result (v1 shape) against every schema version
+     * @param {Object} result - Extraction result as produced by the pipeline
+     * @param {string} [url] - Extracted URL
+     * @returns {{valid: boolean, errors: Array<{version: string, path: string, message: string}>}}
+     */
+    validate(result, url = null) {
+        const errors = [];
+        for (const version of this.supportedVersions) {
+            const { errors: versionErrors } = validateSchema(SCHEMAS[version], this.render(result, version, { url }));
+            versionErrors.forEach(error => errors.push({ version, ...error }));
+        }
+
+        this.stats.validated++;
+        if (errors.length > 0) this.stats.invalid++;
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Shape a result for the requested version
+     */
+    render(result, version = this.defaultVersion, { url = null } = {}) {
+        return version === '2' ? this.normalize(result, url) : result;
+    }
+
+    /**
+     * Convert a v1 result to the normalized v2 shape
+     * @param {Object} result - v1 result
+     * @param {string} [url] - Extracted URL, used when the page did not report one
+     */
+    normalize(result, url = null) {
+        const company = result.Company;
+        const stages = (result._performance && result._performance.stages) || {};
+        const normalized = {
+            schemaVersion: '2',
+            url: url || (company && toText(company.Website)) || null
+        };
+
+        // Results cached before redirects were recorded have no chain
+        if (Array.isArray(result.RedirectChain)) {
+            normalized.requestedUrl = toText(result.RequestedUrl);
+            normalized.finalUrl = toText(result.FinalUrl);
+            normalized.canonicalDomain = toText(result.CanonicalDomain);
+            normalized.canonicalUrl = toText(result.CanonicalUrl);
+            normalized.canonicalSource = result.CanonicalSource || null;
+            normalized.redirectChain = result.RedirectChain.map(({ from, to, status, type }) => ({ from, to, status, type }));
+        }
+
+        if (company) {
+            normalized.company = {
+                name: toText(company.Name),
+                description: toText(company.Description),
+                website: toText(company.Website),
+                industry: toText(company.Industry),
+                location: toText(company.Location),
+                headquarters: toText(company.Headquarters),
+                founded: toText(company.Founded),
+                employees: toText(company.Employees ?? company.CompanySize),
+                type: toText(company.Type ?? company.CompanyType),
+                specialties: toTextList(company.Specialties),
+                locations: toTextList(company.Locations)
+            };
+        }
+
+        if (result.Logo) {
+            const logo = result.Logo;
+            normalized.logo = {
+                primary: toText(logo.Logo),
+                symbol: toText(logo.Symbol),
+                icon: toText(logo.Icon),
+                favicon: toText(logo.Favicon),
+                banner: toText(logo.Banner),
+                linkedInLogo: toText(logo.LinkedInLogo),
+                linkedInBanner: toText(logo.LinkedInBanner),
+                facebookLogo: toText(logo.FacebookLogo),
+                facebookBanner: toText(logo.FacebookBanner),
+                twitterLogo: toText(logo.TwitterLogo),
+                twitterBanner: toText(logo.TwitterBanner)
+            };
+            if (logo.Assets) {
+                normalized.logo.assets = {};
+                Object.entries(logo.Assets).forEach(([role, asset]) => {
+                    normalized.logo.assets[role] = {
+                        source: asset.source,
+                        sourceFormat: toText(asset.sourceFormat),
+                        width: Number.isInteger(asset.width) ? asset.width : null,
+                        height: Number.isInteger(asset.height) ? asset.height : null,
+                        url: toText(asset.url),
+                        variants: (asset.variants || []).map(({ size, format, width, height, bytes, hash, url }) => ({ size, format, width, height, bytes, hash, url })),
+                        error: toText(asset.error)
+                    };
+                });
+            }
+        }
+
+        if (Array.isArray(result.Colors)) {
+            normalized.colors = this._normalizeColors(result.Colors);
+        }
+
+        if (result.ColorRoles && result.ColorRoles.roles) {
+            const { roles, contrast, failures } = result.ColorRoles;
+            const check = ({ foreground, background, foregroundHex, backgroundHex, ratio, level, passesAA, passesAALarge }) => ({
+                foreground,
+                background,
+                foregroundHex: toHex(foregroundHex),
+                backgroundHex: toHex(backgroundHex),
+                ratio,
+                level,
+                passesAA,
+                passesAALarge
+            });
+            normalized.colorRoles = {
+                roles: Object.fromEntries(['primary', 'secondary', 'accent', 'background', 'text'].map(role => [
+                    role,
+                    roles[role] && toHex(roles[role].hex) ? { hex: toHex(roles[role].hex), source: String(roles[role].source) } : null
+                ])),
+                contrast: (contrast || []).map(check),
+                failures: (failures || []).map(check)
+            };
+        }
+
+        if (Array.isArray(result.Fonts)) {
+            normalized.fonts = result.Fonts
+                .filter(font => font && toText(font.name))
+                .map(font => ({
+                    name: toText(font.name),
+                    role: font.type === 'heading' ? 'heading' : 'body',
+                    stack: toText(font.stack),
+                    provider: toText(font.provider),
+                    resolvedFamily: toText(font.resolvedFamily),
+                    weights: (font.weights || []).filter(Number.isInteger),
+                    styles: font.styles || [],
+                    files: (font.files || []).map(({ url, format, weight, style }) => ({
+                        url, format: toText(format), weight: toText(weight), style: toText(style)
+                    })),
+                    fallbackOnly: typeof font.fallbackOnly === 'boolean' ? font.fallbackOnly : null,
+                    missing: font.missing || []
+                }));
+        }
+
+        if (Array.isArray(result.Images)) {
+            normalized.images = result.Images
+                .filter(image => image && toText(image.src))
+                .map(image => ({ url: toText(image.src), alt: toText(image.alt) }));
+        }
+
+        if (result.Icons && Array.isArray(result.Icons.list)) {
+            const icons = result.Icons;
+            const integer = (value) => (Number.isInteger(value) ? value : null);
+            normalized.icons = {
+                list: icons.list.filter(icon => icon && toText(icon.url)).map(icon => ({
+                    url: icon.url,
+                    source: icon.source,
+                    rel: toText(icon.rel),
+                    declaredSizes: icon.declaredSizes || [],
+                    type: toText(icon.type),
+                    purpose: toText(icon.purpose),
+                    color: toText(icon.color),
+                    valid: icon.valid === true,
+                    format: toText(icon.format),
+                    width: integer(icon.width),
+                    height: integer(icon.height),
+                    sizes: icon.sizes || [],
+                    bytes: integer(icon.bytes),
+                    scalable: icon.scalable === true,
+                    score: typeof icon.score === 'number' ? icon.score : 0,
+                    error: toText(icon.error)
+                })),
+                bestBySize: { ...(icons.bestBySize || {}) },
+                manifestUrl: toText(icons.manifestUrl),
+                themeColor: toText(icons.themeColor),
+                backgroundColor: toText(icons.backgroundColor),
+                tileColor: toText(icons.tileColor)
+            };
+        }
+
+        if (Array.isArray(result.Technologies)) {
+            normalized.technologies = result.Technologies
+                .filter(technology => technology && toText(technology.name))
+                .map(technology => ({
+                    name: technology.name,
+                    category: toText(technology.category) || 'other',
+                    version: toText(technology.version),
+                    website: toText(technology.website),
+                    evidence: (technology.evidence || []).map(item => ({
+                        type: item.type,
+                        name: toText(item.name),
+                        value: toText(item.value)
+                    }))
+                }));
+        }
+
+        if (company && company.SocialLinks) {
+            normalized.socialLinks = {};
+            Object.entries(company.SocialLinks).forEach(([network, link]) => {
+                const value = toText(link);
+                if (value) normalized.socialLinks[network.toLowerCase().replace(/[^a-z]/g, '')] = value;
+            });
+        }
+
+        if (company && Array.isArray(company.SocialProfiles)) {
+            normalized.socialProfiles = company.SocialProfiles.map(({ platform, url, handle, kind, sources }) => ({
+                platform: String(platform).toLowerCase().replace(/[^a-z]/g, ''),
+                url,
+                handle,
+                kind,
+                sources: sources || []
+            }));
+        }
+
+        if (company && company.Contacts) {
+            const contacts = company.Contacts;
+            normalized.contacts = {
+                emails: (contacts.emails || []).map(({ address, type, score }) => ({ address, type, score })),
+                phones: (contacts.phones || []).map(({ number, raw, country, type, extension }) => ({
+                    number, raw, country: country || null, type, extension: extension || null
+                })),
+                addresses: (contacts.addresses || []).map(address => ({
+                    formatted: address.formatted,
+                    street: toText(address.street),
+                    locality: toText(address.locality),
+                    region: toText(address.region),
+                    postalCode: toText(address.postalCode),
+                    country: toText(address.country)
+                }))
+            };
+        }
+
+        if (company && company.Provenance) {
+            normalized.provenance = {};
+            Object.entries(company.Provenance).forEach(([field, pageUrl]) => {
+                const value = toText(pageUrl);
+                if (value) normalized.provenance[field.charAt(0).toLowerCase() + field.slice(1)] = value;
+            });
+        }
+
+        if (company && company.FieldSources) {
+            const describe = ({ value, source, detail, url, confidence }) => ({
+                value: toText(value),
+                source: source || null,
+                detail: toText(detail),
+                url: toText(url),
+                confidence: typeof confidence === 'number' ? confidence : null
+            });
+            normalized.fieldSources = {};
+            Object.entries(company.FieldSources).forEach(([field, entry]) => {
+                const key = FIELD_SOURCE_KEYS[field];
+                if (!key || !entry) return;
+                normalized.fieldSources[key] = { ...describe(entry), alternatives: (entry.alternatives || []).map(describe) };
+            });
+        }
+
+        if (company && Array.isArray(company.CrawledPages)) {
+            normalized.crawledPages = company.CrawledPages.map(crawled => ({
+                url: crawled.url,
+                kind: crawled.kind,
+                source: crawled.source,
+                status: crawled.status,
+                durationMs: Number.isInteger(crawled.durationMs) ? crawled.durationMs : null,
+                reason: toText(crawled.reason),
+                error: toText(crawled.error)
+            }));
+        }
+
+        if (company && company.StructuredData) {
+            const structured = company.StructuredData;
+            const texts = (object, keys) => Object.fromEntries(keys.map(key => [key, toText(object[key])]));
+            const address = (value) => (value && toText(value.formatted)
+                ? texts(value, ['formatted', 'street', 'locality', 'region', 'postalCode', 'country'])
+                : null);
+            const organization = structured.organization;
+            const business = structured.localBusiness;
+            normalized.structuredData = {
+                organization: organization ? {
+                    format: organization.format,
+                    types: toTextList(organization.types),
+                    ...texts(organization, ['id', 'name', 'legalName', 'alternateName', 'description', 'url', 'logo', 'email', 'telephone', 'foundingDate', 'numberOfEmployees', 'industry']),
+                    keywords: toTextList(organization.keywords),
+                    address: address(organization.address),
+                    sameAs: toTextList(organization.sameAs)
+                } : null,
+                localBusiness: business ? {
+                    format: business.format,
+                    types: toTextList(business.types),
+                    ...texts(business, ['id', 'name', 'url', 'telephone', 'priceRange']),
+                    address: address(business.address),
+                    geo: business.geo && Number.isFinite(business.geo.latitude) && Number.isFinite(business.geo.longitude)
+                        ? { latitude: business.geo.latitude, longitude: business.geo.longitude }
+                        : null,
+                    openingHours: (business.openingHours || []).map(({ days, opens, closes }) => ({ days: days || [], opens: opens || null, closes: closes || null }))
+                } : null,
+                products: (structured.products || []).map(product => ({
+                    format: product.format,
+                    ...texts(product, ['name', 'description', 'sku', 'gtin', 'brand', 'image', 'url']),
+                    offers: (product.offers || []).map(offer => texts(offer, ['price', 'currency', 'availability', 'url']))
+                })),
+                brands: (structured.brands || []).filter(brand => toText(brand.name)).map(brand => texts(brand, ['name', 'logo', 'url'])),
+                contactPoints: (structured.contactPoints || []).map(contactPoint => ({
+                    ...texts(contactPoint, ['contactType', 'telephone', 'email']),
+                    areaServed: toTextList(contactPoint.areaServed),
+                    availableLanguage: toTextList(contactPoint.availableLanguage)
+                })),
+                sameAs: toTextList(structured.sameAs),
+                logo: toText(structured.logo),
+                counts: { 'json-ld': 0, microdata: 0, rdfa: 0, ...structured.counts },
+                errors: (structured.errors || []).map(({ format, block, message }) => ({ format, ...(Number.isInteger(block) && { block }), message: String(message) })),
+                graph: structured.graph || []
+            };
+        }
+
+        if (company) {
+            const socialLinks = company.SocialLinks || {};
+            const facebook = company.Facebook || null;
+            const twitter = company.Twitter || null;
+            normalized.sources = {
+                linkedin: {
+                    status: sourceStatus(stages.linkedin, company.LinkedInError, /linkedin\.com\/company/.test(socialLinks.LinkedIn || '')),
+                    url: toText(socialLinks.LinkedIn),
+                    error: toText(company.LinkedInError)
+                },
+                facebook: {
+                    status: sourceStatus(stages.facebook, company.FacebookError, !!facebook),
+                    url: toText((facebook && facebook.url) || socialLinks.Facebook),
+                    error: toText(company.FacebookError),
+                    likes: toText(facebook && facebook.likes),
+                    followers: toText(facebook && facebook.followers)
+                },
+                twitter: {
+                    status: sourceStatus(stages.twitter, company.TwitterError, !!twitter),
+                    url: toText((twitter && twitter.url) || socialLinks.Twitter),
+                    error: toText(company.TwitterError),
+                    handle: toText(twitter && twitter.handle),
+                    followers: twitter && Number.isInteger(twitter.followers) ? String(twitter.followers) : null,
+                    following: twitter && Number.isInteger(twitter.following) ? String(twitter.following) : null,
+                    verified: twitter && typeof twitter.verified === 'boolean' ? twitter.verified : null
+                }
+            };
+        }
+
+        normalized.errors = [
+            ['site', company && company.ExtractionError],
+            ['linkedin', company && company.LinkedInError],
+            ['facebook', company && company.FacebookError],
+            ['twitter', company && company.TwitterError]
+        ]
+            .filter(([, message]) => toText(message))
+            .map(([source, message]) => ({ source, message: toText(message) }));
+
+        // Request metadata (_performance, _cached, _sessionId, ...) passes through unchanged
+        Object.keys(result).filter(key => key.startsWith('_')).forEach(key => {
+            normalized[key] = result[key];
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Headline fields of a result, e.g. for search history
+     * @param {Object} result - v1 result
+     */
+    summarize(result) {
+        const { company, logo, canonicalDomain, finalUrl } = this.normalize(result || {});
+        return {
+            canonicalDomain: canonicalDomain || null,
+            finalUrl: finalUrl || null,
+            companyName: company ? company.name : null,
+            industry: company ? company.industry : null,
+            website: company ? company.website : null,
+            companyLogo: logo ? (logo.primary || logo.linkedInLogo || logo.facebookLogo || logo.twitterLogo) : null,
+            bannerImage: logo ? (logo.banner || logo.linkedInBanner || logo.facebookBanner || logo.twitterBanner) : null
+        };
+    }
+
+    getStats() {
+        return {
+            supportedVersions: this.supportedVersions,
+            defaultVersion: this.defaultVersion,
+            strict: this.strict,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Site colors carry a brightness; the two entries after them are the colors of the
+     * LinkedIn banner and logo images (empty objects when an image was missing)
+     */
+    _normalizeColors(colors) {
+        const normalized = [];
+        const seen = new Set();
+        let imageSlot = 0;
+
+        colors.forEach(color => {
+            if (!color || typeof color !== 'object') return;
+
+            const isSiteColor = 'brightness' in color;
+            const source = isSiteColor ? 'site' : ['linkedin-banner', 'linkedin-logo'][imageSlot++];
+            const hex = toHex(color.hex);
+            if (!source || !hex || seen.has(`${source}${hex}`)) return;
+            seen.add(`${source}${hex}`);
+
+            const entry = {
+                hex,
+                rgb: hexToRgbString(hex),
+                brightness: typeof color.brightness === 'number' ? color.brightness : null,
+                name: toText(color.name) || (isSiteColor ? null : source === 'linkedin-banner' ? 'Banner Image' : 'Logo Image'),
+                source
+            };
+            if (Array.isArray(color.colors)) {
+                entry.palette = color.colors.map(toHex).filter(Boolean);
+            }
+            normalized.push(entry);
+        });
+
+        return normalized;
+    }
+}
+
+/**
+ * Trimmed, whitespace-collapsed string, or null when empty
+ */
+function toText(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+function toTextList(values) {
+    return Array.isArray(values) ? values.map(toText).filter(Boolean) : [];
+}
+
+/**
+ * Uppercase #RRGGBB, expanding #RGB; null for anything else
+ */
+function toHex(value) {
+    if (typeof value !== 'string') return null;
+    let hex = value.trim().toUpperCase();
+    if (/^#[0-9A-F]{3}$/.test(hex)) {
+        hex = `#${hex.slice(1).split('').map(c => c + c).join('')}`;
+    }
+    return /^#[0-9A-F]{6}$/.test(hex) ? hex : null;
+}
+
+function hexToRgbString(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgb(${(value >> 16) & 255},${(value >> 8) & 255},${value & 255})`;
+}
+
+function sourceStatus(stage, error, found) {
+    if (error) return 'failed';
+    if (stage && stage.status) return stage.status;
+    return found ? 'completed' : 'skipped';
+}
+
+// Create singleton instance
+const responseContract = new ResponseContract();
+
+module.exports = { responseContract, ResponseContract };
@@ -0,0 +1,322 @@
+/**
+ * Robots.txt
+ * Fetches, parses and caches the robots.txt of every origin we visit and decides whether a URL
+ * may be loaded, following RFC 9309: the group naming our user agent applies (else `*`), the
+ * longest matching rule wins and Allow wins ties. Crawl-delay is honoured between visits to an origin.
+ * The website, crawl, LinkedIn, Facebook and X paths all check here before navigating.
+ */
+
+/**
+ * Product token matched against the user-agent lines of robots.txt
+ */
+const DEFAULT_USER_AGENT = 'CompanyExtractionBot';
+
+/**
+ * Largest robots.txt read; RFC 9309 requires parsing at least 500 KiB
+ */
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Parses a robots.txt file into user-agent groups and sitemap URLs.
+ * Consecutive user-agent lines share one group; rules before the first user-agent line are ignored.
+ * @param {string} text
+ * @returns {{groups: Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>, sitemaps: string[]}}
+ */
+function parseRobotsTxt(text = '') {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let collectingAgents = false;
+
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(line => {
+        const match = line.replace(/#.*$/, '').match(/^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/);
+        if (!match) return;
+        const key = match[1].toLowerCase();
+        const value = match[2];
+
+        if (key === 'user-agent') {
+            if (!collectingAgents) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+                collectingAgents = true;
+            }
+            // "ExampleBot/2.1" names the ExampleBot product token
+            if (value) group.agents.push(value.split('/')[0].trim().toLowerCase());
+            return;
+        }
+        if (key === 'sitemap') {
+            // Sitemaps do not belong to a group
+            if (value) sitemaps.push(value);
+            return;
+        }
+
+        collectingAgents = false;
+        if (!group) return;
+        if ((key === 'allow' || key === 'disallow') && value) {
+            group.rules.push({ allow: key === 'allow', path: value });
+        } else if (key === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+        }
+    });
+
+    return { groups, sitemaps: [...new Set(sitemaps)] };
+}
+
+/**
+ * Rules and Crawl-delay that apply to a user agent: the groups naming its product token
+ * (merged when repeated), otherwise the `*` groups
+ * @param {Object} parsed - Output of parseRobotsTxt
+ * @param {string} [userAgent]
+ * @returns {{agent: string|null, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+function selectGroup(parsed, userAgent = DEFAULT_USER_AGENT) {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+    const agents = parsed.groups.flatMap(group => group.agents);
+    const agent = agents.includes(token) ? token : (agents.includes('*') ? '*' : null);
+
+    const groups = parsed.groups.filter(group => agent && group.agents.includes(agent));
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+        agent,
+        rules: groups.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+/**
+ * Decodes percent-encoded characters that need no encoding, so /%7Efoo and /~foo compare equal
+ */
+function normalizePath(path) {
+    return path.replace(/%([0-9a-f]{2})/gi, (escape, hex) => {
+        const char = String.fromCharCode(parseInt(hex, 16));
+        return /[A-Za-z0-9\-._~]/.test(char) ? char : escape.toUpperCase();
+    });
+}
+
+/**
+ * Whether a rule path (with `*` wildcards and an optional trailing `$`) matches a URL path
+ */
+function pathMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = normalizePath(anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(normalizePath(path));
+}
+
+/**
+ * The rule deciding a path: the longest matching rule, Allow on ties. No rule means allowed.
+ * @param {Array<{allow: boolean, path: string}>} rules
+ * @param {string} path - Path and query of the URL
+ * @returns {{allow: boolean, path: string}|null}
+ */
+function matchRule(rules, path) {
+    return rules
+        .filter(rule => pathMatches(rule.path, path))
+        .reduce((best, rule) => {
+            if (!best || rule.path.length > best.path.length) return rule;
+            return rule.path.length === best.path.length && rule.allow ? rule : best;
+        }, null);
+}
+
+class RobotsTxt {
+    constructor(options = {}) {
+        this.userAgent = options.userAgent || process.env.ROBOTS_USER_AGENT || DEFAULT_USER_AGENT;
+        this.ttl = (options.ttlSeconds || parseInt(process.env.ROBOTS_CACHE_TTL_SECONDS, 10) || 86400) * 1000;
+        this.errorTtl = (options.errorTtlSeconds || 300) * 1000; // Unreachable robots.txt is retried sooner
+        this.timeout = options.timeout || 8000;
+        this.maxEntries = options.maxEntries || 500;
+        // Longest Crawl-delay wait before a visit is refused instead of delayed
+        this.maxDelayWait = options.maxDelayWaitMs ?? (parseInt(process.env.ROBOTS_MAX_CRAWL_DELAY_WAIT_MS, 10) || 15000);
+        this.httpClient = options.httpClient || null; // Defaults to axios, injectable for tests
+        this.cache = new Map(); // origin -> { parsed, status, expiresAt }
+        this.pending = new Map(); // origin -> in-flight fetch
+        this.nextVisit = new Map(); // origin -> earliest time Crawl-delay allows the next visit
+        this.stats = { checks: 0, allowed: 0, disallowed: 0, overrides: 0, fetches: 0, fetchErrors: 0, cacheHits: 0, delayedVisits: 0, delayRefusals: 0 };
+    }
+
+    /**
+     * Whether a URL may be loaded
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {boolean} [options.override] - Skip robots.txt, for sites the requester owns
+     * @returns {Promise<{allowed: boolean, url: string, robotsUrl: string|null, agent: string|null, rule: Object|null, crawlDelay: number|null, reason: string}>}
+     */
+    async check(url, { override = false } = {}) {
+        this.stats.checks++;
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            return this._result(url, { allowed: false, reason: 'invalid URL' });
+        }
+        if (!/^https?:$/.test(parsedUrl.protocol)) {
+            return this._result(url, { allowed: true, reason: 'not an http(s) URL' });
+        }
+
+        const robotsUrl = `${parsedUrl.origin}/robots.txt`;
+        if (override) {
+            this.stats.overrides++;
+            return this._result(url, { allowed: true, robotsUrl, reason: 'robots.txt ignored for this request' });
+        }
+        if (parsedUrl.pathname === '/robots.txt') {
+            return this._result(url, { allowed: true, robotsUrl, reason: 'robots.txt itself' });
+        }
+
+        const entry = await this._load(parsedUrl.origin);
+        if (entry.status === 'unreachable') {
+            return this._result(url, { allowed: false, robotsUrl, reason: `robots.txt unreachable (${entry.error}), assuming full disallow` });
+        }
+        if (entry.status === 'missing') {
+            return this._result(url, { allowed: true, robotsUrl, reason: `no robots.txt (HTTP ${entry.httpStatus})` });
+        }
+
+        const group = selectGroup(entry.parsed, this.userAgent);
+        const rule = matchRule(group.rules, parsedUrl.pathname + parsedUrl.search);
+        const allowed = !rule || rule.allow;
+        return this._result(url, {
+            allowed,
+            robotsUrl,
+            agent: group.agent,
+            rule,
+            crawlDelay: group.crawlDelay,
+            reason: rule ? `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}` : 'no matching rule'
+        });
+    }
+
+    /**
+     * Checks a URL before navigation and waits for its origin's Crawl-delay.
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {boolean} [options.override] - Skip robots.txt and Crawl-delay, for sites the requester owns
+     * @returns {Promise<Object>} The check result (see check)
+     * @throws {Error} `code` ROBOTS_DISALLOWED when robots.txt disallows the URL, or ROBOTS_CRAWL_DELAY
+     *   with `retryAfter` seconds when the Crawl-delay wait would exceed ROBOTS_MAX_CRAWL_DELAY_WAIT_MS
+     */
+    async enforce(url, { override = false } = {}) {
+        const result = await this.check(url, { override });
+        if (!result.allowed) {
+            const error = new Error(`Disallowed by robots.txt: ${url} (${result.reason})`);
+            error.code = 'ROBOTS_DISALLOWED';
+            error.robots = result;
+            throw error;
+        }
+        if (!override && result.crawlDelay) {
+            await this._waitForSlot(new URL(url).origin, result.crawlDelay * 1000);
+        }
+        return result;
+    }
+
+    /**
+     * Sitemap URLs listed in the robots.txt of a URL's origin
+     * @param {string} url - Any URL on the site
+     * @returns {Promise<string[]>}
+     */
+    async getSitemaps(url) {
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch (error) {
+            return [];
+        }
+        const entry = await this._load(origin);
+        return entry.parsed ? entry.parsed.sitemaps : [];
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cachedOrigins: this.cache.size,
+            userAgent: this.userAgent,
+            ttlSeconds: this.ttl / 1000
+        };
+    }
+
+    _result(url, result) {
+        this.stats[result.allowed ? 'allowed' : 'disallowed']++;
+        return { url, robotsUrl: null, agent: null, rule: null, crawlDelay: null, ...result };
+    }
+
+    /**
+     * Cached robots.txt of an origin; concurrent lookups share one request
+     */
+    async _load(origin) {
+        const cached = this.cache.get(origin);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return cached;
+        }
+        if (!this.pending.has(origin)) {
+            this.pending.set(origin, this._fetch(origin).then(entry => {
+                this.cache.delete(origin);
+                this.cache.set(origin, entry);
+                // Oldest origins are evicted first
+                while (this.cache.size > this.maxEntries) this.cache.delete(this.cache.keys().next().value);
+                return entry;
+            }).finally(() => this.pending.delete(origin)));
+        }
+        return this.pending.get(origin);
+    }
+
+    async _fetch(origin) {
+        this.stats.fetches++;
+        const client = this.httpClient || require('axios');
+        try {
+            const response = await client({
+                method: 'GET',
+                url: `${origin}/robots.txt`,
+                responseType: 'text',
+                timeout: this.timeout,
+                maxRedirects: 5,
+                maxContentLength: MAX_ROBOTS_BYTES * 4,
+                headers: { 'User-Agent': this.userAgent, 'Accept': 'text/plain,*/*;q=0.8' },
+                validateStatus: () => true
+            });
+            const status = response.status;
+            if (status >= 200 && status < 300) {
+                const text = typeof response.data === 'string' ? response.data : String(response.data || '');
+                return { status: 'ok', httpStatus: status, parsed: parseRobotsTxt(text.slice(0, MAX_ROBOTS_BYTES)), expiresAt: Date.now() + this.ttl };
+            }
+            if (status >= 400 && status < 500) {
+                // RFC 9309: an unavailable robots.txt (including 401 and 403) places no restrictions
+                return { status: 'missing', httpStatus: status, parsed: null, expiresAt: Date.now() + this.ttl };
+            }
+            throw new Error(`HTTP ${status}`);
+        } catch (error) {
+            this.stats.fetchErrors++;
+            console.warn(`[RobotsTxt] Failed to fetch ${origin}/robots.txt:`, error.message);
+            return { status: 'unreachable', error: error.message, parsed: null, expiresAt: Date.now() + this.errorTtl };
+        }
+    }
+
+    /**
+     * Reserves the next Crawl-delay slot of an origin and waits for it
+     */
+    async _waitForSlot(origin, delayMs) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextVisit.get(origin) || 0);
+        const wait = slot - now;
+        if (wait > this.maxDelayWait) {
+            this.stats.delayRefusals++;
+            const error = new Error(`Crawl-delay of ${delayMs / 1000}s for ${origin} would need a ${Math.ceil(wait / 1000)}s wait`);
+            error.code = 'ROBOTS_CRAWL_DELAY';
+            error.retryAfter = Math.ceil(wait / 1000);
+            throw error;
+        }
+        this.nextVisit.set(origin, slot + delayMs);
+        if (this.nextVisit.size > this.maxEntries) {
+            this.nextVisit.forEach((time, key) => { if (time < now) this.nextVisit.delete(key); });
+        }
+        if (wait > 0) {
+            this.stats.delayedVisits++;
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+}
+
+// Create singleton instance
+const robotsTxt = new RobotsTxt();
+
+module.exports = { robotsTxt, RobotsTxt, parseRobotsTxt, selectGroup, matchRule };
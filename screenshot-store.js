@@ -0,0 +1,274 @@
+/**
+ * Screenshot Store
+ * Captures what the scraper saw: above-the-fold and full-page screenshots of the
+ * extracted page at desktop and mobile viewports, plus a small WebP thumbnail of
+ * each. Files are stored per extraction session next to a manifest, so they stay
+ * available after the session itself has been rotated out of the extraction logger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Emulated viewports. The desktop shots reuse the extraction page; mobile loads
+ * the URL again in its own page, since switching an open page to a touch device
+ * would make puppeteer reload it mid-extraction.
+ */
+const SCREENSHOT_VIEWPORTS = {
+    desktop: { width: 1366, height: 768, deviceScaleFactor: 1 },
+    mobile: {
+        width: 390,
+        height: 844,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+    }
+};
+
+/**
+ * Kinds of shot per viewport: the first screen, or the whole page (capped at maxFullPageHeight)
+ */
+const SCREENSHOT_KINDS = ['viewport', 'fullpage'];
+
+const SESSION_PATTERN = /^session_[A-Za-z0-9_-]{1,80}$/;
+const FILE_PATTERN = /^(desktop|mobile)-(viewport|fullpage)(\.thumb)?\.(png|webp)$/;
+
+class ScreenshotStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || process.env.SCREENSHOTS_DATA_DIR || path.join(process.cwd(), 'screenshots-data');
+        this.publicBaseUrl = (options.publicBaseUrl ?? process.env.PUBLIC_BASE_URL ?? '').replace(/\/$/, '');
+        this.retentionHours = options.retentionHours ?? parseFloat(process.env.SCREENSHOT_RETENTION_HOURS || '72');
+        this.thumbnailWidth = options.thumbnailWidth || 320;
+        this.maxFullPageHeight = options.maxFullPageHeight || 8000;
+        this.navigationTimeout = options.navigationTimeout || 20000;
+        this.sharp = options.sharp || null; // Lazy loaded like in index.js
+        this.stats = { sessions: 0, captured: 0, failed: 0, served: 0, pruned: 0 };
+        this._ensureDir();
+    }
+
+    /**
+     * Validates the `screenshots` request option
+     * @param {boolean|Object} value - true for every viewport and kind, or `{viewports, fullPage}`
+     * @returns {{options?: {viewports: string[], fullPage: boolean}|null, error?: string}} options is null when disabled
+     */
+    resolveOptions(value) {
+        if (value === undefined || value === false) return { options: null };
+        if (value === true) return { options: { viewports: Object.keys(SCREENSHOT_VIEWPORTS), fullPage: true } };
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { error: 'screenshots must be a boolean or an object with viewports and fullPage' };
+        }
+
+        const { viewports = Object.keys(SCREENSHOT_VIEWPORTS), fullPage = true } = value;
+        if (!Array.isArray(viewports) || viewports.length === 0 || viewports.some(viewport => !SCREENSHOT_VIEWPORTS[viewport])) {
+            return { error: `screenshots.viewports must list one or more of: ${Object.keys(SCREENSHOT_VIEWPORTS).join(', ')}` };
+        }
+        if (typeof fullPage !== 'boolean') {
+            return { error: 'screenshots.fullPage must be a boolean' };
+        }
+        return { options: { viewports: [...new Set(viewports)], fullPage } };
+    }
+
+    /**
+     * Capture and store the screenshots of one extraction. A failed viewport is
+     * recorded in the manifest and does not stop the others.
+     * @param {import('puppeteer').Page} page - Loaded extraction page (desktop)
+     * @param {string} sessionId
+     * @param {Object} options
+     * @param {string} options.url - Extracted URL, loaded again for the mobile shots
+     * @param {import('puppeteer').BrowserContext} [options.context] - Context to open the mobile page in;
+     *   the extraction's own context, so cookies and storage stay isolated per extraction
+     * @param {Function} [options.preparePage] - Called with the mobile page before it loads (e.g. request filtering)
+     * @param {string[]} [options.viewports] - desktop and/or mobile
+     * @param {boolean} [options.fullPage=true] - Also capture the whole page
+     * @returns {Promise<Object>} Session manifest (see list)
+     */
+    async capture(page, sessionId, { url, context = null, preparePage = null, viewports = Object.keys(SCREENSHOT_VIEWPORTS), fullPage = true } = {}) {
+        if (!SESSION_PATTERN.test(String(sessionId))) throw new Error(`Invalid session ID: ${sessionId}`);
+
+        const sessionDir = path.join(this.dataDir, sessionId);
+        await fs.promises.mkdir(sessionDir, { recursive: true });
+
+        const kinds = fullPage ? SCREENSHOT_KINDS : ['viewport'];
+        const screenshots = [];
+        const errors = [];
+
+        for (const viewport of viewports) {
+            let target = page;
+            let ownPage = false;
+            try {
+                // The extraction page already has the desktop viewport (see setupPuppeteerPageForCompanyDetails)
+                if (viewport !== 'desktop') {
+                    if (!context) throw new Error('A browser context is required for the mobile viewport');
+                    target = await this._openViewportPage(context, url, viewport, preparePage);
+                    ownPage = true;
+                }
+
+                for (const kind of kinds) {
+                    screenshots.push(await this._shoot(target, sessionDir, viewport, kind));
+                }
+            } catch (error) {
+                this.stats.failed++;
+                errors.push({ viewport, error: error.message });
+                console.warn(`[ScreenshotStore] ${viewport} screenshots failed for ${url}:`, error.message);
+            } finally {
+                if (ownPage) await target.close().catch(() => {});
+            }
+        }
+
+        const manifest = {
+            sessionId,
+            url: url || null,
+            capturedAt: new Date().toISOString(),
+            screenshots,
+            errors
+        };
+        await fs.promises.writeFile(path.join(sessionDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        this.stats.sessions++;
+
+        this.prune().catch(error => console.warn('[ScreenshotStore] Pruning old screenshots failed:', error.message));
+        return this._present(manifest);
+    }
+
+    /**
+     * Stored screenshots of a session, with URLs for the images and their thumbnails
+     * @returns {Object|null} null when nothing was captured for the session
+     */
+    list(sessionId) {
+        if (!SESSION_PATTERN.test(String(sessionId))) return null;
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(this.dataDir, sessionId, 'manifest.json'), 'utf8'));
+            return this._present(manifest);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Locate a stored image for the screenshot file route
+     * @returns {{path: string, contentType: string}|null}
+     */
+    getFile(sessionId, name) {
+        if (!SESSION_PATTERN.test(String(sessionId)) || !FILE_PATTERN.test(String(name))) return null;
+        const filePath = path.join(this.dataDir, sessionId, name);
+        if (!fs.existsSync(filePath)) return null;
+        this.stats.served++;
+        return { path: filePath, contentType: name.endsWith('.webp') ? 'image/webp' : 'image/png' };
+    }
+
+    /**
+     * Delete the screenshots of sessions older than the retention period
+     * @returns {Promise<number>} Number of sessions removed
+     */
+    async prune(now = Date.now()) {
+        if (!(this.retentionHours > 0)) return 0;
+        const cutoff = now - this.retentionHours * 60 * 60 * 1000;
+        let removed = 0;
+
+        const entries = await fs.promises.readdir(this.dataDir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !SESSION_PATTERN.test(entry.name)) continue;
+            const sessionDir = path.join(this.dataDir, entry.name);
+            const { mtimeMs } = await fs.promises.stat(sessionDir);
+            if (mtimeMs < cutoff) {
+                await fs.promises.rm(sessionDir, { recursive: true, force: true });
+                removed++;
+            }
+        }
+        this.stats.pruned += removed;
+        return removed;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            dataDir: this.dataDir,
+            retentionHours: this.retentionHours,
+            viewports: Object.keys(SCREENSHOT_VIEWPORTS)
+        };
+    }
+
+    async _openViewportPage(context, url, viewport, preparePage) {
+        const { userAgent, ...metrics } = SCREENSHOT_VIEWPORTS[viewport];
+        const page = await context.newPage();
+        try {
+            if (preparePage) await preparePage(page);
+            if (userAgent) await page.setUserAgent(userAgent);
+            await page.setViewport(metrics);
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: this.navigationTimeout });
+            return page;
+        } catch (error) {
+            await page.close().catch(() => {});
+            throw error;
+        }
+    }
+
+    async _shoot(page, sessionDir, viewport, kind) {
+        const sharp = this.sharp || (this.sharp = require('sharp'));
+        const name = `${viewport}-${kind}`;
+
+        let options = { type: 'png' };
+        let truncated = false;
+        if (kind === 'fullpage') {
+            // Infinite-scroll pages can be arbitrarily tall; keep the top part
+            const { width, height } = await page.evaluate(() => ({
+                width: document.documentElement.clientWidth,
+                height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+            }));
+            truncated = height > this.maxFullPageHeight;
+            options = { ...options, captureBeyondViewport: true, clip: { x: 0, y: 0, width, height: Math.min(height, this.maxFullPageHeight) } };
+        }
+
+        const image = Buffer.from(await page.screenshot(options));
+        const { width, height } = await sharp(image).metadata();
+        // Thumbnails show the top of the page, so a full-page thumbnail is cropped to a 4:3 window
+        const thumbnail = await sharp(image)
+            .resize({ width: this.thumbnailWidth, height: Math.round(this.thumbnailWidth * 0.75), fit: 'cover', position: 'top' })
+            .webp({ quality: 80 })
+            .toBuffer();
+
+        await fs.promises.writeFile(path.join(sessionDir, `${name}.png`), image);
+        await fs.promises.writeFile(path.join(sessionDir, `${name}.thumb.webp`), thumbnail);
+        this.stats.captured++;
+
+        return {
+            viewport,
+            kind,
+            width,
+            height,
+            bytes: image.length,
+            truncated,
+            file: `${name}.png`,
+            thumbnail: `${name}.thumb.webp`,
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Public manifest: file names become URLs of the screenshot file route
+     */
+    _present(manifest) {
+        const base = `${this.publicBaseUrl}/api/extraction-sessions/${manifest.sessionId}/screenshots`;
+        return {
+            ...manifest,
+            screenshots: manifest.screenshots.map(({ file, thumbnail, ...shot }) => ({
+                ...shot,
+                url: `${base}/${file}`,
+                thumbnailUrl: `${base}/${thumbnail}`
+            }))
+        };
+    }
+
+    _ensureDir() {
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn(`⚠️ Could not create screenshot directory ${this.dataDir}:`, error.message);
+        }
+    }
+}
+
+// Create singleton instance
+const screenshotStore = new ScreenshotStore();
+
+module.exports = { screenshotStore, ScreenshotStore, SCREENSHOT_VIEWPORTS };
@@ -95,6 +95,9 @@ class SearchHistoryLogger {
             url: searchData.url,
             normalizedUrl: searchData.normalizedUrl,
             domain: this.extractDomain(searchData.normalizedUrl || searchData.url),
+            // Same for every variant of a site (acme.co, www.acme.com/en-us/, ...); see redirect-tracker.js
+            canonicalDomain: searchData.canonicalDomain || null,
+            finalUrl: searchData.finalUrl || null,
             sessionId: searchData.sessionId,
             
             // Status information
@@ -106,6 +109,7 @@ class SearchHistoryLogger {
             performance: {
                 duration: searchData.duration,
                 cacheHit: searchData.cacheHit || false,
+                cacheState: searchData.cacheState, // 'fresh', 'stale', 'miss' or 'bypass'
                 browserLaunchTime: searchData.browserLaunchTime,
                 extractionTime: searchData.extractionTime,
                 dataSize: searchData.dataSize
@@ -120,7 +124,8 @@ class SearchHistoryLogger {
                 hasBanner: !!searchData.bannerImage,
                 hasWebsite: !!searchData.website,
                 isLinkedIn: this.isLinkedInUrl(searchData.normalizedUrl || searchData.url),
-                isVerified: searchData.verifiedPage || false
+                isVerified: searchData.verifiedPage || false,
+                thumbnailUrl: searchData.thumbnailUrl || null // First screenshot thumbnail, when screenshots were requested
             },
             
             // Technical details
@@ -136,7 +141,8 @@ class SearchHistoryLogger {
             context: {
                 userIP: searchData.userIP,
                 referer: searchData.referer,
-                source: searchData.source || 'api'
+                source: searchData.source || 'api',
+                apiKey: searchData.apiKey ? { keyId: searchData.apiKey.keyId, name: searchData.apiKey.name } : null // Key that made the request
             }
         };
 
@@ -231,7 +237,7 @@ class SearchHistoryLogger {
         }
 
         if (domain) {
-            filtered = filtered.filter(search => search.domain.includes(domain));
+            filtered = filtered.filter(search => search.domain.includes(domain) || (search.canonicalDomain || '').includes(domain));
         }
 
         if (isLinkedIn !== null) {
@@ -265,6 +271,7 @@ class SearchHistoryLogger {
             successRate: this.calculateSuccessRate(),
             avgDuration: this.calculateAverageDuration(),
             topDomains: this.getTopDomains(),
+            topApiKeys: this.getTopApiKeys(),
             statusBreakdown: this.getStatusBreakdown(),
             linkedInStats: this.getLinkedInStats(),
             cacheHitRate: this.calculateCacheHitRate(),
@@ -281,6 +288,7 @@ class SearchHistoryLogger {
             successRate: 0,
             avgDuration: 0,
             topDomains: [],
+            topApiKeys: [],
             statusBreakdown: {},
             linkedInStats: { total: 0, successful: 0 }
         };
@@ -314,7 +322,8 @@ class SearchHistoryLogger {
      */
     getTopDomains() {
         const domainCounts = this.searchHistory.reduce((counts, search) => {
-            counts[search.domain] = (counts[search.domain] || 0) + 1;
+            const domain = search.canonicalDomain || search.domain;
+            counts[domain] = (counts[domain] || 0) + 1;
             return counts;
         }, {});
 
@@ -324,6 +333,24 @@ class SearchHistoryLogger {
             .map(([domain, count]) => ({ domain, count }));
     }
 
+    /**
+     * Get the API keys that made the most searches
+     */
+    getTopApiKeys() {
+        const keyCounts = this.searchHistory.reduce((counts, search) => {
+            const apiKey = search.context && search.context.apiKey;
+            if (apiKey) {
+                counts[apiKey.keyId] = counts[apiKey.keyId] || { keyId: apiKey.keyId, name: apiKey.name, count: 0 };
+                counts[apiKey.keyId].count++;
+            }
+            return counts;
+        }, {});
+
+        return Object.values(keyCounts)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10);
+    }
+
     /**
      * Get status breakdown counts
      */
@@ -0,0 +1,304 @@
+/**
+ * Site Crawler
+ * Finds About, Contact and Careers subpages of the extracted site from its
+ * navigation links and sitemap, and visits a bounded number of them in the
+ * browser context of the landing page so missing company details can be filled in.
+ * Subpages robots.txt disallows are skipped.
+ */
+
+/**
+ * Subpage kinds in visiting order, with the path segments and link texts that identify them
+ */
+const PAGE_KINDS = [
+    {
+        kind: 'about',
+        paths: /^(about|about-?us|company|who-?we-?are|our-?story|story|mission|team|our-?team|ueber-?uns|uber-?uns|a-?propos|quienes-?somos|chi-?siamo)$/,
+        text: /^(about|about us|company|who we are|our story|our mission|team|our team|über uns|à propos|quiénes somos|chi siamo)$/
+    },
+    {
+        kind: 'contact',
+        paths: /^(contact|contact-?us|contacts|get-?in-?touch|kontakt|contacto|contatti|locations|offices|our-?offices|impressum|imprint|legal-?notice)$/,
+        text: /^(contact|contact us|contacts|get in touch|kontakt|contacto|contatti|locations|offices|our offices|impressum|imprint|legal notice)$/
+    },
+    {
+        kind: 'careers',
+        paths: /^(careers?|jobs|join-?us|work-?with-?us|working-?here|karriere|empleo|lavora-?con-?noi)$/,
+        text: /^(careers?|jobs|join us|work with us|we're hiring|karriere)$/
+    }
+];
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|pptx?|mp4|mp3|xml|json|css|js)$/i;
+
+class SiteCrawler {
+    constructor(options = {}) {
+        const maxPages = options.maxPages ?? parseInt(process.env.CRAWL_MAX_PAGES, 10);
+        this.maxPages = Number.isInteger(maxPages) && maxPages >= 0 ? maxPages : 3; // 0 disables crawling
+        this.pageTimeout = options.pageTimeout || parseInt(process.env.CRAWL_PAGE_TIMEOUT_MS, 10) || 15000;
+        this.timeBudget = options.timeBudget || parseInt(process.env.CRAWL_TIME_BUDGET_MS, 10) || 45000;
+        this.sitemapTimeout = options.sitemapTimeout || 5000;
+        this.maxSitemapUrls = 1000;
+        this.stats = { crawls: 0, pagesVisited: 0, pagesFailed: 0, pagesSkipped: 0, sitemapsRead: 0 };
+    }
+
+    /**
+     * Hostname without a leading www., for same-site checks
+     */
+    siteOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Classifies a URL (and optionally its link text) as an about, contact or careers page
+     * @param {string} url
+     * @param {string} [text] - Link text
+     * @returns {{kind: string, exact: boolean}|null} `exact` when the whole path is the matching segment
+     */
+    classify(url, text = '') {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        if (SKIPPED_EXTENSIONS.test(parsed.pathname)) return null;
+
+        const segments = parsed.pathname.toLowerCase().split('/').filter(Boolean)
+            .map(segment => segment.replace(/\.(html?|php|aspx?)$/, ''));
+        // Language prefixes like /en/ or /en-us/ do not count towards depth
+        const meaningful = segments.filter((segment, index) => !(index === 0 && /^[a-z]{2}(-[a-z]{2})?$/.test(segment)));
+        const label = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+        for (const { kind, paths, text: textPattern } of PAGE_KINDS) {
+            if (meaningful.length > 0 && meaningful.length <= 2 && meaningful.some(segment => paths.test(segment))) {
+                return { kind, exact: meaningful.length === 1 };
+            }
+            if (label && textPattern.test(label) && meaningful.length <= 3) {
+                return { kind, exact: false };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Same-site subpage candidates from the page's links and the site's sitemap, best first
+     * @param {import('puppeteer').Page} page - Loaded landing page
+     * @param {string} baseUrl - Landing page URL
+     * @param {Object} [options]
+     * @param {import('./robots-txt').RobotsTxt} [options.robots] - Reads the sitemaps robots.txt declares
+     * @returns {Promise<Array<{url: string, kind: string, source: string, score: number}>>}
+     */
+    async discover(page, baseUrl, { robots = null } = {}) {
+        const site = this.siteOf(baseUrl);
+        const landing = this._withoutHash(baseUrl);
+        const candidates = new Map();
+
+        const addCandidate = (href, text, source, bonus) => {
+            if (!href || this.siteOf(href) !== site) return;
+            const url = this._withoutHash(href);
+            if (!url || url === landing || !/^https?:/.test(url)) return;
+
+            const match = this.classify(url, text);
+            if (!match) return;
+
+            const depth = new URL(url).pathname.split('/').filter(Boolean).length;
+            const score = bonus + (match.exact ? 3 : 0) - depth;
+            const existing = candidates.get(url);
+            if (!existing || existing.score < score) {
+                candidates.set(url, { url, kind: match.kind, source, score });
+            }
+        };
+
+        const links = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]'))
+            .slice(0, 1000)
+            .map(a => ({
+                href: a.href,
+                text: (a.innerText || a.getAttribute('aria-label') || '').trim().slice(0, 60),
+                inNavigation: !!a.closest('nav, header, footer, [role="navigation"]')
+            }))).catch(() => []);
+        links.forEach(link => addCandidate(link.href, link.text, link.inNavigation ? 'navigation' : 'link', link.inNavigation ? 3 : 2));
+
+        const declared = robots ? await robots.getSitemaps(baseUrl).catch(() => []) : [];
+        const sitemapUrls = await this.readSitemap(page, baseUrl, declared);
+        sitemapUrls.forEach(url => addCandidate(url, '', 'sitemap', 0));
+
+        return Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Page URLs listed in the site's sitemaps, following a sitemap index one level.
+     * Fetched from inside the page so the request shares the browser context.
+     * @param {import('puppeteer').Page} page
+     * @param {string} baseUrl
+     * @param {string[]} [declared] - Sitemaps listed in robots.txt; /sitemap.xml when none are on the site
+     * @returns {Promise<string[]>}
+     */
+    async readSitemap(page, baseUrl, declared = []) {
+        let origin;
+        try {
+            origin = new URL(baseUrl).origin;
+        } catch (error) {
+            return [];
+        }
+
+        const fetchText = (url) => page.evaluate(async (sitemapUrl, timeout) => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            try {
+                const response = await fetch(sitemapUrl, { signal: controller.signal, credentials: 'same-origin' });
+                return response.ok ? (await response.text()).slice(0, 2000000) : null;
+            } catch (e) {
+                return null;
+            } finally {
+                clearTimeout(timer);
+            }
+        }, url, this.sitemapTimeout).catch(() => null);
+
+        const locs = (xml) => Array.from((xml || '').matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)/gi), match => match[1].replace(/&amp;/g, '&'));
+
+        const site = this.siteOf(baseUrl);
+        const roots = declared.filter(url => this.siteOf(url) === site).slice(0, 2);
+        if (roots.length === 0) roots.push(`${origin}/sitemap.xml`);
+
+        const urls = [];
+        for (const rootUrl of roots) {
+            const root = await fetchText(rootUrl);
+            if (!root) continue;
+            this.stats.sitemapsRead++;
+
+            if (!/<sitemapindex/i.test(root)) {
+                urls.push(...locs(root));
+                continue;
+            }
+            // Prefer child sitemaps that list pages over posts, products and images
+            const children = locs(root)
+                .sort((a, b) => Number(/page/i.test(b)) - Number(/page/i.test(a)))
+                .slice(0, 2);
+            for (const child of children) {
+                const xml = await fetchText(child);
+                if (xml) urls.push(...locs(xml));
+            }
+        }
+        return [...new Set(urls)].slice(0, this.maxSitemapUrls);
+    }
+
+    /**
+     * Picks the best candidate of each kind first, then fills up to the page limit
+     */
+    select(candidates, maxPages = this.maxPages) {
+        const selected = [];
+        PAGE_KINDS.forEach(({ kind }) => {
+            const best = candidates.find(candidate => candidate.kind === kind);
+            if (best) selected.push(best);
+        });
+        candidates.filter(candidate => !selected.includes(candidate))
+            .forEach(candidate => selected.push(candidate));
+        return selected.slice(0, maxPages);
+    }
+
+    /**
+     * Visits the selected subpages one at a time and runs `extract` on each.
+     * @param {import('puppeteer').Page} page - Loaded landing page; subpages open in its browser context
+     * @param {string} baseUrl - Landing page URL
+     * @param {(page: import('puppeteer').Page, url: string) => Promise<Object>} extract - Runs on every loaded subpage
+     * @param {Object} [options]
+     * @param {number} [options.maxPages] - Overrides CRAWL_MAX_PAGES
+     * @param {() => boolean} [options.isComplete] - Stops visiting further pages once it returns true
+     * @param {import('./robots-txt').RobotsTxt} [options.robots] - Checked before every subpage, which also waits for Crawl-delay
+     * @param {boolean} [options.ignoreRobotsTxt] - Visit subpages robots.txt disallows (owned sites)
+     * @returns {Promise<{pages: Object[], results: Array<{url: string, kind: string, data: Object}>}>}
+     *   `pages` reports every selected page as completed, failed or skipped
+     */
+    async crawl(page, baseUrl, extract, { maxPages = this.maxPages, isComplete = null, robots = null, ignoreRobotsTxt = false } = {}) {
+        const pages = [];
+        const results = [];
+        if (maxPages <= 0) return { pages, results };
+
+        this.stats.crawls++;
+        const start = Date.now();
+        const selected = this.select(await this.discover(page, baseUrl, { robots }), maxPages);
+        console.log(`[SiteCrawler] ${selected.length} subpage(s) selected for ${baseUrl}`);
+
+        for (const candidate of selected) {
+            const { url, kind, source } = candidate;
+            if (isComplete && isComplete()) {
+                pages.push({ url, kind, source, status: 'skipped', reason: 'no missing fields' });
+                this.stats.pagesSkipped++;
+                continue;
+            }
+            if (Date.now() - start > this.timeBudget) {
+                pages.push({ url, kind, source, status: 'skipped', reason: 'crawl time budget exceeded' });
+                this.stats.pagesSkipped++;
+                continue;
+            }
+            if (robots) {
+                try {
+                    await robots.enforce(url, { override: ignoreRobotsTxt });
+                } catch (error) {
+                    const reason = error.code === 'ROBOTS_DISALLOWED' ? 'disallowed by robots.txt'
+                        : error.code === 'ROBOTS_CRAWL_DELAY' ? `robots.txt Crawl-delay (retry after ${error.retryAfter}s)` : error.message;
+                    pages.push({ url, kind, source, status: 'skipped', reason });
+                    this.stats.pagesSkipped++;
+                    continue;
+                }
+            }
+
+            const pageStart = Date.now();
+            let subpage = null;
+            try {
+                subpage = await page.browserContext().newPage();
+                const response = await subpage.goto(url, { waitUntil: 'domcontentloaded', timeout: this.pageTimeout });
+                if (response && response.status() >= 400) {
+                    throw new Error(`HTTP ${response.status()}`);
+                }
+                const finalUrl = subpage.url();
+                if (this.siteOf(finalUrl) !== this.siteOf(baseUrl)) {
+                    throw new Error(`Redirected off-site to ${finalUrl}`);
+                }
+
+                const data = await Promise.race([
+                    extract(subpage, finalUrl),
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('Subpage extraction timeout')), this.pageTimeout))
+                ]);
+                results.push({ url: finalUrl, kind, data });
+                pages.push({ url: finalUrl, kind, source, status: 'completed', durationMs: Date.now() - pageStart });
+                this.stats.pagesVisited++;
+            } catch (error) {
+                console.warn(`[SiteCrawler] Failed to crawl ${url}:`, error.message);
+                pages.push({ url, kind, source, status: 'failed', durationMs: Date.now() - pageStart, error: error.message });
+                this.stats.pagesFailed++;
+            } finally {
+                if (subpage) await subpage.close().catch(() => {});
+            }
+        }
+
+        return { pages, results };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            maxPages: this.maxPages,
+            pageTimeoutMs: this.pageTimeout,
+            timeBudgetMs: this.timeBudget
+        };
+    }
+
+    _withoutHash(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.href.replace(/\/$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const siteCrawler = new SiteCrawler();
+
+module.exports = { siteCrawler, SiteCrawler };
@@ -0,0 +1,530 @@
+/**
+ * Structured Data
+ * Reads the schema.org data a page declares as JSON-LD (including @graph), microdata
+ * and RDFa into one graph of JSON-LD style nodes, then maps the company-related types
+ * onto plain objects: the Organization, a LocalBusiness with its opening hours and
+ * coordinates, Products, Brands, ContactPoints, the sameAs profile links and the logo.
+ */
+
+const { normalizeAddress } = require('./utils/contact-normalizer');
+
+/**
+ * Syntaxes structured data is read from
+ */
+const FORMATS = ['json-ld', 'microdata', 'rdfa'];
+
+/**
+ * Organization types besides LocalBusiness and its subtypes
+ */
+const ORGANIZATION_TYPES = [
+    'Organization', 'Corporation', 'OnlineBusiness', 'OnlineStore', 'NGO', 'Airline', 'Consortium',
+    'EducationalOrganization', 'CollegeOrUniversity', 'School', 'GovernmentOrganization', 'MedicalOrganization',
+    'NewsMediaOrganization', 'PerformingGroup', 'ResearchOrganization', 'SportsOrganization', 'SportsTeam',
+    'WorkersUnion', 'LibrarySystem', 'Project'
+];
+
+/**
+ * LocalBusiness and its common subtypes. Other organizations count as local businesses
+ * when they declare opening hours or coordinates.
+ */
+const LOCAL_BUSINESS_TYPES = [
+    'LocalBusiness', 'Store', 'AccountingService', 'Attorney', 'AutoDealer', 'AutoRepair', 'AutomotiveBusiness',
+    'Bakery', 'BankOrCreditUnion', 'BarOrPub', 'BeautySalon', 'BookStore', 'CafeOrCoffeeShop', 'ChildCare',
+    'ClothingStore', 'DaySpa', 'Dentist', 'Electrician', 'ElectronicsStore', 'EmploymentAgency',
+    'EntertainmentBusiness', 'ExerciseGym', 'FinancialService', 'FoodEstablishment', 'FurnitureStore',
+    'GardenStore', 'GeneralContractor', 'GroceryStore', 'HairSalon', 'HardwareStore', 'HealthAndBeautyBusiness',
+    'HomeAndConstructionBusiness', 'HomeGoodsStore', 'Hotel', 'InsuranceAgency', 'JewelryStore', 'LegalService',
+    'LodgingBusiness', 'MedicalBusiness', 'MedicalClinic', 'Optician', 'Pharmacy', 'Physician', 'Plumber',
+    'ProfessionalService', 'RealEstateAgent', 'Restaurant', 'ShoeStore', 'SportingGoodsStore',
+    'SportsActivityLocation', 'TravelAgency', 'VeterinaryCare'
+];
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DAY_ABBREVIATIONS = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+
+const SCHEMA_ORG = /^(?:https?:\/\/(?:www\.)?schema\.org\/|schema:)/i;
+const MAX_DEPTH = 12;
+const MAX_PRODUCTS = 50;
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * schema.org name of a type or property ("https://schema.org/Organization", "schema:name", "name"),
+ * or null when it belongs to another vocabulary
+ * @param {string} name
+ * @param {string|null} [vocab] - RDFa vocab in effect for unprefixed names
+ */
+function schemaTerm(name, vocab = null) {
+    if (typeof name !== 'string' || !name) return null;
+    if (SCHEMA_ORG.test(name)) return name.replace(SCHEMA_ORG, '') || null;
+    if (/[:/]/.test(name)) return null;
+    return !vocab || SCHEMA_ORG.test(vocab) ? name : null;
+}
+
+/**
+ * Plain text of a literal, a `{"@value"}` object or a named node
+ */
+function toText(value) {
+    const item = asArray(value)[0];
+    if (typeof item === 'string') return item.replace(/\s+/g, ' ').trim() || null;
+    if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+    if (item && typeof item === 'object') return toText(item['@value'] !== undefined ? item['@value'] : item.name);
+    return null;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * JSON-LD text as a value. Some CMSs wrap the JSON in HTML comments or CDATA sections.
+ */
+function parseJsonLd(text) {
+    const cleaned = String(text)
+        .trim()
+        .replace(/^(?:\/\/\s*)?(?:<!--|<!\[CDATA\[)/, '')
+        .replace(/(?:\/\/\s*)?(?:-->|\]\]>)$/, '')
+        .trim();
+    return JSON.parse(cleaned);
+}
+
+/**
+ * JSON-LD value with schema.org terms shortened and @graph, @list and @set unwrapped
+ * @returns {Object[]} Nodes (top level) or values
+ */
+function fromJsonLd(value, depth = 0) {
+    if (depth > MAX_DEPTH) return [];
+    if (Array.isArray(value)) return value.flatMap(item => fromJsonLd(item, depth + 1));
+    if (!value || typeof value !== 'object') return [value];
+    if (value['@graph']) return fromJsonLd(value['@graph'], depth + 1);
+    if (value['@value'] !== undefined) return [value['@value']];
+    if (value['@list'] || value['@set']) return fromJsonLd(value['@list'] || value['@set'], depth + 1);
+
+    const node = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (key === '@type') {
+            const types = asArray(item).map(type => schemaTerm(type)).filter(Boolean);
+            if (types.length > 0) node['@type'] = types.length === 1 ? types[0] : types;
+        } else if (key === '@id') {
+            if (typeof item === 'string') node['@id'] = item;
+        } else if (!key.startsWith('@')) {
+            const term = schemaTerm(key);
+            const values = fromJsonLd(item, depth + 1);
+            if (term && values.length > 0) node[term] = Array.isArray(item) ? values : values[0];
+        }
+    });
+    return [node];
+}
+
+/**
+ * Microdata or RDFa item read by collect() as a JSON-LD style node. Items typed only
+ * with another vocabulary are dropped.
+ */
+function fromItem(item, depth = 0) {
+    const types = (item.types || []).map(type => schemaTerm(type, item.vocab)).filter(Boolean);
+    if ((item.types || []).length > 0 && types.length === 0) return null;
+
+    const node = {};
+    if (types.length > 0) node['@type'] = types.length === 1 ? types[0] : types;
+    if (item.id) node['@id'] = item.id;
+    Object.entries(item.properties || {}).forEach(([name, values]) => {
+        const term = schemaTerm(name, item.vocab);
+        const converted = values
+            .map(value => (value && typeof value === 'object' ? (depth < MAX_DEPTH ? fromItem(value, depth + 1) : null) : value))
+            .filter(value => value !== null && value !== undefined);
+        if (term && converted.length > 0) node[term] = converted.length === 1 ? converted[0] : converted;
+    });
+    return node;
+}
+
+function dayName(value) {
+    // "Monday", "https://schema.org/Monday", "Mo" or GoodRelations' "gr:Monday"
+    const name = (toText(value) || '').split(/[/#:]/).pop();
+    if (!name) return null;
+    if (/^publicholidays$/i.test(name)) return 'PublicHolidays';
+    const index = DAYS.findIndex(day => day.toLowerCase() === name.toLowerCase());
+    return index >= 0 ? DAYS[index] : (DAY_ABBREVIATIONS.includes(name.toLowerCase()) ? DAYS[DAY_ABBREVIATIONS.indexOf(name.toLowerCase())] : null);
+}
+
+function timeOfDay(value) {
+    const match = (toText(value) || '').match(/^T?(\d{1,2}):(\d{2})/);
+    return match && Number(match[1]) <= 24 ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Opening hours from `openingHoursSpecification` objects and `openingHours` text such as
+ * "Mo-Fr 09:00-17:00, Sa 10:00-14:00". Days without times are open all day.
+ * @returns {Array<{days: string[], opens: string|null, closes: string|null}>}
+ */
+function parseOpeningHours(specifications = [], texts = []) {
+    const hours = [];
+    specifications.forEach(specification => {
+        if (!specification || typeof specification !== 'object') return;
+        const days = unique(asArray(specification.dayOfWeek).map(dayName));
+        const opens = timeOfDay(specification.opens);
+        const closes = timeOfDay(specification.closes);
+        if (days.length > 0 || opens) hours.push({ days, opens, closes });
+    });
+
+    const day = '(?:mo|tu|we|th|fr|sa|su)';
+    const rule = new RegExp(`\\b(${day}(?:\\s*[-,]\\s*${day})*)(?![a-z])(?:\\s+(\\d{1,2}:\\d{2})\\s*-\\s*(\\d{1,2}:\\d{2}))?`, 'gi');
+    texts.map(toText).filter(Boolean).forEach(text => {
+        for (const [, dayList, opens, closes] of text.matchAll(rule)) {
+            const days = dayList.split(/\s*,\s*/).flatMap(part => {
+                const [from, to] = part.split(/\s*-\s*/).map(abbreviation => DAY_ABBREVIATIONS.indexOf(abbreviation.toLowerCase()));
+                if (to === undefined) return [DAYS[from]];
+                // Ranges may wrap around the week ("Fr-Mo")
+                const length = ((to - from + 7) % 7) + 1;
+                return Array.from({ length }, (_, offset) => DAYS[(from + offset) % 7]);
+            });
+            hours.push({ days: unique(days), opens: opens ? timeOfDay(opens) : '00:00', closes: closes ? timeOfDay(closes) : '23:59' });
+        }
+    });
+    return hours;
+}
+
+class StructuredDataExtractor {
+    constructor(options = {}) {
+        this.maxNodes = options.maxNodes || 500;
+        this.stats = { extractions: 0, failed: 0, nodes: { 'json-ld': 0, microdata: 0, rdfa: 0 }, invalidJsonLd: 0 };
+    }
+
+    /**
+     * Structured data of a loaded page
+     * @param {import('puppeteer').Page} page
+     * @param {string} pageUrl
+     * @returns {Promise<Object>} See parse
+     */
+    async extract(page, pageUrl) {
+        try {
+            const result = this.parse(await this.collect(page), pageUrl);
+            this.stats.extractions++;
+            FORMATS.forEach(format => { this.stats.nodes[format] += result.counts[format]; });
+            return result;
+        } catch (error) {
+            this.stats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the JSON-LD script texts and the microdata and RDFa item trees of the page
+     * @returns {Promise<{jsonLd: string[], microdata: Object[], rdfa: Object[]}>} Items are
+     *   `{types, id, vocab, properties}`; every property holds an array of values or nested items
+     */
+    async collect(page) {
+        return page.evaluate((maxNodes, maxDepth) => {
+            let count = 0;
+            const absolute = (url) => {
+                try { return url ? new URL(url, document.baseURI).href : null; } catch (e) { return null; }
+            };
+            const text = (element) => element.textContent.replace(/\s+/g, ' ').trim();
+
+            // Property values as defined by the HTML microdata spec
+            const microdataValue = (element) => {
+                const tag = element.tagName;
+                if (tag === 'META') return element.getAttribute('content');
+                if (['AUDIO', 'EMBED', 'IFRAME', 'IMG', 'SOURCE', 'TRACK', 'VIDEO'].includes(tag)) return absolute(element.getAttribute('src'));
+                if (['A', 'AREA', 'LINK'].includes(tag)) return absolute(element.getAttribute('href'));
+                if (tag === 'OBJECT') return absolute(element.getAttribute('data'));
+                if (tag === 'DATA' || tag === 'METER') return element.getAttribute('value');
+                if (tag === 'TIME' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+                return text(element);
+            };
+            const rdfaValue = (element) => {
+                if (element.hasAttribute('content')) return element.getAttribute('content');
+                const reference = ['resource', 'href', 'src'].find(name => element.hasAttribute(name));
+                if (reference) return absolute(element.getAttribute(reference));
+                if (element.hasAttribute('datetime')) return element.getAttribute('datetime');
+                return text(element);
+            };
+            const syntaxes = {
+                microdata: { scope: 'itemscope', type: 'itemtype', ids: ['itemid'], property: 'itemprop', value: microdataValue, vocab: false },
+                rdfa: { scope: 'typeof', type: 'typeof', ids: ['resource', 'about'], property: 'property', value: rdfaValue, vocab: true }
+            };
+
+            // An item's properties are the descendants whose closest enclosing item is the item itself
+            const readItem = (element, syntax, depth) => {
+                count++;
+                const vocabElement = syntax.vocab ? element.closest('[vocab]') : null;
+                const item = {
+                    types: (element.getAttribute(syntax.type) || '').split(/\s+/).filter(Boolean),
+                    id: syntax.ids.map(name => element.getAttribute(name)).find(Boolean) || null,
+                    vocab: vocabElement ? vocabElement.getAttribute('vocab') : null,
+                    properties: {}
+                };
+                element.querySelectorAll(`[${syntax.property}]`).forEach(child => {
+                    if (count >= maxNodes || child.parentElement.closest(`[${syntax.scope}]`) !== element) return;
+                    const value = child.hasAttribute(syntax.scope) && depth < maxDepth
+                        ? readItem(child, syntax, depth + 1)
+                        : syntax.value(child);
+                    if (value === null || value === '') return;
+                    child.getAttribute(syntax.property).split(/\s+/).filter(Boolean).forEach(name => {
+                        (item.properties[name] = item.properties[name] || []).push(value);
+                    });
+                });
+                return item;
+            };
+            const readItems = (syntax) => {
+                const items = [];
+                for (const element of document.querySelectorAll(`[${syntax.scope}]:not([${syntax.property}])`)) {
+                    if (count >= maxNodes) break;
+                    items.push(readItem(element, syntax, 0));
+                }
+                return items;
+            };
+
+            return {
+                jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+                    .map(script => script.textContent.slice(0, 1000000)),
+                microdata: readItems(syntaxes.microdata),
+                rdfa: readItems(syntaxes.rdfa)
+            };
+        }, this.maxNodes, MAX_DEPTH);
+    }
+
+    /**
+     * Builds the graph from collected declarations and maps it
+     * @param {{jsonLd?: string[], microdata?: Object[], rdfa?: Object[]}} raw - See collect
+     * @param {string} [pageUrl] - Base for relative URLs and for picking the site's own organization
+     * @returns {Object} The mapped types (see map) plus `counts` of top-level nodes per format,
+     *   `errors` for JSON-LD blocks that could not be parsed, and the raw `graph`. Graph nodes keep
+     *   their schema.org properties as declared, with `_format` naming the syntax they came from.
+     */
+    parse(raw = {}, pageUrl = null) {
+        const errors = [];
+        const nodes = { 'json-ld': [], microdata: [], rdfa: [] };
+
+        (raw.jsonLd || []).forEach((text, index) => {
+            try {
+                nodes['json-ld'].push(...fromJsonLd(parseJsonLd(text)).filter(node => node && typeof node === 'object'));
+            } catch (error) {
+                this.stats.invalidJsonLd++;
+                errors.push({ format: 'json-ld', block: index, message: error.message });
+            }
+        });
+        nodes.microdata = (raw.microdata || []).map(item => fromItem(item)).filter(Boolean);
+        nodes.rdfa = (raw.rdfa || []).map(item => fromItem(item)).filter(Boolean);
+
+        const graph = FORMATS
+            .flatMap(format => nodes[format].filter(node => node['@type']).map(node => ({ ...node, _format: format })))
+            .slice(0, this.maxNodes);
+
+        return {
+            ...this.map(graph, pageUrl),
+            counts: Object.fromEntries(FORMATS.map(format => [format, graph.filter(node => node._format === format).length])),
+            errors,
+            graph
+        };
+    }
+
+    /**
+     * Maps a graph onto the company-related schema.org types
+     * @param {Object[]} graph - Nodes with `_format`
+     * @param {string} [pageUrl]
+     * @returns {{organization: Object|null, localBusiness: Object|null, products: Object[], brands: Object[],
+     *   contactPoints: Object[], sameAs: string[], logo: string|null}}
+     */
+    map(graph = [], pageUrl = null) {
+        // Every typed node, nested ones included, and the nodes other nodes reference by @id
+        const entries = [];
+        const byId = new Map();
+        const visit = (value, format, topLevel, depth) => {
+            if (depth > MAX_DEPTH || !value || typeof value !== 'object') return;
+            if (Array.isArray(value)) {
+                value.forEach(item => visit(item, format, false, depth + 1));
+                return;
+            }
+            if (value['@id'] && Object.keys(value).some(key => key !== '@id' && key !== '_format')) {
+                byId.set(value['@id'], { ...(byId.get(value['@id']) || {}), ...value });
+            }
+            if (value['@type']) entries.push({ node: value, format, topLevel });
+            Object.entries(value).forEach(([key, item]) => {
+                if (!key.startsWith('@') && key !== '_format') visit(item, format, false, depth + 1);
+            });
+        };
+        graph.forEach(node => visit(node, node._format, true, 0));
+
+        const resolve = (value) => (value && typeof value === 'object' && value['@id'] && Object.keys(value).length === 1 && byId.has(value['@id'])
+            ? byId.get(value['@id'])
+            : value);
+        const values = (node, key) => asArray(node[key]).map(resolve);
+        const text = (node, key) => toText(values(node, key));
+        const texts = (node, key) => unique(values(node, key).map(toText));
+        const url = (value) => {
+            const item = resolve(asArray(value)[0]);
+            const href = item && typeof item === 'object' ? toText(item.url || item.contentUrl || item['@id']) : toText(item);
+            if (!href) return null;
+            try {
+                const resolved = new URL(href, pageUrl || undefined);
+                return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+            } catch (error) {
+                return null;
+            }
+        };
+        const typesOf = (entry) => asArray(entry.node['@type']);
+        const isType = (entry, types) => typesOf(entry).some(type => types.includes(type));
+        const address = (node) => {
+            const location = values(node, 'location').find(item => item && typeof item === 'object');
+            const value = values(node, 'address')[0] || (location && values(location, 'address')[0]);
+            return value ? normalizeAddress(typeof value === 'object' ? value : String(value)) : null;
+        };
+
+        const isLocalBusiness = (entry) => isType(entry, LOCAL_BUSINESS_TYPES)
+            || (isType(entry, ORGANIZATION_TYPES) && ['openingHours', 'openingHoursSpecification', 'geo'].some(key => entry.node[key]));
+        const organizations = entries.filter(entry => isType(entry, ORGANIZATION_TYPES) || isLocalBusiness(entry));
+
+        // The site's own organization: on the page's host, declared at the top level, then the most detailed
+        const siteHost = hostOf(pageUrl);
+        const rank = (entry) => (siteHost && hostOf(url(entry.node.url)) === siteHost ? 4 : 0)
+            + (entry.topLevel ? 2 : 0)
+            + (entry.node.name ? 1 : 0)
+            + Object.keys(entry.node).length / 100;
+        const best = (list) => list.reduce((winner, entry) => (!winner || rank(entry) > rank(winner) ? entry : winner), null);
+        const primary = best(organizations);
+        const local = best(organizations.filter(isLocalBusiness));
+
+        const employees = (node) => {
+            const value = values(node, 'numberOfEmployees')[0];
+            if (!value || typeof value !== 'object') return toText(value);
+            if (value.value !== undefined) return toText(value.value);
+            return value.minValue !== undefined && value.maxValue !== undefined ? `${toText(value.minValue)}-${toText(value.maxValue)}` : null;
+        };
+        const keywords = (node) => unique([
+            ...values(node, 'keywords').flatMap(value => (typeof value === 'string' ? value.split(',') : [toText(value)])),
+            ...values(node, 'knowsAbout').map(toText)
+        ].map(value => (value ? value.trim() : null)));
+
+        const organization = primary && {
+            format: primary.format,
+            types: typesOf(primary),
+            id: primary.node['@id'] || null,
+            name: text(primary.node, 'name'),
+            legalName: text(primary.node, 'legalName'),
+            alternateName: text(primary.node, 'alternateName'),
+            description: text(primary.node, 'description') || text(primary.node, 'disambiguatingDescription'),
+            url: url(primary.node.url),
+            logo: url(primary.node.logo) || url(primary.node.image),
+            email: (text(primary.node, 'email') || '').replace(/^mailto:/i, '') || null,
+            telephone: text(primary.node, 'telephone'),
+            foundingDate: text(primary.node, 'foundingDate'),
+            numberOfEmployees: employees(primary.node),
+            industry: texts(primary.node, 'industry').join(', ') || null,
+            keywords: keywords(primary.node),
+            address: address(primary.node),
+            sameAs: unique(values(primary.node, 'sameAs').map(url))
+        };
+
+        const localBusiness = local && {
+            format: local.format,
+            types: typesOf(local),
+            id: local.node['@id'] || null,
+            name: text(local.node, 'name'),
+            url: url(local.node.url),
+            telephone: text(local.node, 'telephone'),
+            priceRange: text(local.node, 'priceRange'),
+            address: address(local.node),
+            geo: (() => {
+                const geo = values(local.node, 'geo').find(item => item && typeof item === 'object');
+                const latitude = geo ? parseFloat(toText(geo.latitude)) : NaN;
+                const longitude = geo ? parseFloat(toText(geo.longitude)) : NaN;
+                return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+            })(),
+            openingHours: parseOpeningHours(values(local.node, 'openingHoursSpecification'), values(local.node, 'openingHours'))
+        };
+
+        const products = entries
+            .filter(entry => isType(entry, ['Product', 'ProductGroup', 'ProductModel', 'IndividualProduct']))
+            .slice(0, MAX_PRODUCTS)
+            .map(({ node, format }) => ({
+                format,
+                name: text(node, 'name'),
+                description: text(node, 'description'),
+                sku: text(node, 'sku'),
+                gtin: ['gtin', 'gtin13', 'gtin12', 'gtin14', 'gtin8'].map(key => text(node, key)).find(Boolean) || null,
+                brand: text(node, 'brand'),
+                image: url(node.image),
+                url: url(node.url),
+                offers: values(node, 'offers').filter(offer => offer && typeof offer === 'object').map(offer => ({
+                    price: text(offer, 'price') || text(offer, 'lowPrice'),
+                    currency: text(offer, 'priceCurrency'),
+                    availability: schemaTerm(text(offer, 'availability') || '') || null,
+                    url: url(offer.url)
+                }))
+            }));
+
+        // Brand nodes, and the brands organizations and products name
+        const brands = new Map();
+        [
+            ...entries.filter(entry => isType(entry, ['Brand'])).map(entry => entry.node),
+            ...entries.filter(entry => isType(entry, [...ORGANIZATION_TYPES, ...LOCAL_BUSINESS_TYPES, 'Product', 'ProductGroup']))
+                .flatMap(entry => values(entry.node, 'brand'))
+        ].forEach(value => {
+            const name = toText(value);
+            if (!name || brands.has(name.toLowerCase())) return;
+            const node = value && typeof value === 'object' ? value : {};
+            brands.set(name.toLowerCase(), { name, logo: url(node.logo) || url(node.image), url: url(node.url) });
+        });
+
+        const contactPoints = new Map();
+        entries.filter(entry => isType(entry, ['ContactPoint'])).forEach(({ node }) => {
+            const contactPoint = {
+                contactType: text(node, 'contactType'),
+                telephone: text(node, 'telephone'),
+                email: (text(node, 'email') || '').replace(/^mailto:/i, '') || null,
+                areaServed: texts(node, 'areaServed'),
+                availableLanguage: texts(node, 'availableLanguage')
+            };
+            if (contactPoint.telephone || contactPoint.email) contactPoints.set(JSON.stringify(contactPoint), contactPoint);
+        });
+
+        return {
+            organization: organization || null,
+            localBusiness: localBusiness || null,
+            products,
+            brands: Array.from(brands.values()),
+            contactPoints: Array.from(contactPoints.values()),
+            sameAs: unique([primary, local].filter(Boolean).flatMap(entry => values(entry.node, 'sameAs').map(url))),
+            logo: (organization && organization.logo) || null
+        };
+    }
+
+    /**
+     * Company field candidates for utils/field-sources.js, with the syntax as the source
+     * @param {Object} result - Output of parse
+     * @param {string} [pageUrl]
+     * @returns {Array<{field: string, value: string, source: string, detail: string, url: string|null}>}
+     */
+    fieldCandidates(result, pageUrl = null) {
+        const candidates = [];
+        [result.organization, result.localBusiness].filter(Boolean).forEach(mapped => {
+            const offer = (field, value, property) => {
+                if (value) candidates.push({ field, value, source: mapped.format, detail: `${mapped.types[0]}.${property}`, url: pageUrl });
+            };
+            offer('Name', mapped.name, 'name');
+            offer('Description', mapped.description, 'description');
+            offer('Industry', mapped.industry, 'industry');
+            // Keywords stand in for the industry, up to 3 of them
+            offer('Industry', (mapped.keywords || []).slice(0, 3).join(', '), 'keywords');
+            offer('Location', mapped.address && mapped.address.formatted, 'address');
+            offer('Founded', mapped.foundingDate, 'foundingDate');
+            offer('Employees', mapped.numberOfEmployees, 'numberOfEmployees');
+            offer('Website', mapped.url, 'url');
+        });
+        return candidates;
+    }
+
+    getStats() {
+        return { ...this.stats, nodes: { ...this.stats.nodes } };
+    }
+}
+
+// Create singleton instance
+const structuredData = new StructuredDataExtractor();
+
+module.exports = { structuredData, StructuredDataExtractor, FORMATS, parseOpeningHours };
@@ -0,0 +1,262 @@
+/**
+ * Tech Detector
+ * Fingerprints the technology stack of a site (CMS, e-commerce platform,
+ * analytics, tag managers, CDNs and frameworks) from the signals a page exposes:
+ * script URLs, globals on `window`, meta tags, response headers and cookie names.
+ * Fingerprints live in technology-fingerprints.json, which is reloaded whenever
+ * the file changes, so detections can be added without a code change or restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Signal types in the order their versions are preferred
+ */
+const SIGNAL_TYPES = ['meta', 'globals', 'scripts', 'headers', 'cookies'];
+
+const MAX_SCRIPTS = 300;
+const MAX_VALUE_LENGTH = 200;
+
+class TechDetector {
+    constructor(options = {}) {
+        this.fingerprintsPath = options.fingerprintsPath || process.env.TECH_FINGERPRINTS_PATH || path.join(__dirname, 'technology-fingerprints.json');
+        this.database = null; // { metadata, categories, technologies } with compiled patterns
+        this.loadedMtime = null;
+        this.stats = { analyses: 0, failed: 0, technologiesDetected: 0, reloads: 0, invalidPatterns: 0 };
+    }
+
+    /**
+     * Detect the technologies of a loaded page
+     * @param {import('puppeteer').Page} page
+     * @param {Object} [options]
+     * @param {Object} [options.headers] - Response headers of the main document (lowercase names)
+     * @returns {Promise<Object[]>} Detected technologies (see detect)
+     */
+    async analyze(page, { headers = {} } = {}) {
+        try {
+            const signals = await this.collect(page, headers);
+            const technologies = this.detect(signals);
+            this.stats.analyses++;
+            this.stats.technologiesDetected += technologies.length;
+            return technologies;
+        } catch (error) {
+            this.stats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Read the signals the fingerprints look at
+     * @returns {Promise<{scripts: string[], meta: Object, globals: Object, headers: Object, cookies: string[]}>}
+     */
+    async collect(page, headers = {}) {
+        const { technologies } = this._load();
+        const globalPaths = [...new Set(Object.values(technologies).flatMap(technology => Object.keys(technology.globals)))];
+
+        const pageSignals = await page.evaluate((paths, maxScripts, maxLength) => {
+            const scripts = new Set();
+            document.querySelectorAll('script[src]').forEach(script => scripts.add(script.src));
+            // Scripts that were loaded and removed again only show up as resources
+            performance.getEntriesByType('resource')
+                .filter(entry => entry.initiatorType === 'script')
+                .forEach(entry => scripts.add(entry.name));
+
+            const meta = {};
+            document.querySelectorAll('meta[name][content], meta[property][content]').forEach(tag => {
+                const name = (tag.getAttribute('name') || tag.getAttribute('property')).toLowerCase();
+                if (!(name in meta)) meta[name] = tag.getAttribute('content');
+            });
+
+            const globals = {};
+            paths.forEach(globalPath => {
+                try {
+                    let value = window;
+                    for (const key of globalPath.split('.')) {
+                        if (value === null || value === undefined) break;
+                        value = value[key];
+                    }
+                    if (value === undefined || value === null) return;
+                    // Objects and functions only prove presence; primitives may carry a version
+                    globals[globalPath] = ['string', 'number', 'boolean'].includes(typeof value) ? String(value).slice(0, maxLength) : '';
+                } catch (e) { /* Getters may throw */ }
+            });
+
+            const cookies = document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(Boolean);
+
+            return { scripts: Array.from(scripts).slice(0, maxScripts), meta, globals, cookies };
+        }, globalPaths, MAX_SCRIPTS, MAX_VALUE_LENGTH);
+
+        // HttpOnly cookies are invisible to document.cookie
+        let cookies = pageSignals.cookies;
+        try {
+            cookies = [...new Set([...cookies, ...(await page.cookies()).map(cookie => cookie.name)])];
+        } catch (error) {
+            // Keep the document.cookie names
+        }
+
+        const normalizedHeaders = Object.fromEntries(Object.entries(headers || {})
+            .map(([name, value]) => [name.toLowerCase(), String(value)]));
+
+        return { ...pageSignals, cookies, headers: normalizedHeaders };
+    }
+
+    /**
+     * Match collected signals against the fingerprint database
+     * @param {Object} signals - See collect
+     * @returns {Array<{name: string, category: string, version: string|null, website: string|null, evidence: Object[]}>}
+     *   Sorted by category, then name. Each evidence item is `{type, name, value}`; implied technologies
+     *   carry `{type: 'implied', name: <implying technology>, value: null}`.
+     */
+    detect(signals = {}) {
+        const { technologies, categories } = this._load();
+        const { scripts = [], meta = {}, globals = {}, headers = {}, cookies = [] } = signals;
+        const detected = new Map();
+
+        Object.entries(technologies).forEach(([name, technology]) => {
+            const evidence = [];
+            let version = null;
+            const record = (type, signalName, value, match) => {
+                evidence.push({ type, name: signalName, value: value === '' ? null : value });
+                if (!version && match && match[1]) version = match[1];
+            };
+
+            SIGNAL_TYPES.forEach(type => {
+                if (type === 'scripts') {
+                    technology.scripts.forEach(pattern => {
+                        const src = scripts.find(url => pattern.test(url));
+                        if (src) record('script', null, src.slice(0, MAX_VALUE_LENGTH), pattern.exec(src));
+                    });
+                } else if (type === 'cookies') {
+                    technology.cookies.forEach(pattern => {
+                        const cookie = cookies.find(cookieName => pattern.test(cookieName));
+                        if (cookie) record('cookie', cookie, null, null); // Cookie values are never reported
+                    });
+                } else {
+                    const values = { meta, globals, headers }[type];
+                    Object.entries(technology[type]).forEach(([key, pattern]) => {
+                        const lookup = type === 'globals' ? key : key.toLowerCase();
+                        if (!(lookup in values)) return;
+                        const value = String(values[lookup]);
+                        const match = pattern ? pattern.exec(value) : null;
+                        if (pattern && !match) return;
+                        record(type === 'globals' ? 'global' : type === 'meta' ? 'meta' : 'header', key, value.slice(0, MAX_VALUE_LENGTH), match);
+                    });
+                }
+            });
+
+            if (evidence.length > 0) {
+                detected.set(name, { name, category: technology.category, version, website: technology.website, evidence });
+            }
+        });
+
+        // WooCommerce runs on WordPress, Next.js on React, ...
+        Array.from(detected.values()).forEach(technology => {
+            (technologies[technology.name].implies || []).forEach(impliedName => {
+                const implied = technologies[impliedName];
+                if (!implied) return;
+                if (!detected.has(impliedName)) {
+                    detected.set(impliedName, { name: impliedName, category: implied.category, version: null, website: implied.website, evidence: [] });
+                }
+                detected.get(impliedName).evidence.push({ type: 'implied', name: technology.name, value: null });
+            });
+        });
+
+        const categoryOrder = Object.keys(categories);
+        return Array.from(detected.values()).sort((a, b) =>
+            categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Database metadata and counts, without the patterns
+     */
+    getDatabaseInfo() {
+        const { metadata, categories, technologies } = this._load();
+        return {
+            path: this.fingerprintsPath,
+            version: metadata.version || null,
+            updated: metadata.updated || null,
+            categories,
+            technologies: Object.keys(technologies).length
+        };
+    }
+
+    getStats() {
+        let database = null;
+        try {
+            const { version, technologies } = this.getDatabaseInfo();
+            database = { version, technologies };
+        } catch (error) {
+            database = { error: error.message };
+        }
+        return { ...this.stats, database };
+    }
+
+    /**
+     * Load (or reload after a change) the fingerprint database. An unreadable or
+     * invalid file keeps the previously loaded database.
+     */
+    _load() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.fingerprintsPath).mtimeMs;
+        } catch (error) {
+            if (this.database) return this.database;
+            throw new Error(`Technology fingerprints not found at ${this.fingerprintsPath}`);
+        }
+        if (this.database && mtime === this.loadedMtime) return this.database;
+
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.fingerprintsPath, 'utf8'));
+            if (!raw.technologies || typeof raw.technologies !== 'object') {
+                throw new Error('missing "technologies"');
+            }
+            this.database = {
+                metadata: raw.metadata || {},
+                categories: raw.categories || {},
+                technologies: Object.fromEntries(Object.entries(raw.technologies)
+                    .map(([name, fingerprint]) => [name, this._compile(name, fingerprint)]))
+            };
+            if (this.loadedMtime !== null) this.stats.reloads++;
+            this.loadedMtime = mtime;
+        } catch (error) {
+            if (!this.database) throw new Error(`Invalid technology fingerprints: ${error.message}`);
+            console.warn(`[TechDetector] Keeping the previous fingerprints, ${this.fingerprintsPath} is invalid:`, error.message);
+            this.loadedMtime = mtime; // Do not retry until the file changes again
+        }
+        return this.database;
+    }
+
+    _compile(name, fingerprint) {
+        const compile = (pattern) => {
+            if (pattern === null || pattern === undefined || pattern === '') return null;
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                this.stats.invalidPatterns++;
+                console.warn(`[TechDetector] Invalid pattern for ${name}: ${pattern}`);
+                return undefined;
+            }
+        };
+        const compileMap = (map = {}) => Object.fromEntries(Object.entries(map)
+            .map(([key, pattern]) => [key, compile(pattern)])
+            .filter(([, pattern]) => pattern !== undefined));
+        const compileList = (list = []) => list.map(compile).filter(Boolean);
+
+        return {
+            category: fingerprint.category || 'other',
+            website: fingerprint.website || null,
+            scripts: compileList(fingerprint.scripts),
+            globals: compileMap(fingerprint.globals),
+            meta: compileMap(fingerprint.meta),
+            headers: compileMap(fingerprint.headers),
+            cookies: compileList(fingerprint.cookies),
+            implies: fingerprint.implies || []
+        };
+    }
+}
+
+// Create singleton instance
+const techDetector = new TechDetector();
+
+module.exports = { techDetector, TechDetector, SIGNAL_TYPES };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyManager } = require('./api-key-manager.js');
+
+async function runTest() {
+    console.log('--- Starting API Key Manager Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+    try {
+        const manager = new ApiKeyManager({ dataDir, reloadInterval: 0 });
+        console.assert(!manager.isEnforced(), 'Test Failed: keys should not be required before one exists.');
+
+        const { apiKey, key } = manager.createKey({ name: 'Acme', rateLimitPerMinute: 2, dailyQuota: 3 });
+        console.assert(manager.isEnforced(), 'Test Failed: keys should be required once one exists.');
+        console.assert(apiKey.startsWith(`${key.keyId}.`), 'Test Failed: key should start with its keyId.');
+        console.assert(!('hash' in key), 'Test Failed: public key record exposes the hash.');
+
+        // Only the hash of the secret is stored
+        const stored = fs.readFileSync(path.join(dataDir, 'keys.json'), 'utf8');
+        console.assert(!stored.includes(apiKey.split('.')[1]), 'Test Failed: secret stored in plaintext.');
+
+        console.assert(manager.authorize(null).status === 401, 'Test Failed: missing key should be 401.');
+        console.assert(manager.authorize(`${key.keyId}.wrong`).status === 401, 'Test Failed: wrong secret should be 401.');
+        console.assert(manager.authorize(apiKey, { scope: 'admin' }).status === 403, 'Test Failed: extract key used admin scope.');
+
+        // Rate limit: the 403 above does not count, two requests per minute are allowed
+        const first = manager.authorize(apiKey);
+        console.assert(first.ok && first.key.name === 'Acme', 'Test Failed: valid key rejected.');
+        console.assert(manager.authorize(apiKey).ok, 'Test Failed: second request within the limit rejected.');
+        const limited = manager.authorize(apiKey);
+        console.assert(limited.status === 429 && limited.retryAfter > 0 && limited.retryAfter <= 60, 'Test Failed: rate limit not enforced with Retry-After.');
+
+        // Daily quota: a request that does not fit is not charged
+        console.assert(manager.consumeQuota(key.keyId, 2).ok, 'Test Failed: extractions within quota rejected.');
+        const overQuota = manager.consumeQuota(key.keyId, 2);
+        console.assert(overQuota.status === 429 && overQuota.retryAfter > 0, 'Test Failed: quota not enforced with Retry-After.');
+        console.assert(manager.consumeQuota(key.keyId, 1).quotaRemaining === 0, 'Test Failed: rejected request was charged.');
+
+        // Usage and keys survive a restart, and revoked keys stop working
+        await manager._writeChain;
+        const restarted = new ApiKeyManager({ dataDir, reloadInterval: 0 });
+        console.assert(restarted.getUsage(key.keyId).extractions === 3, 'Test Failed: usage not persisted.');
+        manager.revokeKey(key.keyId);
+        console.assert(restarted.authorize(apiKey).status === 401, 'Test Failed: revoked key still accepted after reload.');
+
+        const admin = restarted.createKey({ name: 'Ops', scopes: ['admin'] });
+        console.assert(restarted.authorize(admin.apiKey, { scope: 'extract' }).ok, 'Test Failed: admin key should also extract.');
+
+        let rejected = false;
+        try {
+            restarted.createKey({ name: 'Bad', scopes: ['root'] });
+        } catch (error) {
+            rejected = true;
+        }
+        console.assert(rejected, 'Test Failed: unknown scope accepted.');
+
+        const open = new ApiKeyManager({ dataDir, required: 'false' });
+        console.assert(!open.isEnforced(), 'Test Failed: API_KEYS_REQUIRED=false should disable key checks.');
+
+        console.log('✅ Test Passed: ApiKeyManager ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
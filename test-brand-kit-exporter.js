@@ -0,0 +1,81 @@
+const { BrandKitExporter } = require('./brand-kit-exporter.js');
+
+const sampleResult = {
+    Logo: {
+        Logo: 'https://example.com/logo.svg',
+        Favicon: 'https://example.com/favicon.ico',
+        Assets: { logo: { source: 'https://example.com/logo.svg', url: '/assets/0123456789abcdef0123456789abcdef', variants: [] } }
+    },
+    Colors: [
+        { hex: '#1a2b3c', rgb: 'rgb(26,43,60)', brightness: 40, name: 'button background' },
+        { hex: '#ffffff', rgb: 'rgb(255,255,255)', brightness: 255, name: 'body background' },
+        {},
+        { hex: '#FF0000', colors: ['#FF0000', '#00FF00'] }
+    ],
+    ColorRoles: {
+        roles: { primary: { hex: '#1A2B3C', source: 'button_bg' }, secondary: null, accent: null, background: { hex: '#FFFFFF', source: 'page_background' }, text: null },
+        contrast: [],
+        failures: []
+    },
+    Fonts: [
+        { name: 'Open Sans', type: 'heading', stack: '"Open Sans", Arial, sans-serif' },
+        { name: 'Inter', type: 'body', stack: 'Inter, system-ui, sans-serif' },
+        { name: 'Roboto', type: 'body', stack: 'Roboto' }
+    ],
+    Company: { Name: 'Example Inc', Website: 'https://example.com' }
+};
+
+async function runTest() {
+    console.log('--- Starting Brand Kit Exporter Test ---');
+    try {
+        const exporter = new BrandKitExporter();
+
+        const kit = exporter.buildKit(sampleResult, 'https://example.com');
+        console.assert(kit.colors.brand.map(color => color.hex).join(',') === '#1A2B3C,#FFFFFF', 'Test Failed: site colors not grouped.');
+        console.assert(kit.colors.logo.map(color => color.hex).join(',') === '#FF0000,#00FF00', 'Test Failed: logo palette not exported.');
+        console.assert(kit.colors.role.map(color => color.name).join(',') === 'primary,background', 'Test Failed: color roles not exported.');
+        console.assert(kit.fonts.heading.join('|') === 'Open Sans|Arial|sans-serif' && kit.fonts.body[0] === 'Inter', 'Test Failed: font stacks mismatch.');
+        console.assert(kit.logos.logo === '/assets/0123456789abcdef0123456789abcdef' && kit.logos.icon === 'https://example.com/favicon.ico',
+            'Test Failed: stored assets should be preferred over remote logos.');
+
+        const tokens = JSON.parse(exporter.export(sampleResult, 'tokens').body);
+        console.assert(tokens.color.brand['1'].$type === 'color' && tokens.color.brand['1'].$value === '#1A2B3C', 'Test Failed: color token mismatch.');
+        console.assert(tokens.font.heading.$type === 'fontFamily', 'Test Failed: font token mismatch.');
+
+        const css = exporter.export(sampleResult, 'css');
+        console.assert(css.contentType === 'text/css' && css.filename === 'example-inc.css', 'Test Failed: CSS metadata mismatch.');
+        console.assert(css.body.includes('--color-brand-1: #1A2B3C;') && css.body.includes('--color-role-primary: #1A2B3C;'), 'Test Failed: CSS color variable missing.');
+        console.assert(css.body.includes('--font-heading: "Open Sans", Arial, sans-serif;'), 'Test Failed: CSS font stack not quoted correctly.');
+
+        const scss = exporter.export(sampleResult, 'scss').body;
+        console.assert(scss.includes('$color-logo-2: #00FF00;') && scss.includes("$brand-colors: (\n  '1': #1A2B3C,"), 'Test Failed: SCSS output mismatch.');
+
+        // The Tailwind snippet is a loadable CommonJS module
+        const tailwind = exporter.export(sampleResult, 'tailwind').body;
+        const config = new Function('module', `${tailwind}; return module.exports;`)({});
+        console.assert(config.theme.extend.colors.brand['2'] === '#FFFFFF', 'Test Failed: Tailwind colors mismatch.');
+        console.assert(config.theme.extend.fontFamily.body[0] === 'Inter', 'Test Failed: Tailwind fonts mismatch.');
+
+        let rejected = false;
+        try {
+            exporter.export(sampleResult, 'pdf');
+        } catch (error) {
+            rejected = true;
+        }
+        console.assert(rejected, 'Test Failed: unsupported format accepted.');
+        console.assert(exporter.getStats().exports === 4, 'Test Failed: exports not counted.');
+
+        // Results without colors or fonts still export
+        const empty = JSON.parse(exporter.export({ Logo: {} }, 'tokens').body);
+        console.assert(!empty.color && empty.$extensions['brand-kit'].logos, 'Test Failed: empty kit mismatch.');
+
+        console.log('✅ Test Passed: BrandKitExporter ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
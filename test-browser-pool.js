@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('./browser-pool.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stand-in for a puppeteer Browser: contexts are counted, close() and disconnects are observable
+function createFakeBrowser(id, { pid = null, failContexts = false } = {}) {
+    const browser = new EventEmitter();
+    Object.assign(browser, {
+        id,
+        connected: true,
+        closed: false,
+        openContexts: 0,
+        process: () => (pid ? { pid } : null),
+        async createBrowserContext() {
+            if (failContexts) throw new Error('Target closed');
+            browser.openContexts++;
+            return { async close() { browser.openContexts--; } };
+        },
+        async close() {
+            browser.closed = true;
+            browser.connected = false;
+        },
+        crash() {
+            browser.connected = false;
+            browser.emit('disconnected');
+        }
+    });
+    return browser;
+}
+
+function createLauncher(options = {}) {
+    const launched = [];
+    const launch = async () => {
+        await delay(5);
+        if (options.fail && options.fail(launched.length)) throw new Error('Failed to launch the browser process');
+        const browser = createFakeBrowser(launched.length + 1, options.browser);
+        launched.push(browser);
+        return browser;
+    };
+    return { launch, launched };
+}
+
+async function runTest() {
+    console.log('--- Starting Browser Pool Test ---');
+    try {
+        // Acquire and release: concurrent acquirers share one launch, contexts are closed on release
+        const { launch, launched } = createLauncher();
+        const pool = new BrowserPool({ maxBrowsers: 2, minBrowsers: 1, maxContextsPerBrowser: 2, maxPagesPerBrowser: 3, launch });
+        const [first, second] = await Promise.all([pool.acquire('a'), pool.acquire('b')]);
+        console.assert(launched.length === 1 && first.browser === second.browser, 'Test Failed: concurrent acquirers should share one launch.');
+        console.assert(launched[0].openContexts === 2 && pool.getStats().activeLeases === 2, 'Test Failed: leases not counted.');
+
+        // A full browser makes the pool launch another one
+        const third = await pool.acquire('c');
+        console.assert(launched.length === 2 && third.browser === launched[1], 'Test Failed: second browser not launched at capacity.');
+
+        await first.release();
+        await first.release(); // Releasing twice is harmless
+        console.assert(launched[0].openContexts === 1 && pool.getStats().activeLeases === 2, 'Test Failed: release not counted once.');
+        await second.release();
+        await third.release();
+        console.assert(pool.getStats().totalLeases === 3 && pool.getStats().launchesSaved === 1, 'Test Failed: lease stats mismatch.');
+
+        // Recycling by page limit: the browser is closed once its last lease is released, and replaced
+        const reused = await pool.acquire('d');
+        console.assert(reused.browser === launched[0], 'Test Failed: least busy browser not reused.');
+        await reused.release();
+        await delay(20);
+        console.assert(launched[0].closed && pool.getStats().recycled.pageLimit === 1, 'Test Failed: browser not recycled after its page limit.');
+        console.assert(pool.getStats().liveBrowsers >= 1, 'Test Failed: pool not replenished.');
+
+        // Recycling on disconnect: a crashed browser leaves the pool and is not handed out again
+        const crashing = await pool.acquire('e');
+        crashing.browser.crash();
+        await crashing.release();
+        console.assert(pool.getStats().recycled.disconnected === 1 && !pool.browsers.some(entry => entry.browser === crashing.browser),
+            'Test Failed: disconnected browser not removed.');
+        const afterCrash = await pool.acquire('f');
+        console.assert(afterCrash.browser !== crashing.browser && afterCrash.browser.connected, 'Test Failed: disconnected browser handed out.');
+        await afterCrash.release();
+        await pool.drain();
+        console.assert(launched.every(browser => browser.closed || !browser.connected) && pool.browsers.length === 0, 'Test Failed: drain did not close every browser.');
+
+        // Recycling by memory: the fake browser reports this process, which is well over 1 MB
+        const memory = createLauncher({ browser: { pid: process.pid } });
+        const memoryPool = new BrowserPool({ maxBrowsers: 1, minBrowsers: 0, maxMemoryMB: 1, launch: memory.launch });
+        const heavy = await memoryPool.acquire('g');
+        await heavy.release();
+        if (process.platform === 'linux') {
+            console.assert(memoryPool.getStats().recycled.memory === 1 && memory.launched[0].closed, 'Test Failed: browser not recycled over the memory threshold.');
+        }
+        await memoryPool.drain();
+
+        // Shared-lease fallback: when no further browser can be launched, a busy one is shared instead of failing
+        const flaky = createLauncher({ fail: count => count >= 1 });
+        const sharedPool = new BrowserPool({ maxBrowsers: 2, minBrowsers: 1, maxContextsPerBrowser: 1, launch: flaky.launch });
+        const outer = await sharedPool.acquire('extraction');
+        const nested = await sharedPool.acquire('linkedin');
+        console.assert(nested.browser === outer.browser && sharedPool.getStats().activeLeases === 2, 'Test Failed: busy browser not shared when launching fails.');
+        console.assert(sharedPool.getStats().launchFailures >= 1, 'Test Failed: launch failure not counted.');
+        await nested.release();
+        await outer.release();
+        await sharedPool.drain();
+
+        // A full pool shares its least busy browser rather than waiting
+        const full = createLauncher();
+        const fullPool = new BrowserPool({ maxBrowsers: 1, minBrowsers: 1, maxContextsPerBrowser: 1, launch: full.launch });
+        const leases = await Promise.all([fullPool.acquire('h'), fullPool.acquire('i'), fullPool.acquire('j')]);
+        console.assert(full.launched.length === 1 && leases.every(lease => lease.browser === full.launched[0]), 'Test Failed: full pool did not share its browser.');
+        await Promise.all(leases.map(lease => lease.release()));
+        await fullPool.drain();
+
+        // Without any browser, acquire fails instead of hanging
+        const broken = new BrowserPool({ maxBrowsers: 1, launch: createLauncher({ fail: () => true }).launch });
+        const error = await broken.acquire('k').then(() => null, acquireError => acquireError);
+        console.assert(error && /Failed to launch/.test(error.message), 'Test Failed: launch error not reported.');
+
+        // A browser that cannot open contexts is retired
+        const deadContexts = createLauncher({ browser: { failContexts: true } });
+        const deadPool = new BrowserPool({ maxBrowsers: 1, minBrowsers: 0, launch: deadContexts.launch });
+        const contextError = await deadPool.acquire('l').then(() => null, acquireError => acquireError);
+        await delay(10);
+        console.assert(contextError && deadPool.getStats().recycled.disconnected === 1 && deadContexts.launched[0].closed, 'Test Failed: broken browser not retired.');
+
+        console.log('✅ Test Passed: BrowserPool ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,60 @@
+const { classifyColorRoles, contrastRatio, wcagLevel, relativeLuminance } = require('./utils/color-roles.js');
+
+async function runTest() {
+    console.log('--- Starting Color Roles Test ---');
+    try {
+        // WCAG reference values
+        console.assert(contrastRatio('#000000', '#FFFFFF') === 21, 'Test Failed: black on white should be 21:1.');
+        console.assert(contrastRatio('#777777', '#FFFFFF') === 4.48 && wcagLevel(4.48) === 'AA Large', 'Test Failed: #777 on white should just miss AA.');
+        console.assert(contrastRatio('rgb(255, 255, 255)', '#fff') === 1, 'Test Failed: rgb() strings not parsed.');
+        console.assert(relativeLuminance('not a color') === null, 'Test Failed: invalid color accepted.');
+
+        // CSS variables name their roles; page styles give background and text
+        let result = classifyColorRoles({
+            candidates: [
+                { hex: '#ffffff', count: 4, sources: ['button_text'] },
+                { hex: '#0055ff', count: 3, sources: ['css_variable: --brand-primary', 'button_bg'] },
+                { hex: '#ff9900', count: 1, sources: ['css_variable: --color-accent'] },
+                { hex: '#00aa55', count: 2, sources: ['link_text', 'h2_text'] },
+                { hex: '#222222', count: 2, sources: ['h1_text'] }
+            ],
+            surfaces: { background: 'rgb(250, 250, 250)', text: 'rgb(34, 34, 34)' }
+        });
+        console.assert(result.roles.primary.hex === '#0055FF' && result.roles.primary.source === 'css_variable: --brand-primary', 'Test Failed: primary not taken from variable.');
+        console.assert(result.roles.accent.hex === '#FF9900', 'Test Failed: accent not taken from variable.');
+        console.assert(result.roles.secondary.hex === '#00AA55' && result.roles.secondary.source === 'link_text', 'Test Failed: secondary not ranked from usage.');
+        console.assert(result.roles.background.hex === '#FAFAFA' && result.roles.text.hex === '#222222', 'Test Failed: page surfaces not used.');
+
+        // Orange accent and green links fail AA on a near-white background
+        console.assert(result.contrast.length === 4, 'Test Failed: not every role pair checked.');
+        const failing = result.failures.map(pair => `${pair.foreground}/${pair.background}`).sort().join(',');
+        console.assert(failing === 'accent/background,secondary/background', `Test Failed: unexpected AA failures: ${failing}`);
+        console.assert(result.contrast.find(pair => pair.foreground === 'text').level === 'AAA', 'Test Failed: text contrast level.');
+
+        // Without site brand colors the logo swatches fill the brand roles
+        result = classifyColorRoles({
+            candidates: [{ hex: '#ffffff', count: 1, sources: ['header_bg'] }],
+            palettes: [
+                { origin: 'banner', swatches: [{ name: 'Vibrant', hex: '#E0301E' }] },
+                { origin: 'logo', swatches: [{ name: 'Muted', hex: '#5C7A99' }, { name: 'Vibrant', hex: '#1E90E0' }, { name: 'DarkVibrant', hex: '#1E88DD' }] }
+            ]
+        });
+        console.assert(result.roles.primary.hex === '#1E90E0' && result.roles.primary.source === 'logo:Vibrant', 'Test Failed: logo Vibrant swatch not primary.');
+        console.assert(result.roles.secondary.hex === '#5C7A99', 'Test Failed: near-duplicate swatch not skipped.');
+        console.assert(result.roles.accent.source === 'banner:Vibrant', 'Test Failed: banner swatch not used as accent.');
+        console.assert(result.roles.background.hex === '#FFFFFF' && result.roles.text === null, 'Test Failed: missing text role should stay null.');
+
+        // Nothing extracted: only the default background
+        result = classifyColorRoles({});
+        console.assert(result.roles.background.source === 'default' && result.contrast.length === 0, 'Test Failed: empty input.');
+
+        console.log('✅ Test Passed: Color roles ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
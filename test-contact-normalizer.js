@@ -0,0 +1,69 @@
+const { buildContacts, mergeContacts, normalizePhone, normalizeEmail, deobfuscateEmails, inferCountry } = require('./utils/contact-normalizer.js');
+
+async function runTest() {
+    console.log('--- Starting Contact Normalizer Test ---');
+    try {
+        // Emails
+        console.assert(deobfuscateEmails('sales [at] acme [dot] com') === 'sales@acme.com', 'Test Failed: [at]/[dot] obfuscation not decoded.');
+        console.assert(deobfuscateEmails('jane at acme dot io').includes('jane@acme.io'), 'Test Failed: spelled-out address not decoded.');
+        console.assert(deobfuscateEmails('meet us at the office') === 'meet us at the office', 'Test Failed: plain text rewritten.');
+        console.assert(normalizeEmail('mailto:Info%40Acme.com?subject=Hi') === 'info@acme.com', 'Test Failed: mailto href not normalized.');
+        console.assert(normalizeEmail('logo@2x.png') === null && normalizeEmail('you@example.com') === null, 'Test Failed: asset or placeholder accepted.');
+
+        // Phones
+        console.assert(normalizePhone('+44 (0)20 7946 0958').number === '+442079460958', 'Test Failed: (0) trunk not removed.');
+        console.assert(normalizePhone('020 7946 0958', 'GB').number === '+442079460958', 'Test Failed: national GB number not converted.');
+        console.assert(normalizePhone('030 1234567', 'DE').number === '+49301234567', 'Test Failed: national DE number not converted.');
+        const extension = normalizePhone('(415) 555-2671 ext. 12', 'US');
+        console.assert(extension.number === '+14155552671' && extension.extension === '12', 'Test Failed: extension not split off.');
+        console.assert(normalizePhone('0044 20 7946 0958').country === 'GB', 'Test Failed: 00 prefix not treated as international.');
+        console.assert(normalizePhone('555-1234', 'US').number === null, 'Test Failed: incomplete number accepted.');
+        console.assert(normalizePhone('020 7946 0958').number === null, 'Test Failed: national number accepted without a country.');
+
+        // Country inference: addresses, then TLD, then page language
+        console.assert(inferCountry({ url: 'https://acme.co.uk' }) === 'GB', 'Test Failed: .uk not mapped to GB.');
+        console.assert(inferCountry({ url: 'https://acme.com', lang: 'de-DE' }) === 'DE', 'Test Failed: lang region ignored.');
+        console.assert(inferCountry({ url: 'https://acme.fr', countries: ['US'] }) === 'US', 'Test Failed: address country should win.');
+
+        const contacts = buildContacts({
+            mailto: ['mailto:Sales@Acme.com'],
+            tel: ['tel:+14155552671'],
+            text: 'Contact: info@acme.com, noreply@acme.com or support [at] acme [dot] com. Phone: (415) 555-2671. Fax: 415-555-2672. Founded 2019-05-01. Order 12345678.',
+            structured: [{
+                email: 'info@acme.com',
+                telephone: '+1 415 555 2671',
+                address: { streetAddress: '1 Market St', addressLocality: 'San Francisco', addressRegion: 'CA', postalCode: '94105', addressCountry: 'US' }
+            }],
+            addressBlocks: ['1 Market St\nSan Francisco, CA 94105'],
+            lang: 'en'
+        }, { url: 'https://www.acme.com/contact' });
+
+        console.assert(contacts.country === 'US', 'Test Failed: country not inferred from the address.');
+        console.assert(contacts.emails.map(email => email.address).join(',') === 'sales@acme.com,info@acme.com,support@acme.com,noreply@acme.com',
+            'Test Failed: emails not de-duplicated and ranked.');
+        console.assert(contacts.emails[1].sources.length === 2, 'Test Failed: email sources not merged.');
+        console.assert(contacts.phones.length === 2 && contacts.phones[0].number === '+14155552671' && contacts.phones[0].sources.length === 3,
+            'Test Failed: phones not de-duplicated.');
+        console.assert(contacts.phones[1].type === 'fax' && contacts.phones[1].number === '+14155552672', 'Test Failed: fax number not detected.');
+        console.assert(contacts.addresses.length === 1 && contacts.addresses[0].postalCode === '94105', 'Test Failed: addresses not de-duplicated.');
+
+        // Contacts from crawled subpages are merged with the landing page's, keeping the pages they came from
+        const merged = mergeContacts([
+            { url: 'https://www.acme.com/', contacts },
+            { url: 'https://www.acme.com/contact', contacts: buildContacts({ mailto: ['mailto:info@acme.com', 'mailto:press@acme.com'] }, { url: 'https://www.acme.com/contact' }) },
+            { url: 'https://www.acme.com/about', contacts: null }
+        ]);
+        const info = merged.emails.find(email => email.address === 'info@acme.com');
+        console.assert(merged.emails.length === 5 && info.pages.length === 2 && info.sources.includes('mailto'), 'Test Failed: contacts not merged across pages.');
+        console.assert(merged.country === 'US' && merged.phones[0].pages[0] === 'https://www.acme.com/', 'Test Failed: merged phones lost their page.');
+
+        console.log('✅ Test Passed: Contact normalizer ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
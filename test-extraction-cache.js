@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExtractionCache } = require('./extraction-cache.js');
+
+async function runTest() {
+    console.log('--- Starting Extraction Cache Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-cache-'));
+    try {
+        for (const store of ['memory', 'disk']) {
+            console.log(`Testing ${store} store...`);
+            const cache = new ExtractionCache({ store, dataDir, ttlSeconds: 60, staleSeconds: 60 });
+            const key = cache.keyFor('https://Example.com/about');
+
+            let result = await cache.lookup(key);
+            console.assert(result.state === 'miss', `Test Failed (${store}): empty cache should miss.`);
+
+            await cache.set(key, { Company: { Name: 'Example' } }, { url: 'https://www.example.com/about' });
+            await cache.set(cache.keyFor('https://other.org'), { Company: { Name: 'Other' } }, { url: 'https://other.org' });
+
+            result = await cache.lookup(key);
+            console.assert(result.state === 'fresh', `Test Failed (${store}): new entry should be fresh.`);
+            console.assert(result.entry.data.Company.Name === 'Example', `Test Failed (${store}): cached data mismatch.`);
+
+            result = await cache.lookup(key, { forceRefresh: true });
+            console.assert(result.state === 'bypass', `Test Failed (${store}): forceRefresh should bypass.`);
+
+            // Age the entry past its TTL but inside the stale window
+            const entry = await cache.get(key);
+            entry.timestamp -= 90 * 1000;
+            await cache.store.set(key, entry);
+
+            result = await cache.lookup(key);
+            console.assert(result.state === 'stale', `Test Failed (${store}): entry should be stale.`);
+            console.assert(cache.startRevalidation(key) === true, `Test Failed (${store}): first revalidation should be claimed.`);
+            console.assert(cache.startRevalidation(key) === false, `Test Failed (${store}): revalidation should be deduplicated.`);
+
+            result = await cache.lookup(key, { maxAge: 30 });
+            console.assert(result.state === 'miss', `Test Failed (${store}): maxAge should not serve stale data.`);
+
+            result = await cache.lookup(key, { maxAge: 3600 });
+            console.assert(result.state === 'fresh', `Test Failed (${store}): larger maxAge should accept the entry.`);
+
+            // Results extracted despite robots.txt are kept apart, even for the same field selection
+            const ignoredKey = cache.keyFor('https://other.org', 'logo', { ignoreRobotsTxt: true });
+            console.assert(ignoredKey === 'https://other.org#fields=logo#robots=ignored' && ignoredKey !== cache.keyFor('https://other.org', 'logo'),
+                `Test Failed (${store}): robots override not part of the cache key.`);
+            await cache.set(ignoredKey, { Logo: {} }, { url: 'https://other.org' });
+            console.assert((await cache.lookup(cache.keyFor('https://other.org', 'logo'))).state === 'miss', `Test Failed (${store}): override result served without the override.`);
+
+            console.assert(cache.list({ domain: 'example.com' }).length === 1, `Test Failed (${store}): domain filter mismatch.`);
+            console.assert(await cache.purge({ domain: 'example.com' }) === 1, `Test Failed (${store}): domain purge mismatch.`);
+            console.assert(await cache.purge({ url: 'https://other.org/' }) === 2, `Test Failed (${store}): url purge mismatch.`);
+            console.assert(cache.getStats().size === 0, `Test Failed (${store}): cache should be empty after purge.`);
+        }
+
+        // Disk entries survive a "restart"
+        const before = new ExtractionCache({ store: 'disk', dataDir });
+        await before.set('https://persist.io', { Company: { Name: 'Persist' } }, { url: 'https://persist.io' });
+        const after = new ExtractionCache({ store: 'disk', dataDir });
+        const restored = await after.lookup('https://persist.io');
+        console.assert(restored.state === 'fresh', 'Test Failed: disk entry was not restored after restart.');
+
+        console.log('✅ Test Passed: ExtractionCache ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
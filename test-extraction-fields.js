@@ -0,0 +1,46 @@
+const { resolveExtractionFields, EXTRACTION_FIELDS } = require('./utils/extraction-fields.js');
+const { ExtractionCache } = require('./extraction-cache.js');
+
+async function runTest() {
+    console.log('--- Starting Extraction Fields Test ---');
+    try {
+        let { selection, error } = resolveExtractionFields();
+        console.assert(!error && selection.variant === null, 'Test Failed: no selection should run everything.');
+        console.assert(selection.stages.length === EXTRACTION_FIELDS.length, 'Test Failed: all stages expected.');
+
+        ({ selection } = resolveExtractionFields({ fields: ['Company', 'logo'] }));
+        console.assert(selection.stages.join(',') === 'logo,company', 'Test Failed: fields should be case-insensitive and ordered.');
+
+        ({ selection } = resolveExtractionFields({ fields: 'images,linkedin' }));
+        console.assert(selection.stages.join(',') === 'logo,images,socialLinks,linkedin', 'Test Failed: dependencies were not added.');
+
+        ({ selection } = resolveExtractionFields({ exclude: ['facebook', 'colors'] }));
+        console.assert(!selection.stages.includes('facebook') && !selection.stages.includes('colors'), 'Test Failed: exclude ignored.');
+        console.assert(selection.variant === 'logo,fonts,images,icons,technologies,company,socialLinks,contacts,linkedin,twitter,crawl,assets', 'Test Failed: variant mismatch.');
+
+        ({ error } = resolveExtractionFields({ fields: ['logo', 'stock-price'] }));
+        console.assert(/Unknown field "stock-price"/.test(error), 'Test Failed: unknown field accepted.');
+        ({ error } = resolveExtractionFields({ fields: ['logo'], exclude: ['logo'] }));
+        console.assert(!!error, 'Test Failed: empty selection accepted.');
+        ({ error } = resolveExtractionFields({ fields: 42 }));
+        console.assert(!!error, 'Test Failed: non-list fields accepted.');
+
+        // Partial selections get their own cache entries, purged together with the full one
+        const cache = new ExtractionCache({ store: 'memory' });
+        const fullKey = cache.keyFor('https://example.com');
+        const partialKey = cache.keyFor('https://example.com', 'logo,company');
+        console.assert(fullKey !== partialKey, 'Test Failed: partial selection shares the full cache key.');
+        await cache.set(fullKey, { Logo: {} }, { url: 'https://example.com' });
+        await cache.set(partialKey, { Logo: {} }, { url: 'https://example.com' });
+        console.assert(await cache.purge({ url: 'https://example.com' }) === 2, 'Test Failed: url purge should remove every selection.');
+
+        console.log('✅ Test Passed: Extraction field selection ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExtractionQueue } = require('./extraction-queue.js');
+const { ExtractionJobManager } = require('./extraction-job-manager.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+    console.log('--- Starting Extraction Job Manager Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-jobs-'));
+    try {
+        const queue = new ExtractionQueue({ concurrency: 1, dataDir });
+        const jobs = new ExtractionJobManager({ queue });
+        const calls = [];
+        jobs.setProcessor(async (url, options) => {
+            calls.push({ url, options });
+            await delay(10);
+            if (url === 'down.com') return { statusCode: 502, body: { error: 'Upstream unavailable', _sessionId: 'session_down' } };
+            return { statusCode: 200, body: { Company: { Website: url }, _sessionId: `session_${url}` } };
+        });
+
+        // Only trimmed, unique strings are kept
+        console.assert(jobs.normalizeUrls([' a.com ', 'a.com', 42, null, '', { url: 'b.com' }, 'down.com']).join(',') === 'a.com,down.com',
+            'Test Failed: URLs not normalized.');
+        console.assert(jobs.normalizeUrls('a.com').length === 0, 'Test Failed: non-array URLs accepted.');
+
+        // A list without any URL string is a client error, not a server one
+        let rejected = null;
+        try {
+            jobs.createJob([42, null, { url: 'a.com' }]);
+        } catch (error) {
+            rejected = error;
+        }
+        console.assert(rejected && rejected.statusCode === 400 && rejected.message === 'No valid URLs provided', 'Test Failed: invalid URL list not rejected with 400.');
+        console.assert(jobs.listJobs().length === 0, 'Test Failed: rejected job was stored.');
+
+        // Creation returns the queued job; status is polled with getJob
+        const job = jobs.createJob(['a.com', 'down.com', 'a.com', 7], { maxAge: 60 });
+        console.assert(/^job_/.test(job.jobId) && job.items.map(item => item.url).join(',') === 'a.com,down.com', 'Test Failed: job not created with its unique URLs.');
+        const queued = jobs.getJob(job.jobId);
+        console.assert(queued.progress.total === 2 && queued.progress.queued + queued.progress.running === 2, `Test Failed: unexpected progress ${JSON.stringify(queued.progress)}.`);
+
+        await delay(100);
+        const finished = jobs.getJob(job.jobId);
+        console.assert(finished.status === 'completed', `Test Failed: job status ${finished.status}.`);
+        console.assert(finished.progress.completed === 1 && finished.progress.failed === 1, `Test Failed: unexpected progress ${JSON.stringify(finished.progress)}.`);
+        console.assert(finished.items[0].result.Company.Website === 'a.com' && finished.items[0].sessionId === 'session_a.com', 'Test Failed: item result not stored.');
+        console.assert(finished.items[1].status === 'failed' && finished.items[1].statusCode === 502 && finished.items[1].error === 'Upstream unavailable',
+            'Test Failed: failed item not reported.');
+        console.assert(calls.every(call => call.options.maxAge === 60), 'Test Failed: job options not passed to the processor.');
+        console.assert(jobs.getJob(job.jobId, { includeResults: false }).items[0].result === undefined, 'Test Failed: results not left out.');
+        console.assert(jobs.getJob('job_missing') === null, 'Test Failed: unknown job should be null.');
+        console.assert(jobs.getStats().completedJobs === 1, 'Test Failed: job stats mismatch.');
+
+        await queue._writeChain;
+        await jobs._writeChain;
+        console.log('✅ Test Passed: ExtractionJobManager ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
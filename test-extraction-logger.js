@@ -0,0 +1,68 @@
+const { ExtractionLogger } = require('./extraction-logger.js');
+
+async function runTest() {
+    console.log('--- Starting Extraction Logger Test ---');
+    try {
+        const logger = new ExtractionLogger();
+
+        // A callback session is registered as queued; the queue starts it later with the same ID
+        const sessionId = logger.startSession('https://example.com', 'session_1712345678901_sse', 'queued');
+        logger.step('Waiting in queue', { position: 1 }, sessionId);
+        const early = [];
+        const unsubscribeEarly = logger.subscribe(sessionId, event => early.push(event));
+        const queued = logger.sessionLogs.get(sessionId);
+        console.assert(queued.status === 'queued' && logger.currentSessionId !== sessionId, 'Test Failed: session not queued.');
+
+        logger.startSession('https://example.com', sessionId);
+        console.assert(queued.status === 'running' && logger.currentSessionId === sessionId, 'Test Failed: queued session not started.');
+        console.assert(logger.sessionLogs.get(sessionId) === queued && queued.steps[0].step === 'Waiting in queue', 'Test Failed: queued session history not kept.');
+        console.assert(early[0] && early[0].type === 'status' && early[0].status === 'running' && early[0].url === 'https://example.com',
+            `Test Failed: queued→running status not published (${JSON.stringify(early[0])}).`);
+
+        // Steps, warnings, errors and partial sections reach live subscribers as they happen
+        logger.step('Extracting logo', { stage: 'logo' }, sessionId);
+        logger.partial(sessionId, 'Logo', { Logo: 'https://example.com/logo.svg' });
+        logger.warn('Favicon missing', { tried: '/favicon.ico' }, sessionId);
+        logger.error('Colors failed', new Error('Screenshot timeout'), { stage: 'colors' }, sessionId);
+        logger.partial('session_unknown', 'Logo', {}); // Unknown sessions are ignored
+        console.assert(early.map(event => event.type).join(',') === 'status,step,partial,warn,error', `Test Failed: live events ${early.map(event => event.type).join(',')}.`);
+        const livePartial = early.find(event => event.type === 'partial');
+        console.assert(livePartial.section === 'Logo' && livePartial.data.Logo === 'https://example.com/logo.svg', 'Test Failed: partial event mismatch.');
+        console.assert(logger.sessionLogs.get(sessionId).partials.Logo.Logo === 'https://example.com/logo.svg', 'Test Failed: partial not stored on the session.');
+
+        // A late subscriber catches up from the session history, then follows live events
+        const replay = logger.getSessionEvents(sessionId);
+        console.assert(replay.map(event => event.type).join(',') === 'step,step,warn,error,partial', `Test Failed: replay ${replay.map(event => event.type).join(',')}.`);
+        const replayedStep = replay.filter(event => event.type === 'step')[1];
+        console.assert(replayedStep.step === 'Extracting logo' && replayedStep.details.stage === 'logo', 'Test Failed: replayed step mismatch.');
+        const replayedError = replay.find(event => event.type === 'error');
+        console.assert(replayedError.message.includes('Colors failed') && replayedError.error && replayedError.details.stage === 'colors',
+            'Test Failed: replayed error mismatch.');
+        console.assert(replay.find(event => event.type === 'partial').data.Logo === 'https://example.com/logo.svg', 'Test Failed: replayed partial mismatch.');
+
+        const late = [];
+        const unsubscribeLate = logger.subscribe(sessionId, event => late.push(event));
+        logger.partial(sessionId, 'Colors', { Primary: '#0055ff' });
+        logger.endSession(sessionId, 'completed', { Logo: {} });
+        console.assert(late.map(event => event.type).join(',') === 'partial,end' && late[1].status === 'completed', 'Test Failed: late subscriber missed live events.');
+
+        // Finished sessions replay their end event; unsubscribed listeners hear nothing more
+        const finished = logger.getSessionEvents(sessionId);
+        console.assert(finished[finished.length - 1].type === 'end' && finished.filter(event => event.type === 'partial').length === 2, 'Test Failed: finished replay mismatch.');
+        unsubscribeEarly();
+        unsubscribeLate();
+        const count = early.length + late.length;
+        logger.step('After the stream closed', null, sessionId);
+        console.assert(early.length + late.length === count && logger.listenerCount(`session:${sessionId}`) === 0, 'Test Failed: listener not removed.');
+        console.assert(logger.getSessionEvents('session_unknown').length === 0, 'Test Failed: unknown session has events.');
+
+        console.log('✅ Test Passed: ExtractionLogger ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
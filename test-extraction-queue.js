@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExtractionQueue } = require('./extraction-queue.js');
+const { ExtractionJobManager } = require('./extraction-job-manager.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+    console.log('--- Starting Extraction Queue Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-queue-'));
+    try {
+        // Simulate a process that dies with work in flight
+        const crashedQueue = new ExtractionQueue({ concurrency: 2, dataDir });
+        const crashedJobs = new ExtractionJobManager({ queue: crashedQueue });
+        crashedJobs.setProcessor(() => new Promise(() => {})); // Never finishes
+        const job = crashedJobs.createJob(['a.com', 'b.com', 'c.com', 'a.com']);
+        await delay(20);
+        await crashedQueue._writeChain;
+        await crashedJobs._writeChain;
+
+        console.assert(job.items.length === 3, 'Test Failed: duplicate URLs were not removed.');
+        console.assert(crashedQueue.getStats().running === 2, 'Test Failed: concurrency limit was not applied.');
+        console.assert(crashedQueue.getStats().depth === 1, 'Test Failed: queue depth is wrong.');
+
+        // "Restart" from the same data directory
+        const queue = new ExtractionQueue({ concurrency: 2, dataDir });
+        const jobs = new ExtractionJobManager({ queue });
+        console.assert(queue.getStats().depth === 3, 'Test Failed: in-flight tasks were not recovered.');
+
+        let active = 0, peak = 0;
+        const order = [];
+        jobs.setProcessor(async (url) => {
+            active++;
+            peak = Math.max(peak, active);
+            order.push(url);
+            await delay(10);
+            active--;
+            return { statusCode: 200, body: { Company: { Website: url }, _sessionId: `session_${url}` } };
+        });
+
+        const single = await queue.run('batch-item', { jobId: 'missing', itemIndex: 0 });
+        console.assert(single === undefined, 'Test Failed: unknown job items should be skipped.');
+
+        await delay(100);
+        const restored = jobs.getJob(job.jobId);
+
+        console.log(JSON.stringify(restored.progress));
+        console.assert(restored.status === 'completed', 'Test Failed: recovered job did not complete.');
+        console.assert(restored.progress.completed === 3, 'Test Failed: not every item completed.');
+        console.assert(peak <= 2, 'Test Failed: concurrency limit exceeded after recovery.');
+        console.assert(order.join(',') === 'a.com,b.com,c.com', 'Test Failed: tasks did not run in FIFO order.');
+
+        // Synchronous requests die with the process, so only callback tasks are recovered
+        const syncDir = path.join(dataDir, 'sync');
+        const dyingQueue = new ExtractionQueue({ concurrency: 1, dataDir: syncDir });
+        dyingQueue.registerHandler('extract', () => new Promise(() => {})); // Never finishes
+        dyingQueue.run('extract', { url: 'waiting.com' });
+        dyingQueue.enqueue('extract', { url: 'callback.com', callbackUrl: 'https://hooks.example.com/done' });
+        dyingQueue.run('extract', { url: 'queued-waiting.com' });
+        await dyingQueue._writeChain;
+        const recoveredQueue = new ExtractionQueue({ concurrency: 1, dataDir: syncDir });
+        const recoveredUrls = Array.from(recoveredQueue.tasks.values()).map(task => task.payload.url);
+        console.assert(recoveredUrls.join(',') === 'callback.com', `Test Failed: expected only the callback task to be recovered, got ${recoveredUrls.join(',')}.`);
+
+        console.log('✅ Test Passed: ExtractionQueue ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest().then(() => process.exit(0));
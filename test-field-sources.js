@@ -0,0 +1,62 @@
+const { resolveFieldSources, parseSourcePriority, profileCandidates } = require('./utils/field-sources.js');
+
+const siteCandidates = [
+    { field: 'Name', value: 'Acme', source: 'meta', detail: 'og:site_name', url: 'https://acme.com' },
+    { field: 'Name', value: 'Acme Inc.', source: 'json-ld', detail: 'Organization.name', url: 'https://acme.com' },
+    { field: 'Name', value: 'Acme | Official site', source: 'dom', detail: 'title', url: 'https://acme.com' },
+    { field: 'Industry', value: 'Retail', source: 'json-ld', detail: 'Organization.industry', url: 'https://acme.com' },
+    { field: 'Founded', value: '2009-04-01', source: 'json-ld', detail: 'Organization.foundingDate', url: 'https://acme.com' },
+    { field: 'Website', value: 'https://acme.com/', source: 'url', detail: 'requested URL', url: 'https://acme.com' }
+];
+
+async function runTest() {
+    console.log('--- Starting Field Sources Test ---');
+    try {
+        // Profile scraper results become candidates; placeholders and profile links are rejected
+        const linkedIn = profileCandidates('linkedin', { name: 'Sign in', industry: 'Software Development', founded: '2009', website: 'https://www.acme.com' }, 'https://www.linkedin.com/company/acme');
+        console.assert(linkedIn.length === 4 && linkedIn[0].detail === 'name', 'Test Failed: LinkedIn candidates mismatch.');
+        const twitter = profileCandidates('twitter', { displayName: 'Acme', bio: 'Tools for builders.', website: 'https://x.com/acme' }, 'https://x.com/acme');
+        console.assert(profileCandidates('facebook', { error: 'timeout' }).length === 0, 'Test Failed: failed scrape produced candidates.');
+
+        const { values, fields } = resolveFieldSources([...siteCandidates, ...linkedIn, ...twitter]);
+
+        // The policy picks the winner; placeholders never win
+        console.assert(values.Name === 'Acme' && fields.Name.source === 'meta', `Test Failed: expected the meta name, got ${values.Name}.`);
+        console.assert(!fields.Name.alternatives.some(alternative => alternative.value === 'Sign in'), 'Test Failed: placeholder name kept.');
+        console.assert(values.Industry === 'Software Development' && fields.Industry.alternatives[0].value === 'Retail', 'Test Failed: LinkedIn industry should win and Retail be reported.');
+        console.assert(values.Description === 'Tools for builders.' && fields.Description.source === 'twitter', 'Test Failed: X bio should fill the empty description.');
+        console.assert(values.Website === 'https://www.acme.com' && !fields.Website.alternatives.some(alternative => alternative.source === 'twitter'), 'Test Failed: X link accepted as website.');
+        console.assert(values.Location === null && !fields.Location, 'Test Failed: empty field reported.');
+
+        // Agreement raises confidence, conflict lowers it
+        console.assert(fields.Name.confidence > 0.95, `Test Failed: agreeing names should be near certain, got ${fields.Name.confidence}.`);
+        console.assert(fields.Founded.confidence > 0.95 && fields.Founded.alternatives.length === 1, 'Test Failed: "2009" and "2009-04-01" should agree.');
+        console.assert(fields.Industry.confidence < 0.5, `Test Failed: conflicting industry should be uncertain, got ${fields.Industry.confidence}.`);
+        console.assert(fields.Description.confidence === 0.65, 'Test Failed: single-source confidence should equal the source weight.');
+
+        // Configurable policy, per field
+        const { policy, error } = parseSourcePriority('{"industry": ["json-ld", "linkedin"], "Name": ["linkedin", "json-ld"]}');
+        console.assert(!error && policy.fields.Industry[0] === 'json-ld', 'Test Failed: policy not parsed.');
+        const custom = resolveFieldSources([...siteCandidates, ...linkedIn], policy);
+        console.assert(custom.values.Industry === 'Retail' && custom.fields.Industry.source === 'json-ld', 'Test Failed: per-field priority ignored.');
+        console.assert(custom.values.Name === 'Acme Inc.', 'Test Failed: name priority ignored.');
+        console.assert(custom.values.Founded === '2009', 'Test Failed: default priority not used for unlisted fields.');
+
+        // Sources left out of the policy are reported but never win
+        const strict = resolveFieldSources(siteCandidates, parseSourcePriority(['linkedin']).policy);
+        console.assert(strict.values.Name === null && strict.fields.Name.source === null && strict.fields.Name.alternatives.length === 3, 'Test Failed: unlisted sources should not win.');
+
+        console.assert(/Unknown source "wikipedia"/.test(parseSourcePriority('["wikipedia"]').error), 'Test Failed: unknown source accepted.');
+        console.assert(/Unknown field "revenue"/.test(parseSourcePriority({ revenue: ['meta'] }).error), 'Test Failed: unknown field accepted.');
+        console.assert(/not valid JSON/.test(parseSourcePriority('{').error), 'Test Failed: invalid JSON accepted.');
+
+        console.log('✅ Test Passed: FieldSources ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
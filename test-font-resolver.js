@@ -0,0 +1,67 @@
+const { resolveFonts, parseGoogleFontsUrl, parseFontFaceSrc, detectProvider, normalizeWeight } = require('./utils/font-resolver.js');
+
+async function runTest() {
+    console.log('--- Starting Font Resolver Test ---');
+    try {
+        // Google Fonts links, old and css2 APIs
+        let families = parseGoogleFontsUrl('https://fonts.googleapis.com/css2?family=Inter:wght@400;700&family=Lora:ital,wght@0,400;1,600&display=swap');
+        console.assert(families[0].family === 'Inter' && families[0].weights.join(',') === '400,700', 'Test Failed: css2 weights mismatch.');
+        console.assert(families[1].styles.join(',') === 'italic,normal' && families[1].weights.join(',') === '400,600', 'Test Failed: css2 italics mismatch.');
+        families = parseGoogleFontsUrl('https://fonts.googleapis.com/css?family=Open+Sans:400,700i|Roboto');
+        console.assert(families[0].family === 'Open Sans' && families[0].weights.join(',') === '400,700' && families[1].family === 'Roboto', 'Test Failed: css API mismatch.');
+        console.assert(parseGoogleFontsUrl('https://example.com/fonts.css').length === 0, 'Test Failed: non-Google link parsed.');
+
+        const files = parseFontFaceSrc('local("Brand"), url("../fonts/brand.woff2") format("woff2"), url(../fonts/brand.ttf)', 'https://example.com/css/site.css');
+        console.assert(files.length === 2 && files[0].url === 'https://example.com/fonts/brand.woff2' && files[1].format === 'truetype', 'Test Failed: @font-face src not parsed.');
+        console.assert(detectProvider('https://cdn.example.com/a.woff2', 'https://www.example.com') === 'self-hosted', 'Test Failed: same-site CDN not self-hosted.');
+        console.assert(detectProvider('https://use.typekit.net/abc.css') === 'adobe-fonts', 'Test Failed: Adobe Fonts not detected.');
+        console.assert(normalizeWeight('bold') === 700 && normalizeWeight('normal') === 400, 'Test Failed: weight keywords.');
+
+        const fonts = resolveFonts({
+            pageUrl: 'https://www.example.com/',
+            usage: {
+                heading: [
+                    { stack: '"Brand Sans", Arial, sans-serif', weight: '700', style: 'normal' },
+                    { stack: '"Brand Sans", Arial, sans-serif', weight: '600', style: 'normal' },
+                    { stack: 'Georgia, serif', weight: '400', style: 'italic' }
+                ],
+                body: [
+                    { stack: 'Inter, "Corporate Font", sans-serif', weight: '400', style: 'normal' },
+                    { stack: 'Inter, "Corporate Font", sans-serif', weight: '400', style: 'italic' }
+                ]
+            },
+            faces: [{ family: '"Brand Sans"', src: 'url(/fonts/brand.woff2) format("woff2")', weight: '600 700', style: 'normal', sheet: 'https://www.example.com/site.css' }],
+            stylesheets: ['https://fonts.googleapis.com/css2?family=Inter:wght@400'],
+            fontSet: [{ family: 'Brand Sans', weight: '600 700', style: 'normal', status: 'loaded' }]
+        });
+        const [heading, body] = fonts;
+        console.assert(heading.name === 'Brand Sans' && heading.provider === 'self-hosted' && heading.files[0].url === 'https://www.example.com/fonts/brand.woff2',
+            'Test Failed: self-hosted heading font not resolved.');
+        console.assert(heading.weights.join(',') === '600,700' && heading.styles.join(',') === 'normal', 'Test Failed: heading weights mismatch.');
+        console.assert(body.provider === 'google-fonts' && !body.fallbackOnly && body.missing.join(',') === 'Corporate Font', 'Test Failed: Google body font mismatch.');
+        console.assert(body.styles.join(',') === 'italic,normal', 'Test Failed: body styles mismatch.');
+
+        // A brand font that is never loaded leaves only the fallbacks
+        const [fallback] = resolveFonts({ usage: { body: [{ stack: '"Acme Grotesk", Helvetica, sans-serif', weight: '400', style: 'normal' }] } });
+        console.assert(fallback.fallbackOnly && fallback.provider === 'system' && fallback.resolvedFamily === 'Helvetica' && fallback.missing[0] === 'Acme Grotesk',
+            'Test Failed: fallback-only stack not flagged.');
+
+        // Adobe Fonts kits hide their rules; the family is attributed to the kit
+        const [adobe] = resolveFonts({
+            usage: { heading: [{ stack: 'proxima-nova, sans-serif', weight: '800', style: 'normal' }], body: [{ stack: 'proxima-nova, sans-serif', weight: '400', style: 'normal' }] },
+            stylesheets: ['https://use.typekit.net/abc1234.css'],
+            fontSet: [{ family: 'proxima-nova', weight: '800', style: 'normal', status: 'loaded' }]
+        });
+        console.assert(adobe.provider === 'adobe-fonts' && adobe.weights.join(',') === '400,800', 'Test Failed: Adobe kit font mismatch.');
+        console.assert(resolveFonts({ usage: {} }).length === 0, 'Test Failed: empty usage should return no fonts.');
+
+        console.log('✅ Test Passed: Font resolver ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,113 @@
+const sharp = require('sharp');
+const { IconDiscovery } = require('./icon-discovery.js');
+
+const svgIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><circle cx="32" cy="32" r="30" fill="#0055ff"/></svg>';
+
+// ICO directory with 16x16 and 256x256 (stored as 0) entries
+function icoBuffer() {
+    const buffer = Buffer.alloc(6 + 2 * 16);
+    buffer.writeUInt16LE(0, 0);
+    buffer.writeUInt16LE(1, 2);
+    buffer.writeUInt16LE(2, 4);
+    buffer[6] = 16; buffer[7] = 16;
+    buffer[22] = 0; buffer[23] = 0;
+    return buffer;
+}
+
+async function runTest() {
+    console.log('--- Starting Icon Discovery Test ---');
+    try {
+        const png = (size) => sharp({ create: { width: size, height: size, channels: 4, background: '#0055ff' } }).png().toBuffer();
+        const files = {
+            'https://example.com/favicon.ico': { data: icoBuffer(), type: 'image/x-icon' },
+            'https://example.com/icon.svg': { data: Buffer.from(svgIcon), type: 'image/svg+xml' },
+            'https://example.com/apple-touch-icon.png': { data: await png(180), type: 'image/png' },
+            'https://example.com/android-192.png': { data: await png(192), type: 'image/png' },
+            'https://example.com/android-512.png': { data: await png(512), type: 'image/png' },
+            'https://example.com/safari-pinned-tab.svg': { data: Buffer.from(svgIcon), type: 'image/svg+xml' },
+            'https://example.com/mstile-150x150.png': { data: await png(150), type: 'image/png' },
+            'https://example.com/soft-404.png': { data: Buffer.from('<html>Not found</html>'), type: 'text/html' }
+        };
+        const requested = [];
+        const httpClient = async (config) => {
+            requested.push(config);
+            const file = files[config.url];
+            if (!file) throw new Error('Request failed with status code 404');
+            return { data: file.data, headers: { 'content-type': file.type } };
+        };
+
+        const declared = {
+            links: [
+                { rel: 'icon', url: 'https://example.com/favicon.ico', sizes: 'any', type: null, color: null },
+                { rel: 'icon', url: 'https://example.com/icon.svg', sizes: null, type: 'image/svg+xml', color: null },
+                { rel: 'apple-touch-icon', url: 'https://example.com/apple-touch-icon.png', sizes: '180x180', type: null, color: null },
+                { rel: 'mask-icon', url: 'https://example.com/safari-pinned-tab.svg', sizes: null, type: null, color: '#5bbad5' },
+                { rel: 'icon', url: 'https://example.com/soft-404.png', sizes: '96x96', type: 'image/png', color: null }
+            ],
+            manifest: {
+                url: 'https://example.com/site.webmanifest',
+                icons: [
+                    { url: 'https://example.com/android-192.png', sizes: '192x192', type: 'image/png', purpose: 'any' },
+                    { url: 'https://example.com/android-512.png', sizes: '512x512', type: 'image/png', purpose: 'any maskable' },
+                    { url: 'https://example.com/apple-touch-icon.png', sizes: '180x180', type: 'image/png', purpose: null }
+                ],
+                themeColor: '#0055ff',
+                backgroundColor: '#ffffff'
+            },
+            tiles: [{ url: 'https://example.com/mstile-150x150.png', sizes: '150x150' }],
+            themeColor: '#111111',
+            tileColor: '#2b5797'
+        };
+        const page = { evaluate: async () => declared };
+
+        // .internal hosts resolve to the cloud metadata address, everything else to a public one
+        const lookup = async (hostname) => [{ address: hostname.endsWith('.internal') ? '169.254.169.254' : '93.184.216.34', family: 4 }];
+        const discovery = new IconDiscovery({ httpClient, lookup });
+        const icons = await discovery.discover(page, 'https://example.com/');
+
+        // Duplicates are merged, and a declared favicon means no /favicon.ico guess is added
+        console.assert(icons.list.length === 8, `Test Failed: expected 8 icons, got ${icons.list.length}.`);
+        const touch = icons.list.find(icon => icon.url.endsWith('apple-touch-icon.png'));
+        console.assert(touch.source === 'apple-touch-icon' && touch.width === 180, 'Test Failed: apple-touch-icon not validated.');
+
+        const ico = icons.list.find(icon => icon.format === 'ico');
+        console.assert(ico.width === 256 && ico.sizes.join(',') === '256x256,16x16', 'Test Failed: ICO directory not read.');
+        const broken = icons.list.find(icon => icon.url.endsWith('soft-404.png'));
+        console.assert(!broken.valid && /HTML/.test(broken.error), 'Test Failed: HTML response accepted as icon.');
+
+        // Ranking: scalable full-color icon first, invalid and mask icons last
+        console.assert(icons.list[0].url === 'https://example.com/icon.svg', `Test Failed: unexpected best icon ${icons.list[0].url}.`);
+        console.assert(icons.list[icons.list.length - 1].url.endsWith('soft-404.png'), 'Test Failed: invalid icon not ranked last.');
+        const mask = icons.list.find(icon => icon.source === 'mask-icon');
+        console.assert(mask.color === '#5bbad5' && mask.score < touch.score, 'Test Failed: mask icon not demoted.');
+
+        // The smallest raster image at least as large as the display size wins, including images inside ICO files
+        console.assert(icons.bestBySize[16] === 'https://example.com/favicon.ico', `Test Failed: best 16px icon ${icons.bestBySize[16]}.`);
+        console.assert(icons.bestBySize[48] === 'https://example.com/mstile-150x150.png', `Test Failed: best 48px icon ${icons.bestBySize[48]}.`);
+        console.assert(icons.bestBySize[192] === 'https://example.com/android-192.png' && icons.bestBySize[512] === 'https://example.com/android-512.png',
+            'Test Failed: best PWA icons mismatch.');
+        console.assert(icons.themeColor === '#0055ff' && icons.backgroundColor === '#ffffff' && icons.tileColor === '#2b5797', 'Test Failed: manifest colors mismatch.');
+
+        // Pages without a classic favicon get /favicon.ico as a guess
+        const guessed = discovery.candidates({ links: [], tiles: [] }, 'https://example.com/about');
+        console.assert(guessed.length === 1 && guessed[0].source === 'default' && guessed[0].url === 'https://example.com/favicon.ico', 'Test Failed: default favicon not added.');
+        console.assert(discovery.getStats().iconsInvalid === 1, 'Test Failed: invalid icons not counted.');
+        console.assert(requested.every(config => typeof config.beforeRedirect === 'function' && config.maxRedirects === 5), 'Test Failed: icon redirects not guarded.');
+
+        // Icons on private, loopback or link-local hosts are never requested
+        const requestCount = requested.length;
+        const refused = await discovery.validateAll(['http://127.0.0.1/favicon.ico', 'http://[fe80::1]/icon.png', 'http://metadata.internal/icon.png']
+            .map(url => ({ rel: 'icon', url, source: 'link' })));
+        console.assert(refused.every(icon => !icon.valid && /Icon URL refused/.test(icon.error)), 'Test Failed: private icons not refused.');
+        console.assert(requested.length === requestCount, 'Test Failed: refused icon URLs were requested.');
+
+        console.log('✅ Test Passed: IconDiscovery ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
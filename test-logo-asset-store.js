@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { LogoAssetStore } = require('./logo-asset-store.js');
+
+const svgLogo = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><rect x="10" y="5" width="20" height="10" fill="#ff0000"/></svg>';
+
+async function runTest() {
+    console.log('--- Starting Logo Asset Store Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+    try {
+        // 300x300 transparent canvas with a 100x50 blue logo in the middle
+        const paddedPng = await sharp({ create: { width: 300, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+            .composite([{ input: await sharp({ create: { width: 100, height: 50, channels: 4, background: '#0000ff' } }).png().toBuffer(), top: 125, left: 100 }])
+            .png().toBuffer();
+
+        const requests = [];
+        const images = {
+            'https://cdn.example.com/logo.png': { data: paddedPng, type: 'image/png' },
+            'https://example.com/logo.svg': { data: Buffer.from(svgLogo), type: 'image/svg+xml' },
+            'https://example.com/page.html': { data: Buffer.from('<html></html>'), type: 'text/html' }
+        };
+        const httpClient = async (config) => {
+            requests.push(config);
+            const image = images[config.url];
+            if (!image) throw new Error('Request failed with status code 404');
+            return { data: image.data, headers: { 'content-type': image.type } };
+        };
+
+        // example.com hosts resolve to a public address, intranet.example.com to a private one
+        const lookup = async (hostname) => [{ address: hostname.startsWith('intranet.') ? '10.0.0.5' : '93.184.216.34', family: 4 }];
+        const store = new LogoAssetStore({ dataDir, httpClient, lookup, publicBaseUrl: 'https://api.example.com/' });
+
+        // Padding is trimmed and every size is written as PNG and WebP
+        const logo = await store.processAsset('https://cdn.example.com/logo.png', { referer: 'https://example.com' });
+        console.assert(logo.width === 100 && logo.height === 50, `Test Failed: padding not trimmed (${logo.width}x${logo.height}).`);
+        console.assert(logo.variants.length === 8, 'Test Failed: expected 4 sizes in 2 formats.');
+        console.assert(requests[0].headers.Referer === 'https://example.com', 'Test Failed: referer not sent.');
+        const webp = logo.variants.find(variant => variant.size === 64 && variant.format === 'webp');
+        console.assert(webp.width === 64 && webp.height === 32, 'Test Failed: variant not resized to fit.');
+        console.assert(logo.url === `https://api.example.com/assets/${logo.variants[6].hash}`, 'Test Failed: asset URL should point at the largest PNG.');
+
+        const stored = store.getAsset(webp.hash);
+        console.assert(stored.contentType === 'image/webp' && (await sharp(stored.path).metadata()).format === 'webp', 'Test Failed: stored variant mismatch.');
+        console.assert(store.getAsset('../../etc/passwd') === null && store.getAsset('0'.repeat(32)) === null, 'Test Failed: unknown hash resolved.');
+
+        // Converting the same image again reuses the stored variants
+        const again = await store.processAsset('https://cdn.example.com/logo.png');
+        console.assert(again.variants[0].hash === logo.variants[0].hash && store.getStats().reused === 1, 'Test Failed: identical image converted twice.');
+
+        // SVGs are rasterized and may be scaled up
+        const svg = await store.processAsset('https://example.com/logo.svg', { role: 'icon' });
+        const largest = svg.variants.find(variant => variant.size === 512 && variant.format === 'png');
+        console.assert(svg.sourceFormat === 'svg' && largest.width === 512, 'Test Failed: SVG not rasterized at full size.');
+
+        // Failures are reported per role without failing the others
+        const assets = await store.processLogoSection({
+            Logo: null,
+            LinkedInLogo: 'https://cdn.example.com/logo.png',
+            Favicon: 'https://example.com/page.html',
+            Banner: 'https://example.com/missing.jpg'
+        });
+        console.assert(assets.logo.url && !assets.logo.error, 'Test Failed: LinkedIn logo should be used when the site has none.');
+        console.assert(/not an image/.test(assets.icon.error) && /404/.test(assets.banner.error), 'Test Failed: asset errors not reported.');
+
+        // Page-supplied URLs on private, loopback or link-local hosts are refused before any request
+        const requestCount = requests.length;
+        const refused = await store.processLogoSection({
+            Logo: 'http://169.254.169.254/latest/meta-data/logo.png',
+            Favicon: 'https://intranet.example.com/favicon.png',
+            Banner: 'http://localhost:8080/banner.png'
+        });
+        console.assert(['logo', 'icon', 'banner'].every(role => /Asset URL refused/.test(refused[role].error)), 'Test Failed: private asset URLs not refused.');
+        console.assert(requests.length === requestCount, 'Test Failed: refused asset URLs were requested.');
+        console.assert(typeof requests[0].beforeRedirect === 'function' && requests[0].maxRedirects === 5 && typeof requests[0].lookup === 'function',
+            'Test Failed: redirects not guarded.');
+        const allowingStore = new LogoAssetStore({ dataDir, httpClient, lookup, allowedHosts: ['intranet.example.com'] });
+        const allowed = await allowingStore.processLogoSection({ Favicon: 'https://intranet.example.com/favicon.png' });
+        console.assert(/404/.test(allowed.icon.error), 'Test Failed: allowlisted host should be requested.');
+
+        console.log('✅ Test Passed: LogoAssetStore ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const { OpenApiSpec } = require('./openapi-spec.js');
+
+// Routes as registered in the server source
+function registeredRoutes() {
+    const routes = [];
+    ['index.js', 'facebook-endpoints.js'].forEach(file => {
+        const source = fs.readFileSync(file, 'utf8');
+        for (const [, method, path] of source.matchAll(/(?:app|router)\.(get|post|put|delete)\('([^']+)'/g)) {
+            routes.push(`${method} ${path}`);
+        }
+    });
+    return routes;
+}
+
+async function runTest() {
+    console.log('--- Starting OpenAPI Spec Test ---');
+    try {
+        const spec = new OpenApiSpec();
+        const document = spec.getDocument();
+        console.assert(document.openapi === '3.1.0', 'Test Failed: not an OpenAPI 3.1 document.');
+
+        // Every route is documented, and nothing documented is missing from the server
+        const documented = spec.getRoutes().map(({ method, path }) => `${method} ${path}`);
+        const registered = registeredRoutes();
+        const undocumented = registered.filter(route => !documented.includes(route));
+        const stale = documented.filter(route => !registered.includes(route));
+        console.assert(undocumented.length === 0, `Test Failed: undocumented routes: ${undocumented.join(', ')}`);
+        console.assert(stale.length === 0, `Test Failed: documented routes that do not exist: ${stale.join(', ')}`);
+
+        // All $refs resolve inside the document
+        const refs = [];
+        (function walk(node) {
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (node && typeof node === 'object') {
+                Object.entries(node).forEach(([key, value]) => (key === '$ref' ? refs.push(value) : walk(value)));
+            }
+        })(document);
+        const unresolved = refs.filter(ref => !ref.slice(2).split('/').reduce((node, key) => node && node[key], document));
+        console.assert(refs.length > 0 && unresolved.length === 0, `Test Failed: unresolved refs: ${unresolved.join(', ')}`);
+
+        const extract = document.paths['/api/extract-company-details'].post;
+        console.assert(extract.responses['429'] && extract['x-required-scope'] === 'extract', 'Test Failed: API key responses missing.');
+        console.assert(document.paths['/api/extraction-jobs/{jobId}'], 'Test Failed: path parameters not converted.');
+
+        // Documented scopes match the API key middleware on each route
+        const source = fs.readFileSync('index.js', 'utf8');
+        const guarded = {};
+        for (const [, method, path, scope] of source.matchAll(/app\.(get|post|put|delete)\('([^']+)',\s*requireApiKey\('(\w+)'\)/g)) {
+            guarded[`${method} ${path}`] = scope;
+        }
+        const mismatched = spec.routes.filter(route => (route.scope || null) !== (guarded[`${route.method} ${route.path}`] || null));
+        console.assert(mismatched.length === 0, `Test Failed: scope differs from the server for: ${mismatched.map(route => route.path).join(', ')}`);
+        console.assert(guarded['get /api/extraction-sessions/:sessionId/stream'] === 'extract' && guarded['get /api/search-history'] === 'admin',
+            'Test Failed: extraction results readable without an API key.');
+
+        // Request bodies are validated against the same schemas
+        console.assert(spec.validateRequestBody('extractCompanyDetails', { url: 'https://example.com', fields: 'logo,colors' }).valid,
+            'Test Failed: valid extraction request rejected.');
+        const invalid = spec.validateRequestBody('extractCompanyDetails', { url: 42, forceRefresh: 'yes' });
+        console.assert(invalid.errors.map(error => error.path).join(',') === '$.url,$.forceRefresh', 'Test Failed: invalid fields not reported.');
+        console.assert(!spec.validateRequestBody('createExtractionJob', { urls: [] }).valid, 'Test Failed: empty urls accepted.');
+        console.assert(!spec.validateRequestBody('createExtractionJob', undefined).valid, 'Test Failed: missing body accepted.');
+
+        console.log('✅ Test Passed: OpenApiSpec ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,146 @@
+const { RedirectTracker, buildRedirectChain, resolveCanonicalDomain, domainOf } = require('./redirect-tracker.js');
+
+// Minimal stand-in for a Puppeteer page that replays main-frame document responses
+function fakePage({ finalUrl, signals }) {
+    const mainFrame = {};
+    const listeners = new Set();
+    const navigationWaiters = new Set();
+    const page = {
+        on: (event, listener) => listeners.add(listener),
+        off: (event, listener) => listeners.delete(listener),
+        mainFrame: () => mainFrame,
+        url: () => finalUrl,
+        evaluate: async () => signals,
+        waitForNavigation: ({ timeout }) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                navigationWaiters.delete(waiter);
+                reject(new Error(`Navigation timeout of ${timeout} ms exceeded`));
+            }, timeout);
+            const waiter = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            navigationWaiters.add(waiter);
+        }),
+        listeners,
+        // Loads entries after a delay, like a meta refresh, and then moves the page to its last URL
+        loadLater(ms, entries) {
+            setTimeout(() => {
+                page.load(entries);
+                finalUrl = entries[entries.length - 1].url;
+                navigationWaiters.forEach(waiter => waiter());
+                navigationWaiters.clear();
+            }, ms);
+        },
+        // Each entry: { url, status, location?, initiator?, redirected?, frame? }
+        load(entries) {
+            let previous = null;
+            entries.forEach(entry => {
+                const chain = entry.redirected ? [...previous.chain] : [];
+                const request = {
+                    chain,
+                    isNavigationRequest: () => true,
+                    frame: () => entry.frame || mainFrame,
+                    redirectChain: () => chain,
+                    initiator: () => ({ type: entry.initiator || 'other' })
+                };
+                // Puppeteer adds a redirected request to its own chain before reporting its response
+                if (entry.status >= 300 && entry.status < 400) chain.push(request);
+                const response = {
+                    url: () => entry.url,
+                    status: () => entry.status,
+                    headers: () => (entry.location ? { location: entry.location } : {}),
+                    request: () => request
+                };
+                listeners.forEach(listener => listener(response));
+                previous = request;
+            });
+        }
+    };
+    return page;
+}
+
+async function runTest() {
+    console.log('--- Starting Redirect Tracker Test ---');
+    try {
+        console.assert(domainOf('https://WWW.Acme.com./en-us/') === 'acme.com' && domainOf('https://www2.acme.com') === 'acme.com', 'Test Failed: domain not normalized.');
+        console.assert(domainOf('http://localhost:3000/') === null && domainOf('https://127.0.0.1/') === null && domainOf('mailto:a@acme.com') === null,
+            'Test Failed: placeholder hosts accepted.');
+
+        // Hop types
+        const chain = buildRedirectChain([
+            { url: 'http://acme.co/', status: 301, location: 'https://acme.co/' },
+            { url: 'https://acme.co/', status: 200 },
+            { url: 'https://www.acme.com/', status: 200, initiator: 'script' },
+            { url: 'https://www.acme.com/en-us/', status: 200 }
+        ]);
+        console.assert(chain.map(hop => hop.type).join(',') === 'http,javascript,meta-refresh', 'Test Failed: hop types mismatch.');
+        console.assert(chain[0].status === 301 && chain[2].to === 'https://www.acme.com/en-us/', 'Test Failed: hop details mismatch.');
+
+        // Canonical domain: the domain two signals agree on, else canonical link, og:url, final URL
+        console.assert(resolveCanonicalDomain({ canonicalUrl: 'https://www.acme.com/', ogUrl: null, finalUrl: 'https://acme.co/' }).domain === 'acme.com',
+            'Test Failed: canonical link not preferred.');
+        const outvoted = resolveCanonicalDomain({ canonicalUrl: 'https://staging.acme.dev/', ogUrl: 'https://acme.com/home', finalUrl: 'https://www.acme.com/' });
+        console.assert(outvoted.domain === 'acme.com' && outvoted.source === 'og:url', 'Test Failed: agreeing signals should outvote the canonical link.');
+        const placeholder = resolveCanonicalDomain({ canonicalUrl: 'http://localhost/', finalUrl: 'https://acme.com/#top' });
+        console.assert(placeholder.source === 'final-url' && placeholder.url === 'https://acme.com/', 'Test Failed: placeholder canonical link used.');
+        console.assert(resolveCanonicalDomain({}).domain === null, 'Test Failed: missing signals should resolve to null.');
+
+        // acme.co -> 301 -> www.acme.com -> JavaScript -> www.acme.com/en-us/, after a failed first attempt
+        const tracker = new RedirectTracker({ settleMs: 20 });
+        const page = fakePage({
+            finalUrl: 'https://www.acme.com/en-us/#main',
+            signals: { canonicalUrl: 'https://www.acme.com/en-us/', ogUrl: '/en-us/' }
+        });
+        tracker.track(page, 'https://acme.co');
+        page.load([{ url: 'https://acme.co/', status: 503 }]);
+        page.load([
+            { url: 'https://acme.co/', status: 301, location: 'https://www.acme.com/' },
+            { url: 'https://www.acme.com/', status: 200, redirected: true },
+            { url: 'https://www.acme.com/frame', status: 200, frame: {} },
+            { url: 'https://www.acme.com/en-us/', status: 200, initiator: 'script' },
+            { url: 'https://www.acme.com/en-us/', status: 200 }
+        ]);
+        const navigation = await tracker.finish(page);
+        console.assert(navigation.RequestedUrl === 'https://acme.co' && navigation.FinalUrl === 'https://www.acme.com/en-us/', 'Test Failed: requested or final URL mismatch.');
+        console.assert(navigation.RedirectChain.length === 2, `Test Failed: expected 2 hops, got ${JSON.stringify(navigation.RedirectChain)}.`);
+        console.assert(navigation.RedirectChain[0].type === 'http' && navigation.RedirectChain[1].type === 'javascript', 'Test Failed: chain types mismatch.');
+        console.assert(navigation.CanonicalDomain === 'acme.com' && navigation.CanonicalSource === 'canonical', 'Test Failed: canonical domain mismatch.');
+        console.assert(page.listeners.size === 0, 'Test Failed: response listener not removed.');
+
+        const stats = tracker.getStats();
+        console.assert(stats.navigations === 1 && stats.redirected === 1 && stats.httpRedirects === 1 && stats.clientRedirects === 1, 'Test Failed: stats mismatch.');
+
+        // Untracked pages still report the final URL and canonical domain
+        const direct = await tracker.finish(fakePage({ finalUrl: 'https://acme.com/', signals: {} }), 'https://acme.com');
+        console.assert(direct.RedirectChain.length === 0 && direct.CanonicalDomain === 'acme.com' && direct.CanonicalSource === 'final-url', 'Test Failed: untracked page mismatch.');
+
+        // A meta refresh that fires after goto resolved is still part of the chain
+        const refreshTracker = new RedirectTracker({ settleMs: 500 });
+        const refreshing = fakePage({ finalUrl: 'https://acme.co/', signals: {} });
+        refreshTracker.track(refreshing, 'https://acme.co/');
+        refreshing.load([{ url: 'https://acme.co/', status: 200 }]);
+        refreshing.loadLater(50, [{ url: 'https://www.acme.com/', status: 200 }]);
+        const refreshed = await refreshTracker.finish(refreshing);
+        console.assert(refreshed.FinalUrl === 'https://www.acme.com/' && refreshed.RedirectChain.length === 1 && refreshed.RedirectChain[0].type === 'meta-refresh',
+            `Test Failed: delayed meta refresh missed (${JSON.stringify(refreshed)}).`);
+
+        // Without the wait the same refresh is missed
+        const hasty = fakePage({ finalUrl: 'https://acme.co/', signals: {} });
+        refreshTracker.track(hasty, 'https://acme.co/');
+        hasty.load([{ url: 'https://acme.co/', status: 200 }]);
+        hasty.loadLater(50, [{ url: 'https://www.acme.com/', status: 200 }]);
+        const unsettled = await refreshTracker.finish(hasty, null, { settleMs: 0 });
+        console.assert(unsettled.FinalUrl === 'https://acme.co/' && unsettled.RedirectChain.length === 0, 'Test Failed: settleMs 0 should finish right away.');
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        console.log('✅ Test Passed: RedirectTracker ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
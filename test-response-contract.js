@@ -0,0 +1,168 @@
+const { ResponseContract } = require('./response-contract.js');
+
+const sampleResult = {
+    RequestedUrl: 'https://example.co',
+    FinalUrl: 'https://www.example.com/en-us/',
+    CanonicalDomain: 'example.com',
+    CanonicalUrl: 'https://www.example.com/',
+    CanonicalSource: 'canonical',
+    RedirectChain: [
+        { from: 'https://example.co/', to: 'https://www.example.com/', status: 301, type: 'http' },
+        { from: 'https://www.example.com/', to: 'https://www.example.com/en-us/', status: 200, type: 'javascript' }
+    ],
+    Logo: {
+        Logo: 'https://example.com/logo.svg', Symbol: null, Icon: null, Favicon: 'https://example.com/favicon.ico', Banner: null, LinkedInLogo: 'https://media.licdn.com/logo.png',
+        Assets: { icon: { source: 'https://example.com/favicon.ico', error: 'Asset is text/html, not an image' } }
+    },
+    Colors: [
+        { hex: '#1a2b3c', rgb: 'rgb(26,43,60)', brightness: 40, name: 'button background' },
+        {},
+        { hex: '#FF0000', rgb: 'rgb(255,0,0)', colors: ['#FF0000', '#fff'], width: 100, height: 100 }
+    ],
+    ColorRoles: {
+        roles: { primary: { hex: '#1a2b3c', source: 'button_bg' }, secondary: null, accent: null, background: { hex: '#FFFFFF', source: 'page_background' }, text: null },
+        contrast: [{ foreground: 'primary', background: 'background', foregroundHex: '#1a2b3c', backgroundHex: '#FFFFFF', ratio: 14.5, level: 'AAA', passesAA: true, passesAALarge: true }],
+        failures: []
+    },
+    Fonts: [{
+        name: 'Inter', type: 'heading', stack: 'Inter, sans-serif', provider: 'google-fonts', resolvedFamily: 'Inter', weights: [400, 700], styles: ['normal'],
+        files: [{ url: 'https://fonts.gstatic.com/s/inter/v13/inter.woff2', format: 'woff2', weight: '400', style: 'normal' }], fallbackOnly: false, missing: []
+    }],
+    Images: [{ src: 'https://example.com/hero.jpg', alt: 'Hero' }],
+    Icons: {
+        list: [
+            { url: 'https://example.com/apple-touch-icon.png', source: 'apple-touch-icon', rel: 'apple-touch-icon', declaredSizes: ['180x180'], type: null, valid: true, format: 'png', width: 180, height: 180, sizes: ['180x180'], bytes: 4210, scalable: false, score: 123 },
+            { url: 'https://example.com/favicon.ico', source: 'default', rel: null, declaredSizes: [], type: null, valid: false, error: 'Request failed with status code 404', score: 0 }
+        ],
+        bestBySize: { 16: 'https://example.com/apple-touch-icon.png', 512: 'https://example.com/apple-touch-icon.png' },
+        manifestUrl: null,
+        themeColor: '#0055ff',
+        backgroundColor: null,
+        tileColor: null
+    },
+    Technologies: [
+        { name: 'WooCommerce', category: 'ecommerce', version: '8.9.1', website: 'https://woocommerce.com', evidence: [{ type: 'script', name: null, value: 'https://example.com/wp-content/plugins/woocommerce/cart.js?ver=8.9.1' }] },
+        { name: 'WordPress', category: 'cms', version: null, evidence: [{ type: 'implied', name: 'WooCommerce', value: null }] }
+    ],
+    Company: {
+        Name: '  Example   Inc ',
+        Description: 'We make examples.',
+        Website: 'https://example.com',
+        Industry: 'Software',
+        Founded: 2010,
+        Specialties: ['APIs', ''],
+        SocialLinks: { LinkedIn: 'https://www.linkedin.com/company/example', Twitter: 'https://x.com/example' },
+        SocialProfiles: [
+            { platform: 'LinkedIn', url: 'https://www.linkedin.com/company/example', handle: 'example', kind: 'company', sources: ['json-ld', 'link'] },
+            { platform: 'Twitter', url: 'https://x.com/example', handle: 'example', kind: 'profile', sources: ['meta'] }
+        ],
+        Contacts: {
+            emails: [{ address: 'sales@example.com', type: 'sales', score: 100, sources: ['mailto'] }],
+            phones: [{ number: '+14155552671', country: 'US', extension: null, raw: '(415) 555-2671', type: 'phone', sources: ['tel'] }],
+            addresses: [{ formatted: '1 Market St, San Francisco, CA 94105', street: '1 Market St', locality: 'San Francisco', region: 'CA', postalCode: '94105', country: null, sources: ['structured-data'] }],
+            country: 'US'
+        },
+        Provenance: { Name: 'https://example.com', Description: 'https://example.com/about' },
+        FieldSources: {
+            Name: {
+                value: 'Example Inc', source: 'meta', detail: 'og:site_name', url: 'https://example.com', confidence: 0.96,
+                alternatives: [{ value: 'Example', source: 'twitter', detail: 'displayName', url: 'https://x.com/example', confidence: 0.96 }]
+            },
+            Founded: { value: null, source: null, detail: null, url: null, confidence: null, alternatives: [{ value: 2010, source: 'linkedin', detail: 'founded', url: null, confidence: 0.85 }] }
+        },
+        StructuredData: {
+            organization: {
+                format: 'json-ld', types: ['Organization'], id: 'https://example.com/#org', name: 'Example Inc', legalName: null, alternateName: null, description: 'We make examples.',
+                url: 'https://example.com/', logo: 'https://example.com/logo.png', email: null, telephone: '', foundingDate: '2010', numberOfEmployees: '50-200', industry: null,
+                keywords: ['apis'], address: null, sameAs: ['https://www.linkedin.com/company/example']
+            },
+            localBusiness: null,
+            products: [{ format: 'rdfa', name: 'Widget', description: null, sku: 'W-1', gtin: null, brand: 'Example', image: null, url: null, offers: [{ price: '9.99', currency: 'USD', availability: 'InStock', url: null }] }],
+            brands: [{ name: 'Example', logo: null, url: null }],
+            contactPoints: [{ contactType: 'sales', telephone: '+1-415-555-2671', email: null, areaServed: ['US'], availableLanguage: [] }],
+            sameAs: ['https://www.linkedin.com/company/example'],
+            logo: 'https://example.com/logo.png',
+            counts: { 'json-ld': 1, microdata: 0, rdfa: 1 },
+            errors: [{ format: 'json-ld', block: 1, message: 'Unexpected end of JSON input' }],
+            graph: [{ '@type': 'Organization', '@id': 'https://example.com/#org', name: 'Example Inc', _format: 'json-ld' }]
+        },
+        CrawledPages: [
+            { url: 'https://example.com/about', kind: 'about', source: 'navigation', status: 'completed', durationMs: 950 },
+            { url: 'https://example.com/careers', kind: 'careers', source: 'sitemap', status: 'skipped', reason: 'no missing fields' }
+        ],
+        Twitter: {
+            url: 'https://x.com/example', status: 'Success', handle: 'example', displayName: 'Example Inc', bio: 'We make examples.', location: 'San Francisco, CA',
+            website: 'https://example.com/', profileImage: 'https://pbs.twimg.com/profile_images/1/logo_400x400.jpg', bannerImage: null, followers: 12800, following: 42, verified: true
+        },
+        FacebookError: 'Facebook extraction timeout after 2 minutes'
+    },
+    _performance: { extractionTimeSeconds: 4.2, stages: { facebook: { status: 'failed' } } },
+    _message: 'Data extracted dynamically. Accuracy may vary based on website structure.'
+};
+
+async function runTest() {
+    console.log('--- Starting Response Contract Test ---');
+    try {
+        const contract = new ResponseContract({ strict: false });
+
+        let validation = contract.validate(sampleResult, 'https://example.com');
+        console.assert(validation.valid, `Test Failed: sample result should conform: ${JSON.stringify(validation.errors)}`);
+
+        const v2 = contract.render(sampleResult, '2', { url: 'https://example.com' });
+        console.assert(v2.schemaVersion === '2', 'Test Failed: schemaVersion missing.');
+        console.assert(v2.company.name === 'Example Inc', 'Test Failed: company name not cleaned.');
+        console.assert(v2.company.founded === '2010', 'Test Failed: founded not normalized to text.');
+        console.assert(v2.company.specialties.length === 1, 'Test Failed: empty specialties kept.');
+        console.assert(v2.colors.length === 2 && v2.colors[0].hex === '#1A2B3C', 'Test Failed: site color not normalized.');
+        console.assert(v2.colors[1].source === 'linkedin-logo' && v2.colors[1].palette[1] === '#FFFFFF', 'Test Failed: LinkedIn logo colors not normalized.');
+        console.assert(v2.colorRoles.roles.primary.hex === '#1A2B3C' && v2.colorRoles.roles.text === null && v2.colorRoles.contrast[0].foregroundHex === '#1A2B3C',
+            'Test Failed: color roles not normalized.');
+        console.assert(v2.fonts[0].role === 'heading', 'Test Failed: font role mismatch.');
+        console.assert(v2.fonts[0].provider === 'google-fonts' && v2.fonts[0].files[0].format === 'woff2' && v2.fonts[0].fallbackOnly === false,
+            'Test Failed: font resolution not normalized.');
+        console.assert(v2.technologies.length === 2 && v2.technologies[1].website === null && v2.technologies[0].evidence[0].name === null, 'Test Failed: technologies not normalized.');
+        console.assert(v2.icons.list[1].width === null && v2.icons.list[1].scalable === false && v2.icons.bestBySize['16'], 'Test Failed: icons not normalized.');
+        console.assert(v2.socialLinks.linkedin && v2.socialLinks.twitter, 'Test Failed: social links not normalized.');
+        console.assert(v2.socialProfiles[0].platform === 'linkedin' && v2.socialProfiles[1].sources[0] === 'meta', 'Test Failed: social profiles not normalized.');
+        console.assert(v2.logo.assets.icon.variants.length === 0 && v2.logo.assets.icon.url === null, 'Test Failed: failed asset not normalized.');
+        console.assert(v2.fieldSources.name.detail === 'og:site_name' && v2.fieldSources.name.alternatives[0].source === 'twitter' && !('industry' in v2.fieldSources),
+            'Test Failed: field sources not normalized.');
+        console.assert(v2.fieldSources.founded.source === null && v2.fieldSources.founded.alternatives[0].value === '2010', 'Test Failed: unresolved field source not normalized.');
+        console.assert(v2.structuredData.organization.telephone === null && v2.structuredData.products[0].offers[0].price === '9.99' && v2.structuredData.graph[0]._format === 'json-ld',
+            'Test Failed: structured data not normalized.');
+        console.assert(v2.provenance.description === 'https://example.com/about', 'Test Failed: provenance not normalized.');
+        console.assert(v2.requestedUrl === 'https://example.co' && v2.canonicalDomain === 'example.com' && v2.redirectChain[1].type === 'javascript',
+            'Test Failed: redirect chain not normalized.');
+        console.assert(v2.crawledPages[1].durationMs === null && v2.crawledPages[1].reason === 'no missing fields', 'Test Failed: crawled pages not normalized.');
+        console.assert(v2.contacts.phones[0].number === '+14155552671' && !('sources' in v2.contacts.emails[0]), 'Test Failed: contacts not normalized.');
+        console.assert(v2.sources.facebook.status === 'failed' && v2.errors[0].source === 'facebook', 'Test Failed: Facebook failure not reported.');
+        console.assert(v2.sources.twitter.status === 'completed' && v2.sources.twitter.followers === '12800' && v2.sources.twitter.verified === true, 'Test Failed: X profile not normalized.');
+        console.assert(v2._message === sampleResult._message, 'Test Failed: metadata should pass through.');
+        console.assert(contract.render(sampleResult, '1') === sampleResult, 'Test Failed: v1 should be returned unchanged.');
+
+        // Fields the pipeline never produces must be flagged
+        validation = contract.validate({ ...sampleResult, Fonts: [{ type: 'body' }], Images: 'not-a-list' });
+        console.assert(!validation.valid, 'Test Failed: malformed result accepted.');
+        console.assert(validation.errors.some(e => e.version === '1' && e.path === '$.Images'), 'Test Failed: v1 error path missing.');
+
+        const summary = contract.summarize(sampleResult);
+        console.assert(summary.companyName === 'Example Inc' && summary.industry === 'Software', 'Test Failed: summary mismatch.');
+        console.assert(summary.companyLogo === 'https://example.com/logo.svg', 'Test Failed: summary logo mismatch.');
+        console.assert(summary.canonicalDomain === 'example.com' && summary.finalUrl === 'https://www.example.com/en-us/', 'Test Failed: summary canonical domain mismatch.');
+
+        const request = (query, headers = {}) => ({ query, get: (name) => headers[name] });
+        console.assert(contract.resolveVersion(request({})).version === '1', 'Test Failed: default version should be 1.');
+        console.assert(contract.resolveVersion(request({ v: 'v2' })).version === '2', 'Test Failed: ?v=v2 not accepted.');
+        console.assert(contract.resolveVersion(request({}, { 'Accept-Version': '2.0' })).version === '2', 'Test Failed: Accept-Version ignored.');
+        console.assert(!!contract.resolveVersion(request({ v: '7' })).error, 'Test Failed: unsupported version accepted.');
+
+        console.log('✅ Test Passed: ResponseContract ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
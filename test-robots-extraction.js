@@ -0,0 +1,108 @@
+// Starts the API in a fresh process and checks that robots.txt refusals reach the client with their own status codes
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serves only robots.txt: /private is disallowed and every visit needs a 100 second Crawl-delay
+function startSite() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/robots.txt') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end('User-agent: *\nDisallow: /private\nCrawl-delay: 100\n');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function startApi(port, dataDir) {
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            API_KEYS_DATA_DIR: path.join(dataDir, 'api-keys'),
+            CACHE_DATA_DIR: path.join(dataDir, 'cache'),
+            QUEUE_DATA_DIR: path.join(dataDir, 'queue'),
+            ROBOTS_MAX_CRAWL_DELAY_WAIT_MS: '0'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const ready = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('API did not start within 60s')), 60000);
+        child.stdout.on('data', chunk => {
+            if (/running on port/.test(chunk.toString())) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => reject(new Error(`API exited with code ${code}`)));
+    });
+    child.stderr.resume();
+    return { child, ready };
+}
+
+function extract(port, url) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify({ url });
+        const req = http.request({
+            hostname: '127.0.0.1', port, path: '/api/extract-company-details', method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data || '{}') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function withApi(port, test) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-extraction-'));
+    const { child, ready } = startApi(port, dataDir);
+    try {
+        await ready;
+        await test();
+    } finally {
+        child.kill('SIGKILL');
+        await delay(200);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+async function runTest() {
+    console.log('--- Starting Robots Extraction Test ---');
+    const site = await startSite();
+    const origin = `http://127.0.0.1:${site.address().port}`;
+    try {
+        // The first failure after startup is a disallowed URL
+        await withApi(3997, async () => {
+            const disallowed = await extract(3997, `${origin}/private`);
+            console.assert(disallowed.status === 403, `Test Failed: disallowed URL returned ${disallowed.status} (${disallowed.body.error}).`);
+        });
+
+        // The first failure after startup is a Crawl-delay refusal: the first visit takes the slot
+        await withApi(3998, async () => {
+            extract(3998, `${origin}/`).catch(() => null);
+            await delay(500);
+            const postponed = await extract(3998, `${origin}/about`);
+            console.assert(postponed.status === 429 && postponed.body.retryAfter > 0, `Test Failed: Crawl-delay refusal returned ${postponed.status} (${postponed.body.error}).`);
+        });
+
+        console.log('✅ Test Passed: robots.txt refusals ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        site.close();
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest().then(() => process.exit());
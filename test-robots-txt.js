@@ -0,0 +1,136 @@
+const { robotsTxt, RobotsTxt, parseRobotsTxt, selectGroup, matchRule } = require('./robots-txt.js');
+const { scrapeLinkedInCompany } = require('./linkedin_scraper.js');
+const { scrapeFacebookCompany } = require('./facebook_scraper/facebook_scraper.js');
+const { scrapeTwitterProfile } = require('./twitter_scraper/twitter_scraper.js');
+
+const ROBOTS = `\uFEFFUser-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Disallow: /search?
+Crawl-delay: 1
+
+# Rules for us, split across two groups
+User-agent: CompanyExtractionBot/2.0
+User-agent: OtherBot
+Disallow: /admin
+Allow: /admin/public
+
+User-agent: companyextractionbot
+Disallow: /tmp/
+Allow: /tmp/
+
+Sitemap: https://acme.com/sitemap_index.xml
+Sitemap: https://acme.com/sitemap_index.xml
+`;
+
+// Stand-in for axios: robots.txt bodies and statuses by URL, counting requests
+function fakeClient(responses) {
+    const client = async ({ url }) => {
+        client.requests.push(url);
+        const response = responses[url];
+        if (!response) throw new Error('getaddrinfo ENOTFOUND');
+        return { status: response.status || 200, data: response.body || '' };
+    };
+    client.requests = [];
+    return client;
+}
+
+async function runTest() {
+    console.log('--- Starting Robots.txt Test ---');
+    try {
+        // Parsing: groups, merged user agents, sitemaps, comments and the BOM
+        const parsed = parseRobotsTxt(ROBOTS);
+        console.assert(parsed.groups.length === 3 && parsed.groups[1].agents.join(',') === 'companyextractionbot,otherbot', 'Test Failed: user-agent groups not parsed.');
+        console.assert(parsed.groups[0].crawlDelay === 1, 'Test Failed: Crawl-delay not parsed.');
+        console.assert(parsed.sitemaps.length === 1 && parsed.sitemaps[0] === 'https://acme.com/sitemap_index.xml', 'Test Failed: sitemaps not parsed.');
+
+        // Our groups are merged and replace the * group entirely
+        const ours = selectGroup(parsed, 'CompanyExtractionBot');
+        console.assert(ours.agent === 'companyextractionbot' && ours.rules.length === 4 && ours.crawlDelay === null, 'Test Failed: own groups not selected.');
+        console.assert(selectGroup(parsed, 'SomeoneElse').agent === '*', 'Test Failed: * group not used as fallback.');
+        console.assert(selectGroup(parseRobotsTxt('Disallow: /'), 'Bot').rules.length === 0, 'Test Failed: rules outside a group applied.');
+
+        // Longest match wins, Allow wins ties, wildcards and $ anchors
+        const star = selectGroup(parsed, 'SomeoneElse').rules;
+        const decide = (rules, path) => { const rule = matchRule(rules, path); return !rule || rule.allow; };
+        console.assert(!decide(star, '/private/data') && decide(star, '/private/press/2024'), 'Test Failed: longest match not applied.');
+        console.assert(!decide(star, '/files/report.pdf') && decide(star, '/files/report.pdf?download=1'), 'Test Failed: $ anchor not applied.');
+        console.assert(!decide(star, '/search?q=acme') && decide(star, '/search'), 'Test Failed: query rules not applied.');
+        console.assert(decide(ours.rules, '/tmp/file'), 'Test Failed: Allow should win a tie.');
+        console.assert(decide([{ allow: false, path: '/~joe/' }], '/about') && !decide([{ allow: false, path: '/%7ejoe/' }], '/~joe/index.html'), 'Test Failed: percent-encoding not normalized.');
+
+        // Fetching and caching per origin; 4xx allows everything, errors disallow everything
+        const client = fakeClient({
+            'https://acme.com/robots.txt': { body: ROBOTS },
+            'https://open.example/robots.txt': { status: 404 },
+            'https://down.example/robots.txt': { status: 503 }
+        });
+        const robots = new RobotsTxt({ httpClient: client, userAgent: 'SomeoneElse', maxDelayWaitMs: 1500 });
+
+        const blocked = await robots.check('https://acme.com/private/report');
+        console.assert(!blocked.allowed && blocked.rule.path === '/private' && blocked.robotsUrl === 'https://acme.com/robots.txt', 'Test Failed: disallowed URL allowed.');
+        console.assert((await robots.check('https://acme.com/about')).allowed, 'Test Failed: allowed URL blocked.');
+        console.assert(client.requests.length === 1 && robots.getStats().cacheHits === 1, 'Test Failed: robots.txt not cached.');
+        console.assert((await robots.check('https://acme.com/robots.txt')).allowed, 'Test Failed: robots.txt itself must be allowed.');
+        console.assert((await robots.check('https://open.example/anything')).allowed, 'Test Failed: missing robots.txt should allow everything.');
+        console.assert(!(await robots.check('https://down.example/')).allowed, 'Test Failed: server error should disallow everything.');
+        console.assert(!(await robots.check('https://offline.example/')).allowed, 'Test Failed: network error should disallow everything.');
+        console.assert((await robots.check('https://down.example/', { override: true })).allowed && robots.getStats().overrides === 1, 'Test Failed: override ignored.');
+        console.assert((await robots.getSitemaps('https://acme.com/about')).length === 1, 'Test Failed: sitemaps not exposed.');
+
+        // Concurrent checks of a new origin share one request
+        const shared = fakeClient({ 'https://b.example/robots.txt': { body: 'User-agent: *\nDisallow: /x' } });
+        const concurrent = new RobotsTxt({ httpClient: shared });
+        await Promise.all([concurrent.check('https://b.example/a'), concurrent.check('https://b.example/b')]);
+        console.assert(shared.requests.length === 1, 'Test Failed: concurrent fetches not shared.');
+
+        // enforce throws for disallowed URLs and spaces visits by Crawl-delay
+        let error = null;
+        try { await robots.enforce('https://acme.com/private/x'); } catch (e) { error = e; }
+        console.assert(error && error.code === 'ROBOTS_DISALLOWED' && error.robots.rule.path === '/private', 'Test Failed: enforce did not reject.');
+
+        const start = Date.now();
+        await robots.enforce('https://acme.com/');
+        await robots.enforce('https://acme.com/about');
+        console.assert(Date.now() - start >= 900 && robots.getStats().delayedVisits === 1, 'Test Failed: Crawl-delay not honoured.');
+        // The next slot is about 1s out and the one after 2s, past the 1.5s limit
+        const [next, refused] = await Promise.allSettled([robots.enforce('https://acme.com/team'), robots.enforce('https://acme.com/contact')]);
+        console.assert(next.status === 'fulfilled', 'Test Failed: visit inside the wait limit refused.');
+        console.assert(refused.status === 'rejected' && refused.reason.code === 'ROBOTS_CRAWL_DELAY' && refused.reason.retryAfter === 2, 'Test Failed: long Crawl-delay wait not refused.');
+
+        // The per-request override reaches the LinkedIn, Facebook and X scrapers. The shared instance
+        // records what each scraper asks for, then refuses so no page is loaded.
+        const overrides = [];
+        robotsTxt.enforce = async (url, { override = false } = {}) => {
+            overrides.push({ url, override });
+            throw Object.assign(new Error(`Disallowed by robots.txt: ${url}`), { code: 'ROBOTS_DISALLOWED' });
+        };
+        const page = {
+            async evaluateOnNewDocument() {}, async setRequestInterception() {}, on() {}, async setUserAgent() {},
+            async setCookie() {}, async cookies() { return []; }, async close() {}
+        };
+        const context = { async newPage() { return page; } };
+        const scrapes = [
+            () => scrapeLinkedInCompany('https://www.linkedin.com/company/acme', context, null, { ignoreRobotsTxt: true }),
+            () => scrapeFacebookCompany('https://www.facebook.com/acme', 'session_test', { context, ignoreRobotsTxt: true }),
+            () => scrapeTwitterProfile('https://x.com/acme', 'session_test', { context, ignoreRobotsTxt: true }),
+            () => scrapeTwitterProfile('https://x.com/acme', 'session_test', { context })
+        ];
+        for (const scrape of scrapes) {
+            const skipped = await scrape();
+            console.assert(skipped.status === 'Skipped', `Test Failed: ${skipped.url} not skipped.`);
+        }
+        console.assert(overrides.map(call => call.override).join(',') === 'true,true,true,false', `Test Failed: override not passed to every scraper, got ${JSON.stringify(overrides)}.`);
+
+        console.log('✅ Test Passed: RobotsTxt ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+// The scrapers load the performance monitor, whose timers would keep the process alive
+runTest().then(() => process.exit(0));
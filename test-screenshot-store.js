@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ScreenshotStore } = require('./screenshot-store.js');
+
+// Minimal stand-in for a puppeteer page: screenshots are solid images of the requested size
+function createFakePage({ width, height, scrollHeight, failGoto = false }) {
+    const page = {
+        calls: [],
+        closed: false,
+        async setUserAgent(userAgent) { page.calls.push(['setUserAgent', userAgent]); },
+        async setViewport(viewport) { page.calls.push(['setViewport', viewport]); width = viewport.width; height = viewport.height; },
+        async goto(url) {
+            page.calls.push(['goto', url]);
+            if (failGoto) throw new Error('Navigation timeout of 20000 ms exceeded');
+        },
+        async evaluate() { return { width, height: scrollHeight }; },
+        async screenshot(options) {
+            page.calls.push(['screenshot', options]);
+            const size = options.clip ? { width: options.clip.width, height: options.clip.height } : { width, height };
+            return sharp({ create: { ...size, channels: 3, background: '#3366cc' } }).png().toBuffer();
+        },
+        async close() { page.closed = true; }
+    };
+    return page;
+}
+
+async function runTest() {
+    console.log('--- Starting Screenshot Store Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-test-'));
+    try {
+        const store = new ScreenshotStore({ dataDir, publicBaseUrl: 'https://api.example.com/', maxFullPageHeight: 3000 });
+
+        // Request option validation
+        console.assert(store.resolveOptions(undefined).options === null && store.resolveOptions(false).options === null, 'Test Failed: screenshots should be off by default.');
+        console.assert(store.resolveOptions(true).options.viewports.join(',') === 'desktop,mobile', 'Test Failed: true should capture every viewport.');
+        console.assert(store.resolveOptions({ viewports: ['mobile'], fullPage: false }).options.fullPage === false, 'Test Failed: object option not accepted.');
+        console.assert(/viewports/.test(store.resolveOptions({ viewports: ['tablet'] }).error), 'Test Failed: unknown viewport accepted.');
+        console.assert(/boolean/.test(store.resolveOptions('yes').error), 'Test Failed: string option accepted.');
+
+        // Desktop shots come from the extraction page, mobile from its own page
+        const page = createFakePage({ width: 1366, height: 768, scrollHeight: 5000 });
+        const mobilePage = createFakePage({ width: 800, height: 600, scrollHeight: 2000 });
+        const context = { async newPage() { return mobilePage; } };
+        const prepared = [];
+        const sessionId = 'session_1712345678901_abc123def';
+
+        const manifest = await store.capture(page, sessionId, { url: 'https://example.com', context, preparePage: async (target) => prepared.push(target) });
+        console.assert(manifest.screenshots.length === 4 && manifest.errors.length === 0, `Test Failed: expected 4 screenshots, got ${manifest.screenshots.length}.`);
+        console.assert(!page.calls.some(([name]) => name === 'setViewport'), 'Test Failed: extraction page viewport changed.');
+
+        const desktopFull = manifest.screenshots.find(shot => shot.viewport === 'desktop' && shot.kind === 'fullpage');
+        console.assert(desktopFull.height === 3000 && desktopFull.truncated === true, 'Test Failed: full-page screenshot not capped.');
+        const desktopTop = manifest.screenshots.find(shot => shot.viewport === 'desktop' && shot.kind === 'viewport');
+        console.assert(desktopTop.width === 1366 && desktopTop.height === 768, 'Test Failed: viewport screenshot has the wrong size.');
+        console.assert(desktopTop.url === `https://api.example.com/api/extraction-sessions/${sessionId}/screenshots/desktop-viewport.png`, 'Test Failed: screenshot URL mismatch.');
+
+        const viewport = mobilePage.calls.find(([name]) => name === 'setViewport')[1];
+        console.assert(viewport.width === 390 && viewport.isMobile && !('userAgent' in viewport), 'Test Failed: mobile viewport not emulated.');
+        console.assert(/iPhone/.test(mobilePage.calls.find(([name]) => name === 'setUserAgent')[1]), 'Test Failed: mobile user agent not set.');
+        console.assert(mobilePage.closed && !page.closed, 'Test Failed: only the mobile page should be closed.');
+        console.assert(prepared.length === 1 && prepared[0] === mobilePage, 'Test Failed: mobile page not prepared like the extraction page.');
+
+        // Thumbnails are small WebP images
+        const thumbnail = store.getFile(sessionId, 'mobile-fullpage.thumb.webp');
+        const thumbnailMetadata = await sharp(thumbnail.path).metadata();
+        console.assert(thumbnail.contentType === 'image/webp' && thumbnailMetadata.width === 320 && thumbnailMetadata.height === 240, 'Test Failed: thumbnail not 320x240 WebP.');
+        console.assert(store.getFile(sessionId, 'manifest.json') === null && store.getFile('../etc', 'desktop-viewport.png') === null, 'Test Failed: file lookup not restricted.');
+
+        // The manifest is read back from disk
+        const listed = store.list(sessionId);
+        console.assert(listed.screenshots.length === 4 && listed.screenshots[0].thumbnailUrl.endsWith('.thumb.webp'), 'Test Failed: stored manifest not listed.');
+        console.assert(store.list('session_unknown') === null, 'Test Failed: unknown session listed.');
+
+        // A failing viewport is reported without losing the others
+        const failing = await store.capture(page, 'session_failing', {
+            url: 'https://example.com',
+            context: { async newPage() { return createFakePage({ width: 800, height: 600, scrollHeight: 600, failGoto: true }); } },
+            fullPage: false
+        });
+        console.assert(failing.screenshots.length === 1 && failing.errors[0].viewport === 'mobile', 'Test Failed: mobile failure not reported.');
+
+        // Old sessions are pruned
+        const removed = await store.prune(Date.now() + 73 * 60 * 60 * 1000);
+        console.assert(removed === 2 && store.list(sessionId) === null, `Test Failed: expected 2 pruned sessions, got ${removed}.`);
+
+        console.log('✅ Test Passed: ScreenshotStore ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,102 @@
+const { SiteCrawler } = require('./site-crawler.js');
+
+// Minimal stand-in for a Puppeteer page: links on the landing page, sitemap XML, and subpages by URL
+function fakePage({ links = [], sitemaps = {}, subpages = {} }) {
+    return {
+        evaluate: async (fn, ...args) => (args.length > 0 ? sitemaps[args[0]] || null : links),
+        browserContext: () => ({
+            newPage: async () => {
+                let current = null;
+                const subpage = {
+                    goto: async (url) => {
+                        const target = subpages[url] || { status: 404 };
+                        current = target.redirectTo || url;
+                        return { status: () => target.status || 200 };
+                    },
+                    url: () => current,
+                    close: async () => {}
+                };
+                return subpage;
+            }
+        })
+    };
+}
+
+async function runTest() {
+    console.log('--- Starting Site Crawler Test ---');
+    try {
+        const crawler = new SiteCrawler({ maxPages: 3, pageTimeout: 1000 });
+
+        console.assert(crawler.classify('https://acme.com/en-us/about-us/').kind === 'about', 'Test Failed: language-prefixed about page not found.');
+        console.assert(crawler.classify('https://acme.com/kontakt').kind === 'contact', 'Test Failed: localized contact page not found.');
+        console.assert(crawler.classify('https://acme.com/x', 'Careers').kind === 'careers', 'Test Failed: link text ignored.');
+        console.assert(crawler.classify('https://acme.com/blog/2020/about-our-new-office') === null, 'Test Failed: blog post classified.');
+        console.assert(crawler.classify('https://acme.com/about.pdf') === null, 'Test Failed: document classified as a page.');
+
+        const page = fakePage({
+            links: [
+                { href: 'https://www.acme.com/#top', text: 'Home', inNavigation: true },
+                { href: 'https://www.acme.com/company/about', text: 'Learn more', inNavigation: false },
+                { href: 'https://www.acme.com/about', text: 'About', inNavigation: true },
+                { href: 'https://twitter.com/about', text: 'About', inNavigation: true },
+                { href: 'https://www.acme.com/contact', text: 'Contact', inNavigation: true }
+            ],
+            sitemaps: {
+                'https://www.acme.com/sitemap.xml': '<sitemapindex><sitemap><loc>https://www.acme.com/post-sitemap.xml</loc></sitemap><sitemap><loc>https://www.acme.com/page-sitemap.xml</loc></sitemap></sitemapindex>',
+                'https://www.acme.com/page-sitemap.xml': '<urlset><url><loc>https://www.acme.com/careers</loc></url><url><loc>https://www.acme.com/pricing</loc></url></urlset>'
+            },
+            subpages: {
+                'https://www.acme.com/about': { status: 200 },
+                'https://www.acme.com/contact': { status: 200, redirectTo: 'https://help.other.com/contact' },
+                'https://www.acme.com/careers': { status: 500 }
+            }
+        });
+
+        // Off-site links are ignored, navigation links beat deeper ones, the sitemap index is followed
+        const candidates = await crawler.discover(page, 'https://www.acme.com/');
+        console.assert(candidates.every(candidate => candidate.url.startsWith('https://www.acme.com/')), 'Test Failed: off-site candidate kept.');
+        console.assert(candidates[0].url === 'https://www.acme.com/about' && candidates[0].source === 'navigation', 'Test Failed: candidates not ranked.');
+        console.assert(candidates.some(candidate => candidate.kind === 'careers' && candidate.source === 'sitemap'), 'Test Failed: sitemap page missing.');
+        console.assert(crawler.select(candidates).map(candidate => candidate.kind).join(',') === 'about,contact,careers', 'Test Failed: one page per kind expected first.');
+
+        const { pages, results } = await crawler.crawl(page, 'https://www.acme.com/', async (subpage, url) => ({ url }));
+        console.assert(results.length === 1 && results[0].kind === 'about', 'Test Failed: extract should run on the about page only.');
+        console.assert(pages.map(crawled => crawled.status).join(',') === 'completed,failed,failed', 'Test Failed: page statuses mismatch.');
+        console.assert(/off-site/.test(pages[1].error) && pages[2].error === 'HTTP 500', 'Test Failed: failure reasons missing.');
+
+        // Crawling stops once nothing is missing, and can be turned off
+        const stopped = await crawler.crawl(fakePage({ links: [{ href: 'https://acme.com/about', text: 'About', inNavigation: true }] }),
+            'https://acme.com', async () => ({}), { isComplete: () => true });
+        console.assert(stopped.pages[0].status === 'skipped' && stopped.results.length === 0, 'Test Failed: complete crawl not stopped.');
+        const disabled = await new SiteCrawler({ maxPages: 0 }).crawl(page, 'https://www.acme.com/', async () => ({}));
+        console.assert(disabled.pages.length === 0, 'Test Failed: maxPages 0 should disable crawling.');
+
+        // robots.txt: its sitemaps replace /sitemap.xml and disallowed pages are skipped unless overridden
+        const robots = {
+            getSitemaps: async () => ['https://www.acme.com/page-sitemap.xml', 'https://cdn.other.com/sitemap.xml'],
+            enforce: async (url, { override }) => {
+                if (!override && url.endsWith('/contact')) throw Object.assign(new Error('Disallowed by robots.txt'), { code: 'ROBOTS_DISALLOWED' });
+            }
+        };
+        const robotsPage = fakePage({
+            links: [{ href: 'https://www.acme.com/contact', text: 'Contact', inNavigation: true }],
+            sitemaps: { 'https://www.acme.com/page-sitemap.xml': '<urlset><url><loc>https://www.acme.com/about</loc></url></urlset>' },
+            subpages: { 'https://www.acme.com/about': { status: 200 }, 'https://www.acme.com/contact': { status: 200 } }
+        });
+        const polite = await crawler.crawl(robotsPage, 'https://www.acme.com/', async () => ({}), { robots });
+        const byKind = Object.fromEntries(polite.pages.map(crawled => [crawled.kind, crawled]));
+        console.assert(byKind.about && byKind.about.source === 'sitemap' && byKind.about.status === 'completed', 'Test Failed: robots.txt sitemap not read.');
+        console.assert(byKind.contact.status === 'skipped' && byKind.contact.reason === 'disallowed by robots.txt', 'Test Failed: disallowed page crawled.');
+        const owned = await crawler.crawl(robotsPage, 'https://www.acme.com/', async () => ({}), { robots, ignoreRobotsTxt: true });
+        console.assert(owned.results.length === 2, 'Test Failed: ignoreRobotsTxt not passed to robots.txt.');
+
+        console.log('✅ Test Passed: SiteCrawler ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,64 @@
+const { normalizeProfileUrl, buildSocialProfiles, isShareLink } = require('./utils/social-profiles.js');
+
+async function runTest() {
+    console.log('--- Starting Social Profiles Test ---');
+    try {
+        // Share and intent links are never profiles
+        console.assert(isShareLink('https://twitter.com/intent/tweet?text=Hello&url=https://acme.com'), 'Test Failed: tweet intent not detected.');
+        console.assert(isShareLink('https://www.facebook.com/sharer/sharer.php?u=https://acme.com'), 'Test Failed: Facebook sharer not detected.');
+        console.assert(isShareLink('https://www.linkedin.com/shareArticle?mini=true&url=x'), 'Test Failed: LinkedIn share not detected.');
+        console.assert(normalizeProfileUrl('https://twitter.com/intent/tweet?text=Hi') === null, 'Test Failed: tweet intent normalized as a profile.');
+        console.assert(normalizeProfileUrl('https://twitter.com/acme/status/123') === null, 'Test Failed: tweet normalized as a profile.');
+
+        // Canonical URLs and handles
+        const twitter = normalizeProfileUrl('http://www.twitter.com/AcmeCorp/');
+        console.assert(twitter.url === 'https://x.com/AcmeCorp' && twitter.handle === 'AcmeCorp', 'Test Failed: Twitter not canonical.');
+        console.assert(normalizeProfileUrl('@acme', { platform: 'Twitter' }).url === 'https://x.com/acme', 'Test Failed: twitter:site handle not resolved.');
+        const linkedIn = normalizeProfileUrl('https://uk.linkedin.com/company/acme-corp/about/?trk=footer');
+        console.assert(linkedIn.url === 'https://www.linkedin.com/company/acme-corp' && linkedIn.kind === 'company', 'Test Failed: LinkedIn tab or subdomain kept.');
+        console.assert(normalizeProfileUrl('https://fb.me/acme').url === 'https://www.facebook.com/acme', 'Test Failed: fb.me not expanded.');
+        console.assert(normalizeProfileUrl('https://www.instagram.com/p/Cx123/') === null, 'Test Failed: Instagram post accepted.');
+        console.assert(normalizeProfileUrl('https://instagram.com/Acme.Co').handle === 'acme.co', 'Test Failed: Instagram handle not lowercased.');
+        console.assert(normalizeProfileUrl('https://www.youtube.com/@acme/videos').url === 'https://www.youtube.com/@acme', 'Test Failed: YouTube handle not canonical.');
+        console.assert(normalizeProfileUrl('https://www.youtube.com/watch?v=abc') === null, 'Test Failed: YouTube video accepted.');
+        console.assert(normalizeProfileUrl('https://www.tiktok.com/@acme?lang=en').url === 'https://www.tiktok.com/@acme', 'Test Failed: TikTok not canonical.');
+        console.assert(normalizeProfileUrl('https://github.com/orgs/acme').url === 'https://github.com/acme', 'Test Failed: GitHub org not canonical.');
+        console.assert(normalizeProfileUrl('https://github.com/features') === null, 'Test Failed: GitHub product page accepted.');
+        console.assert(normalizeProfileUrl('https://www.pinterest.co.uk/acme/').url === 'https://www.pinterest.com/acme', 'Test Failed: Pinterest not canonical.');
+        console.assert(normalizeProfileUrl('https://www.threads.net/@acme').url === 'https://www.threads.com/@acme', 'Test Failed: Threads not canonical.');
+        console.assert(normalizeProfileUrl('https://www.crunchbase.com/organization/acme-corp/company_financials').handle === 'acme-corp', 'Test Failed: Crunchbase slug missing.');
+        console.assert(normalizeProfileUrl('https://apps.apple.com/us/app/acme/id123456789').url === 'https://apps.apple.com/app/id123456789', 'Test Failed: App Store not canonical.');
+        console.assert(normalizeProfileUrl('https://play.google.com/store/apps/details?id=com.acme.app&hl=en').handle === 'com.acme.app', 'Test Failed: Google Play id missing.');
+
+        // Mastodon on a known instance, and on a self-hosted one identified by the page
+        console.assert(normalizeProfileUrl('https://fosstodon.org/@acme').handle === 'acme@fosstodon.org', 'Test Failed: Mastodon handle mismatch.');
+        console.assert(normalizeProfileUrl('https://social.acme.com/@team') === null, 'Test Failed: unknown host accepted without a hint.');
+        console.assert(normalizeProfileUrl('https://social.acme.com/@team', { platform: 'Mastodon' }).handle === 'team@social.acme.com', 'Test Failed: hinted Mastodon instance rejected.');
+
+        // One profile per platform, preferring structured data, the site's own handle and company pages
+        const { links, profiles } = buildSocialProfiles([
+            { url: 'https://twitter.com/intent/tweet?url=https://acme.com', source: 'link', location: 'body' },
+            { url: 'https://twitter.com/jane_doe', source: 'link', location: 'body' },
+            { url: '@acme', source: 'meta', platform: 'Twitter' },
+            { url: 'https://www.linkedin.com/in/jane-doe', source: 'link', location: 'body' },
+            { url: 'https://www.linkedin.com/company/acme', source: 'link', location: 'footer' },
+            { url: 'https://www.linkedin.com/company/acme/', source: 'json-ld' },
+            { url: '/about', source: 'link' },
+            { url: 'https://social.acme.com/@acme', source: 'rel-me', platform: 'Mastodon' }
+        ], { pageUrl: 'https://www.acme.com/' });
+        console.assert(links.Twitter === 'https://x.com/acme', `Test Failed: expected the site's Twitter account, got ${links.Twitter}.`);
+        console.assert(links.LinkedIn === 'https://www.linkedin.com/company/acme', 'Test Failed: company page should beat a personal profile.');
+        const linkedInProfile = profiles.find(profile => profile.platform === 'LinkedIn');
+        console.assert(linkedInProfile.sources.join(',') === 'link,json-ld', 'Test Failed: sources not merged for the same profile.');
+        console.assert(profiles.map(profile => profile.platform).join(',') === 'Twitter,LinkedIn,Mastodon', 'Test Failed: platform order mismatch.');
+
+        console.log('✅ Test Passed: Social profiles ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
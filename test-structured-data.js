@@ -0,0 +1,118 @@
+const { StructuredDataExtractor, parseOpeningHours } = require('./structured-data.js');
+
+// A shop declaring its company in JSON-LD, its branch in microdata and a product in RDFa
+const raw = {
+    jsonLd: [
+        JSON.stringify({
+            '@context': 'https://schema.org',
+            '@graph': [
+                { '@type': 'WebSite', '@id': 'https://acme.com/#website', url: 'https://acme.com/', publisher: { '@id': 'https://acme.com/#org' } },
+                {
+                    '@type': ['Organization', 'Corporation'],
+                    '@id': 'https://acme.com/#org',
+                    name: 'Acme Inc.',
+                    legalName: 'Acme Incorporated',
+                    url: 'https://acme.com/',
+                    logo: { '@type': 'ImageObject', url: '/img/logo.svg' },
+                    foundingDate: '2009-04-01',
+                    numberOfEmployees: { '@type': 'QuantitativeValue', minValue: 50, maxValue: 200 },
+                    keywords: 'tools, hardware, gardening, outdoor',
+                    sameAs: ['https://www.linkedin.com/company/acme', 'https://x.com/acme'],
+                    address: { '@type': 'PostalAddress', streetAddress: '1 Market St', addressLocality: 'San Francisco', addressRegion: 'CA', postalCode: '94105', addressCountry: 'US' },
+                    contactPoint: { '@type': 'ContactPoint', contactType: 'sales', telephone: '+1-415-555-2671', email: 'mailto:sales@acme.com', availableLanguage: ['English', 'Spanish'] },
+                    brand: { '@type': 'Brand', name: 'Acme Pro', logo: 'https://acme.com/img/pro.png' }
+                }
+            ]
+        }),
+        // Partner organizations named elsewhere on the page must not win
+        '<!-- {"@context": "http://schema.org", "@type": "Organization", "name": "Payments Partner", "url": "https://partner.example"} -->',
+        '{ "@type": "Organization", "name": '
+    ],
+    microdata: [
+        {
+            types: ['https://schema.org/HardwareStore'], id: null, vocab: null,
+            properties: {
+                name: ['Acme Downtown'],
+                telephone: ['(415) 555-0100'],
+                openingHours: ['Mo-Fr 09:00-18:00', 'Sa 10:00-14:00'],
+                geo: [{ types: ['https://schema.org/GeoCoordinates'], id: null, vocab: null, properties: { latitude: ['37.7936'], longitude: ['-122.3958'] } }],
+                address: [{ types: ['https://schema.org/PostalAddress'], id: null, vocab: null, properties: { streetAddress: ['1 Market St'], addressLocality: ['San Francisco'] } }]
+            }
+        },
+        { types: ['http://data-vocabulary.org/Breadcrumb'], id: null, vocab: null, properties: { title: ['Home'] } }
+    ],
+    rdfa: [
+        {
+            types: ['Product'], id: null, vocab: 'https://schema.org/',
+            properties: {
+                name: ['Acme Rake'],
+                sku: ['RK-1'],
+                brand: ['Acme Pro'],
+                offers: [{ types: ['Offer'], id: null, vocab: 'https://schema.org/', properties: { price: ['24.99'], priceCurrency: ['USD'], availability: ['https://schema.org/InStock'] } }]
+            }
+        },
+        { types: ['foaf:Person'], id: null, vocab: null, properties: { 'foaf:name': ['Someone'] } }
+    ]
+};
+
+async function runTest() {
+    console.log('--- Starting Structured Data Test ---');
+    try {
+        const extractor = new StructuredDataExtractor();
+        const page = { async evaluate() { return raw; } };
+        const result = await extractor.extract(page, 'https://www.acme.com/');
+
+        // Raw graph from all three syntaxes
+        console.assert(result.counts['json-ld'] === 3 && result.counts.microdata === 1 && result.counts.rdfa === 1,
+            `Test Failed: node counts mismatch: ${JSON.stringify(result.counts)}.`);
+        console.assert(result.graph.every(node => node['@type'] && node._format), 'Test Failed: untyped or unlabelled graph node.');
+        console.assert(result.errors.length === 1 && result.errors[0].block === 2, 'Test Failed: invalid JSON-LD block not reported.');
+
+        // The site's own organization, with the @id reference resolved
+        const { organization } = result;
+        console.assert(organization && organization.name === 'Acme Inc.' && organization.format === 'json-ld', 'Test Failed: wrong organization picked.');
+        console.assert(organization.logo === 'https://www.acme.com/img/logo.svg' && result.logo === organization.logo, 'Test Failed: logo not resolved.');
+        console.assert(organization.numberOfEmployees === '50-200' && organization.address.locality === 'San Francisco', 'Test Failed: employees or address not mapped.');
+        console.assert(result.sameAs.length === 2 && result.sameAs[0] === 'https://www.linkedin.com/company/acme', 'Test Failed: sameAs not mapped.');
+
+        // LocalBusiness subtype from microdata with hours and coordinates
+        const business = result.localBusiness;
+        console.assert(business && business.format === 'microdata' && business.types[0] === 'HardwareStore', 'Test Failed: local business not found.');
+        console.assert(business.geo.latitude === 37.7936 && business.geo.longitude === -122.3958, 'Test Failed: geo not parsed.');
+        console.assert(business.openingHours.length === 2 && business.openingHours[0].days.length === 5 && business.openingHours[1].opens === '10:00',
+            'Test Failed: opening hours not parsed.');
+
+        // Products, brands and contact points
+        console.assert(result.products.length === 1 && result.products[0].offers[0].availability === 'InStock' && result.products[0].format === 'rdfa',
+            'Test Failed: RDFa product not mapped.');
+        console.assert(result.brands.length === 1 && result.brands[0].logo === 'https://acme.com/img/pro.png', 'Test Failed: brands not merged by name.');
+        console.assert(result.contactPoints[0].email === 'sales@acme.com' && result.contactPoints[0].availableLanguage.length === 2, 'Test Failed: contact point not mapped.');
+
+        // Company field candidates keep the syntax as their source
+        const candidates = extractor.fieldCandidates(result, 'https://www.acme.com/');
+        const candidate = (field, source) => candidates.find(item => item.field === field && item.source === source);
+        console.assert(candidate('Name', 'json-ld').detail === 'Organization.name' && candidate('Name', 'microdata').value === 'Acme Downtown', 'Test Failed: name candidates missing.');
+        console.assert(candidate('Industry', 'json-ld').value === 'tools, hardware, gardening', 'Test Failed: keywords should give the first 3 as industry.');
+        console.assert(candidate('Founded', 'json-ld').value === '2009-04-01', 'Test Failed: founding date candidate missing.');
+
+        // Opening hours: specifications, wrapping ranges and all-day rules
+        const hours = parseOpeningHours(
+            [{ dayOfWeek: ['https://schema.org/Saturday', 'Sunday'], opens: '10:00:00', closes: '16:00:00' }],
+            ['Fr-Mo 08:00-12:00; Tu', 'Monday-Friday 9am-5pm']
+        );
+        console.assert(hours[0].days.join() === 'Saturday,Sunday' && hours[0].closes === '16:00', 'Test Failed: specification not parsed.');
+        console.assert(hours[1].days.join() === 'Friday,Saturday,Sunday,Monday', 'Test Failed: wrapping day range not expanded.');
+        console.assert(hours[2].days[0] === 'Tuesday' && hours[2].opens === '00:00' && hours.length === 3, 'Test Failed: free text misread as hours.');
+
+        console.assert(extractor.getStats().extractions === 1 && extractor.getStats().invalidJsonLd === 1, 'Test Failed: stats mismatch.');
+
+        console.log('✅ Test Passed: StructuredDataExtractor ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
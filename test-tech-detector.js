@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TechDetector } = require('./tech-detector.js');
+
+// Signals of a WooCommerce shop behind Cloudflare
+const shopSignals = {
+    scripts: [
+        'https://shop.example.com/wp-content/plugins/woocommerce/assets/js/frontend/cart.min.js?ver=8.9.1',
+        'https://shop.example.com/wp-includes/js/jquery/jquery.min.js?ver=3.7.1',
+        'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123'
+    ],
+    meta: { generator: 'WordPress 6.5.3', viewport: 'width=device-width' },
+    globals: { 'jQuery.fn.jquery': '3.7.1', woocommerce_params: '', google_tag_manager: '' },
+    headers: { server: 'cloudflare', 'cf-ray': '8a1b2c3d4e5f-AMS', 'x-powered-by': 'PHP/8.2.18' },
+    cookies: ['_ga', '__cf_bm', 'woocommerce_items_in_cart']
+};
+
+async function runTest() {
+    console.log('--- Starting Tech Detector Test ---');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-test-'));
+    try {
+        // The bundled database detects the common stack
+        const detector = new TechDetector();
+        const detected = detector.detect(shopSignals);
+        const byName = Object.fromEntries(detected.map(technology => [technology.name, technology]));
+
+        ['WordPress', 'WooCommerce', 'Google Analytics', 'Google Tag Manager', 'Cloudflare', 'jQuery', 'PHP'].forEach(name => {
+            console.assert(byName[name], `Test Failed: ${name} not detected.`);
+        });
+        console.assert(!byName.Shopify && !byName.React, 'Test Failed: unrelated technologies detected.');
+        console.assert(byName.WordPress.version === '6.5.3' && byName.WordPress.category === 'cms', 'Test Failed: WordPress version should come from the generator.');
+        console.assert(byName.WooCommerce.version === '8.9.1', 'Test Failed: WooCommerce version not read from the script URL.');
+        console.assert(byName.jQuery.version === '3.7.1' && byName.PHP.version === '8.2.18', 'Test Failed: versions from globals and headers missing.');
+        console.assert(byName.WordPress.evidence.some(item => item.type === 'implied' && item.name === 'WooCommerce'), 'Test Failed: implied evidence missing.');
+        console.assert(byName.Cloudflare.evidence.some(item => item.type === 'header' && item.name === 'cf-ray'), 'Test Failed: header evidence missing.');
+        console.assert(byName['Google Analytics'].evidence[0].type === 'cookie' && byName['Google Analytics'].evidence[0].value === null, 'Test Failed: cookie values must not be reported.');
+        console.assert(detected[0].category === 'cms' && detected[detected.length - 1].category === 'framework', 'Test Failed: results not sorted by category.');
+
+        // Signals are collected from the page and the document response
+        const page = {
+            async evaluate(fn, globalPaths) {
+                console.assert(globalPaths.includes('jQuery.fn.jquery'), 'Test Failed: global paths not passed to the page.');
+                return { scripts: ['https://cdn.shopify.com/s/files/1/theme.js'], meta: {}, globals: { 'Shopify.shop': 'example.myshopify.com' }, cookies: [] };
+            },
+            async cookies() { return [{ name: '_shopify_y', value: 'secret' }]; }
+        };
+        const shop = await detector.analyze(page, { headers: { 'X-ShopId': '12345' } });
+        const shopify = shop.find(technology => technology.name === 'Shopify');
+        console.assert(shopify && shopify.evidence.length === 4, `Test Failed: expected 4 Shopify signals, got ${shopify && shopify.evidence.length}.`);
+        console.assert(detector.getStats().analyses === 1 && detector.getStats().database.technologies > 50, 'Test Failed: stats mismatch.');
+
+        // The database is reloaded when the file changes; an invalid file keeps the previous one
+        const fingerprintsPath = path.join(dataDir, 'fingerprints.json');
+        const write = (technologies, mtime) => {
+            fs.writeFileSync(fingerprintsPath, typeof technologies === 'string' ? technologies : JSON.stringify({ metadata: { version: '1' }, categories: { cms: 'CMS' }, technologies }));
+            fs.utimesSync(fingerprintsPath, mtime, mtime);
+        };
+        write({ Acme: { category: 'cms', meta: { generator: '^Acme ([\\d.]+)' }, scripts: ['(unclosed'] } }, 1000);
+        const custom = new TechDetector({ fingerprintsPath });
+        console.assert(custom.detect({ meta: { generator: 'Acme 2.1' } })[0].version === '2.1', 'Test Failed: custom fingerprint not used.');
+        console.assert(custom.getStats().invalidPatterns === 1, 'Test Failed: invalid pattern not skipped.');
+
+        write({ Zeta: { category: 'cms', headers: { 'x-zeta': null } } }, 2000);
+        console.assert(custom.detect({ headers: { 'x-zeta': '1' } })[0].name === 'Zeta' && custom.getStats().reloads === 1, 'Test Failed: changed database not reloaded.');
+
+        write('{ not json', 3000);
+        console.assert(custom.detect({ headers: { 'x-zeta': '1' } }).length === 1, 'Test Failed: invalid database replaced the previous one.');
+
+        console.log('✅ Test Passed: TechDetector ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,117 @@
+const { scrapeTwitterProfile, normalizeTwitterProfile, parseCount } = require('./twitter_scraper/twitter_scraper.js');
+const { profileCandidates, resolveFieldSources } = require('./utils/field-sources.js');
+
+// What the in-page extraction returns for a rendered profile
+const renderedProfile = {
+    hasProfile: true,
+    displayName: 'Acme Corp',
+    handle: '@acme',
+    verified: true,
+    bio: 'Tools for builders.',
+    location: 'Berlin, Germany',
+    websiteText: 'acme.com/careers',
+    websiteHref: 'https://t.co/AbC123',
+    avatar: 'https://pbs.twimg.com/profile_images/123/logo_normal.jpg',
+    banner: 'https://pbs.twimg.com/profile_banners/123/1700000000/600x200',
+    followers: '1.2M Followers',
+    following: '1,024 Following',
+    schema: null,
+    meta: {}
+};
+
+// Minimal stand-in for a puppeteer page
+function createFakePage(raw, { failGoto = false } = {}) {
+    const page = {
+        calls: [],
+        closed: false,
+        async evaluateOnNewDocument() { page.calls.push('evaluateOnNewDocument'); },
+        async setUserAgent(userAgent) { page.calls.push(['setUserAgent', userAgent]); },
+        async setCookie() {},
+        async goto(url) {
+            page.calls.push(['goto', url]);
+            if (failGoto) throw new Error('Navigation timeout of 45000 ms exceeded');
+        },
+        async waitForSelector() {},
+        async evaluate() { return raw; },
+        async cookies() { return []; },
+        async close() { page.closed = true; }
+    };
+    return page;
+}
+
+async function runTest() {
+    console.log('--- Starting Twitter Scraper Test ---');
+    try {
+        // Displayed counts
+        console.assert(parseCount('1.2M Followers') === 1200000 && parseCount('3,4 k') === 3400, 'Test Failed: abbreviated counts not parsed.');
+        console.assert(parseCount('12,345 Following') === 12345 && parseCount('0 Following') === 0, 'Test Failed: full counts not parsed.');
+        console.assert(parseCount('Followers') === null, 'Test Failed: missing count parsed.');
+
+        // Rendered profile
+        const profile = normalizeTwitterProfile(renderedProfile);
+        console.assert(profile.status === 'Success' && profile.handle === 'acme' && profile.displayName === 'Acme Corp', 'Test Failed: name or handle mismatch.');
+        console.assert(profile.website === 'https://acme.com/careers', `Test Failed: website should come from the displayed link, got ${profile.website}.`);
+        console.assert(profile.profileImage.endsWith('logo_400x400.jpg'), 'Test Failed: avatar not upgraded to 400x400.');
+        console.assert(profile.bannerImage.endsWith('/1500x500'), 'Test Failed: banner not upgraded to 1500x500.');
+        console.assert(profile.followers === 1200000 && profile.following === 1024 && profile.verified === true, 'Test Failed: counts or verification mismatch.');
+
+        // Logged-out pages: ProfilePage schema and meta tags
+        const fallback = normalizeTwitterProfile({
+            schema: {
+                name: 'Acme Corp',
+                additionalName: 'acme',
+                homeLocation: { name: 'Berlin' },
+                relatedLink: ['https://t.co/AbC123', 'https://acme.com/'],
+                interactionStatistic: [{ name: 'Follows', userInteractionCount: 5400 }, { name: 'Friends', userInteractionCount: 12 }]
+            },
+            websiteText: 'acme.com/very-long-pa…',
+            meta: { 'og:description': 'Tools for builders.' }
+        });
+        console.assert(fallback.status === 'Success (Fallback)' && fallback.followers === 5400 && fallback.following === 12, 'Test Failed: schema counts not used.');
+        console.assert(fallback.website === 'https://acme.com/' && fallback.bio === 'Tools for builders.' && fallback.verified === null, 'Test Failed: fallback fields mismatch.');
+        const fromMeta = normalizeTwitterProfile({ meta: { 'og:title': 'Acme Corp (@acme) / X', 'og:image': 'https://pbs.twimg.com/profile_images/1/a_200x200.png' } });
+        console.assert(fromMeta.handle === 'acme' && fromMeta.displayName === 'Acme Corp' && fromMeta.profileImage.endsWith('a_400x400.png'), 'Test Failed: og:title not parsed.');
+        console.assert(normalizeTwitterProfile({ meta: { 'og:title': 'Log in to X / X' } }).error, 'Test Failed: login wall not reported as an error.');
+
+        // Scraping in a pooled context: stealth setup, and the page is closed but the context is left open
+        const robots = { async enforce() { return { allowed: true }; } };
+        const page = createFakePage(renderedProfile);
+        const result = await scrapeTwitterProfile('https://x.com/acme', 'session_test', { context: { async newPage() { return page; } }, robots });
+        console.assert(result.handle === 'acme' && result.followers === 1200000, 'Test Failed: scraped profile mismatch.');
+        console.assert(page.calls.includes('evaluateOnNewDocument') && page.calls.some(call => call[0] === 'setUserAgent'), 'Test Failed: stealth mode not set up.');
+        console.assert(page.closed, 'Test Failed: page not closed.');
+
+        // Failed navigation falls back to the meta tags of whatever loaded
+        const failing = createFakePage({ 'og:title': 'Acme Corp (@acme) / X' }, { failGoto: true });
+        const recovered = await scrapeTwitterProfile('https://x.com/acme', 'session_test', { context: { async newPage() { return failing; } }, robots });
+        console.assert(recovered.status === 'Success (Fallback)' && recovered.handle === 'acme', 'Test Failed: meta fallback not used.');
+
+        // Profiles robots.txt disallows are skipped without navigating
+        const disallowed = createFakePage(renderedProfile);
+        const denyAll = { async enforce(url) { throw Object.assign(new Error(`Disallowed by robots.txt: ${url}`), { code: 'ROBOTS_DISALLOWED' }); } };
+        const skipped = await scrapeTwitterProfile('https://x.com/acme', 'session_test', { context: { async newPage() { return disallowed; } }, robots: denyAll });
+        console.assert(skipped.status === 'Skipped' && /robots\.txt/.test(skipped.error), 'Test Failed: disallowed profile not skipped.');
+        console.assert(!disallowed.calls.some(call => call[0] === 'goto') && disallowed.closed, 'Test Failed: disallowed profile loaded.');
+
+        // The profile is merged as `twitter` field candidates: by default it only fills gaps, and X links never become the website
+        const xProfile = { displayName: 'Acme Corp', bio: 'Tools for builders.', location: 'Berlin, Germany', website: 'https://t.co/AbC123' };
+        const candidates = [
+            { field: 'Name', value: 'Acme', source: 'meta', detail: 'og:site_name' },
+            ...profileCandidates('twitter', xProfile, 'https://x.com/acme')
+        ];
+        const { values, fields } = resolveFieldSources(candidates);
+        console.assert(values.Name === 'Acme' && values.Location === 'Berlin, Germany' && values.Website === null, 'Test Failed: X candidates not resolved.');
+        console.assert(fields.Location.source === 'twitter' && fields.Location.url === 'https://x.com/acme', 'Test Failed: X source not reported.');
+        console.assert(fields.Name.alternatives.some(entry => entry.source === 'twitter' && entry.value === 'Acme Corp'), 'Test Failed: X name not kept as alternative.');
+        console.assert(profileCandidates('twitter', { error: 'Blocked' }).length === 0, 'Test Failed: failed profile offered as candidates.');
+
+        console.log('✅ Test Passed: TwitterScraper ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { WebhookDispatcher } = require('./webhook-dispatcher.js');
+const { ExtractionLogger } = require('./extraction-logger.js');
+const { guardedRequestOptions } = require('./utils/outbound-guard.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+    console.log('--- Starting Webhook Dispatcher Test ---');
+    try {
+        const received = [];
+        const responses = [503, 200];
+        const dispatcher = new WebhookDispatcher({
+            secret: 'test-secret',
+            initialDelay: 10,
+            httpClient: async (url, body, headers) => {
+                received.push({ url, body, headers });
+                return { status: responses.shift() || 200 };
+            }
+        });
+
+        const updates = [];
+        const delivery = dispatcher.dispatch({
+            url: 'https://example.com/hook',
+            event: 'extraction.completed',
+            payload: { sessionId: 'session_test', result: { Company: { Name: 'Example' } } },
+            onUpdate: (d) => updates.push(d.status)
+        });
+
+        console.assert(delivery.status === 'pending', 'Test Failed: delivery should start pending.');
+        await delay(1500);
+
+        console.assert(delivery.status === 'delivered', 'Test Failed: delivery should succeed after a retry.');
+        console.assert(delivery.attempts.length === 2, 'Test Failed: expected exactly two attempts.');
+        console.assert(updates.join(',') === 'pending,delivered', 'Test Failed: onUpdate should run after every attempt.');
+
+        // Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`)
+        const { body, headers } = received[1];
+        const expected = crypto.createHmac('sha256', 'test-secret')
+            .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+            .digest('hex');
+        console.assert(headers['X-Webhook-Signature'] === `sha256=${expected}`, 'Test Failed: signature mismatch.');
+        console.assert(JSON.parse(body).event === 'extraction.completed', 'Test Failed: event missing from body.');
+
+        // Client errors are not retried
+        const rejecting = new WebhookDispatcher({
+            secret: 'test-secret',
+            initialDelay: 10,
+            httpClient: async () => ({ status: 410 })
+        });
+        const rejected = rejecting.dispatch({ url: 'https://example.com/gone', event: 'extraction.failed', payload: {} });
+        await delay(50);
+        console.assert(rejected.status === 'failed' && rejected.attempts.length === 1, 'Test Failed: 4xx should not be retried.');
+
+        console.assert(dispatcher.isValidCallbackUrl('https://example.com/hook'), 'Test Failed: https callback rejected.');
+        console.assert(!dispatcher.isValidCallbackUrl('ftp://example.com'), 'Test Failed: ftp callback accepted.');
+
+        // Callbacks may not reach the server itself, cloud metadata or the internal network
+        const addresses = { 'hooks.acme.com': '93.184.216.34', 'intranet.acme.com': '192.168.1.5', 'rebind.acme.com': 'fe80::1' };
+        const guarded = new WebhookDispatcher({ allowedHosts: [], lookup: async (host) => [{ address: addresses[host] || '203.0.113.9' }] });
+        console.assert((await guarded.checkCallbackHost('https://hooks.acme.com/extraction')).allowed, 'Test Failed: public callback refused.');
+        for (const internal of ['http://127.0.0.1:3000/hook', 'http://169.254.169.254/latest/meta-data/', 'http://10.0.0.8/', 'http://[::1]/',
+            'http://[::ffff:127.0.0.1]/', 'http://localhost:8080/', 'https://intranet.acme.com/hook', 'https://rebind.acme.com/']) {
+            const { allowed, reason } = await guarded.checkCallbackHost(internal);
+            console.assert(!allowed && reason, `Test Failed: ${internal} accepted.`);
+        }
+        const allowlisted = new WebhookDispatcher({ allowedHosts: ['intranet.acme.com'], lookup: guarded.lookup });
+        console.assert((await allowlisted.checkCallbackHost('https://intranet.acme.com/hook')).allowed, 'Test Failed: ALLOWED_PRIVATE_HOSTS ignored.');
+
+        // Deliveries check the address again when connecting, and redirects to private hosts are refused
+        const { lookup, beforeRedirect } = guardedRequestOptions({ allowedHosts: [] });
+        const lookupError = await new Promise(resolve => lookup('localhost', {}, resolve));
+        console.assert(lookupError && lookupError.code === 'BLOCKED_HOST', 'Test Failed: connection to localhost allowed.');
+        let redirectError = null;
+        try { beforeRedirect({ protocol: 'http:', hostname: '169.254.169.254' }); } catch (error) { redirectError = error; }
+        console.assert(redirectError && redirectError.code === 'BLOCKED_HOST', 'Test Failed: redirect to a link-local address allowed.');
+
+        // Registering a callback's queued session leaves the running extraction's logs where they are
+        const logger = new ExtractionLogger();
+        const running = logger.startSession('https://example.com', 'session_running');
+        const queued = logger.startSession('https://example.org', 'session_queued', 'queued');
+        logger.step('Extracting logo');
+        logger.endSession(logger.startSession('https://example.net', 'session_cancelled', 'queued'), 'failed');
+        logger.step('Extracting colors');
+        console.assert(logger.sessionLogs.get(running).steps.length === 2, 'Test Failed: running session lost its steps.');
+        console.assert(logger.sessionLogs.get(queued).steps.length === 0, 'Test Failed: queued session took the running session\'s steps.');
+        logger.startSession('https://example.org', queued);
+        console.assert(logger.currentSessionId === queued, 'Test Failed: promoted session not current.');
+
+        console.log('✅ Test Passed: WebhookDispatcher ran successfully.');
+    } catch (error) {
+        console.error('❌ Test Failed:', error.message);
+        process.exit(1);
+    } finally {
+        console.log('--- Test Finished ---');
+    }
+}
+
+runTest();
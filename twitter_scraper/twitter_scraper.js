@@ -0,0 +1,251 @@
+const puppeteer = require('puppeteer');
+const { antiBotSystem } = require('../anti-bot-system');
+const { extractionLogger } = require('../extraction-logger');
+const fs = require('fs').promises;
+const { sanitizeForLogging } = require('../utils/input-sanitizer');
+const { robotsTxt } = require('../robots-txt');
+
+const cookiesFile = require('path').resolve(__dirname, 'twitter_cookies.json');
+
+// Hosts of X's own links; the profile website is shown through t.co redirects
+const X_HOSTS = /^(?:[a-z0-9-]+\.)?(?:x\.com|twitter\.com|t\.co)$/i;
+
+/**
+ * Parses a displayed count such as "1.2M Followers", "12,345" or "3,4 k"
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseCount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+    if (typeof value !== 'string') return null;
+    const match = value.match(/(\d[\d.,\s]*)\s*([KMB])?\b/i);
+    if (!match) return null;
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+    const digits = match[1].trim();
+    // Abbreviated counts keep one decimal separator ("1.2M", "3,4 k"); full counts only use grouping
+    const number = multiplier > 1 ? parseFloat(digits.replace(/\s/g, '').replace(',', '.')) : parseInt(digits.replace(/[.,\s]/g, ''), 10);
+    return Number.isFinite(number) ? Math.round(number * multiplier) : null;
+}
+
+/**
+ * Website from the displayed profile link ("acme.com/careers"). The link itself is a t.co
+ * redirect, so it is only used when it resolves outside X.
+ */
+function resolveWebsite(text, href, relatedLinks = []) {
+    const candidates = [];
+    if (text && !/(…|\.\.\.)$/.test(text)) candidates.push(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    candidates.push(...[].concat(relatedLinks), href);
+    for (const candidate of candidates) {
+        try {
+            const url = new URL(candidate);
+            if (!X_HOSTS.test(url.hostname)) return url.href;
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Combines the rendered profile with the ProfilePage JSON-LD and meta tags X serves
+ * @param {Object} raw - Output of the in-page extraction in extractTwitterData
+ * @returns {Object} Profile data, or `{error}` when the page showed no profile
+ */
+function normalizeTwitterProfile(raw = {}) {
+    const schema = raw.schema || {};
+    const meta = raw.meta || {};
+    const statistic = (name) => {
+        const counter = (schema.interactionStatistic || []).find(item => item && item.name === name);
+        return counter ? parseCount(counter.userInteractionCount) : null;
+    };
+
+    // og:title reads "Acme Corp (@acme) / X"
+    const titleMatch = (meta['og:title'] || '').match(/^(.*?)\s*\(@(\w{1,15})\)/);
+    const handle = (raw.handle || schema.additionalName || (titleMatch && titleMatch[2]) || '').replace(/^@/, '') || null;
+    const displayName = raw.displayName || schema.name || (titleMatch && titleMatch[1]) || null;
+
+    if (!displayName && !handle) {
+        return { error: 'No X profile found on the page (login wall, suspended or missing account)' };
+    }
+
+    const schemaImage = schema.image && (typeof schema.image === 'string' ? schema.image : schema.image.contentUrl);
+    const location = raw.location || (schema.homeLocation && schema.homeLocation.name) || null;
+
+    return {
+        status: raw.hasProfile ? 'Success' : 'Success (Fallback)',
+        handle,
+        displayName,
+        bio: raw.bio || schema.description || meta['og:description'] || null,
+        location,
+        website: resolveWebsite(raw.websiteText, raw.websiteHref, schema.relatedLink || []),
+        // The _normal avatar is 48px; _400x400 is the largest size X serves
+        profileImage: (raw.avatar || schemaImage || meta['og:image'] || '').replace(/_(normal|bigger|mini|200x200)(\.\w+)$/, '_400x400$2') || null,
+        bannerImage: raw.banner ? raw.banner.replace(/\/\d+x\d+$/, '/1500x500') : null,
+        followers: parseCount(raw.followers) ?? statistic('Follows'),
+        following: parseCount(raw.following) ?? statistic('Friends'),
+        verified: raw.hasProfile ? !!raw.verified : null
+    };
+}
+
+// X profile data extraction
+async function extractTwitterData(page, sessionId) {
+    extractionLogger.step('Extracting X profile data from page...', null, sessionId);
+
+    const raw = await page.evaluate(() => {
+        const text = (selector) => {
+            const element = document.querySelector(selector);
+            return element ? element.innerText.trim() || null : null;
+        };
+
+        const nameBlock = document.querySelector('[data-testid="UserName"]');
+        const nameParts = nameBlock ? Array.from(nameBlock.querySelectorAll('span'))
+            .map(span => span.innerText.trim())
+            .filter(Boolean) : [];
+
+        const avatar = document.querySelector('a[href$="/photo"] img[src*="/profile_images/"], img[src*="/profile_images/"]');
+        const banner = document.querySelector('a[href$="/header_photo"] img, img[src*="/profile_banners/"]');
+        const websiteLink = document.querySelector('a[data-testid="UserUrl"]');
+        const countLink = (suffixes) => {
+            const link = suffixes.map(suffix => document.querySelector(`a[href$="${suffix}"]`)).find(Boolean);
+            return link ? link.innerText.trim() : null;
+        };
+
+        // Logged-out profile pages embed a ProfilePage schema with the counts
+        let schema = null;
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                if (data && data['@type'] === 'ProfilePage') schema = data.mainEntity || data.author || null;
+            } catch (e) { /* ignore invalid JSON-LD */ }
+        });
+
+        const meta = {};
+        document.querySelectorAll('meta[property^="og:"], meta[name^="twitter:"]').forEach(tag => {
+            meta[tag.getAttribute('property') || tag.getAttribute('name')] = tag.getAttribute('content');
+        });
+
+        return {
+            hasProfile: !!nameBlock,
+            displayName: nameParts.find(part => !part.startsWith('@')) || null,
+            handle: nameParts.find(part => part.startsWith('@')) || null,
+            verified: !!(nameBlock && nameBlock.querySelector('[data-testid="icon-verified"], svg[aria-label*="Verified" i]')),
+            bio: text('[data-testid="UserDescription"]'),
+            location: text('[data-testid="UserLocation"]'),
+            websiteText: websiteLink ? websiteLink.innerText.trim() : null,
+            websiteHref: websiteLink ? websiteLink.href : null,
+            avatar: avatar ? avatar.src : null,
+            banner: banner ? banner.src : null,
+            followers: countLink(['/verified_followers', '/followers']),
+            following: countLink(['/following']),
+            schema,
+            meta
+        };
+    });
+
+    return normalizeTwitterProfile(raw);
+}
+
+/**
+ * Scrape an X (Twitter) profile.
+ * @param {string} url - Profile URL, e.g. https://x.com/acme
+ * @param {string} sessionId - Extraction session for logging
+ * @param {Object} [options]
+ * @param {import('puppeteer').BrowserContext} [options.context] - Pooled context to use instead of
+ *   launching a dedicated browser. The caller owns the context and is responsible for closing it.
+ * @param {import('../robots-txt').RobotsTxt} [options.robots] - Checked before navigating (defaults to the shared instance)
+ * @param {boolean} [options.ignoreRobotsTxt] - Scrape the profile even when robots.txt disallows it
+ * @returns {Promise<Object>} See normalizeTwitterProfile; `status: 'Skipped'` when robots.txt does not allow the visit
+ */
+async function scrapeTwitterProfile(url, sessionId, options = {}) {
+    extractionLogger.step('Starting X profile scrape with stealth mode...', { url: sanitizeForLogging(url) }, sessionId);
+    const { context, robots = robotsTxt, ignoreRobotsTxt = false } = options;
+    let browser;
+
+    if (!context) {
+        try {
+            browser = await puppeteer.launch({
+                headless: 'new',
+                args: antiBotSystem.getAdvancedBrowserArgs(),
+                defaultViewport: antiBotSystem.getRandomViewport()
+            });
+        } catch (error) {
+            extractionLogger.error('Failed to launch browser', error, { url: sanitizeForLogging(url) }, sessionId);
+            return { url: sanitizeForLogging(url), status: 'Failed', error: 'Browser launch failed' };
+        }
+    }
+
+    const page = await (context || browser).newPage();
+    await antiBotSystem.setupStealthMode(page);
+    await page.setUserAgent(antiBotSystem.getRandomUserAgent());
+
+    // Load cookies if present
+    try {
+        const cookiesString = await fs.readFile(cookiesFile, 'utf-8');
+        const cookies = JSON.parse(cookiesString);
+        if (Array.isArray(cookies) && cookies.length > 0) {
+            await page.setCookie(...cookies);
+            extractionLogger.step('Loaded X cookies for session.', { count: cookies.length }, sessionId);
+        }
+    } catch (error) {
+        extractionLogger.warn('Failed to load X cookies', { error: sanitizeForLogging(error.message) }, sessionId);
+    }
+
+    try {
+        await robots.enforce(url, { override: ignoreRobotsTxt });
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+
+        // The profile header renders client-side after the document loads
+        try {
+            await page.waitForSelector('[data-testid="UserName"]', { timeout: 15000 });
+        } catch (error) {
+            extractionLogger.warn('Timeout waiting for the X profile header, using page metadata', {}, sessionId);
+        }
+        await antiBotSystem.humanDelay(800, 1600);
+
+        return await extractTwitterData(page, sessionId);
+
+    } catch (error) {
+        if (error.code === 'ROBOTS_DISALLOWED' || error.code === 'ROBOTS_CRAWL_DELAY') {
+            extractionLogger.warn('X profile skipped because of robots.txt', { url: sanitizeForLogging(url), error: error.message }, sessionId);
+            return { url: sanitizeForLogging(url), status: 'Skipped', error: error.message };
+        }
+        extractionLogger.error('An unexpected error occurred during the X scraping process.', error, { url: sanitizeForLogging(url) }, sessionId);
+
+        // Fallback extraction from meta tags
+        extractionLogger.warn('X scrape failed. Falling back to meta tag extraction.', null, sessionId);
+        try {
+            const meta = await page.evaluate(() => {
+                const data = {};
+                document.querySelectorAll('meta').forEach(tag => {
+                    const key = tag.getAttribute('property') || tag.getAttribute('name');
+                    if (key) data[key] = tag.getAttribute('content');
+                });
+                return data;
+            });
+            return normalizeTwitterProfile({ meta });
+        } catch (fallbackError) {
+            return { url: sanitizeForLogging(url), status: 'Failed', error: error.message };
+        }
+
+    } finally {
+        try {
+            // Persist cookies
+            const cookies = await page.cookies();
+            if (Array.isArray(cookies) && cookies.length > 0) {
+                await fs.writeFile(cookiesFile, JSON.stringify(cookies, null, 2), 'utf-8');
+                extractionLogger.step('Persisted X cookies after run.', { count: cookies.length }, sessionId);
+            }
+        } catch (error) {
+            extractionLogger.warn('Failed to persist X cookies', { error: sanitizeForLogging(error.message) }, sessionId);
+        }
+        if (browser) {
+            await browser.close();
+            extractionLogger.debug('Browser closed.', null, sessionId);
+        } else {
+            await page.close().catch(() => {});
+            extractionLogger.debug('Page closed, pooled context returned to caller.', null, sessionId);
+        }
+    }
+}
+
+module.exports = { scrapeTwitterProfile, normalizeTwitterProfile, parseCount };
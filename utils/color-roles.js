@@ -0,0 +1,270 @@
+/**
+ * Color roles
+ * Assigns extracted colors to the roles designers work with (primary, secondary,
+ * accent, background, text) from the DOM sources they were found in and the
+ * Vibrant swatches of the logo and banner images, and checks the role pairs
+ * against the WCAG 2.x contrast thresholds.
+ */
+
+const COLOR_ROLES = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+/**
+ * Minimum contrast ratios (WCAG 2.x, success criteria 1.4.3 and 1.4.6)
+ */
+const WCAG_THRESHOLDS = {
+    AA: 4.5,
+    AALarge: 3,
+    AAA: 7
+};
+
+/**
+ * Role pairs that are checked for contrast: [foreground, background].
+ * Contrast is symmetric, so each pair also covers the inverse (white text on a primary button).
+ */
+const CONTRAST_PAIRS = [
+    ['text', 'background'],
+    ['primary', 'background'],
+    ['secondary', 'background'],
+    ['accent', 'background']
+];
+
+/**
+ * Weight of each DOM source (see getBrandColors) as evidence for a brand role
+ */
+const SOURCE_WEIGHTS = {
+    button_bg: 3,
+    primary_accent_bg: 3,
+    primary_accent_text: 2,
+    link_text: 2,
+    header_bg: 1,
+    h1_text: 1,
+    h2_text: 1,
+    button_text: 0
+};
+
+/**
+ * Colors closer than this (RGB distance) count as the same color
+ */
+const SIMILAR_DISTANCE = 40;
+
+/**
+ * Parses #RGB, #RRGGBB or rgb()/rgba() strings
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number}|null}
+ */
+function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+
+    let match = text.match(/^#?([0-9a-f]{6})$/i);
+    if (match) {
+        const int = parseInt(match[1], 16);
+        return { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 };
+    }
+    match = text.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+    if (match) {
+        return { r: parseInt(match[1] + match[1], 16), g: parseInt(match[2] + match[2], 16), b: parseInt(match[3] + match[3], 16) };
+    }
+    match = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+    if (match) {
+        if (match[4] !== undefined && parseFloat(match[4]) === 0) return null; // Fully transparent
+        return { r: Math.min(255, +match[1]), g: Math.min(255, +match[2]), b: Math.min(255, +match[3]) };
+    }
+    return null;
+}
+
+/**
+ * Uppercase #RRGGBB, or null when the value is not a color
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toHex(value) {
+    const rgb = parseColor(value);
+    if (!rgb) return null;
+    return '#' + [rgb.r, rgb.g, rgb.b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * WCAG relative luminance
+ * @param {string} color - Hex or rgb() string
+ * @returns {number|null} 0 (black) to 1 (white)
+ */
+function relativeLuminance(color) {
+    const rgb = parseColor(color);
+    if (!rgb) return null;
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors, rounded to two decimals
+ * @param {string} foreground
+ * @param {string} background
+ * @returns {number|null} 1 to 21
+ */
+function contrastRatio(foreground, background) {
+    const l1 = relativeLuminance(foreground);
+    const l2 = relativeLuminance(background);
+    if (l1 === null || l2 === null) return null;
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    return Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Highest WCAG level a contrast ratio meets
+ * @param {number} ratio
+ * @returns {'AAA'|'AA'|'AA Large'|'fail'}
+ */
+function wcagLevel(ratio) {
+    if (ratio >= WCAG_THRESHOLDS.AAA) return 'AAA';
+    if (ratio >= WCAG_THRESHOLDS.AA) return 'AA';
+    if (ratio >= WCAG_THRESHOLDS.AALarge) return 'AA Large';
+    return 'fail';
+}
+
+/**
+ * HSL saturation (0-1) and lightness (0-1)
+ */
+function saturationAndLightness(color) {
+    const { r, g, b } = parseColor(color);
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+    return { saturation, lightness };
+}
+
+/**
+ * Colorful enough to be a brand color rather than a neutral gray, black or white
+ */
+function isChromatic(color) {
+    const { saturation, lightness } = saturationAndLightness(color);
+    return saturation >= 0.2 && lightness > 0.08 && lightness < 0.95;
+}
+
+function distance(a, b) {
+    const x = parseColor(a);
+    const y = parseColor(b);
+    return Math.sqrt(Math.pow(x.r - y.r, 2) + Math.pow(x.g - y.g, 2) + Math.pow(x.b - y.b, 2));
+}
+
+/**
+ * Role named by a CSS custom property (--brand-primary, --color-accent, ...)
+ */
+function roleFromVariable(source) {
+    const match = /^css_variable:\s*(--\S+)/.exec(source);
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    if (/primary|brand/.test(name)) return 'primary';
+    if (/secondary/.test(name)) return 'secondary';
+    if (/accent|highlight/.test(name)) return 'accent';
+    if (/(^|-)(bg|background|surface|canvas)(-|$)/.test(name)) return 'background';
+    if (/(^|-)(text|foreground|fg|body-color)(-|$)/.test(name)) return 'text';
+    return null;
+}
+
+/**
+ * Classifies extracted colors into semantic roles and checks the role pairs for contrast.
+ * @param {Object} input
+ * @param {Array<{hex: string, count?: number, sources?: string[]}>} [input.candidates] - DOM colors with the
+ *   sources they were found in (css_variable: --name, button_bg, link_text, ...)
+ * @param {{background?: string, text?: string}} [input.surfaces] - Computed page background and body text colors
+ * @param {Array<{origin: string, swatches: Array<{name: string, hex: string, population?: number}>}>} [input.palettes]
+ *   Vibrant swatches of the logo and banner images
+ * @returns {{roles: Object, contrast: Object[], failures: Object[]}} `roles` maps each role to
+ *   `{hex, source}` or null; `failures` lists the pairs that fail WCAG AA for normal text
+ */
+function classifyColorRoles({ candidates = [], surfaces = {}, palettes = [] } = {}) {
+    const roles = Object.fromEntries(COLOR_ROLES.map(role => [role, null]));
+    const assign = (role, hex, source) => {
+        if (!roles[role] && hex) roles[role] = { hex, source };
+    };
+
+    const colors = candidates
+        .map(candidate => ({ ...candidate, hex: toHex(candidate.hex), sources: candidate.sources || [] }))
+        .filter(candidate => candidate.hex);
+
+    // 1. Roles the site names itself through CSS custom properties
+    colors.forEach(candidate => candidate.sources.forEach(source => {
+        const role = roleFromVariable(source);
+        if (role && (role === 'background' || role === 'text' || isChromatic(candidate.hex))) {
+            assign(role, candidate.hex, source);
+        }
+    }));
+
+    // 2. Background and text from the page's computed styles, falling back to the lightest and darkest colors
+    assign('background', toHex(surfaces.background), 'page_background');
+    assign('text', toHex(surfaces.text), 'body_text');
+    if (colors.length > 0) {
+        const byLuminance = [...colors].sort((a, b) => relativeLuminance(b.hex) - relativeLuminance(a.hex));
+        if (relativeLuminance(byLuminance[0].hex) > 0.8) assign('background', byLuminance[0].hex, byLuminance[0].sources[0] || 'lightest');
+        const darkest = byLuminance[byLuminance.length - 1];
+        if (relativeLuminance(darkest.hex) < 0.1) assign('text', darkest.hex, darkest.sources[0] || 'darkest');
+    }
+    assign('background', '#FFFFFF', 'default');
+
+    // 3. Brand roles from the chromatic colors, weighted by where they were used and backed by the logo palette
+    const swatches = palettes.flatMap(({ origin, swatches: list = [] }) => list
+        .map(swatch => ({ ...swatch, hex: toHex(swatch.hex), origin }))
+        .filter(swatch => swatch.hex && isChromatic(swatch.hex)));
+    const logoSwatches = swatches.filter(swatch => swatch.origin === 'logo' && /vibrant/i.test(swatch.name));
+
+    const ranked = colors
+        .filter(candidate => isChromatic(candidate.hex))
+        .map(candidate => {
+            const usage = candidate.sources.reduce((sum, source) => sum + (SOURCE_WEIGHTS[source] || 0), 0);
+            const inLogo = logoSwatches.some(swatch => distance(swatch.hex, candidate.hex) <= SIMILAR_DISTANCE * 2);
+            const best = candidate.sources.reduce((top, source) => ((SOURCE_WEIGHTS[source] || 0) > (SOURCE_WEIGHTS[top] || 0) ? source : top), candidate.sources[0]);
+            return { hex: candidate.hex, source: best || 'site', score: usage + (candidate.count || 1) + (inLogo ? 3 : 0) };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    // Vibrant swatches fill roles the site's styles leave open
+    const swatchOrder = ['Vibrant', 'DarkVibrant', 'LightVibrant', 'Muted', 'DarkMuted', 'LightMuted'];
+    swatches
+        .sort((a, b) => (a.origin === b.origin ? 0 : a.origin === 'logo' ? -1 : 1) || swatchOrder.indexOf(a.name) - swatchOrder.indexOf(b.name))
+        .forEach(swatch => ranked.push({ hex: swatch.hex, source: `${swatch.origin}:${swatch.name}`, score: 0 }));
+
+    const isDistinct = (hex) => COLOR_ROLES.every(role => !roles[role] || distance(roles[role].hex, hex) > SIMILAR_DISTANCE);
+    ['primary', 'secondary', 'accent'].forEach(role => {
+        if (roles[role]) return;
+        const pick = ranked.find(candidate => isDistinct(candidate.hex));
+        if (pick) assign(role, pick.hex, pick.source);
+    });
+
+    const contrast = CONTRAST_PAIRS
+        .filter(([foreground, background]) => roles[foreground] && roles[background])
+        .map(([foreground, background]) => {
+            const ratio = contrastRatio(roles[foreground].hex, roles[background].hex);
+            return {
+                foreground,
+                background,
+                foregroundHex: roles[foreground].hex,
+                backgroundHex: roles[background].hex,
+                ratio,
+                level: wcagLevel(ratio),
+                passesAA: ratio >= WCAG_THRESHOLDS.AA,
+                passesAALarge: ratio >= WCAG_THRESHOLDS.AALarge
+            };
+        });
+
+    return {
+        roles,
+        contrast,
+        failures: contrast.filter(pair => !pair.passesAA)
+    };
+}
+
+module.exports = {
+    COLOR_ROLES,
+    WCAG_THRESHOLDS,
+    toHex,
+    relativeLuminance,
+    contrastRatio,
+    wcagLevel,
+    isChromatic,
+    classifyColorRoles
+};
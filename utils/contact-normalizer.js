@@ -0,0 +1,446 @@
+/**
+ * Contact normalization
+ * Turns raw contact candidates collected from a page (mailto/tel links, page text,
+ * structured data, <address> blocks) into de-duplicated, ranked emails, E.164 phone
+ * numbers and postal addresses.
+ */
+
+/**
+ * Calling code, national trunk prefix and national number lengths per country
+ */
+const COUNTRIES = {
+    US: { code: '1', trunk: '1', lengths: [10] },
+    CA: { code: '1', trunk: '1', lengths: [10] },
+    GB: { code: '44', trunk: '0', lengths: [9, 10] },
+    IE: { code: '353', trunk: '0', lengths: [7, 8, 9] },
+    DE: { code: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13] },
+    FR: { code: '33', trunk: '0', lengths: [9] },
+    ES: { code: '34', trunk: null, lengths: [9] },
+    IT: { code: '39', trunk: null, lengths: [6, 7, 8, 9, 10, 11] }, // Italian numbers keep their leading 0
+    NL: { code: '31', trunk: '0', lengths: [9] },
+    BE: { code: '32', trunk: '0', lengths: [8, 9] },
+    CH: { code: '41', trunk: '0', lengths: [9] },
+    AT: { code: '43', trunk: '0', lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13] },
+    SE: { code: '46', trunk: '0', lengths: [7, 8, 9, 10] },
+    NO: { code: '47', trunk: null, lengths: [8] },
+    DK: { code: '45', trunk: null, lengths: [8] },
+    FI: { code: '358', trunk: '0', lengths: [5, 6, 7, 8, 9, 10, 11, 12] },
+    PL: { code: '48', trunk: null, lengths: [9] },
+    PT: { code: '351', trunk: null, lengths: [9] },
+    AU: { code: '61', trunk: '0', lengths: [9] },
+    NZ: { code: '64', trunk: '0', lengths: [8, 9, 10] },
+    IN: { code: '91', trunk: '0', lengths: [10] },
+    SG: { code: '65', trunk: null, lengths: [8] },
+    HK: { code: '852', trunk: null, lengths: [8] },
+    JP: { code: '81', trunk: '0', lengths: [9, 10] },
+    CN: { code: '86', trunk: '0', lengths: [10, 11] },
+    BR: { code: '55', trunk: '0', lengths: [10, 11] },
+    MX: { code: '52', trunk: null, lengths: [10] },
+    ZA: { code: '27', trunk: '0', lengths: [9] },
+    AE: { code: '971', trunk: '0', lengths: [8, 9] },
+    IL: { code: '972', trunk: '0', lengths: [8, 9] }
+};
+
+/**
+ * Country names and abbreviations seen in addresses
+ */
+const COUNTRY_NAMES = {
+    'united states': 'US', 'united states of america': 'US', usa: 'US', 'u.s.a.': 'US', canada: 'CA',
+    'united kingdom': 'GB', uk: 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'great britain': 'GB',
+    ireland: 'IE', germany: 'DE', deutschland: 'DE', france: 'FR', spain: 'ES', españa: 'ES', italy: 'IT', italia: 'IT',
+    netherlands: 'NL', 'the netherlands': 'NL', belgium: 'BE', switzerland: 'CH', austria: 'AT', sweden: 'SE',
+    norway: 'NO', denmark: 'DK', finland: 'FI', poland: 'PL', portugal: 'PT', australia: 'AU', 'new zealand': 'NZ',
+    india: 'IN', singapore: 'SG', 'hong kong': 'HK', japan: 'JP', china: 'CN', brazil: 'BR', mexico: 'MX',
+    'south africa': 'ZA', 'united arab emirates': 'AE', uae: 'AE', israel: 'IL'
+};
+
+/**
+ * Ranking of common role mailboxes; higher is more useful for reaching the company
+ */
+const EMAIL_ROLES = [
+    { type: 'noreply', score: 0, pattern: /^(no-?reply|do-?not-?reply|donotreply|bounce[s]?|mailer-daemon|postmaster)\b/ },
+    { type: 'sales', score: 90, pattern: /^(sales|business|partnerships?|partners|bizdev|commercial|vertrieb)\b/ },
+    { type: 'general', score: 80, pattern: /^(info|contact|hello|hi|enquir(y|ies)|inquir(y|ies)|office|team|mail|admin|kontakt)\b/ },
+    { type: 'support', score: 70, pattern: /^(support|help|service|customerservice|customer-service|care|helpdesk)\b/ },
+    { type: 'press', score: 60, pattern: /^(press|media|pr|news|communications|comms|marketing)\b/ },
+    { type: 'billing', score: 55, pattern: /^(billing|accounts?|invoices?|finance|payments?)\b/ },
+    { type: 'careers', score: 50, pattern: /^(careers?|jobs|hr|recruiting|recruitment|talent|hiring)\b/ },
+    { type: 'legal', score: 40, pattern: /^(privacy|legal|abuse|dpo|gdpr|security|compliance)\b/ }
+];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+[A-Z]{2,24}/gi;
+const IGNORED_EMAIL_DOMAINS = /(^|\.)(example\.(com|org|net)|domain\.com|email\.com|yourdomain\.com|yourcompany\.com|sentry\.io|wixpress\.com|sentry-next\.wixpress\.com)$/i;
+const FILE_EXTENSION = /\.(png|jpe?g|gif|svg|webp|avif|ico|css|js)$/i;
+
+const PHONE_CANDIDATE = /(?:\+|00)?\(?\d[\d \t().\-\/]{5,}\d(?:[ \t]*(?:ext\.?|x|extension)[ \t]*\d{1,6})?/gi;
+const PHONE_CONTEXT = /\b(?:(?:phone|telephone|tel|call(?: us)?|mobile|cell|fax|hotline|ph)\.?\s*:?|[tpfm]\s*:)\s*$/i;
+const FAX_CONTEXT = /\b(?:fax\.?\s*:?|f\s*:)\s*$/i;
+
+/**
+ * Replaces "name [at] domain [dot] com" style obfuscation with plain addresses
+ * @param {string} text
+ * @returns {string}
+ */
+function deobfuscateEmails(text) {
+    if (!text) return '';
+    return text
+        .replace(/\s*[\[({<]\s*at\s*[\])}>]\s*/gi, '@')
+        // A bare " at " only counts when the domain is spelled with " dot "
+        .replace(/(\w)\s+at\s+(?=[\w-]+(?:\s*[\[({<]\s*dot\s*[\])}>]\s*|\s+dot\s+)\w)/gi, '$1@')
+        .replace(/\s*[\[({<]\s*dot\s*[\])}>]\s*|\s+dot\s+/gi, '.');
+}
+
+/**
+ * Lowercased address, or null for placeholders and asset names like logo@2x.png
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeEmail(value) {
+    if (typeof value !== 'string') return null;
+    let email = value.trim().replace(/^mailto:/i, '').split('?')[0];
+    try {
+        email = decodeURIComponent(email);
+    } catch (error) {
+        // Keep the raw value
+    }
+    email = email.trim().toLowerCase().replace(/^[.\-]+|[.\-]+$/g, '');
+
+    const match = email.match(/^([a-z0-9._%+-]+)@((?:[a-z0-9-]+\.)+[a-z]{2,24})$/);
+    if (!match) return null;
+    const [, local, domain] = match;
+    if (FILE_EXTENSION.test(email) || IGNORED_EMAIL_DOMAINS.test(domain)) return null;
+    if (/^[0-9a-f]{24,}$/.test(local)) return null; // Tracking IDs, not mailboxes
+    return email;
+}
+
+/**
+ * Classifies and scores an email address
+ * @param {string} email - Normalized address
+ * @param {string} [siteDomain] - Domain of the extracted site
+ * @returns {{type: string, score: number}}
+ */
+function rankEmail(email, siteDomain = null) {
+    const [local, domain] = email.split('@');
+    const role = EMAIL_ROLES.find(candidate => candidate.pattern.test(local));
+    let type = role ? role.type : /^[a-z]+[._-][a-z]+$/.test(local) ? 'personal' : 'other';
+    let score = role ? role.score : type === 'personal' ? 65 : 45;
+
+    if (type !== 'noreply' && siteDomain && (domain === siteDomain || domain.endsWith(`.${siteDomain}`) || siteDomain.endsWith(`.${domain}`))) {
+        score += 10; // The company's own domain beats a third-party inbox
+    }
+    return { type, score };
+}
+
+/**
+ * Guesses the country of a site from its TLD, page language and addresses
+ * @param {Object} hints
+ * @param {string} [hints.url] - Site URL
+ * @param {string} [hints.lang] - <html lang>, e.g. en-GB
+ * @param {string[]} [hints.countries] - Country codes found in addresses
+ * @returns {string|null} ISO 3166 alpha-2 code
+ */
+function inferCountry({ url = null, lang = null, countries = [] } = {}) {
+    const known = code => (code && COUNTRIES[code] ? code : null);
+
+    const fromAddresses = countries.map(known).find(Boolean);
+    if (fromAddresses) return fromAddresses;
+
+    if (url) {
+        try {
+            const tld = new URL(url).hostname.split('.').pop().toUpperCase();
+            const code = known(tld === 'UK' ? 'GB' : tld);
+            if (code) return code;
+        } catch (error) {
+            // Not a URL
+        }
+    }
+
+    const region = lang && String(lang).split(/[-_]/)[1];
+    return known(region && region.toUpperCase());
+}
+
+/**
+ * Normalizes a phone number to E.164
+ * @param {string} raw - Number as written on the page
+ * @param {string} [defaultCountry] - Country for numbers written in national format
+ * @returns {{number: string|null, country: string|null, extension: string|null}}
+ */
+function normalizePhone(raw, defaultCountry = null) {
+    const result = { number: null, country: null, extension: null };
+    if (typeof raw !== 'string') return result;
+
+    let value = raw.trim().replace(/^tel:/i, '');
+    try {
+        value = decodeURIComponent(value);
+    } catch (error) {
+        // Keep the raw value
+    }
+
+    const extension = value.match(/(?:ext\.?|x|extension|;ext=)\s*(\d{1,6})\s*$/i);
+    if (extension) {
+        result.extension = extension[1];
+        value = value.slice(0, extension.index);
+    }
+
+    value = value.replace(/\(0\)/g, ''); // +44 (0)20 ... keeps the trunk 0 in brackets
+    const international = /^\s*(\+|00)/.test(value);
+    let digits = value.replace(/\D/g, '');
+    if (international && value.trim().startsWith('00')) digits = digits.slice(2);
+
+    if (international) {
+        for (const length of [1, 2, 3]) {
+            const code = digits.slice(0, length);
+            const countries = Object.entries(COUNTRIES).filter(([, country]) => country.code === code);
+            if (countries.length === 0) continue;
+
+            const national = digits.slice(length);
+            // Shared codes (+1) resolve to the default country when it is one of them
+            const [country, info] = countries.find(([iso]) => iso === defaultCountry) || countries[0];
+            if (info.lengths.includes(national.length)) {
+                return { ...result, number: `+${code}${national}`, country };
+            }
+        }
+        // Unknown country code - accept anything that looks like a valid E.164 number
+        return digits.length >= 8 && digits.length <= 15 ? { ...result, number: `+${digits}` } : result;
+    }
+
+    const country = COUNTRIES[defaultCountry];
+    if (!country) return result;
+
+    let national = digits;
+    if (country.trunk && national.startsWith(country.trunk) && country.lengths.includes(national.length - country.trunk.length)) {
+        national = national.slice(country.trunk.length);
+    }
+    if (!country.lengths.includes(national.length)) return result;
+    if (country.code === '1' && !/^[2-9]\d{2}[2-9]/.test(national)) return result; // NANP area and exchange codes
+
+    return { ...result, number: `+${country.code}${national}`, country: defaultCountry };
+}
+
+/**
+ * Phone-like strings in page text that follow a phone keyword or are written internationally
+ * @param {string} text
+ * @returns {Array<{raw: string, type: string}>}
+ */
+function findPhoneCandidates(text) {
+    const candidates = [];
+    if (!text) return candidates;
+
+    for (const match of text.matchAll(PHONE_CANDIDATE)) {
+        const raw = match[0].trim();
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length < 7 || digits.length > 17) continue;
+        if (/^\d{4}[-\/.]\d{1,2}[-\/.]\d{1,2}$/.test(raw) || /^\d{1,2}[-\/.]\d{1,2}[-\/.]\d{2,4}$/.test(raw)) continue; // Dates
+
+        const before = text.slice(Math.max(0, match.index - 25), match.index);
+        const formatted = /^(\+|00)/.test(raw) || /^\(\d{2,4}\)\s?\d/.test(raw);
+        if (!formatted && !PHONE_CONTEXT.test(before)) continue;
+
+        candidates.push({ raw, type: FAX_CONTEXT.test(before) ? 'fax' : 'phone' });
+    }
+    return candidates;
+}
+
+/**
+ * Collapses an address into one comma-separated line
+ * @param {Object|string} address - PostalAddress-like object or free text
+ * @returns {{formatted: string, street: string|null, locality: string|null, region: string|null, postalCode: string|null, country: string|null}|null}
+ */
+function normalizeAddress(address) {
+    const clean = value => (typeof value === 'string' || typeof value === 'number')
+        ? String(value).replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '') || null
+        : null;
+
+    if (address && typeof address === 'object') {
+        const country = address.addressCountry && typeof address.addressCountry === 'object'
+            ? address.addressCountry.name
+            : address.addressCountry;
+        const parts = {
+            street: clean(address.streetAddress),
+            locality: clean(address.addressLocality),
+            region: clean(address.addressRegion),
+            postalCode: clean(address.postalCode),
+            country: clean(country)
+        };
+        const formatted = [parts.street, parts.locality, [parts.region, parts.postalCode].filter(Boolean).join(' '), parts.country]
+            .filter(Boolean).join(', ');
+        return formatted ? { formatted, ...parts } : null;
+    }
+
+    if (typeof address !== 'string') return null;
+    const formatted = address
+        .split(/\n+/)
+        .map(clean)
+        .filter(Boolean)
+        .join(', ')
+        .replace(/\s*,\s*(,\s*)+/g, ', ');
+    if (formatted.length < 10 || formatted.length > 300 || !/\d/.test(formatted)) return null;
+
+    return { formatted, street: null, locality: null, region: null, postalCode: null, country: null };
+}
+
+/**
+ * ISO country code named at the end of an address, or implied by its postal code
+ */
+function addressCountry(address) {
+    if (/\b[A-Z]{2}\s+\d{5}(-\d{4})?\b/.test(address.formatted)) return 'US'; // State and ZIP
+    if (/\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/.test(address.formatted)) return 'GB'; // Postcode
+
+    const candidates = [address.country, address.formatted.split(',').pop()]
+        .filter(Boolean)
+        .map(value => value.trim().toLowerCase());
+    for (const candidate of candidates) {
+        if (COUNTRY_NAMES[candidate]) return COUNTRY_NAMES[candidate];
+        if (/^[a-z]{2}$/.test(candidate) && COUNTRIES[candidate.toUpperCase()]) return candidate.toUpperCase();
+    }
+    return null;
+}
+
+/**
+ * Builds the Contacts section from raw page candidates
+ * @param {Object} raw
+ * @param {string[]} [raw.mailto] - mailto: hrefs
+ * @param {string[]} [raw.tel] - tel: hrefs
+ * @param {string} [raw.text] - Visible page text
+ * @param {Array<{email?: string, telephone?: string|string[], faxNumber?: string, address?: Object|string}>} [raw.structured] - JSON-LD / microdata contact points
+ * @param {string[]} [raw.addressBlocks] - Text of <address> elements
+ * @param {string} [raw.lang] - <html lang>
+ * @param {Object} [options]
+ * @param {string} [options.url] - Extracted URL, used for domain ranking and country inference
+ * @returns {{emails: Object[], phones: Object[], addresses: Object[], country: string|null}}
+ */
+function buildContacts(raw = {}, { url = null } = {}) {
+    const { mailto = [], tel = [], text = '', structured = [], addressBlocks = [], lang = null } = raw;
+    let siteDomain = null;
+    try {
+        siteDomain = url ? new URL(url).hostname.replace(/^www\./, '').toLowerCase() : null;
+    } catch (error) {
+        // Ranking just skips the domain bonus
+    }
+
+    // Addresses first: their countries help interpret national phone numbers
+    const addresses = new Map();
+    const addAddress = (value, source) => {
+        const address = normalizeAddress(value);
+        if (!address) return;
+        const key = address.formatted.toLowerCase().replace(/[^a-z0-9]/g, '');
+        // The same address with or without a trailing country is one address
+        const existing = Array.from(addresses.entries())
+            .find(([seen]) => seen.startsWith(key) || key.startsWith(seen))?.[1];
+        if (existing) {
+            if (!existing.sources.includes(source)) existing.sources.push(source);
+            return;
+        }
+        addresses.set(key, { ...address, sources: [source] });
+    };
+    structured.forEach(item => item.address && addAddress(item.address, 'structured-data'));
+    addressBlocks.forEach(block => addAddress(block, 'address-tag'));
+
+    const countries = Array.from(addresses.values()).map(addressCountry).filter(Boolean);
+    const country = inferCountry({ url, lang, countries });
+
+    // Emails
+    const emails = new Map();
+    const addEmail = (value, source, bonus) => {
+        const address = normalizeEmail(value);
+        if (!address) return;
+        const existing = emails.get(address);
+        if (existing) {
+            if (!existing.sources.includes(source)) {
+                existing.sources.push(source);
+                existing.score = Math.min(100, existing.score + bonus);
+            }
+            return;
+        }
+        const { type, score } = rankEmail(address, siteDomain);
+        emails.set(address, { address, type, score: type === 'noreply' ? score : Math.min(100, score + bonus), sources: [source] });
+    };
+    mailto.forEach(href => addEmail(href, 'mailto', 5));
+    structured.forEach(item => item.email && addEmail(item.email, 'structured-data', 5));
+    (deobfuscateEmails(text).match(EMAIL_PATTERN) || []).forEach(match => addEmail(match, 'text', 0));
+
+    // Phones
+    const phones = new Map();
+    const addPhone = (value, type, source) => {
+        const normalized = normalizePhone(value, country);
+        if (!normalized.number) return;
+        const key = `${normalized.number}${normalized.extension ? `x${normalized.extension}` : ''}`;
+        const existing = phones.get(key);
+        if (existing) {
+            if (!existing.sources.includes(source)) existing.sources.push(source);
+            if (type === 'phone') existing.type = 'phone'; // A number labelled both ways is a phone
+            return;
+        }
+        phones.set(key, { ...normalized, raw: String(value).replace(/^tel:/i, '').trim(), type, sources: [source] });
+    };
+    tel.forEach(href => addPhone(href, 'phone', 'tel'));
+    structured.forEach(item => {
+        [].concat(item.telephone || []).forEach(value => addPhone(value, 'phone', 'structured-data'));
+        [].concat(item.faxNumber || []).forEach(value => addPhone(value, 'fax', 'structured-data'));
+    });
+    findPhoneCandidates(text).forEach(({ raw: value, type }) => addPhone(value, type, 'text'));
+
+    const phoneRank = phone => (phone.type === 'fax' ? 0 : 10) + phone.sources.length * 2
+        + (phone.sources.includes('tel') || phone.sources.includes('structured-data') ? 3 : 0);
+
+    return {
+        emails: Array.from(emails.values()).sort((a, b) => b.score - a.score),
+        phones: Array.from(phones.values()).sort((a, b) => phoneRank(b) - phoneRank(a)),
+        addresses: Array.from(addresses.values()).sort((a, b) => b.sources.length - a.sources.length),
+        country
+    };
+}
+
+/**
+ * Merges the Contacts of several pages of one site, recording the pages each entry was found on
+ * @param {Array<{url: string, contacts: Object}>} pages - Landing page first
+ * @returns {{emails: Object[], phones: Object[], addresses: Object[], country: string|null}}
+ */
+function mergeContacts(pages) {
+    const merged = { emails: new Map(), phones: new Map(), addresses: new Map() };
+    const keys = {
+        emails: email => email.address,
+        phones: phone => `${phone.number}${phone.extension ? `x${phone.extension}` : ''}`,
+        addresses: address => address.formatted.toLowerCase().replace(/[^a-z0-9]/g, '')
+    };
+    let country = null;
+
+    pages.filter(({ contacts }) => contacts).forEach(({ url, contacts }) => {
+        country = country || contacts.country || null;
+        Object.keys(merged).forEach(list => {
+            (contacts[list] || []).forEach(entry => {
+                const key = keys[list](entry);
+                const existing = merged[list].get(key);
+                if (!existing) {
+                    merged[list].set(key, { ...entry, sources: [...(entry.sources || [])], pages: [url] });
+                    return;
+                }
+                (entry.sources || []).forEach(source => existing.sources.includes(source) || existing.sources.push(source));
+                if (!existing.pages.includes(url)) existing.pages.push(url);
+                if (list === 'emails') existing.score = Math.max(existing.score, entry.score);
+                if (list === 'phones' && entry.type === 'phone') existing.type = 'phone';
+            });
+        });
+    });
+
+    const phoneRank = phone => (phone.type === 'fax' ? 0 : 10) + phone.sources.length * 2 + phone.pages.length;
+    return {
+        emails: Array.from(merged.emails.values()).sort((a, b) => b.score - a.score || b.pages.length - a.pages.length),
+        phones: Array.from(merged.phones.values()).sort((a, b) => phoneRank(b) - phoneRank(a)),
+        addresses: Array.from(merged.addresses.values()).sort((a, b) => b.sources.length + b.pages.length - a.sources.length - a.pages.length),
+        country
+    };
+}
+
+module.exports = {
+    COUNTRIES,
+    deobfuscateEmails,
+    normalizeEmail,
+    rankEmail,
+    inferCountry,
+    normalizePhone,
+    findPhoneCandidates,
+    normalizeAddress,
+    buildContacts,
+    mergeContacts
+};
@@ -0,0 +1,90 @@
+/**
+ * Extraction field selection
+ * Maps the `fields` / `exclude` request parameters to the extraction stages that need to run
+ */
+
+/**
+ * Selectable fields, in pipeline order. Each field is one extraction stage.
+ */
+const EXTRACTION_FIELDS = ['logo', 'colors', 'fonts', 'images', 'icons', 'technologies', 'company', 'socialLinks', 'contacts', 'linkedin', 'facebook', 'twitter', 'crawl', 'assets'];
+
+/**
+ * Stages that must also run for a field to work
+ */
+const FIELD_DEPENDENCIES = {
+    images: ['logo'], // Logo URLs are filtered out of the general images
+    linkedin: ['socialLinks'], // The LinkedIn page is found among the social links
+    facebook: ['socialLinks'],
+    twitter: ['socialLinks'],
+    crawl: ['company'], // Subpages only fill in company fields the landing page is missing
+    assets: ['logo'] // Converts the logo, icon and banner that were found
+};
+
+/**
+ * Parses a field list given as an array or a comma-separated string.
+ * Matching is case-insensitive, so response section names like "Logo" work too.
+ * @param {any} value - Raw request value
+ * @param {string} name - Parameter name for error messages
+ * @returns {{fields?: string[], error?: string}}
+ */
+function parseFieldList(value, name) {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        return { error: `${name} must be an array of field names or a comma-separated string` };
+    }
+
+    const fields = [];
+    for (const item of items.map(item => item.trim()).filter(Boolean)) {
+        const field = EXTRACTION_FIELDS.find(candidate => candidate.toLowerCase() === item.toLowerCase());
+        if (!field) {
+            return { error: `Unknown field "${item}" in ${name}. Valid fields: ${EXTRACTION_FIELDS.join(', ')}` };
+        }
+        if (!fields.includes(field)) fields.push(field);
+    }
+    return { fields };
+}
+
+/**
+ * Resolves which extraction stages to run.
+ * @param {Object} [options]
+ * @param {string[]|string} [options.fields] - Only extract these fields (default: all)
+ * @param {string[]|string} [options.exclude] - Skip these fields
+ * @returns {{selection?: {stages: string[], variant: string|null}, error?: string}}
+ *   `stages` includes dependencies; `variant` identifies a partial selection (null means everything)
+ */
+function resolveExtractionFields({ fields, exclude } = {}) {
+    let requested = EXTRACTION_FIELDS;
+
+    if (fields !== undefined && fields !== null) {
+        const parsed = parseFieldList(fields, 'fields');
+        if (parsed.error) return { error: parsed.error };
+        if (parsed.fields.length > 0) requested = parsed.fields;
+    }
+
+    if (exclude !== undefined && exclude !== null) {
+        const parsed = parseFieldList(exclude, 'exclude');
+        if (parsed.error) return { error: parsed.error };
+        requested = requested.filter(field => !parsed.fields.includes(field));
+    }
+
+    if (requested.length === 0) {
+        return { error: 'fields and exclude leave nothing to extract' };
+    }
+
+    const needed = new Set(requested);
+    requested.forEach(field => (FIELD_DEPENDENCIES[field] || []).forEach(dependency => needed.add(dependency)));
+    const stages = EXTRACTION_FIELDS.filter(field => needed.has(field));
+
+    return {
+        selection: {
+            stages,
+            variant: stages.length === EXTRACTION_FIELDS.length ? null : stages.join(',')
+        }
+    };
+}
+
+module.exports = {
+    EXTRACTION_FIELDS,
+    FIELD_DEPENDENCIES,
+    resolveExtractionFields
+};
@@ -0,0 +1,252 @@
+/**
+ * Field sources
+ * Company fields can come from the site's meta tags, structured data and DOM, from LinkedIn,
+ * Facebook and X, and from crawled subpages. Every value found is kept as a candidate;
+ * a source-priority policy picks the output value, and each field reports where its
+ * value came from, how confident we are in it and which candidates lost.
+ */
+
+/**
+ * Company fields that are resolved from candidates
+ */
+const RESOLVED_FIELDS = ['Name', 'Description', 'Industry', 'Location', 'Founded', 'Employees', 'Website', 'CompanyType'];
+
+/**
+ * How reliable a value from each source is on its own (0-1)
+ */
+const SOURCE_WEIGHTS = {
+    'json-ld': 0.85,
+    linkedin: 0.85,
+    microdata: 0.8,
+    rdfa: 0.8,
+    meta: 0.75,
+    facebook: 0.7,
+    twitter: 0.65,
+    crawl: 0.6,
+    dom: 0.5,
+    url: 0.4
+};
+
+/**
+ * Sources in the order their values win, unless FIELD_SOURCE_PRIORITY overrides it.
+ * LinkedIn leads because its company pages are curated; profile sites and subpages only fill gaps.
+ */
+const DEFAULT_SOURCE_PRIORITY = ['linkedin', 'meta', 'json-ld', 'microdata', 'rdfa', 'dom', 'facebook', 'twitter', 'crawl', 'url'];
+
+/**
+ * Profile data keys that feed each field, in preference order
+ */
+const PROFILE_FIELD_MAPS = {
+    linkedin: {
+        Name: ['name'],
+        Description: ['description', 'aboutUs'],
+        Industry: ['industry'],
+        Location: ['location', 'headquarters'],
+        Founded: ['founded'],
+        Employees: ['employees', 'companySize'],
+        Website: ['website'],
+        CompanyType: ['type']
+    },
+    facebook: {
+        Name: ['companyName'],
+        Description: ['description'],
+        Website: ['website']
+    },
+    twitter: {
+        Name: ['displayName'],
+        Description: ['bio'],
+        Location: ['location'],
+        Website: ['website']
+    }
+};
+
+// Placeholders that login walls and bot checks put where the company name should be
+const INVALID_NAMES = ['join', 'sign in', 'sign up', 'log in', 'login', 'linkedin', 'facebook', 'x', 'home', 'welcome'];
+const PROFILE_HOSTS = /(^|\.)(linkedin\.com|facebook\.com|fb\.com|x\.com|twitter\.com|t\.co|instagram\.com)$/i;
+const NAME_SUFFIXES = /\b(inc|llc|ltd|limited|gmbh|corp|corporation|co|plc|ag|sa|bv)\b\.?/g;
+
+/**
+ * Parses a source-priority policy: an array of sources used for every field, or an object
+ * with a `default` array and per-field arrays. Listed sources win in order; unlisted sources
+ * are still reported as alternatives but never chosen.
+ * @param {string|Object|Array} [value] - JSON string (FIELD_SOURCE_PRIORITY) or parsed value
+ * @returns {{policy: {default: string[], fields: Object}, error?: string}}
+ */
+function parseSourcePriority(value) {
+    const policy = { default: DEFAULT_SOURCE_PRIORITY, fields: {} };
+    if (value === undefined || value === null || value === '') return { policy };
+
+    let config = value;
+    if (typeof value === 'string') {
+        try {
+            config = JSON.parse(value);
+        } catch (error) {
+            return { policy, error: `Source priority is not valid JSON: ${error.message}` };
+        }
+    }
+    if (Array.isArray(config)) config = { default: config };
+    if (!config || typeof config !== 'object') {
+        return { policy, error: 'Source priority must be an array of sources or an object of field arrays' };
+    }
+
+    const validate = (list, name) => {
+        if (!Array.isArray(list) || list.length === 0) return `${name} must be a non-empty array of sources`;
+        const unknown = list.find(source => !(source in SOURCE_WEIGHTS));
+        return unknown ? `Unknown source "${unknown}" in ${name}. Valid sources: ${Object.keys(SOURCE_WEIGHTS).join(', ')}` : null;
+    };
+
+    const resolved = { default: DEFAULT_SOURCE_PRIORITY, fields: {} };
+    for (const [key, list] of Object.entries(config)) {
+        const field = key === 'default' ? 'default' : RESOLVED_FIELDS.find(candidate => candidate.toLowerCase() === key.toLowerCase());
+        if (!field) return { policy, error: `Unknown field "${key}" in source priority. Valid fields: ${RESOLVED_FIELDS.join(', ')}` };
+        const error = validate(list, field);
+        if (error) return { policy, error };
+        if (field === 'default') resolved.default = list;
+        else resolved.fields[field] = list;
+    }
+    return { policy: resolved };
+}
+
+/**
+ * Candidates from a profile scraper result (LinkedIn, Facebook, X)
+ * @param {string} source - linkedin, facebook or twitter
+ * @param {Object} data - Scraper result
+ * @param {string} [url] - Profile URL
+ * @returns {Array<{field: string, value: string, source: string, detail: string, url: string|null}>}
+ */
+function profileCandidates(source, data, url = null) {
+    if (!data || data.error) return [];
+    return Object.entries(PROFILE_FIELD_MAPS[source] || {}).flatMap(([field, keys]) => keys
+        .filter(key => data[key] !== undefined && data[key] !== null && data[key] !== '')
+        .map(key => ({ field, value: data[key], source, detail: key, url })));
+}
+
+function isValid(field, value) {
+    if (typeof value !== 'string' || !value) return false;
+    if (field === 'Name') return !INVALID_NAMES.includes(value.toLowerCase());
+    if (field === 'Website') {
+        try {
+            const url = new URL(value);
+            return /^https?:$/.test(url.protocol) && !PROFILE_HOSTS.test(url.hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Form of a value used to decide whether two sources agree
+ */
+function comparable(field, value) {
+    const text = value.toLowerCase();
+    if (field === 'Founded') {
+        const year = text.match(/\b(1[89]|20)\d{2}\b/);
+        if (year) return year[0];
+    }
+    if (field === 'Website') {
+        try {
+            const url = new URL(value);
+            return url.hostname.replace(/^www\./, '') + url.pathname.replace(/\/+$/, '');
+        } catch (error) {
+            // Compare as text
+        }
+    }
+    return (field === 'Name' ? text.replace(NAME_SUFFIXES, '') : text).replace(/[^a-z0-9]+/g, '');
+}
+
+function agrees(field, a, b) {
+    if (a === b) return true;
+    // "Acme" and "Acme | Official site" name the same company
+    if (field !== 'Name') return false;
+    const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+    return shorter.length >= 4 && longer.startsWith(shorter);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolves each field from its candidates.
+ * Confidence combines the weights of all sources that agree on a value (1 - Π(1 - weight)), and
+ * is reduced by up to half by the strongest conflicting value.
+ * @param {Array<{field: string, value: any, source: string, detail?: string, url?: string}>} candidates
+ * @param {{default: string[], fields: Object}} [policy] - See parseSourcePriority
+ * @returns {{values: Object, fields: Object}} `values` maps every resolved field to its value (or null);
+ *   `fields` maps fields with candidates to `{value, source, detail, url, confidence, alternatives}`.
+ *   `source` is null when only sources outside the policy had a value.
+ */
+function resolveFieldSources(candidates = [], policy = parseSourcePriority().policy) {
+    const values = {};
+    const fields = {};
+
+    RESOLVED_FIELDS.forEach(field => {
+        // Valid candidates, one per source and value
+        const seen = new Set();
+        const entries = candidates
+            .filter(candidate => candidate.field === field)
+            .map(candidate => ({
+                value: typeof candidate.value === 'number' ? String(candidate.value) : (typeof candidate.value === 'string' ? candidate.value.trim() : null),
+                source: candidate.source,
+                detail: candidate.detail || null,
+                url: candidate.url || null
+            }))
+            .filter(entry => entry.source in SOURCE_WEIGHTS && isValid(field, entry.value))
+            .map(entry => ({ ...entry, key: comparable(field, entry.value) }))
+            .filter(entry => {
+                const id = `${entry.source}\u0000${entry.key}`;
+                if (seen.has(id)) return false;
+                seen.add(id);
+                return true;
+            });
+
+        values[field] = null;
+        if (entries.length === 0) return;
+
+        // Group agreeing values; each group's support is the combined weight of its sources
+        const groups = [];
+        entries.forEach(entry => {
+            const group = groups.find(candidate => agrees(field, candidate.key, entry.key));
+            if (group) group.entries.push(entry);
+            else groups.push({ key: entry.key, entries: [entry] });
+        });
+        groups.forEach(group => {
+            const sources = [...new Set(group.entries.map(entry => entry.source))];
+            group.support = 1 - sources.reduce((rest, source) => rest * (1 - SOURCE_WEIGHTS[source]), 1);
+        });
+        const confidenceOf = (entry) => {
+            const group = groups.find(candidate => candidate.entries.includes(entry));
+            const conflict = Math.max(0, ...groups.filter(other => other !== group).map(other => other.support));
+            return round(group.support * (1 - conflict / 2));
+        };
+        entries.forEach(entry => { entry.confidence = confidenceOf(entry); });
+
+        // The first source in the policy that has a value wins; within a source, the best-supported value
+        const priority = policy.fields[field] || policy.default;
+        const winner = priority
+            .map(source => entries.filter(entry => entry.source === source)
+                .reduce((best, entry) => (!best || entry.confidence > best.confidence ? entry : best), null))
+            .find(Boolean);
+        const describe = ({ value, source, detail, url, confidence }) => ({ value, source, detail, url, confidence });
+        // Values only from sources the policy leaves out are reported, but the field stays empty
+        values[field] = winner ? winner.value : null;
+        fields[field] = {
+            ...(winner ? describe(winner) : { value: null, source: null, detail: null, url: null, confidence: null }),
+            alternatives: entries
+                .filter(entry => entry !== winner)
+                .sort((a, b) => b.confidence - a.confidence)
+                .map(describe)
+        };
+    });
+
+    return { values, fields };
+}
+
+module.exports = {
+    RESOLVED_FIELDS,
+    SOURCE_WEIGHTS,
+    DEFAULT_SOURCE_PRIORITY,
+    PROFILE_FIELD_MAPS,
+    parseSourcePriority,
+    profileCandidates,
+    resolveFieldSources
+};
@@ -0,0 +1,306 @@
+/**
+ * Font resolution
+ * Turns the font data collected from a page (computed heading and body styles,
+ * @font-face rules, stylesheet links, the document's FontFaceSet and loaded font
+ * files) into Fonts entries with their provider, font files, the weights and
+ * styles in use, and whether the stack only renders in fallback fonts.
+ */
+
+/**
+ * CSS generic families and system font keywords
+ */
+const GENERIC_FAMILIES = new Set([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+    'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', '-apple-system', 'blinkmacsystemfont', 'inherit', 'initial'
+]);
+
+/**
+ * Fonts that ship with common operating systems and need no web font
+ */
+const SYSTEM_FONTS = new Set([
+    'arial', 'arial black', 'helvetica', 'helvetica neue', 'times', 'times new roman', 'georgia', 'verdana', 'tahoma',
+    'trebuchet ms', 'courier', 'courier new', 'segoe ui', 'segoe ui emoji', 'segoe ui symbol', 'roboto', 'ubuntu',
+    'cantarell', 'oxygen', 'oxygen-sans', 'noto sans', 'noto color emoji', 'liberation sans', 'lucida grande',
+    'lucida sans unicode', 'lucida console', 'menlo', 'monaco', 'consolas', 'sf pro text', 'sf pro display',
+    'sf mono', 'apple color emoji', 'gill sans', 'palatino', 'palatino linotype', 'impact', 'comic sans ms',
+    'calibri', 'cambria', 'candara', 'optima', 'avenir', 'avenir next', 'futura', 'baskerville', 'didot', 'garamond',
+    'book antiqua', 'century gothic', 'franklin gothic medium', 'geneva', 'droid sans', 'dejavu sans'
+]);
+
+/**
+ * Font providers by the host of their stylesheets and font files
+ */
+const PROVIDER_HOSTS = [
+    { provider: 'google-fonts', hosts: /(^|\.)fonts\.(googleapis|gstatic)\.com$/ },
+    { provider: 'adobe-fonts', hosts: /(^|\.)(use|p)\.typekit\.net$/ },
+    { provider: 'bunny-fonts', hosts: /(^|\.)fonts\.bunny\.net$/ },
+    { provider: 'fonts-com', hosts: /(^|\.)fast\.fonts\.net$/ },
+    { provider: 'cloud-typography', hosts: /(^|\.)cloud\.typography\.com$/ }
+];
+
+const FONT_FILE_FORMATS = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype', eot: 'embedded-opentype', svg: 'svg' };
+
+/**
+ * Family names of a font-family stack, unquoted, in order
+ * @param {string} stack - e.g. `"Open Sans", Arial, sans-serif`
+ * @returns {string[]}
+ */
+function parseFontStack(stack) {
+    return String(stack || '')
+        .split(',')
+        .map(family => family.trim().replace(/^["']|["']$/g, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Lowercased family name for comparisons
+ */
+function familyKey(family) {
+    return String(family || '').trim().replace(/^["']|["']$/g, '').trim().toLowerCase();
+}
+
+function isGenericFamily(family) {
+    return GENERIC_FAMILIES.has(familyKey(family));
+}
+
+function isSystemFont(family) {
+    const key = familyKey(family);
+    return GENERIC_FAMILIES.has(key) || SYSTEM_FONTS.has(key);
+}
+
+/**
+ * Numeric CSS font weight (normal → 400, bold → 700)
+ * @param {string|number} weight
+ * @returns {number|null}
+ */
+function normalizeWeight(weight) {
+    const value = String(weight || '').trim().toLowerCase();
+    if (value === 'normal' || value === 'regular' || value === '') return 400;
+    if (value === 'bold') return 700;
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= 1 && number <= 1000 ? number : null;
+}
+
+/**
+ * CSS font style without an oblique angle
+ */
+function normalizeStyle(style) {
+    const value = String(style || 'normal').trim().toLowerCase();
+    if (value.startsWith('oblique')) return 'oblique';
+    return value === 'italic' ? 'italic' : 'normal';
+}
+
+/**
+ * Provider of a stylesheet or font file URL
+ * @param {string} url
+ * @param {string} [pageUrl] - Files on the page's own site are self-hosted
+ * @returns {string|null} Provider id, `self-hosted`, `cdn` or null for unparseable URLs
+ */
+function detectProvider(url, pageUrl = null) {
+    let host;
+    try {
+        host = new URL(url, pageUrl || undefined).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+    const known = PROVIDER_HOSTS.find(({ hosts }) => hosts.test(host));
+    if (known) return known.provider;
+    if (url.startsWith('data:')) return 'self-hosted';
+
+    const site = (hostname) => hostname.replace(/^www\./, '').split('.').slice(-2).join('.');
+    try {
+        if (pageUrl && site(new URL(pageUrl).hostname.toLowerCase()) === site(host)) return 'self-hosted';
+    } catch (error) {
+        // Fall through to cdn
+    }
+    return 'cdn';
+}
+
+/**
+ * Font file URLs and formats from an @font-face `src` descriptor
+ * @param {string} src - e.g. `url(a.woff2) format("woff2"), local(Inter)`
+ * @param {string} [baseUrl] - Stylesheet URL relative URLs resolve against
+ * @returns {Array<{url: string, format: string|null}>}
+ */
+function parseFontFaceSrc(src, baseUrl = null) {
+    const files = [];
+    for (const match of String(src || '').matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/g)) {
+        let url = match[2].trim();
+        if (!url.startsWith('data:')) {
+            try {
+                url = new URL(url, baseUrl || undefined).href;
+            } catch (error) {
+                continue;
+            }
+        }
+        const extension = url.startsWith('data:') ? null : (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+        files.push({
+            url: url.startsWith('data:') ? `${url.slice(0, url.indexOf(',') + 1)}…` : url,
+            format: match[3] ? match[3].toLowerCase() : FONT_FILE_FORMATS[String(extension).toLowerCase()] || null
+        });
+    }
+    return files;
+}
+
+/**
+ * Families requested by a Google Fonts stylesheet link (css and css2 APIs)
+ * @param {string} href - e.g. https://fonts.googleapis.com/css2?family=Inter:wght@400;700&family=Lora
+ * @returns {Array<{family: string, weights: number[], styles: string[]}>}
+ */
+function parseGoogleFontsUrl(href) {
+    let parsed;
+    try {
+        parsed = new URL(href);
+    } catch (error) {
+        return [];
+    }
+    if (!/fonts\.googleapis\.com$/i.test(parsed.hostname)) return [];
+
+    const requests = parsed.pathname.startsWith('/css2')
+        ? parsed.searchParams.getAll('family')
+        : parsed.searchParams.getAll('family').flatMap(value => value.split('|'));
+
+    return requests.filter(Boolean).map(request => {
+        const [name, spec = ''] = request.split(':');
+        const weights = new Set();
+        const styles = new Set();
+        if (parsed.pathname.startsWith('/css2')) {
+            // ital,wght@0,400;1,700 or wght@400;700 or ital@1
+            const [axes = '', values = ''] = spec.split('@');
+            const axisNames = axes.split(',');
+            values.split(';').filter(Boolean).forEach(tuple => {
+                const parts = tuple.split(',');
+                axisNames.forEach((axis, index) => {
+                    if (parts[index] === undefined) return;
+                    if (axis === 'wght') parts[index].split('..').forEach(weight => weights.add(normalizeWeight(weight)));
+                    if (axis === 'ital') styles.add(parts[index] === '1' ? 'italic' : 'normal');
+                });
+            });
+        } else {
+            // 400,700italic or 400i,700
+            spec.split(',').filter(Boolean).forEach(variant => {
+                const weight = normalizeWeight(variant.match(/\d+/) ? variant.match(/\d+/)[0] : variant.replace(/italic|i$/, '') || 'normal');
+                if (weight) weights.add(weight);
+                styles.add(/i(talic)?$/.test(variant) ? 'italic' : 'normal');
+            });
+        }
+        return {
+            family: name.replace(/\+/g, ' ').trim(),
+            weights: [...weights].filter(Boolean).sort((a, b) => a - b),
+            styles: styles.size > 0 ? [...styles].sort() : ['normal']
+        };
+    });
+}
+
+/**
+ * Builds the Fonts entries for the heading and body roles.
+ * @param {Object} data - Collected in the page by getKeyFonts
+ * @param {string} [data.pageUrl]
+ * @param {Object<string, Array<{stack: string, weight: string, style: string}>>} data.usage - Computed styles of
+ *   sampled elements per role (`heading`, `body`)
+ * @param {Array<{family: string, src: string, weight?: string, style?: string, sheet?: string}>} [data.faces] -
+ *   Readable @font-face rules
+ * @param {string[]} [data.stylesheets] - Stylesheet hrefs, including cross-origin ones whose rules cannot be read
+ * @param {Array<{family: string, weight?: string, style?: string, status: string}>} [data.fontSet] - document.fonts
+ * @param {string[]} [data.fontFiles] - Font files the page loaded (resource timing)
+ * @returns {Object[]} One entry per role: `{name, type, stack, provider, resolvedFamily, weights, styles, files,
+ *   fallbackOnly, missing}`
+ */
+function resolveFonts({ pageUrl = null, usage = {}, faces = [], stylesheets = [], fontSet = [], fontFiles = [] } = {}) {
+    // Everything known about each web font family, keyed by lowercased name
+    const webFonts = new Map();
+    const webFont = (family) => {
+        const key = familyKey(family);
+        if (!webFonts.has(key)) webFonts.set(key, { files: [], providers: new Set(), loaded: false, declared: false });
+        return webFonts.get(key);
+    };
+
+    faces.forEach(face => {
+        const entry = webFont(face.family);
+        entry.declared = true;
+        parseFontFaceSrc(face.src, face.sheet || pageUrl).forEach(file => {
+            if (entry.files.some(existing => existing.url === file.url)) return;
+            entry.files.push({ ...file, weight: face.weight || null, style: face.style ? normalizeStyle(face.style) : null });
+            entry.providers.add(detectProvider(file.url, pageUrl));
+        });
+        if (face.sheet) entry.providers.add(detectProvider(face.sheet, pageUrl));
+    });
+
+    stylesheets.forEach(href => {
+        parseGoogleFontsUrl(href).forEach(({ family }) => {
+            const entry = webFont(family);
+            entry.declared = true;
+            entry.providers.add('google-fonts');
+        });
+    });
+
+    fontSet.forEach(face => {
+        const entry = webFont(face.family);
+        entry.declared = true;
+        if (face.status === 'loaded') entry.loaded = true;
+    });
+
+    // Cross-origin kits (e.g. Adobe Fonts) hide their rules; attribute unexplained families to the only kit on the page
+    const kitProviders = new Set([...stylesheets, ...fontFiles]
+        .map(url => detectProvider(url, pageUrl))
+        .filter(provider => provider && provider !== 'self-hosted' && provider !== 'cdn'));
+
+    const entries = ['heading', 'body'].map(role => {
+        const samples = (usage[role] || []).filter(sample => sample && sample.stack);
+        if (samples.length === 0) return null;
+
+        // The most common stack for the role, with the weights and styles used in it
+        const counts = new Map();
+        samples.forEach(sample => counts.set(sample.stack, (counts.get(sample.stack) || 0) + 1));
+        const stack = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        const roleSamples = samples.filter(sample => sample.stack === stack);
+        const families = parseFontStack(stack);
+        if (families.length === 0) return null;
+
+        const resolvedFamily = families.find(family => webFonts.has(familyKey(family)) || isSystemFont(family)) || null;
+        const web = resolvedFamily && webFonts.get(familyKey(resolvedFamily));
+
+        let provider = 'unknown';
+        if (web) {
+            const providers = [...web.providers].filter(Boolean);
+            provider = providers.find(p => p !== 'self-hosted' && p !== 'cdn') || providers[0]
+                || (kitProviders.size === 1 ? [...kitProviders][0] : 'unknown');
+        } else if (resolvedFamily) {
+            provider = 'system';
+        }
+
+        return {
+            name: families[0],
+            type: role,
+            stack,
+            provider,
+            resolvedFamily,
+            weights: [...new Set(roleSamples.map(sample => normalizeWeight(sample.weight)).filter(Boolean))].sort((a, b) => a - b),
+            styles: [...new Set(roleSamples.map(sample => normalizeStyle(sample.style)))].sort(),
+            files: web ? web.files : [],
+            // No family of the stack is a web font, so text renders in whatever the visitor's system has
+            fallbackOnly: !families.some(family => webFonts.has(familyKey(family))),
+            // Named families that are neither web fonts nor common system fonts: the browser skips them
+            missing: families.filter(family => !webFonts.has(familyKey(family)) && !isSystemFont(family))
+        };
+    }).filter(Boolean);
+
+    // Body text set in the heading stack adds nothing
+    if (entries.length === 2 && entries[0].stack === entries[1].stack) {
+        entries[0].weights = [...new Set([...entries[0].weights, ...entries[1].weights])].sort((a, b) => a - b);
+        entries[0].styles = [...new Set([...entries[0].styles, ...entries[1].styles])].sort();
+        return entries.slice(0, 1);
+    }
+    return entries;
+}
+
+module.exports = {
+    parseFontStack,
+    isSystemFont,
+    isGenericFamily,
+    normalizeWeight,
+    detectProvider,
+    parseFontFaceSrc,
+    parseGoogleFontsUrl,
+    resolveFonts
+};
@@ -0,0 +1,139 @@
+/**
+ * Outbound request guard
+ * Keeps requests to caller- or page-supplied URLs (webhooks, logos, icons, manifests) away from
+ * the server's own network: loopback, link-local (cloud metadata), private and other reserved
+ * addresses are refused. Hosts listed in ALLOWED_PRIVATE_HOSTS (comma-separated hostnames or
+ * IPs) are let through for internal use.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not publicly routable.
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry; NAT64 addresses count as private.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for anything that is not a valid public address
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Parses a comma-separated host allowlist
+ * @param {string} [value] - Defaults to ALLOWED_PRIVATE_HOSTS
+ * @returns {string[]} Lowercase hostnames and IPs
+ */
+function parseAllowedHosts(value = process.env.ALLOWED_PRIVATE_HOSTS) {
+    return String(value || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+        .filter(Boolean);
+}
+
+function hostnameOf(url) {
+    return url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function blockedHostError(hostname, address) {
+    const error = new Error(`Refusing to connect to ${hostname}${address && address !== hostname ? ` (${address})` : ''}: private, loopback or link-local address`);
+    error.code = 'BLOCKED_HOST';
+    return error;
+}
+
+/**
+ * Checks a URL's host without connecting: it must be http(s) and every address it resolves to public
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedHosts] - Hosts let through anyway (defaults to ALLOWED_PRIVATE_HOSTS)
+ * @param {Function} [options.lookup] - dns.promises.lookup compatible resolver, injectable for tests
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+async function checkPublicUrl(url, { allowedHosts = parseAllowedHosts(), lookup = dns.promises.lookup } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return { allowed: false, reason: 'not an absolute URL' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { allowed: false, reason: 'not an http(s) URL' };
+    }
+
+    const hostname = hostnameOf(parsed);
+    if (allowedHosts.includes(hostname)) return { allowed: true, reason: null };
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return { allowed: false, reason: 'host is loopback' };
+    }
+
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true });
+    } catch (error) {
+        return { allowed: false, reason: `host could not be resolved (${error.code || error.message})` };
+    }
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+        return { allowed: false, reason: `host resolves to a private, loopback or link-local address (${blocked.address})` };
+    }
+    return { allowed: true, reason: null };
+}
+
+/**
+ * axios options that apply the guard to the connection itself, including every redirect:
+ * resolved addresses are checked when connecting (so a host cannot re-resolve to a private
+ * address after checkPublicUrl), and redirects to IP literals or other protocols are refused
+ * before they are followed.
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedHosts] - Defaults to ALLOWED_PRIVATE_HOSTS
+ * @param {number} [options.maxRedirects=5]
+ * @returns {{lookup: Function, beforeRedirect: Function, maxRedirects: number}}
+ */
+function guardedRequestOptions({ allowedHosts = parseAllowedHosts(), maxRedirects = 5 } = {}) {
+    const lookup = (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const host = hostname.toLowerCase();
+            const blocked = !allowedHosts.includes(host) && addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) return callback(blockedHostError(hostname, blocked.address));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+
+    // Literal IPs never reach lookup, so redirects to them are checked here
+    const beforeRedirect = (redirect) => {
+        if (redirect.protocol !== 'http:' && redirect.protocol !== 'https:') {
+            throw blockedHostError(redirect.hostname || redirect.host);
+        }
+        const hostname = String(redirect.hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+        if (allowedHosts.includes(hostname)) return;
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+            throw blockedHostError(hostname);
+        }
+    };
+
+    return { lookup, beforeRedirect, maxRedirects };
+}
+
+module.exports = {
+    isPrivateAddress,
+    parseAllowedHosts,
+    checkPublicUrl,
+    guardedRequestOptions
+};
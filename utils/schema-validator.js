@@ -0,0 +1,137 @@
+/**
+ * Minimal JSON Schema validator
+ * Supports the draft-07 subset used by the schemas in /schemas: type, enum, const,
+ * properties, required, additionalProperties, patternProperties, items, minItems/maxItems,
+ * pattern, minLength/maxLength, minimum/maximum and local $ref (#/definitions/...).
+ */
+
+/**
+ * JSON type name of a value
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+}
+
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref values are supported: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+}
+
+function validateNode(schema, value, path, rootSchema, errors) {
+    if (schema.$ref) {
+        const target = resolveRef(rootSchema, schema.$ref);
+        if (!target) {
+            errors.push({ path, message: `unresolved $ref ${schema.$ref}` });
+            return;
+        }
+        validateNode(target, value, path, rootSchema, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return; // Further checks assume the right type
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, rootSchema, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern), subschema]);
+
+        // Undefined values are dropped by JSON serialization, so they count as absent
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (child === undefined) return;
+            const childPath = `${path}.${key}`;
+            if (properties[key]) {
+                validateNode(properties[key], child, childPath, rootSchema, errors);
+                return;
+            }
+
+            const patternMatch = patterns.find(([regex]) => regex.test(key));
+            if (patternMatch) {
+                validateNode(patternMatch[1], child, childPath, rootSchema, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(schema.additionalProperties, child, childPath, rootSchema, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validates data against a JSON schema
+ * @param {Object} schema - JSON schema
+ * @param {any} data - Value to check
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validateSchema(schema, data) {
+    const errors = [];
+    validateNode(schema, data, '$', schema, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    validateSchema
+};
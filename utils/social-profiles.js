@@ -0,0 +1,321 @@
+/**
+ * Social profile discovery
+ * Turns raw social link candidates collected from a page (links, rel="me",
+ * meta tags, JSON-LD sameAs) into one canonical profile URL and handle per
+ * platform. Share, intent and post links are dropped, so a "Tweet this" button
+ * is never mistaken for the company's account.
+ */
+
+/**
+ * Mastodon has no central host; these instances are recognized without a rel="me" or label hint
+ */
+const MASTODON_HOSTS = [
+    'mastodon.social', 'mastodon.online', 'mastodon.world', 'mas.to', 'mstdn.social', 'fosstodon.org',
+    'hachyderm.io', 'infosec.exchange', 'techhub.social', 'universeodon.com', 'mastodon.cloud', 'social.vivaldi.net'
+];
+
+/**
+ * Supported platforms, in the order they are returned. `hosts` match the hostname and its
+ * subdomains; `parse` returns the canonical profile for a URL, or null when it is not one.
+ */
+const PLATFORMS = {
+    Twitter: {
+        hosts: ['twitter.com', 'x.com'],
+        reserved: ['intent', 'share', 'home', 'search', 'hashtag', 'i', 'explore', 'settings', 'login', 'signup', 'privacy', 'tos', 'messages', 'notifications', 'compose'],
+        parse(url) {
+            const match = url.pathname.match(/^\/@?([A-Za-z0-9_]{1,15})\/?$/);
+            if (!match || this.reserved.includes(match[1].toLowerCase())) return null;
+            return { url: `https://x.com/${match[1]}`, handle: match[1], kind: 'profile' };
+        }
+    },
+    LinkedIn: {
+        hosts: ['linkedin.com'],
+        kinds: { company: 4, showcase: 3, school: 2, in: 1 },
+        parse(url) {
+            // Tabs of a page (/about, /jobs, /posts) still identify it
+            const match = url.pathname.match(/^\/(company|showcase|school|in)\/([^/?#]+)(?:\/[a-z-]*)?\/?$/i);
+            if (!match) return null;
+            const kind = match[1].toLowerCase();
+            const slug = decodeURIComponent(match[2]);
+            return { url: `https://www.linkedin.com/${kind}/${encodeURIComponent(slug)}`, handle: slug, kind: kind === 'in' ? 'person' : kind };
+        }
+    },
+    Facebook: {
+        hosts: ['facebook.com', 'fb.com', 'fb.me'],
+        reserved: ['sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'login', 'login.php', 'groups', 'events', 'watch',
+            'photo.php', 'photo', 'photos', 'permalink.php', 'story.php', 'hashtag', 'help', 'policies', 'privacy', 'legal', 'business', 'ads', 'marketplace', 'gaming', 'l.php'],
+        parse(url) {
+            if (/^\/profile\.php$/i.test(url.pathname)) {
+                const id = url.searchParams.get('id');
+                return /^\d+$/.test(id || '') ? { url: `https://www.facebook.com/profile.php?id=${id}`, handle: id, kind: 'profile' } : null;
+            }
+            // Pages without a username: /pages/Name/123 and /people/Name/123
+            const numbered = url.pathname.match(/^\/(?:pages|people)\/(?:[^/]+\/)?(\d+)\/?$/i);
+            if (numbered) return { url: `https://www.facebook.com/profile.php?id=${numbered[1]}`, handle: numbered[1], kind: 'page' };
+            const match = url.pathname.match(/^\/([A-Za-z0-9.\-]{2,})(?:\/(?:about|posts|photos|videos|reviews|community)?)?\/?$/);
+            if (!match || this.reserved.includes(match[1].toLowerCase())) return null;
+            return { url: `https://www.facebook.com/${match[1]}`, handle: match[1], kind: 'page' };
+        }
+    },
+    Instagram: {
+        hosts: ['instagram.com', 'instagr.am'],
+        reserved: ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'tv', 'direct', 'about', 'legal', 'developer', 'share'],
+        parse(url) {
+            const match = url.pathname.match(/^\/([A-Za-z0-9._]{1,30})\/?$/);
+            if (!match || this.reserved.includes(match[1].toLowerCase())) return null;
+            const handle = match[1].toLowerCase();
+            return { url: `https://www.instagram.com/${handle}`, handle, kind: 'profile' };
+        }
+    },
+    YouTube: {
+        hosts: ['youtube.com'],
+        parse(url) {
+            const handle = url.pathname.match(/^\/@([A-Za-z0-9._-]{3,30})(?:\/(?:featured|videos|about|shorts|streams|playlists))?\/?$/);
+            if (handle) return { url: `https://www.youtube.com/@${handle[1]}`, handle: handle[1], kind: 'handle' };
+            const channel = url.pathname.match(/^\/channel\/(UC[A-Za-z0-9_-]{22})(?:\/[a-z]*)?\/?$/);
+            if (channel) return { url: `https://www.youtube.com/channel/${channel[1]}`, handle: channel[1], kind: 'channel' };
+            const legacy = url.pathname.match(/^\/(c|user)\/([A-Za-z0-9._-]+)(?:\/[a-z]*)?\/?$/);
+            if (legacy) return { url: `https://www.youtube.com/${legacy[1]}/${legacy[2]}`, handle: legacy[2], kind: legacy[1] === 'c' ? 'custom' : 'user' };
+            return null;
+        }
+    },
+    TikTok: {
+        hosts: ['tiktok.com'],
+        parse(url) {
+            const match = url.pathname.match(/^\/@([A-Za-z0-9._]{2,24})\/?$/);
+            if (!match) return null;
+            const handle = match[1].toLowerCase();
+            return { url: `https://www.tiktok.com/@${handle}`, handle, kind: 'profile' };
+        }
+    },
+    GitHub: {
+        hosts: ['github.com'],
+        reserved: ['features', 'pricing', 'about', 'login', 'join', 'signup', 'marketplace', 'topics', 'sponsors', 'apps', 'enterprise', 'security',
+            'site', 'contact', 'collections', 'trending', 'explore', 'settings', 'notifications', 'new', 'search', 'customer-stories', 'readme', 'team'],
+        parse(url) {
+            const match = url.pathname.match(/^\/(?:orgs\/)?([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))\/?$/);
+            if (!match || this.reserved.includes(match[1].toLowerCase())) return null;
+            return { url: `https://github.com/${match[1]}`, handle: match[1], kind: 'profile' };
+        }
+    },
+    Pinterest: {
+        hosts: ['pinterest.com', 'pinterest.co.uk', 'pinterest.ca', 'pinterest.de', 'pinterest.fr', 'pinterest.es', 'pinterest.it', 'pinterest.com.au', 'pin.it'],
+        reserved: ['pin', 'search', 'ideas', 'today', 'explore', 'business', 'login', 'settings', 'categories', '_'],
+        parse(url) {
+            const match = url.pathname.match(/^\/([A-Za-z0-9_]{3,30})\/?$/);
+            if (!match || this.reserved.includes(match[1].toLowerCase())) return null;
+            const handle = match[1].toLowerCase();
+            return { url: `https://www.pinterest.com/${handle}`, handle, kind: 'profile' };
+        }
+    },
+    Threads: {
+        hosts: ['threads.net', 'threads.com'],
+        parse(url) {
+            const match = url.pathname.match(/^\/@([A-Za-z0-9._]{1,30})\/?$/);
+            if (!match) return null;
+            const handle = match[1].toLowerCase();
+            return { url: `https://www.threads.com/@${handle}`, handle, kind: 'profile' };
+        }
+    },
+    Mastodon: {
+        hosts: MASTODON_HOSTS,
+        parse(url) {
+            const match = url.pathname.match(/^\/(?:@|users\/)([A-Za-z0-9_]{1,30})\/?$/);
+            if (!match) return null;
+            const host = url.hostname.toLowerCase();
+            return { url: `https://${host}/@${match[1]}`, handle: `${match[1]}@${host}`, kind: 'profile' };
+        }
+    },
+    Crunchbase: {
+        hosts: ['crunchbase.com'],
+        parse(url) {
+            const match = url.pathname.match(/^\/(?:organization|company)\/([a-z0-9-]+)(?:\/[a-z_-]*)?\/?$/i);
+            if (!match) return null;
+            const slug = match[1].toLowerCase();
+            return { url: `https://www.crunchbase.com/organization/${slug}`, handle: slug, kind: 'organization' };
+        }
+    },
+    AppStore: {
+        hosts: ['apps.apple.com', 'itunes.apple.com'],
+        kinds: { app: 2, developer: 1 },
+        parse(url) {
+            const match = url.pathname.match(/^\/(?:[a-z]{2}\/)?(app|developer)\/(?:[^/]+\/)?id(\d+)\/?$/i);
+            if (!match) return null;
+            const kind = match[1].toLowerCase();
+            return { url: `https://apps.apple.com/${kind}/id${match[2]}`, handle: `id${match[2]}`, kind };
+        }
+    },
+    GooglePlay: {
+        hosts: ['play.google.com'],
+        kinds: { app: 2, developer: 1 },
+        parse(url) {
+            const id = url.searchParams.get('id');
+            if (!id) return null;
+            if (url.pathname === '/store/apps/details' && /^[A-Za-z][\w]*(\.[A-Za-z0-9_]+)+$/.test(id)) {
+                return { url: `https://play.google.com/store/apps/details?id=${id}`, handle: id, kind: 'app' };
+            }
+            if (/^\/store\/apps\/(?:dev|developer)$/.test(url.pathname)) {
+                return { url: `https://play.google.com${url.pathname}?id=${encodeURIComponent(id)}`, handle: id, kind: 'developer' };
+            }
+            return null;
+        }
+    }
+};
+
+/**
+ * Weight of each candidate source; the site's own structured data is the strongest evidence
+ */
+const SOURCE_WEIGHTS = {
+    'json-ld': 4,
+    'rel-me': 4,
+    meta: 3,
+    link: 1
+};
+
+const SHARE_PATH = /(^|\/)(intent|share|sharer|sharing|shareArticle|dialog|compose|pin\/create|submit)(\.php)?(\/|$)/i;
+const SHARE_PARAMS = ['text', 'status', 'u', 'shareUrl', 'mini'];
+
+/**
+ * Hostnames that identify a platform (MASTODON_HOSTS included)
+ */
+function knownHosts() {
+    return Object.values(PLATFORMS).flatMap(platform => platform.hosts);
+}
+
+function hostMatches(hostname, hosts) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    return hosts.some(candidate => host === candidate || host.endsWith(`.${candidate}`));
+}
+
+/**
+ * Share buttons, tweet intents, "pin it" and similar links that point at a platform but not at a profile
+ * @param {string} value - Absolute URL
+ * @returns {boolean}
+ */
+function isShareLink(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    if (SHARE_PATH.test(url.pathname)) return true;
+    // Links with prefilled post text or a target URL are share buttons (?text=, ?status=, ?u=)
+    return SHARE_PARAMS.some(param => url.searchParams.has(param)) || (url.searchParams.has('url') && !url.pathname.startsWith('/store/'));
+}
+
+/**
+ * Canonical profile for a URL
+ * @param {string} value - Profile URL, or an @handle with `platform`
+ * @param {Object} [options]
+ * @param {string} [options.platform] - Platform for bare handles (twitter:site content) and hinted Mastodon hosts
+ * @param {string} [options.base] - Base URL for relative links
+ * @returns {{platform: string, url: string, handle: string, kind: string}|null}
+ */
+function normalizeProfileUrl(value, { platform = null, base = undefined } = {}) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    let text = value.trim();
+
+    if (platform === 'Twitter' && /^@?[A-Za-z0-9_]{1,15}$/.test(text)) {
+        text = `https://x.com/${text.replace(/^@/, '')}`;
+    }
+    if (/^\/\//.test(text)) text = `https:${text}`;
+
+    let url;
+    try {
+        url = new URL(text, base);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (isShareLink(url.href)) return null;
+
+    for (const [name, definition] of Object.entries(PLATFORMS)) {
+        // Any host can be a Mastodon instance when the page says so (rel="me" or a Mastodon label)
+        const matchesHost = hostMatches(url.hostname, definition.hosts) || (name === 'Mastodon' && platform === 'Mastodon' && !hostMatches(url.hostname, knownHosts()));
+        if (!matchesHost) continue;
+
+        if (name === 'Facebook' && /^fb\.me$/i.test(url.hostname)) {
+            url = new URL(`https://www.facebook.com${url.pathname}`);
+        }
+        const profile = definition.parse(url);
+        return profile ? { platform: name, ...profile } : null;
+    }
+    return null;
+}
+
+/**
+ * Simplified company name from the site's hostname (www.acme-corp.co.uk -> acmecorp)
+ */
+function siteLabel(pageUrl) {
+    try {
+        const labels = new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '').split('.');
+        const name = labels.length > 2 && labels[labels.length - 2].length <= 3 ? labels[labels.length - 3] : labels[labels.length - 2] || labels[0];
+        return (name || '').replace(/[^a-z0-9]/g, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Picks one profile per platform from the collected candidates.
+ * @param {Array<{url: string, source: string, platform?: string, location?: string}>} candidates
+ *   `source` is link, rel-me, meta or json-ld; `platform` hints bare handles and Mastodon instances;
+ *   `location` is header, footer or body for links
+ * @param {Object} [options]
+ * @param {string} [options.pageUrl] - Extracted page, for resolving relative links and ranking handles
+ * @returns {{links: Object, profiles: Array<{platform: string, url: string, handle: string, kind: string, sources: string[]}>}}
+ *   `links` maps each platform to its profile URL (the SocialLinks format)
+ */
+function buildSocialProfiles(candidates = [], { pageUrl = null } = {}) {
+    const label = siteLabel(pageUrl);
+    const found = new Map(); // canonical URL -> profile with score
+
+    candidates.forEach(candidate => {
+        const profile = normalizeProfileUrl(candidate.url, { platform: candidate.platform, base: pageUrl || undefined });
+        if (!profile) return;
+
+        const entry = found.get(profile.url) || { ...profile, sources: [], score: 0 };
+        if (!entry.sources.includes(candidate.source)) {
+            entry.sources.push(candidate.source);
+            entry.score += SOURCE_WEIGHTS[candidate.source] || 1;
+        } else {
+            entry.score += 0.5; // Repeated links add a little
+        }
+        if (candidate.location === 'footer' || candidate.location === 'header') entry.score += 1;
+        found.set(profile.url, entry);
+    });
+
+    const best = {};
+    found.forEach(entry => {
+        const kinds = PLATFORMS[entry.platform].kinds || {};
+        const normalizedHandle = entry.handle.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const score = entry.score
+            + (kinds[entry.kind] || 0) * 2
+            + (label && label.length > 2 && normalizedHandle.includes(label) ? 2 : 0);
+        if (!best[entry.platform] || score > best[entry.platform].rank) {
+            best[entry.platform] = { ...entry, rank: score };
+        }
+    });
+
+    const profiles = Object.keys(PLATFORMS)
+        .filter(platform => best[platform])
+        .map(platform => {
+            const { url, handle, kind, sources } = best[platform];
+            return { platform, url, handle, kind, sources };
+        });
+
+    return {
+        links: Object.fromEntries(profiles.map(profile => [profile.platform, profile.url])),
+        profiles
+    };
+}
+
+module.exports = {
+    PLATFORMS,
+    MASTODON_HOSTS,
+    knownHosts,
+    isShareLink,
+    normalizeProfileUrl,
+    buildSocialProfiles
+};
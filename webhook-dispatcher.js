@@ -0,0 +1,205 @@
+/**
+ * Webhook Dispatcher
+ * Delivers extraction results to caller-supplied callback URLs.
+ * Payloads are signed with HMAC-SHA256 (WEBHOOK_SECRET) and retried with
+ * exponential backoff; every attempt is kept on a delivery record.
+ * Callbacks to loopback, link-local and private addresses are refused unless the host is
+ * listed in ALLOWED_PRIVATE_HOSTS (see utils/outbound-guard.js).
+ */
+
+const crypto = require('crypto');
+const { checkPublicUrl, guardedRequestOptions, parseAllowedHosts } = require('./utils/outbound-guard');
+
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.secret = options.secret ?? process.env.WEBHOOK_SECRET ?? null;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+        this.initialDelay = options.initialDelay || 2000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.httpClient = options.httpClient || null; // Defaults to axios, injectable for tests
+        this.allowedHosts = options.allowedHosts || parseAllowedHosts();
+        this.lookup = options.lookup || undefined; // dns.promises.lookup, injectable for tests
+        this.deliveries = new Map(); // deliveryId -> delivery
+        this.maxDeliveries = 500; // Prevent memory overflow
+        this.stats = { dispatched: 0, delivered: 0, failed: 0, retries: 0 };
+        this.warnedUnsigned = false;
+    }
+
+    /**
+     * Check that a callback URL is something we can POST to
+     */
+    isValidCallbackUrl(callbackUrl) {
+        try {
+            const parsed = new URL(callbackUrl);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check that a callback URL's host is public, so callers cannot make the server POST
+     * to itself, its cloud metadata endpoint or the internal network
+     * @returns {Promise<{allowed: boolean, reason: string|null}>}
+     */
+    async checkCallbackHost(callbackUrl) {
+        return checkPublicUrl(callbackUrl, { allowedHosts: this.allowedHosts, lookup: this.lookup });
+    }
+
+    /**
+     * Queue a webhook delivery. Returns the delivery record immediately;
+     * attempts continue in the background.
+     * @param {Object} params
+     * @param {string} params.url - Callback URL
+     * @param {string} params.event - Event name, e.g. extraction.completed
+     * @param {Object} params.payload - JSON body to deliver
+     * @param {Function} [params.onUpdate] - Called with the record after every attempt
+     */
+    dispatch({ url, event, payload, onUpdate = null }) {
+        if (!this.secret && !this.warnedUnsigned) {
+            this.warnedUnsigned = true;
+            console.warn('⚠️ WEBHOOK_SECRET is not set - webhook payloads will be sent unsigned');
+        }
+
+        const delivery = {
+            deliveryId: `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            url,
+            event,
+            status: 'pending',
+            signed: !!this.secret,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null,
+            nextAttemptAt: null,
+            attempts: []
+        };
+
+        this.deliveries.set(delivery.deliveryId, delivery);
+        this._cleanupOldDeliveries();
+        this.stats.dispatched++;
+
+        const body = JSON.stringify({ event, deliveryId: delivery.deliveryId, ...payload });
+        this._attempt(delivery, body, onUpdate);
+
+        return delivery;
+    }
+
+    /**
+     * Build signature headers. Receivers verify by computing
+     * HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and comparing with X-Webhook-Signature.
+     */
+    sign(body, timestamp) {
+        if (!this.secret) return {};
+        const signature = crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return { 'X-Webhook-Signature': `sha256=${signature}` };
+    }
+
+    getDelivery(deliveryId) {
+        return this.deliveries.get(deliveryId) || null;
+    }
+
+    getStats() {
+        const deliveries = Array.from(this.deliveries.values());
+        return {
+            ...this.stats,
+            pending: deliveries.filter(d => d.status === 'pending').length,
+            signingEnabled: !!this.secret,
+            maxAttempts: this.maxAttempts
+        };
+    }
+
+    async _attempt(delivery, body, onUpdate) {
+        const attemptNumber = delivery.attempts.length + 1;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const started = Date.now();
+        const attempt = { attempt: attemptNumber, timestamp: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+
+        let retryable = false;
+        try {
+            const response = await this._post(delivery.url, body, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'company-extraction-webhooks/1.0',
+                'X-Webhook-Id': delivery.deliveryId,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                ...this.sign(body, timestamp)
+            });
+
+            attempt.statusCode = response.status;
+            if (response.status >= 200 && response.status < 300) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date().toISOString();
+                delivery.nextAttemptAt = null;
+                this.stats.delivered++;
+                console.log(`📬 Webhook ${delivery.deliveryId} delivered to ${delivery.url}`);
+            } else {
+                attempt.error = `HTTP ${response.status}`;
+                // Client errors other than rate limiting will not succeed on retry
+                retryable = response.status >= 500 || response.status === 429 || response.status === 408;
+            }
+        } catch (error) {
+            attempt.error = error.message;
+            retryable = true; // Network errors and timeouts
+        }
+
+        attempt.durationMs = Date.now() - started;
+        delivery.attempts.push(attempt);
+
+        if (delivery.status !== 'delivered') {
+            if (retryable && attemptNumber < this.maxAttempts) {
+                const delay = Math.min(this.initialDelay * Math.pow(2, attemptNumber - 1), this.maxDelay)
+                    + Math.random() * 1000;
+                delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.stats.retries++;
+                console.warn(`⚠️ Webhook ${delivery.deliveryId} attempt ${attemptNumber} failed (${attempt.error}), retrying in ${Math.round(delay / 1000)}s`);
+                setTimeout(() => this._attempt(delivery, body, onUpdate), delay).unref();
+            } else {
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+                this.stats.failed++;
+                console.error(`❌ Webhook ${delivery.deliveryId} failed after ${attemptNumber} attempt(s): ${attempt.error}`);
+            }
+        }
+
+        if (onUpdate) {
+            try {
+                onUpdate(delivery);
+            } catch (error) {
+                console.warn('⚠️ Webhook onUpdate handler failed:', error.message);
+            }
+        }
+    }
+
+    async _post(url, body, headers) {
+        if (this.httpClient) {
+            return this.httpClient(url, body, headers);
+        }
+
+        const axios = require('axios');
+        return axios.post(url, body, {
+            headers,
+            timeout: this.timeout,
+            // Checks the addresses the host resolves to when connecting, not just when accepted
+            ...guardedRequestOptions({ allowedHosts: this.allowedHosts, maxRedirects: 0 }),
+            validateStatus: () => true, // Status handled above
+            transformRequest: [(data) => data] // Send the exact bytes that were signed
+        });
+    }
+
+    _cleanupOldDeliveries() {
+        if (this.deliveries.size > this.maxDeliveries) {
+            const finished = Array.from(this.deliveries.values())
+                .filter(d => d.status !== 'pending')
+                .slice(0, this.deliveries.size - this.maxDeliveries);
+            finished.forEach(d => this.deliveries.delete(d.deliveryId));
+        }
+    }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = { webhookDispatcher, WebhookDispatcher };